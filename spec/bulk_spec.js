@@ -0,0 +1,269 @@
+/*global describe, it, expect, beforeEach, afterEach */
+
+var stream          = require('stream');
+var bulk            = require('../lib/bulk');
+var Realm           = require('../lib/realm').default;
+var MetadataSchema  = require('../lib/metadata-schema').default;
+var MockToznyServer = require('../testing').MockToznyServer;
+
+var REALM_KEY_ID = 'sid_bulkrealm';
+var SECRET       = 'bulk-secret';
+
+// Emits `text` in small chunks, so that records span chunk boundaries.
+function input(text) {
+  var chunks = [];
+  for (var i = 0; i < text.length; i += 7) {
+    chunks.push(text.slice(i, i + 7));
+  }
+  return stream.Readable.from(chunks.map(function(c) { return Buffer.from(c); }));
+}
+
+function collector() {
+  var out = new stream.PassThrough();
+  out.text = '';
+  out.on('data', function(chunk) { out.text += chunk; });
+  out.lines = function() {
+    return out.text.split('\n').filter(Boolean).map(JSON.parse);
+  };
+  return out;
+}
+
+describe('bulk', function() {
+
+  var server, realm;
+
+  beforeEach(function(done) {
+    server = new MockToznyServer({ realmKeyId: REALM_KEY_ID, realmSecret: SECRET });
+    server.listen().then(function(apiUrl) {
+      realm = new Realm(REALM_KEY_ID, SECRET, apiUrl);
+      done();
+    });
+  });
+
+  afterEach(function(done) {
+    server.close().then(done);
+  });
+
+  describe('importUsers', function() {
+
+    it('adds users from CSV and reports every row', function(done) {
+      var report = collector();
+      var csv = 'email,department,note\r\n' +
+                'alice@example.com,eng,"likes ""quotes"", commas"\r\n' +
+                'bob@example.com,ops,"two\nlines"\r\n' +
+                'carol@example.com,ops\r\n';
+      bulk.importUsers(realm, input(csv), { format: 'csv', report: report }).then(function(summary) {
+        expect(summary).toEqual({ total: 3, succeeded: 2, failed: 1 });
+        var users = Object.keys(server.users).map(function(id) { return server.users[id]; });
+        expect(users.length).toEqual(2);
+        var alice = users.filter(function(u) { return u.tozny_email === 'alice@example.com'; })[0];
+        expect(alice.meta).toEqual({ email: 'alice@example.com', department: 'eng', note: 'likes "quotes", commas' });
+
+        var rows = report.lines().sort(function(a, b) { return a.row - b.row; });
+        expect(rows[0].ok).toBe(true);
+        expect(rows[0].user_id).toEqual(alice.user_id);
+        expect(rows[2].ok).toBe(false);
+        expect(rows[2].error.code).toEqual('invalid_row');
+        done();
+      }).then(null, done.fail);
+    });
+
+    it('updates users that have a user_id, and adds the rest', function(done) {
+      var existing = server.addUser({ email: 'dave@example.com', department: 'eng' });
+      var ndjson = JSON.stringify({ user_id: existing.user_id, meta: { department: 'ops' } }) + '\n' +
+                   '\n' +
+                   JSON.stringify({ email: 'erin@example.com' }) + '\n' +
+                   'not json\n';
+      bulk.importUsers(realm, input(ndjson), { format: 'ndjson' }).then(function(summary) {
+        expect(summary).toEqual({ total: 3, succeeded: 2, failed: 1 });
+        expect(server.users[existing.user_id].meta.department).toEqual('ops');
+        expect(Object.keys(server.users).length).toEqual(2);
+        done();
+      }).then(null, done.fail);
+    });
+
+    it('reports API failures without stopping', function(done) {
+      var report = collector();
+      var ndjson = JSON.stringify({ user_id: 'sid_missing', department: 'ops' }) + '\n' +
+                   JSON.stringify({ email: 'frank@example.com' }) + '\n';
+      bulk.importUsers(realm, input(ndjson), { format: 'ndjson', mode: 'auto', report: report }).then(function(summary) {
+        expect(summary).toEqual({ total: 2, succeeded: 1, failed: 1 });
+        var failed = report.lines().filter(function(row) { return !row.ok; })[0];
+        expect(failed.row).toEqual(1);
+        expect(failed.error.name).toEqual('ToznyApiError');
+        done();
+      }).then(null, done.fail);
+    });
+
+    it('makes no API calls in a dry run', function(done) {
+      var report = collector();
+      var csv = 'user_id,department\nsid_a,eng\n,ops\n';
+      bulk.importUsers(realm, input(csv), { mode: 'update', dryRun: true, report: report }).then(function(summary) {
+        expect(summary).toEqual({ total: 2, succeeded: 1, failed: 1 });
+        expect(server.requests.length).toEqual(0);
+        expect(report.lines()[0]).toEqual({ row: 1, ok: true, action: 'update', user_id: 'sid_a', dry_run: true });
+        done();
+      }).then(null, done.fail);
+    });
+
+    it('limits the number of calls in flight', function(done) {
+      var lines = '';
+      for (var i = 0; i < 20; i++) {
+        lines += JSON.stringify({ email: 'user' + i + '@example.com' }) + '\n';
+      }
+      var active = 0, peak = 0;
+      var userAdd = realm.userAdd.bind(realm);
+      realm.userAdd = function(defer, meta) {
+        active += 1;
+        peak = Math.max(peak, active);
+        return userAdd(defer, meta).finally(function() { active -= 1; });
+      };
+      bulk.importUsers(realm, input(lines), { format: 'ndjson', concurrency: 3 }).then(function(summary) {
+        expect(summary.succeeded).toEqual(20);
+        expect(peak).toEqual(3);
+        done();
+      }).then(null, done.fail);
+    });
+
+    it('converts CSV cells to the types of the realm schema', function(done) {
+      var report = collector();
+      var typed = new Realm(REALM_KEY_ID, SECRET, server.url, {
+        metadataSchema: new MetadataSchema({
+          email:      { type: 'string', format: 'email', required: true },
+          employee:   { type: 'integer' },
+          newsletter: { type: 'boolean' },
+          hired:      { type: 'date' },
+          tags:       { type: 'json' },
+        })
+      });
+      var csv = 'email,employee,newsletter,hired,tags\n' +
+                'gina@example.com,42,true,2016-03-01T00:00:00.000Z,"[""a""]"\n' +
+                'hank@example.com,forty,false,,\n';
+      bulk.importUsers(typed, input(csv), { format: 'csv', report: report }).then(function(summary) {
+        expect(summary).toEqual({ total: 2, succeeded: 1, failed: 1 });
+        var ids = Object.keys(server.users);
+        expect(server.users[ids[0]].meta).toEqual({
+          email: 'gina@example.com', employee: 42, newsletter: true,
+          hired: '2016-03-01T00:00:00.000Z', tags: '["a"]'
+        });
+        var failed = report.lines().filter(function(row) { return !row.ok; })[0];
+        expect(failed.error.code).toEqual('invalid_metadata');
+
+        var out = collector();
+        return bulk.exportUsers(typed, out, { format: 'csv' }).then(function() {
+          server.users = {};
+          return bulk.importUsers(typed, input(out.text), { format: 'csv', mode: 'add' });
+        });
+      }).then(function(summary) {
+        expect(summary).toEqual({ total: 1, succeeded: 1, failed: 0 });
+        var ids = Object.keys(server.users);
+        expect(server.users[ids[0]].meta.employee).toEqual(42);
+        expect(server.users[ids[0]].meta.tags).toEqual('["a"]');
+        done();
+      }).then(null, done.fail);
+    });
+
+    it('waits for a slow report to drain', function(done) {
+      var lines = '';
+      for (var i = 0; i < 20; i++) {
+        lines += JSON.stringify({ email: 'slow' + i + '@example.com' }) + '\n';
+      }
+      var pending = 0, peak = 0;
+      var report = new stream.Writable({
+        highWaterMark: 1,
+        write: function(chunk, encoding, callback) {
+          setTimeout(function() { pending -= 1; callback(); }, 5);
+        }
+      });
+      var write = report.write.bind(report);
+      report.write = function(chunk) {
+        pending += 1;
+        peak = Math.max(peak, pending);
+        return write(chunk);
+      };
+      bulk.importUsers(realm, input(lines), { format: 'ndjson', concurrency: 3, report: report }).then(function(summary) {
+        expect(summary.succeeded).toEqual(20);
+        expect(peak).toBeLessThan(5);
+        done();
+      }).then(null, done.fail);
+    });
+
+    it('rejects unknown options', function(done) {
+      bulk.importUsers(realm, input(''), { format: 'xml' }).then(done.fail, function(err) {
+        expect(err.code).toEqual('invalid_option');
+        done();
+      });
+    });
+  });
+
+  describe('exportUsers', function() {
+
+    beforeEach(function() {
+      server.addUser({ email: 'alice@example.com', department: 'eng' });
+      server.addUser({ email: 'bob@example.com', tags: ['a', 'b'] });
+    });
+
+    it('writes NDJSON', function(done) {
+      var out = collector();
+      bulk.exportUsers(realm, out, { pageSize: 1 }).then(function(result) {
+        expect(result.count).toEqual(2);
+        var emails = out.lines().map(function(user) { return user.meta.email; }).sort();
+        expect(emails).toEqual(['alice@example.com', 'bob@example.com']);
+        done();
+      }).then(null, done.fail);
+    });
+
+    it('writes CSV with a column per metadata field', function(done) {
+      var out = collector();
+      bulk.exportUsers(realm, out, { format: 'csv' }).then(function(result) {
+        expect(result.count).toEqual(2);
+        var lines = out.text.split('\r\n');
+        var header = lines[0].split(',');
+        expect(header[0]).toEqual('user_id');
+        expect(header.slice(-3).sort()).toEqual(['meta.department', 'meta.email', 'meta.tags']);
+        expect(out.text).toContain('"[""a"",""b""]"');
+        done();
+      }).then(null, done.fail);
+    });
+
+    it('writes CSV without loading every user first', function(done) {
+      var out = collector();
+      var pagesBeforeHeader = null;
+      out.on('data', function() {
+        if (pagesBeforeHeader === null) {
+          pagesBeforeHeader = server.requests.filter(function(r) { return r.method === 'realm.users_get'; }).length;
+        }
+      });
+      bulk.exportUsers(realm, out, { format: 'csv', pageSize: 1 }).then(function(result) {
+        expect(result.count).toEqual(2);
+        expect(pagesBeforeHeader).toEqual(1);
+        expect(out.text.split('\r\n').filter(Boolean).length).toEqual(3);
+        done();
+      }).then(null, done.fail);
+    });
+
+    it('keeps spreadsheets from running cells as formulas', function(done) {
+      server.addUser({ email: 'carol@example.com', department: '=HYPERLINK("http://evil.example.com")', floor: -2 });
+      server.addUser({ email: '@dave', department: '+1', floor: 3 });
+      var out = collector();
+      bulk.exportUsers(realm, out, { format: 'csv', metaFields: ['email', 'department', 'floor'] }).then(function() {
+        expect(out.text).toContain('carol@example.com,"\'=HYPERLINK(""http://evil.example.com"")",-2\r\n');
+        expect(out.text).toContain(',\'@dave,\'+1,3\r\n');
+        done();
+      }).then(null, done.fail);
+    });
+
+    it('round-trips through importUsers', function(done) {
+      var out = collector();
+      bulk.exportUsers(realm, out, { format: 'csv', metaFields: ['email', 'department'] }).then(function() {
+        server.users = {};
+        return bulk.importUsers(realm, input(out.text), { format: 'csv', mode: 'add' });
+      }).then(function(summary) {
+        expect(summary.succeeded).toEqual(2);
+        var metas = Object.keys(server.users).map(function(id) { return server.users[id].meta; });
+        expect(metas).toContain({ email: 'alice@example.com', department: 'eng' });
+        done();
+      }).then(null, done.fail);
+    });
+  });
+});
@@ -0,0 +1,173 @@
+/*global describe, it, expect, beforeAll, afterAll */
+
+var http            = require('http');
+var cli             = require('../lib/cli');
+var tozny           = require('../lib/crypto');
+var MockToznyServer = require('../testing').MockToznyServer;
+
+var REALM_KEY_ID = 'sid_clirealm';
+var SECRET       = 'cli-secret';
+
+describe('tozny-auth command', function() {
+
+  var server = new MockToznyServer({ realmKeyId: REALM_KEY_ID, realmSecret: SECRET });
+  var apiUrl;
+
+  beforeAll(function(done) {
+    server.listen().then(function(url) {
+      apiUrl = url;
+      done();
+    });
+  });
+
+  afterAll(function(done) {
+    server.close().then(done);
+  });
+
+  // Runs the command with credentials from the environment, and captures output.
+  function run(argv, env, files) {
+    var io = {
+      env: env || { REALM_KEY_ID: REALM_KEY_ID, SECRET: SECRET, API_URL: apiUrl },
+      out: '',
+      err: '',
+      stdout: { write: function(text) { io.out += text; } },
+      stderr: { write: function(text) { io.err += text; } },
+      readFile: function(path) {
+        if (!files || !(path in files)) { throw new Error('ENOENT'); }
+        return files[path];
+      }
+    };
+    return cli.run(argv, io).then(function(status) {
+      io.status = status;
+      return io;
+    });
+  }
+
+  it('adds, updates, and fetches users', function(done) {
+    var userId;
+    run(['user', 'add', '--meta', 'email=cli@example.com', '--meta=department=eng']).then(function(io) {
+      expect(io.status).toEqual(0);
+      userId = JSON.parse(io.out).user_id;
+      return run(['user', 'update', userId, '--meta', 'department=ops']);
+    }).then(function(io) {
+      expect(io.status).toEqual(0);
+      return run(['user', 'get', userId]);
+    }).then(function(io) {
+      expect(JSON.parse(io.out).meta).toEqual({ email: 'cli@example.com', department: 'ops' });
+      return run(['user', 'exists', '--email', 'cli@example.com']);
+    }).then(function(io) {
+      expect(io.out).toEqual('true\n');
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('lists users as a table', function(done) {
+    server.addUser({ email: 'table@example.com', department: 'sales' });
+    run(['user', 'list', '--meta', 'department=sales', '--format', 'table']).then(function(io) {
+      var lines = io.out.split('\n');
+      expect(lines[0]).toMatch(/^user_id\s+/);
+      expect(lines[1]).toMatch(/^-+  -+/);
+      expect(lines[2]).toContain('table@example.com');
+      expect(lines.length).toEqual(4);
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('prints an empty result as a table', function(done) {
+    var empty = http.createServer(function(req, res) {
+      req.resume();
+      res.setHeader('Content-Type', 'application/json');
+      res.end('{}');
+    });
+    empty.listen(0, '127.0.0.1', function() {
+      var url = 'http://127.0.0.1:' + empty.address().port + '/';
+      run(['call', 'realm.anything', '--format', 'table'], {
+        REALM_KEY_ID: REALM_KEY_ID, SECRET: SECRET, API_URL: url
+      }).then(function(io) {
+        expect(io.err).toEqual('');
+        expect(io.status).toEqual(0);
+        expect(io.out).toEqual('(no results)\n');
+        empty.close(function() { done(); });
+      }).then(null, function(err) {
+        empty.close();
+        done.fail(err);
+      });
+    });
+  });
+
+  it('makes raw calls', function(done) {
+    var user = server.addUser({ email: 'raw@example.com' });
+    run(['call', 'realm.user_get', '--param', 'user_id=' + user.user_id]).then(function(io) {
+      expect(JSON.parse(io.out).results.user_id).toEqual(user.user_id);
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('reads credentials from a config file', function(done) {
+    var config = JSON.stringify({ realmKeyId: REALM_KEY_ID, realmSecret: SECRET, apiUrl: apiUrl });
+    run(['user', 'exists', 'sid_nobody', '--config', 'realm.json'], {}, { 'realm.json': config }).then(function(io) {
+      expect(io.status).toEqual(0);
+      expect(io.out).toEqual('false\n');
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('reads the secret from SECRET, or else from REALM_SECRET', function(done) {
+    var env = { REALM_KEY_ID: REALM_KEY_ID, SECRET: SECRET, REALM_SECRET: 'wrong', API_URL: apiUrl };
+    run(['user', 'exists', 'sid_nobody'], env).then(function(io) {
+      expect(io.status).toEqual(0);
+      return run(['user', 'exists', 'sid_nobody'], { REALM_KEY_ID: REALM_KEY_ID, REALM_SECRET: SECRET, API_URL: apiUrl });
+    }).then(function(io) {
+      expect(io.status).toEqual(0);
+      return run(['help'], {});
+    }).then(function(io) {
+      expect(io.out).toContain('SECRET ');
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('decodes and verifies signed data', function(done) {
+    var payload = { user_id: 'sid_x', expires_at: Math.floor(Date.now() / 1000) + 60 };
+    var signedData = tozny.toBase64(JSON.stringify(payload));
+    run(['decode', signedData], {}).then(function(io) {
+      expect(JSON.parse(io.out)).toEqual(payload);
+      return tozny.sign(SECRET, signedData);
+    }).then(function(signature) {
+      return run(['verify', signedData, signature]);
+    }).then(function(io) {
+      expect(io.status).toEqual(0);
+      expect(JSON.parse(io.out).user_id).toEqual('sid_x');
+      return tozny.sign('wrong', signedData);
+    }).then(function(signature) {
+      return run(['verify', signedData, signature]);
+    }).then(function(io) {
+      expect(io.status).toEqual(1);
+      expect(io.err).toEqual('error: invalid signature (invalid_signature)\n');
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('reports API errors', function(done) {
+    run(['user', 'get', 'sid_missing']).then(function(io) {
+      expect(io.status).toEqual(1);
+      expect(io.err).toMatch(/^error: .*\(\w+\)\n$/);
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('reports usage errors', function(done) {
+    run(['user', 'get']).then(function(io) {
+      expect(io.status).toEqual(2);
+      expect(io.err).toContain('usage: tozny-auth user get <user_id>');
+      return run(['user', 'get', 'sid_x'], {});
+    }).then(function(io) {
+      expect(io.status).toEqual(2);
+      expect(io.err).toContain('REALM_KEY_ID');
+      return run(['frobnicate']);
+    }).then(function(io) {
+      expect(io.status).toEqual(2);
+      expect(io.err).toContain('unknown command');
+      done();
+    }).then(null, done.fail);
+  });
+});
@@ -1,6 +1,11 @@
-/*global describe, it, expect */
+/*global describe, it, expect, beforeEach, afterEach */
 
-var tozny = require('../lib/crypto');
+var Module     = require('module');
+var path       = require('path');
+var nodeCrypto = require('crypto');
+var tozny      = require('../lib/crypto');
+var backends   = require('../lib/crypto-backend');
+var encoding   = require('../lib/encoding');
 
 var REALM_KEY_ID = 'sid_d915e7226947b';
 var SECRET = '8f8c9b8df39f8c8be4a39378bece4ac01cba948f9b4ef7b90acad3f49d5358f2';
@@ -56,6 +61,150 @@ describe('crypto', function() {
     });
   });
 
+  it('compares strings in constant time', function() {
+    expect(tozny.constantTimeEqual(SIGNATURE, SIGNATURE)).toBe(true);
+    expect(tozny.constantTimeEqual(SIGNATURE, SIGNATURE.slice(1))).toBe(false);
+    expect(tozny.constantTimeEqual(SIGNATURE, SIGNATURE + 'A')).toBe(false);
+    expect(tozny.constantTimeEqual('', '')).toBe(true);
+  });
+
+});
+
+[
+  function() { return new backends.NodeCryptoBackend(); },
+  function() { return new backends.WebCryptoBackend(nodeCrypto.webcrypto); },
+].forEach(function(makeBackend) {
+  var backend = makeBackend();
+
+  describe('crypto with the ' + backend.name + ' backend', function() {
+
+    beforeEach(function() { backends.setCryptoBackend(backend); });
+    afterEach(function() { backends.setCryptoBackend(null); });
+
+    it('signs messages', function(done) {
+      tozny.sign(SECRET, tozny.toBase64(DATA)).then(function(signature) {
+        expect(signature).toEqual(SIGNATURE);
+        done();
+      }).then(null, done.fail);
+    });
+
+    it('signs with raw key bytes', function(done) {
+      var key = encoding.utf8Encode(SECRET);
+      tozny.sign(key, encoding.utf8Encode(ENCODED)).then(function(signature) {
+        expect(signature).toEqual(SIGNATURE);
+        done();
+      }).then(null, done.fail);
+    });
+
+    it('verifies and rejects signatures', function(done) {
+      tozny.checkSignature(SECRET, SIGNATURE, ENCODED).then(function(legit) {
+        expect(legit).toBe(true);
+        return tozny.checkSignature(SECRET.slice(1), SIGNATURE, ENCODED);
+      }).then(function(legit) {
+        expect(legit).toBe(false);
+        done();
+      }).then(null, done.fail);
+    });
+
+    it('produces random nonces', function(done) {
+      tozny.mkRequest(REALM_KEY_ID, SECRET, 'realm.user_get', {}).then(function(r) {
+        var req = JSON.parse(tozny.fromBase64(r.signed_data).toString('utf8'));
+        expect(req.nonce).toMatch(/^[0-9a-f]{64}$/);
+        done();
+      }).then(null, done.fail);
+    });
+
+  });
+});
+
+describe('encoding', function() {
+
+  it('matches Buffer for UTF-8 text', function() {
+    var text = 'plain, accents \u00e9\u00fc, CJK \u6f22\u5b57, emoji \ud83d\udd11';
+    var bytes = encoding.utf8Encode(text);
+    expect(Array.prototype.slice.call(bytes)).toEqual(Array.prototype.slice.call(Buffer.from(text, 'utf8')));
+    expect(encoding.utf8Decode(bytes)).toEqual(text);
+  });
+
+  it('replaces malformed UTF-8', function() {
+    expect(encoding.utf8Decode(new Uint8Array([0x61, 0xff, 0xc3]))).toEqual('a\ufffd\ufffd');
+  });
+
+  it('matches Buffer for base64 of every length', function() {
+    var bytes = nodeCrypto.randomBytes(66);
+    for (var n = 0; n <= bytes.length; n++) {
+      var slice = bytes.slice(0, n);
+      expect(encoding.base64Encode(slice)).toEqual(slice.toString('base64'));
+      expect(encoding.base64Encode(slice, true)).toEqual(
+        slice.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, ''));
+      expect(Buffer.from(encoding.base64Decode(slice.toString('base64'))).equals(slice)).toBe(true);
+      expect(Buffer.from(encoding.base64Decode(encoding.base64Encode(slice, true))).equals(slice)).toBe(true);
+    }
+  });
+
+});
+
+describe('without Node modules', function() {
+
+  var NODE_ONLY = ['crypto', 'http', 'https', 'querystring', 'url', 'util', 'superagent', 'superagent-promise-plugin'];
+
+  // Loads fresh copies of the library modules while Node-only modules cannot
+  // be loaded, as in an edge runtime, until `restore` is called.
+  function isolate() {
+    var lib   = path.resolve(__dirname, '../lib') + path.sep;
+    var saved = {};
+    var load  = Module._load;
+    Object.keys(require.cache).forEach(function(key) {
+      if (key.indexOf(lib) === 0) { saved[key] = require.cache[key]; delete require.cache[key]; }
+    });
+    Module._load = function(request) {
+      if (NODE_ONLY.indexOf(request) >= 0) { throw new Error('Cannot load ' + request); }
+      return load.apply(this, arguments);
+    };
+    return function restore() {
+      Module._load = load;
+      Object.keys(require.cache).forEach(function(key) {
+        if (key.indexOf(lib) === 0) { delete require.cache[key]; }
+      });
+      Object.keys(saved).forEach(function(key) { require.cache[key] = saved[key]; });
+    };
+  }
+
+  it('verifies logins and makes calls through a Realm with Web Crypto and a custom transport', function(done) {
+    var restore = isolate();
+    var sent = [];
+    var realm;
+    try {
+      var Realm = require('../lib/realm').default;
+      var crypto = require('../lib/crypto');
+      realm = new Realm('sid_edge', 'edge-secret', 'https://api.example.com/', {
+        transport: { send: function(url, form) { sent.push(form); return Promise.resolve({ return: 'ok' }); } }
+      });
+    }
+    catch (err) {
+      restore();
+      return done.fail(err);
+    }
+    expect(require('../lib/crypto-backend').cryptoBackend().name).toEqual('webcrypto');
+    var signedData = crypto.toBase64(JSON.stringify({
+      user_id: 'sid_user', realm_key_id: 'sid_edge', expires_at: Math.floor(Date.now() / 1000) + 60
+    }));
+    crypto.sign('edge-secret', signedData).then(function(signature) {
+      return realm.verifyLogin(signedData, signature, { checkRealm: true });
+    }).then(function(login) {
+      expect(login.user_id).toEqual('sid_user');
+      return realm.rawCall('realm.user_exists', { user_id: 'sid_user' });
+    }).then(function(resp) {
+      expect(resp.return).toEqual('ok');
+      expect(sent.length).toEqual(1);
+      restore();
+      done();
+    }).then(null, function(err) {
+      restore();
+      done.fail(err);
+    });
+  });
+
 });
 
 describe('requests', function() {
@@ -0,0 +1,162 @@
+/*global describe, it, expect, beforeAll, afterAll */
+
+var Realm           = require('../lib/realm').default;
+var User            = require('../lib/user').default;
+var EndpointPool    = require('../lib/endpoint-pool').default;
+var errors          = require('../lib/errors');
+var MockToznyServer = require('../testing').MockToznyServer;
+
+var DEAD = 'http://127.0.0.1:1/api/';
+
+function timedOut() {
+  return new errors.TransportError('timeout of 100ms exceeded', { code: 'timeout', retryable: true });
+}
+
+function wait(ms) {
+  return new Promise(function(resolve) { setTimeout(resolve, ms); });
+}
+
+// Sends one request through the pool, to an endpoint that fails if it is in
+// `down`, and resolves to the URL that was used or to the error.
+function request(pool, down) {
+  var used = [];
+  return pool.send(function(url) {
+    used.push(url);
+    return down.indexOf(url) >= 0 ? Promise.reject(timedOut()) : Promise.resolve(url);
+  }, 'realm.user_get').then(function(url) {
+    return { used: used, url: url };
+  }, function(err) {
+    return { used: used, error: err };
+  });
+}
+
+function states(pool) {
+  return pool.health().endpoints.map(function(e) { return e.state; });
+}
+
+describe('EndpointPool', function() {
+
+  it('opens a circuit after consecutive failures, then probes it', function(done) {
+    var pool = new EndpointPool(['a', 'b'], { failureThreshold: 2, resetTimeout: 20 });
+    request(pool, ['a']).then(function(r) {
+      expect(r.error.code).toEqual('timeout');
+      expect(states(pool)).toEqual(['closed', 'closed']);
+      return request(pool, ['a']);
+    }).then(function() {
+      expect(states(pool)).toEqual(['open', 'closed']);
+      expect(pool.health().healthy).toBe(true);
+      expect(pool.health().endpoints[0].lastError).toEqual('timeout of 100ms exceeded');
+      return request(pool, ['a']);
+    }).then(function(r) {
+      expect(r.used).toEqual(['b']);
+      return wait(30);
+    }).then(function() {
+      expect(states(pool)).toEqual(['half_open', 'closed']);
+      return request(pool, ['a']);
+    }).then(function(r) {
+      expect(r.used).toEqual(['a']);
+      expect(states(pool)).toEqual(['open', 'closed']);
+      return wait(30);
+    }).then(function() {
+      return request(pool, []);
+    }).then(function(r) {
+      expect(r.url).toEqual('a');
+      expect(states(pool)).toEqual(['closed', 'closed']);
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('fails fast when every circuit is open', function(done) {
+    var pool = new EndpointPool(['a'], { failureThreshold: 1 });
+    request(pool, ['a']).then(function() {
+      return request(pool, ['a']);
+    }).then(function(r) {
+      expect(r.used).toEqual([]);
+      expect(r.error instanceof errors.TransportError).toBe(true);
+      expect(r.error.code).toEqual('circuit_open');
+      expect(pool.health().healthy).toBe(false);
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('does not count errors reported by the API', function(done) {
+    var pool = new EndpointPool(['a', 'b'], { failureThreshold: 1 });
+    pool.send(function() {
+      return Promise.reject(new errors.ToznyApiError('No such user', { code: 'user_not_found', status: 404 }));
+    }, 'realm.user_get').then(done.fail, function(err) {
+      expect(err.code).toEqual('user_not_found');
+      expect(states(pool)).toEqual(['closed', 'closed']);
+      done();
+    });
+  });
+
+  it('counts server errors reported by the API', function(done) {
+    var pool = new EndpointPool(['a', 'b'], { failureThreshold: 1 });
+    pool.send(function() {
+      return Promise.reject(new errors.ToznyApiError('Internal error', { code: 'internal_error', status: 500 }));
+    }, 'realm.user_get').then(done.fail, function(err) {
+      expect(err.status).toEqual(500);
+      expect(states(pool)).toEqual(['open', 'closed']);
+      expect(pool.health().endpoints[0].lastError).toEqual('Internal error');
+      done();
+    });
+  });
+
+});
+
+describe('realm with several endpoints', function() {
+
+  var server = new MockToznyServer();
+  var realm;
+
+  beforeAll(function(done) {
+    server.listen().then(function(apiUrl) {
+      realm = new Realm(server.realmKeyId, server.realmSecret, [DEAD, apiUrl], {
+        circuitBreaker: { failureThreshold: 1, resetTimeout: 60000 }
+      });
+      done();
+    });
+  });
+
+  afterAll(function(done) {
+    server.close().then(done);
+  });
+
+  it('fails over to the next endpoint when a connection is refused', function(done) {
+    var account = server.addUser({ email: 'failover@example.com' });
+    expect(realm.apiUrl).toEqual(DEAD);
+    realm.userAdd('false', { email: 'written@example.com' }).then(function() {
+      var health = realm.endpoints.health();
+      expect(health.healthy).toBe(true);
+      expect(health.endpoints[0].state).toEqual('open');
+      expect(health.endpoints[1].state).toEqual('closed');
+      return realm.userGet(account.user_id);
+    }).then(function(user) {
+      expect(user.user_id).toEqual(account.user_id);
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('shares its endpoints with users made from its call options', function(done) {
+    var user = new User(realm.keyId, realm.apiUrl, realm.callOptions);
+    expect(user.endpoints).toBe(realm.endpoints);
+    user.loginChallenge().then(function() {
+      expect(server.requests[server.requests.length - 1].method).toEqual('user.login_challenge');
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('reads several URLs from API_URL', function() {
+    var saved = process.env.API_URL;
+    process.env.API_URL = DEAD + ', ' + server.url;
+    try {
+      var other = new Realm(server.realmKeyId, server.realmSecret);
+      expect(other.apiUrl).toEqual(DEAD);
+      expect(other.endpoints.urls()).toEqual([DEAD, server.url]);
+    }
+    finally {
+      if (saved === undefined) { delete process.env.API_URL; } else { process.env.API_URL = saved; }
+    }
+  });
+
+});
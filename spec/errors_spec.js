@@ -0,0 +1,46 @@
+/*global describe, it, expect */
+
+var errors = require('../lib/errors');
+
+describe('errors', function() {
+
+  it('builds an API error from a Tozny error response', function() {
+    var err = errors.apiError('realm.user_get', {
+      return: 'error',
+      errors: [{ error_code: 'user_not_found', error_message: 'No such user', status_code: 404 }]
+    });
+    expect(err instanceof errors.ToznyApiError).toBe(true);
+    expect(err.name).toEqual('ToznyApiError');
+    expect(err.method).toEqual('realm.user_get');
+    expect(err.code).toEqual('user_not_found');
+    expect(err.message).toEqual('No such user');
+    expect(err.status).toEqual(404);
+    expect(err.retryable).toBe(false);
+  });
+
+  it('ignores successful responses', function() {
+    expect(errors.apiError('realm.user_get', { return: 'ok', results: {} })).toBeNull();
+  });
+
+  it('marks network failures as retryable transport errors', function() {
+    var cause = new Error('connect ECONNREFUSED');
+    cause.code = 'ECONNREFUSED';
+    var err = errors.transportError('realm.user_get', cause);
+    expect(err instanceof errors.TransportError).toBe(true);
+    expect(err.code).toEqual('ECONNREFUSED');
+    expect(err.status).toBeNull();
+    expect(err.retryable).toBe(true);
+    expect(err.cause).toBe(cause);
+  });
+
+  it('prefers the Tozny error body of an HTTP error', function() {
+    var cause = new Error('Service Unavailable');
+    cause.status   = 503;
+    cause.response = { body: { return: 'error', errors: [{ error_message: 'down' }] } };
+    var err = errors.transportError('realm.users_get', cause);
+    expect(err instanceof errors.ToznyApiError).toBe(true);
+    expect(err.status).toEqual(503);
+    expect(err.retryable).toBe(true);
+  });
+
+});
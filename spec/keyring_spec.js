@@ -0,0 +1,88 @@
+/*global describe, it, expect */
+
+var Keyring = require('../lib/keyring').default;
+var Realm   = require('../lib/realm').default;
+var tozny   = require('../lib/crypto');
+
+var REALM_KEY_ID = 'sid_d915e7226947b';
+var OLD_SECRET = '8f8c9b8df39f8c8be4a39378bece4ac01cba948f9b4ef7b90acad3f49d5358f2';
+var NEW_SECRET = '2f8535d94f3daca09b7fbe4f849abc1ca04ecb83793a4ebe8b8cf93fd8b9c8f8';
+var ENCODED = 'eyJub25jZSI6IjZiNDllYWM1OGRkNWU4ZDlhYWI2YTVlYWI5MTlmYzQ3ODYzY2IyMzNjYzU2MGM5YjYwNzcyNjg1ZTMyMWZmNTAiLCAiZXhwaXJlc19hdCI6IjE0MTQ1NDE5NzIiLCAicmVhbG1fa2V5X2lkIjoic2lkX2Q5MTVlNzIyNjk0N2IiLCAidXNlcl9pZCI6InNpZF8xMjM0IiwgIm1ldGhvZCI6InJlYWxtLnVzZXJfZ2V0In0';
+var SIGNATURE = 'HB8PQnwlqsB6JlU9NFoDAS_NwUzEtY7EYcgVyZfjsH4';
+
+describe('keyring', function() {
+
+  function rotating(notAfter) {
+    return new Keyring([
+      { id: 'new', secret: NEW_SECRET },
+      { id: 'old', secret: OLD_SECRET, notAfter: notAfter }
+    ]);
+  }
+
+  it('signs with the primary key', function(done) {
+    var keyring = rotating();
+    keyring.sign(ENCODED).then(function(signature) {
+      return tozny.checkSignature(NEW_SECRET, signature, ENCODED);
+    }).then(function(valid) {
+      expect(valid).toBeTruthy();
+      done();
+    }, done.fail);
+  });
+
+  it('reports which key matched', function(done) {
+    rotating().verify(SIGNATURE, ENCODED).then(function(keyId) {
+      expect(keyId).toEqual('old');
+      done();
+    }, done.fail);
+  });
+
+  it('ignores keys past their notAfter date', function(done) {
+    rotating(new Date(Date.now() - 1000)).verify(SIGNATURE, ENCODED).then(function(keyId) {
+      expect(keyId).toBeNull();
+      done();
+    }, done.fail);
+  });
+
+  it('wraps a single secret', function() {
+    var keyring = Keyring.from(OLD_SECRET);
+    expect(keyring.primary()).toEqual({ id: 'primary', secret: OLD_SECRET });
+  });
+
+  it('rejects duplicate key ids', function() {
+    expect(function() {
+      return new Keyring([{ id: 'a', secret: OLD_SECRET }, { id: 'a', secret: NEW_SECRET }]);
+    }).toThrow();
+  });
+
+  it('lets a realm verify logins signed with a previous secret', function(done) {
+    var realm = new Realm(REALM_KEY_ID, rotating(), 'http://localhost');
+    var login = {
+      user_id:    'sid_1234',
+      expires_at: String(Math.floor(Date.now() / 1000) + 60)
+    };
+    var encoded = tozny.toBase64(JSON.stringify(login));
+    expect(realm.realmSecret).toEqual(NEW_SECRET);
+    tozny.sign(OLD_SECRET, encoded).then(function(signature) {
+      return realm.verifyLogin(encoded, signature);
+    }).then(function(result) {
+      expect(result.matched_key_id).toEqual('old');
+      done();
+    }, done.fail);
+  });
+
+  it('lets a realm be constructed without a secret, and fails calls that need one', function(done) {
+    var realm = new Realm(REALM_KEY_ID, undefined, 'http://127.0.0.1:1/api/');
+    expect(realm.keyring).toBeNull();
+    expect(realm.realmSecret).toBeNull();
+    realm.userGet('sid_1234').then(done.fail, function(err) {
+      expect(err.code).toEqual('missing_secret');
+      expect(err.method).toEqual('realm.user_get');
+      return realm.verifyLogin(ENCODED, SIGNATURE);
+    }).then(done.fail, function(err) {
+      expect(err.name).toEqual('ValidationError');
+      expect(err.code).toEqual('missing_secret');
+      done();
+    });
+  });
+
+});
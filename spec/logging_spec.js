@@ -0,0 +1,115 @@
+/*global describe, it, expect, beforeAll, afterAll */
+
+var rpc             = require('../lib/rpc');
+var logging         = require('../lib/logging');
+var errors          = require('../lib/errors');
+var Realm           = require('../lib/realm').default;
+var User            = require('../lib/user').default;
+var MockToznyServer = require('../testing').MockToznyServer;
+
+describe('redact', function() {
+
+  it('replaces secrets, signatures, OTPs, and signed data', function() {
+    expect(logging.redact({
+      user_id:     'sid_1',
+      realmSecret: 'abc',
+      signature:   'def',
+      signed_data: 'ghi',
+      otp:         '123456',
+      nested:      [{ tozny_signature: 'x', name: 'ok' }],
+    })).toEqual({
+      user_id:     'sid_1',
+      realmSecret: '[REDACTED]',
+      signature:   '[REDACTED]',
+      signed_data: '[REDACTED]',
+      otp:         '[REDACTED]',
+      nested:      [{ tozny_signature: '[REDACTED]', name: 'ok' }],
+    });
+  });
+
+});
+
+describe('request hooks', function() {
+
+  var fast = { retries: 1, retryDelay: 1, maxRetryDelay: 1 };
+
+  it('reports each attempt, error, and retry of a call', function(done) {
+    var events = [];
+    var hook = {
+      onRequest:  function(e) { events.push(e); },
+      onResponse: function(e) { events.push(e); },
+      onError:    function(e) { events.push(e); },
+      onRetry:    function(e) { events.push(e); },
+    };
+    var attempts = 0;
+    rpc.dispatch('realm.user_get', function() {
+      attempts++;
+      return attempts < 2
+        ? Promise.reject(new errors.TransportError('socket hang up', { retryable: true }))
+        : Promise.resolve('ok');
+    }, Object.assign({ hooks: [hook, { onRequest: function() { throw new Error('broken hook'); } }] }, fast),
+      { user_id: 'sid_1', otp: '123456' }
+    ).then(function() {
+      expect(events.map(function(e) { return e.type + ':' + e.attempt; }))
+        .toEqual(['request:1', 'error:1', 'retry:1', 'request:2', 'response:2']);
+      events.forEach(function(e) {
+        expect(e.method).toEqual('realm.user_get');
+        expect(e.id).toEqual(events[0].id);
+        expect(e.params).toEqual({ user_id: 'sid_1', otp: '[REDACTED]' });
+      });
+      expect(events[1].willRetry).toBe(true);
+      expect(events[1].duration).toEqual(jasmine.any(Number));
+      expect(events[2].delay).toEqual(jasmine.any(Number));
+      done();
+    }).then(null, done.fail);
+  });
+
+});
+
+describe('jsonLogger', function() {
+
+  var server = new MockToznyServer();
+  var lines  = [];
+  var realm, user;
+
+  beforeAll(function(done) {
+    server.listen().then(function(apiUrl) {
+      var hooks = logging.jsonLogger({ write: function(line) { lines.push(JSON.parse(line)); }, requests: true });
+      realm = new Realm(server.realmKeyId, server.realmSecret, apiUrl, { hooks: hooks });
+      user  = new User(server.realmKeyId, apiUrl, { hooks: hooks });
+      done();
+    });
+  });
+
+  afterAll(function(done) {
+    server.close().then(done);
+  });
+
+  it('logs realm calls without secrets', function(done) {
+    var account = server.addUser({ email: 'logged@example.com' });
+    realm.userGet(account.user_id, { correlationId: 'req-42' }).then(function() {
+      expect(lines.map(function(l) { return l.event; })).toEqual(['request', 'response']);
+      expect(lines[1].level).toEqual('info');
+      expect(lines[1].method).toEqual('realm.user_get');
+      expect(lines[1].id).toEqual('req-42');
+      expect(lines[1].duration_ms).toEqual(jasmine.any(Number));
+      expect(lines[1].params).toEqual({ user_id: account.user_id });
+      expect(JSON.stringify(lines)).not.toContain(server.realmSecret);
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('logs user call failures with redacted OTPs', function(done) {
+    lines.length = 0;
+    user.otpResult('654321', 'no-such-session').then(done.fail, function() {
+      var last = lines[lines.length - 1];
+      expect(last.level).toEqual('error');
+      expect(last.event).toEqual('error');
+      expect(last.error.name).toEqual('ToznyApiError');
+      expect(last.params.otp).toEqual('[REDACTED]');
+      expect(JSON.stringify(lines)).not.toContain('654321');
+      done();
+    });
+  });
+
+});
@@ -0,0 +1,154 @@
+/*global describe, it, expect, beforeAll, afterAll */
+
+var magicLink       = require('../lib/magic-link');
+var Realm           = require('../lib/realm').default;
+var MockToznyServer = require('../testing').MockToznyServer;
+var errors          = require('../lib/errors');
+
+var MagicLinkStrategy = magicLink.default;
+
+// Runs a strategy the way Passport does, and resolves to the outcome.
+function authenticate(strategy, req) {
+  return new Promise(function(resolve) {
+    strategy.success = function(user) { resolve({ success: user }); };
+    strategy.fail    = function(info, status) { resolve({ fail: info, status: status }); };
+    strategy.error   = function(err) { resolve({ error: err }); };
+    strategy.authenticate(req);
+  });
+}
+
+// Calls middleware with a parsed body, and resolves to the JSON response or
+// to 'next'.
+function post(handler, path, body) {
+  return new Promise(function(resolve, reject) {
+    var res = {
+      headers: {},
+      setHeader: function(name, value) { res.headers[name] = value; },
+      end: function(text) {
+        resolve({ status: res.statusCode, headers: res.headers, body: JSON.parse(text) });
+      }
+    };
+    handler({ method: 'POST', url: path, body: body }, res, function(err) {
+      return err ? reject(err) : resolve('next');
+    });
+  });
+}
+
+describe('magic link login', function() {
+
+  var server = new MockToznyServer();
+  var realm, handler;
+
+  beforeAll(function(done) {
+    server.listen().then(function(apiUrl) {
+      realm   = new Realm(server.realmKeyId, server.realmSecret, apiUrl);
+      handler = magicLink.magicLinkRouter(realm, { endpoint: 'https://app.example.com/landing' });
+      done();
+    });
+  });
+
+  afterAll(function(done) {
+    server.close().then(done);
+  });
+
+  it('sends a link, and logs in the user who follows it', function(done) {
+    var account  = server.addUser({ email: 'link@example.com' });
+    var strategy = new MagicLinkStrategy(realm, {
+      lookupUser: function(login) { return { id: login.user_id }; }
+    });
+    post(handler, '/', { destination: 'link@example.com' }).then(function(resp) {
+      expect(resp.status).toEqual(200);
+      expect(resp.body.session_id).toEqual(jasmine.any(String));
+      var link = server.lastMessage('link@example.com').url;
+      expect(link).toMatch(/^https:\/\/app\.example\.com\/landing\?toznyo=/);
+      return authenticate(strategy, { url: link.replace('https://app.example.com', '') });
+    }).then(function(outcome) {
+      expect(outcome.success).toEqual({ id: account.user_id });
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('fails when a link is reused', function(done) {
+    server.addUser({ email: 'reuse@example.com' });
+    var strategy = new MagicLinkStrategy(realm);
+    var otp;
+    post(handler, '/', { destination: 'reuse@example.com' }).then(function() {
+      otp = server.lastMessage('reuse@example.com').otp;
+      return authenticate(strategy, { query: { toznyo: otp } });
+    }).then(function(outcome) {
+      expect(outcome.success.user_id).toEqual(jasmine.any(String));
+      return authenticate(strategy, { query: { toznyo: otp } });
+    }).then(function(outcome) {
+      expect(outcome.fail.code).toEqual('session_expired');
+      expect(outcome.fail.reason).toEqual('session_expired');
+      expect(outcome.status).toEqual(401);
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('passes server errors from the API to Passport as errors', function(done) {
+    var strategy = new MagicLinkStrategy(realm, {
+      user: {
+        linkResult: function() {
+          return Promise.reject(new errors.ToznyApiError('Internal error', { code: 'internal_error', status: 500 }));
+        }
+      }
+    });
+    authenticate(strategy, { query: { toznyo: 'otp' } }).then(function(outcome) {
+      expect(outcome.fail).toBeUndefined();
+      expect(outcome.error.status).toEqual(500);
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('passes errors from lookupUser to Passport as errors', function(done) {
+    server.addUser({ email: 'lookup@example.com' });
+    var strategy = new MagicLinkStrategy(realm, {
+      lookupUser: function() { throw new Error('db down'); }
+    });
+    post(handler, '/', { destination: 'lookup@example.com' }).then(function() {
+      return authenticate(strategy, { query: { toznyo: server.lastMessage('lookup@example.com').otp } });
+    }).then(function(outcome) {
+      expect(outcome.fail).toBeUndefined();
+      expect(outcome.error.message).toEqual('db down');
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('fails without an OTP', function(done) {
+    authenticate(new MagicLinkStrategy(realm), { query: {} }).then(function(outcome) {
+      expect(outcome.status).toEqual(400);
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('rejects destinations that are not email addresses or phone numbers', function(done) {
+    post(handler, '/', { destination: 'nobody' }).then(function(resp) {
+      expect(resp.status).toEqual(400);
+      expect(resp.body.error.code).toEqual('invalid_destination');
+      return post(handler, '/', { destination: '+1 (555) 555-0100' });
+    }).then(function(resp) {
+      expect(resp.status).toEqual(200);
+      return post(handler, '/other', { destination: 'link@example.com' });
+    }).then(function(resp) {
+      expect(resp).toEqual('next');
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('responds with 429 when the throttle does not allow a link', function(done) {
+    var throttled = new Realm(server.realmKeyId, server.realmSecret, server.url, {
+      throttle: { cooldown: 60 * 1000 }
+    });
+    var limited = magicLink.magicLinkRouter(throttled, { endpoint: 'https://app.example.com/landing' });
+    post(limited, '/', { destination: 'cooldown@example.com' }).then(function(resp) {
+      expect(resp.status).toEqual(200);
+      return post(limited, '/', { destination: 'cooldown@example.com' });
+    }).then(function(resp) {
+      expect(resp.status).toEqual(429);
+      expect(resp.body.error.code).toEqual('rate_limited');
+      expect(resp.headers['Retry-After']).toEqual('60');
+      done();
+    }).then(null, done.fail);
+  });
+});
@@ -0,0 +1,155 @@
+/*global describe, it, expect, beforeAll, afterAll */
+
+var Realm           = require('../lib/realm').default;
+var MetadataSchema  = require('../lib/metadata-schema').default;
+var errors          = require('../lib/errors');
+var MockToznyServer = require('../testing').MockToznyServer;
+
+var FIELDS = {
+  email:      { type: 'string', format: 'email', required: true },
+  nickname:   { type: 'string', maxLength: 8 },
+  employee:   { type: 'integer' },
+  hired:      { type: 'date' },
+  newsletter: { type: 'boolean' },
+  prefs:      { type: 'json' },
+};
+
+function problems(fn) {
+  try { fn(); }
+  catch (err) {
+    expect(err instanceof errors.ValidationError).toBe(true);
+    expect(err.code).toEqual('invalid_metadata');
+    return err.errors;
+  }
+  throw new Error('expected a ValidationError');
+}
+
+describe('MetadataSchema', function() {
+
+  var schema = new MetadataSchema(FIELDS);
+
+  it('rejects malformed field specs', function() {
+    expect(function() { return new MetadataSchema({ a: { type: 'text' } }); }).toThrow();
+    expect(function() { return new MetadataSchema({ a: { type: 'number', maxLength: 3 } }); }).toThrow();
+    expect(function() { return new MetadataSchema({ a: { type: 'string', format: 'zip' } }); }).toThrow();
+  });
+
+  it('serializes valid metadata', function() {
+    expect(schema.serialize({
+      email: 'a@example.com', employee: 7, hired: new Date(Date.UTC(2020, 0, 2)),
+      newsletter: false, prefs: { theme: 'dark' }, other: 'x'
+    })).toEqual({
+      email: 'a@example.com', employee: 7, hired: '2020-01-02T00:00:00.000Z',
+      newsletter: false, prefs: '{"theme":"dark"}', other: 'x'
+    });
+  });
+
+  it('reports every problem with its path', function() {
+    expect(problems(function() {
+      schema.serialize({ nickname: 'much too long', employee: 1.5, hired: 'someday', newsletter: 'yes' });
+    })).toEqual([
+      { path: 'meta.email',      message: 'is required' },
+      { path: 'meta.nickname',   message: 'must be at most 8 characters long' },
+      { path: 'meta.employee',   message: 'must be an integer' },
+      { path: 'meta.hired',      message: 'must be a date' },
+      { path: 'meta.newsletter', message: 'must be a boolean' },
+    ]);
+    expect(problems(function() { schema.serialize({ email: 'nope' }); }))
+      .toEqual([{ path: 'meta.email', message: 'must be a valid email' }]);
+  });
+
+  it('allows required fields to be left out of partial updates', function() {
+    expect(schema.serialize({ employee: 3 }, { partial: true })).toEqual({ employee: 3 });
+    expect(problems(function() { schema.serialize({ email: null }, { partial: true }); }))
+      .toEqual([{ path: 'meta.email', message: 'is required' }]);
+  });
+
+  it('rejects undeclared fields if asked to', function() {
+    var strict = new MetadataSchema(FIELDS, { additionalFields: false });
+    expect(problems(function() { strict.serialize({ email: 'a@example.com', other: 'x' }); }))
+      .toEqual([{ path: 'meta.other', message: 'is not a declared field' }]);
+  });
+
+  it('parses stored strings into the declared types', function() {
+    var meta = schema.parse({
+      email: 'a@example.com', employee: '42', hired: '2020-01-02T00:00:00.000Z',
+      newsletter: 'true', prefs: '{"theme":"dark"}', nickname: ''
+    });
+    expect(meta.employee).toBe(42);
+    expect(meta.hired instanceof Date).toBe(true);
+    expect(meta.hired.getTime()).toEqual(Date.UTC(2020, 0, 2));
+    expect(meta.newsletter).toBe(true);
+    expect(meta.prefs).toEqual({ theme: 'dark' });
+  });
+
+  it('fails fast on stored data that does not match', function() {
+    expect(problems(function() {
+      schema.parse({ email: 'a@example.com', employee: 'forty-two' }, 'sid_1.meta');
+    })).toEqual([{ path: 'sid_1.meta.employee', message: 'is not a valid integer' }]);
+  });
+
+});
+
+describe('realm with a metadata schema', function() {
+
+  var server = new MockToznyServer();
+  var realm;
+
+  beforeAll(function(done) {
+    server.listen().then(function(apiUrl) {
+      realm = new Realm(server.realmKeyId, server.realmSecret, apiUrl, { metadataSchema: FIELDS });
+      done();
+    });
+  });
+
+  afterAll(function(done) {
+    server.close().then(done);
+  });
+
+  it('checks metadata before adding a user', function(done) {
+    realm.userAdd('false', { employee: 'seven' }).then(done.fail, function(err) {
+      expect(err.code).toEqual('invalid_metadata');
+      expect(err.method).toEqual('realm.user_add');
+      expect(Object.keys(server.users).length).toEqual(0);
+      done();
+    });
+  });
+
+  it('writes and reads typed metadata', function(done) {
+    var hired = new Date(Date.UTC(2021, 5, 1));
+    realm.userAdd('false', { email: 'typed@example.com', employee: 12, hired: hired }).then(function(resp) {
+      return realm.userUpdate(resp.user_id, { newsletter: true }).then(function() {
+        return realm.userGet(resp.user_id);
+      });
+    }).then(function(user) {
+      expect(user.meta.employee).toBe(12);
+      expect(user.meta.hired.getTime()).toEqual(hired.getTime());
+      expect(user.meta.newsletter).toBe(true);
+      return realm.usersGet({ term: 'typed@example.com' });
+    }).then(function(users) {
+      var ids = Object.keys(users);
+      expect(ids.length).toEqual(1);
+      expect(users[ids[0]].meta.hired instanceof Date).toBe(true);
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('checks metadata before updating a user', function(done) {
+    var account = server.addUser({ email: 'update@example.com' });
+    realm.userUpdate(account.user_id, { nickname: 'far too long' }).then(done.fail, function(err) {
+      expect(err.method).toEqual('realm.user_update');
+      expect(err.errors).toEqual([{ path: 'meta.nickname', message: 'must be at most 8 characters long' }]);
+      done();
+    });
+  });
+
+  it('fails to read users whose stored metadata does not match', function(done) {
+    var account = server.addUser({ email: 'stale@example.com', employee: 'n/a' });
+    realm.userGet(account.user_id).then(done.fail, function(err) {
+      expect(err.code).toEqual('invalid_metadata');
+      expect(err.method).toEqual('realm.user_get');
+      done();
+    });
+  });
+
+});
@@ -0,0 +1,152 @@
+/*global describe, it, expect, beforeAll, afterAll */
+
+var Realm           = require('../lib/realm').default;
+var ToznyStrategy   = require('../lib/passport');
+var metrics         = require('../lib/metrics');
+var tozny           = require('../lib/crypto');
+var MockToznyServer = require('../testing').MockToznyServer;
+
+var Metrics         = metrics.default;
+var MemoryCollector = metrics.MemoryCollector;
+
+describe('MemoryCollector', function() {
+
+  it('renders counters and histograms in the Prometheus text format', function() {
+    var collector = new MemoryCollector({ buckets: [0.1, 1] });
+    collector.increment('tozny_rpc_requests_total', { method: 'realm.user_get', outcome: 'success' }, 1);
+    collector.increment('tozny_rpc_requests_total', { method: 'realm.user_get', outcome: 'success' }, 1);
+    collector.observe('tozny_rpc_request_duration_seconds', { method: 'realm.user_get', outcome: 'success' }, 0.05);
+    collector.observe('tozny_rpc_request_duration_seconds', { method: 'realm.user_get', outcome: 'success' }, 0.5);
+    collector.increment('custom_total', { note: 'say "hi"\n' }, 1);
+
+    expect(collector.expose()).toEqual([
+      '# TYPE custom_total counter',
+      'custom_total{note="say \\"hi\\"\\n"} 1',
+      '# HELP tozny_rpc_request_duration_seconds Time taken by requests to the Tozny API',
+      '# TYPE tozny_rpc_request_duration_seconds histogram',
+      'tozny_rpc_request_duration_seconds_bucket{method="realm.user_get",outcome="success",le="0.1"} 1',
+      'tozny_rpc_request_duration_seconds_bucket{method="realm.user_get",outcome="success",le="1"} 2',
+      'tozny_rpc_request_duration_seconds_bucket{method="realm.user_get",outcome="success",le="+Inf"} 2',
+      'tozny_rpc_request_duration_seconds_sum{method="realm.user_get",outcome="success"} 0.55',
+      'tozny_rpc_request_duration_seconds_count{method="realm.user_get",outcome="success"} 2',
+      '# HELP tozny_rpc_requests_total Requests made to the Tozny API',
+      '# TYPE tozny_rpc_requests_total counter',
+      'tozny_rpc_requests_total{method="realm.user_get",outcome="success"} 2',
+      '',
+    ].join('\n'));
+  });
+
+});
+
+describe('metricsHandler', function() {
+
+  it('serves the exposition text', function() {
+    var m = new Metrics();
+    m.countVerification();
+    var res = {
+      headers: {},
+      setHeader: function(name, value) { this.headers[name] = value; },
+      end: function(body) { this.body = body; },
+    };
+    metrics.metricsHandler(m)({}, res);
+    expect(res.statusCode).toEqual(200);
+    expect(res.headers['Content-Type']).toContain('text/plain; version=0.0.4');
+    expect(res.body).toContain('tozny_login_verifications_total{outcome="success",reason=""} 1');
+  });
+
+});
+
+describe('realm with metrics', function() {
+
+  var server = new MockToznyServer();
+  var realm, collector;
+
+  beforeAll(function(done) {
+    server.listen().then(function(apiUrl) {
+      realm = new Realm(server.realmKeyId, server.realmSecret, apiUrl, { metrics: {} });
+      collector = realm.metrics.collector;
+      done();
+    });
+  });
+
+  afterAll(function(done) {
+    server.close().then(done);
+  });
+
+  function signedLogin(fields) {
+    var signedData = tozny.toBase64(JSON.stringify(fields));
+    return tozny.sign(server.realmSecret, signedData).then(function(signature) {
+      return { tozny_signed_data: signedData, tozny_signature: signature };
+    });
+  }
+
+  it('counts and times API requests by method and outcome', function(done) {
+    var account = server.addUser({ email: 'measured@example.com' });
+    realm.userGet(account.user_id).then(function() {
+      return realm.userGet('sid_nobody').then(done.fail, function() {});
+    }).then(function() {
+      expect(collector.value('tozny_rpc_requests_total', { method: 'realm.user_get', outcome: 'success' }))
+        .toEqual(1);
+      expect(collector.value('tozny_rpc_requests_total', { method: 'realm.user_get', outcome: 'api_error' }))
+        .toEqual(1);
+      expect(collector.value('tozny_rpc_request_duration_seconds', { method: 'realm.user_get' })).toEqual(2);
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('keeps counting when a call gives its own hooks', function(done) {
+    var seen = 0;
+    var account = server.addUser({ email: 'hooked@example.com' });
+    realm.userGet(account.user_id, { hooks: { onResponse: function() { seen++; } } }).then(function() {
+      expect(seen).toEqual(1);
+      expect(collector.value('tozny_rpc_requests_total', { outcome: 'success' })).toEqual(2);
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('counts login verifications by failure reason', function(done) {
+    var now = Math.floor(Date.now() / 1000);
+    signedLogin({ user_id: 'sid_user', expires_at: now + 60 }).then(function(ok) {
+      return realm.verifyLogin(ok.tozny_signed_data, ok.tozny_signature).then(function() {
+        return signedLogin({ user_id: 'sid_user', expires_at: now - 3600 });
+      });
+    }).then(function(expired) {
+      return realm.verifyLogin(expired.tozny_signed_data, expired.tozny_signature).then(done.fail, function() {
+        return realm.verifyLogin(expired.tozny_signed_data, 'bogus');
+      }).then(done.fail, function() {});
+    }).then(function() {
+      expect(collector.value('tozny_login_verifications_total', { outcome: 'success' })).toEqual(1);
+      expect(collector.value('tozny_login_verifications_total', { reason: 'expired' })).toEqual(1);
+      expect(collector.value('tozny_login_verifications_total', { reason: 'invalid_signature' })).toEqual(1);
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('counts strategy authentications by failure reason', function(done) {
+    var strategy = new ToznyStrategy(realm);
+    function run(body) {
+      return new Promise(function(resolve) {
+        strategy.success = function() { resolve('success'); };
+        strategy.fail    = function() { resolve('fail'); };
+        strategy.authenticate({ body: body, headers: {} });
+      });
+    }
+    signedLogin({ user_id: 'sid_user', nonce: 'n1', expires_at: Math.floor(Date.now() / 1000) + 60 })
+    .then(function(fields) {
+      return run(fields).then(function(first) {
+        expect(first).toEqual('success');
+        return run(fields);
+      });
+    }).then(function(second) {
+      expect(second).toEqual('fail');
+      return run({});
+    }).then(function(third) {
+      expect(third).toEqual('fail');
+      expect(collector.value('tozny_authentications_total', { outcome: 'success' })).toEqual(1);
+      expect(collector.value('tozny_authentications_total', { reason: 'nonce_reused' })).toEqual(1);
+      expect(collector.value('tozny_authentications_total', { reason: 'missing_fields' })).toEqual(1);
+      done();
+    }).then(null, done.fail);
+  });
+
+});
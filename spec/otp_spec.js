@@ -0,0 +1,119 @@
+/*global describe, it, expect, beforeAll, afterAll */
+
+var stream          = require('stream');
+var otp             = require('../lib/otp');
+var Realm           = require('../lib/realm').default;
+var User            = require('../lib/user').default;
+var MockToznyServer = require('../testing').MockToznyServer;
+
+var OtpStrategy = otp.default;
+var REASONS     = otp.OTP_FAILURE_REASONS;
+
+// Runs a strategy the way Passport does, and resolves to the outcome.
+function authenticate(strategy, body, req) {
+  return new Promise(function(resolve) {
+    strategy.success = function(user) { resolve({ success: user }); };
+    strategy.fail    = function(info, status) { resolve({ fail: info, status: status }); };
+    strategy.error   = function(err) { resolve({ error: err }); };
+    strategy.authenticate(req || { body: body });
+  });
+}
+
+describe('OTP login', function() {
+
+  var server = new MockToznyServer({ maxAttempts: 2 });
+  var realm, user, strategy;
+
+  beforeAll(function(done) {
+    server.listen().then(function(apiUrl) {
+      realm    = new Realm(server.realmKeyId, server.realmSecret, apiUrl);
+      user     = new User(server.realmKeyId, apiUrl);
+      strategy = new OtpStrategy(realm, {
+        lookupUser: function(login) { return { id: login.user_id }; }
+      });
+      done();
+    });
+  });
+
+  afterAll(function(done) {
+    server.close().then(done);
+  });
+
+  function challenge(destination) {
+    return user.otpChallenge('email', 'authenticate', destination).then(function(c) {
+      return { session_id: c.session_id, otp: server.lastMessage(destination).otp };
+    });
+  }
+
+  it('logs in a user with the OTP they received', function(done) {
+    var account = server.addUser({ email: 'otp@example.com' });
+    challenge('otp@example.com').then(function(c) {
+      return authenticate(strategy, c);
+    }).then(function(outcome) {
+      expect(outcome.success).toEqual({ id: account.user_id });
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('distinguishes a wrong code from too many attempts', function(done) {
+    var sessionId;
+    challenge('wrong@example.com').then(function(c) {
+      sessionId = c.session_id;
+      return authenticate(strategy, { session_id: sessionId, otp: 'nope' });
+    }).then(function(outcome) {
+      expect(outcome.fail.reason).toEqual(REASONS.INVALID_OTP);
+      expect(outcome.status).toEqual(401);
+      return authenticate(strategy, { session_id: sessionId, otp: 'nope' });
+    }).then(function(outcome) {
+      expect(outcome.fail.reason).toEqual(REASONS.TOO_MANY_ATTEMPTS);
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('reports an expired session when the OTP was already used', function(done) {
+    var c;
+    challenge('reuse@example.com').then(function(result) {
+      c = result;
+      return authenticate(strategy, c);
+    }).then(function() {
+      return authenticate(strategy, c);
+    }).then(function(outcome) {
+      expect(outcome.fail.reason).toEqual(REASONS.SESSION_EXPIRED);
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('fails without a session id and OTP', function(done) {
+    authenticate(strategy, { otp: '123456' }).then(function(outcome) {
+      expect(outcome.fail.reason).toEqual(REASONS.MISSING_FIELDS);
+      expect(outcome.status).toEqual(400);
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('fails requests whose body cannot be read', function(done) {
+    var req = stream.Readable.from([Buffer.from('otp=123456')]);
+    req.headers = { 'content-type': 'text/plain' };
+    authenticate(strategy, null, req).then(function(outcome) {
+      expect(outcome.error).toBeUndefined();
+      expect(outcome.fail.code).toEqual('unsupported_media_type');
+      expect(outcome.status).toEqual(415);
+      var large = stream.Readable.from([Buffer.from('otp=123456')]);
+      large.headers = { 'content-type': 'application/json', 'content-length': String(1024 * 1024) };
+      return authenticate(strategy, null, large);
+    }).then(function(outcome) {
+      expect(outcome.status).toEqual(413);
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('rejects results that are not signed with the realm secret', function(done) {
+    var other = new OtpStrategy(new Realm(server.realmKeyId, 'some-other-secret', realm.apiUrl));
+    challenge('forged@example.com').then(function(c) {
+      return authenticate(other, c);
+    }).then(function(outcome) {
+      expect(outcome.fail.reason).toEqual(REASONS.INVALID_LOGIN);
+      done();
+    }).then(null, done.fail);
+  });
+});
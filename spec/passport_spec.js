@@ -0,0 +1,167 @@
+/*global describe, it, expect, beforeAll */
+
+var stream        = require('stream');
+var querystring   = require('querystring');
+var ToznyStrategy = require('../lib/passport');
+var Realm         = require('../lib/realm').default;
+var tozny         = require('../lib/crypto');
+
+var SECRET = 'passport-secret';
+
+// Builds a request whose body is streamed, as it would be from a socket.
+function request(contentType, text, extra) {
+  var req = stream.Readable.from(text ? [Buffer.from(text)] : []);
+  req.headers = { 'content-type': contentType, 'content-length': String(Buffer.byteLength(text)) };
+  Object.keys(extra || {}).forEach(function(key) { req[key] = extra[key]; });
+  return req;
+}
+
+// Runs a strategy the way Passport does, and resolves to the outcome.
+function authenticate(strategy, req) {
+  return new Promise(function(resolve) {
+    strategy.success = function(user) { resolve({ success: user }); };
+    strategy.fail    = function(info, status) { resolve({ fail: info, status: status }); };
+    strategy.error   = function(err) { resolve({ error: err }); };
+    strategy.authenticate(req);
+  });
+}
+
+describe('ToznyStrategy', function() {
+
+  var realm = new Realm('sid_passport', SECRET, 'http://127.0.0.1:1/api/');
+  var fields;
+
+  // Each test needs a fresh login, since nonces may only be used once.
+  function login() {
+    var signedData = tozny.toBase64(JSON.stringify({
+      user_id: 'sid_user', nonce: Math.random().toString(36), expires_at: Math.floor(Date.now() / 1000) + 60
+    }));
+    return tozny.sign(SECRET, signedData).then(function(signature) {
+      return { tozny_signed_data: signedData, tozny_signature: signature };
+    });
+  }
+
+  beforeAll(function(done) {
+    login().then(function(f) { fields = f; done(); });
+  });
+
+  it('accepts urlencoded bodies', function(done) {
+    login().then(function(f) {
+      var req = request('application/x-www-form-urlencoded', querystring.stringify(f));
+      return authenticate(new ToznyStrategy(realm), req);
+    }).then(function(outcome) {
+      expect(outcome.success.user_id).toEqual('sid_user');
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('accepts JSON bodies', function(done) {
+    login().then(function(f) {
+      return authenticate(new ToznyStrategy(realm), request('application/json; charset=utf-8', JSON.stringify(f)));
+    }).then(function(outcome) {
+      expect(outcome.success.user_id).toEqual('sid_user');
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('uses a body that was already parsed', function(done) {
+    login().then(function(f) {
+      var req = request('application/json', '', { body: f });
+      req.read();  // the body parser consumed the stream
+      return authenticate(new ToznyStrategy(realm), req);
+    }).then(function(outcome) {
+      expect(outcome.success.user_id).toEqual('sid_user');
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('reads a form body that a JSON body parser skipped', function(done) {
+    login().then(function(f) {
+      // bodyParser.json() sets an empty body when the content type is not JSON.
+      var req = request('application/x-www-form-urlencoded', querystring.stringify(f), { body: {} });
+      return authenticate(new ToznyStrategy(realm), req);
+    }).then(function(outcome) {
+      expect(outcome.success.user_id).toEqual('sid_user');
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('reads fields from headers and the query string when configured', function(done) {
+    var strategy = new ToznyStrategy(realm, { fieldSources: ['header', 'query'] });
+    login().then(function(f) {
+      var req = request('', '', {
+        url:     '/login?tozny_signature=' + encodeURIComponent(f.tozny_signature),
+        headers: { 'x-tozny-signed-data': f.tozny_signed_data }
+      });
+      return authenticate(strategy, req);
+    }).then(function(outcome) {
+      expect(outcome.success.user_id).toEqual('sid_user');
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('rejects bodies over the size limit', function(done) {
+    var strategy = new ToznyStrategy(realm, { bodyLimit: 64 });
+    authenticate(strategy, request('application/json', JSON.stringify(fields))).then(function(outcome) {
+      expect(outcome.status).toEqual(413);
+      expect(outcome.fail.code).toEqual('body_too_large');
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('rejects malformed JSON', function(done) {
+    authenticate(new ToznyStrategy(realm), request('application/json', '{"tozny_')).then(function(outcome) {
+      expect(outcome.status).toEqual(400);
+      expect(outcome.fail.code).toEqual('invalid_body');
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('only parses multipart bodies when enabled', function(done) {
+    var boundary = 'XyZ';
+    var body = Object.keys(fields).map(function(name) {
+      return '--' + boundary + '\r\nContent-Disposition: form-data; name="' + name + '"\r\n\r\n' + fields[name] + '\r\n';
+    }).join('') + '--' + boundary + '--\r\n';
+    var type = 'multipart/form-data; boundary=' + boundary;
+
+    authenticate(new ToznyStrategy(realm), request(type, body)).then(function(outcome) {
+      expect(outcome.status).toEqual(415);
+      return authenticate(new ToznyStrategy(realm, { multipart: true }), request(type, body));
+    }).then(function(outcome) {
+      expect(outcome.success.user_id).toEqual('sid_user');
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('fails logins that cannot be verified', function(done) {
+    login().then(function(f) {
+      var body = { tozny_signed_data: f.tozny_signed_data, tozny_signature: 'forged' };
+      return authenticate(new ToznyStrategy(realm), { body: body });
+    }).then(function(outcome) {
+      expect(outcome.fail.code).toEqual('invalid_signature');
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('passes errors from lookupUser and the nonce store to Passport as errors', function(done) {
+    var throwing = new ToznyStrategy(realm, {
+      lookupUser: function() { throw new Error('db down'); }
+    });
+    var broken = new ToznyStrategy(realm, {
+      nonceStore: { add: function() { return Promise.reject(null); } }
+    });
+    login().then(function(f) {
+      return authenticate(throwing, { body: f });
+    }).then(function(outcome) {
+      expect(outcome.fail).toBeUndefined();
+      expect(outcome.error.message).toEqual('db down');
+      return login();
+    }).then(function(f) {
+      return authenticate(broken, { body: f });
+    }).then(function(outcome) {
+      expect(outcome.fail).toBeUndefined();
+      expect(outcome.error instanceof Error).toBe(true);
+      done();
+    }).then(null, done.fail);
+  });
+});
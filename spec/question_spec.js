@@ -0,0 +1,199 @@
+/*global describe, it, expect, beforeAll, afterAll */
+
+var Realm           = require('../lib/realm').default;
+var crypto          = require('../lib/crypto');
+var question        = require('../lib/question');
+var errors          = require('../lib/errors');
+var MockToznyServer = require('../testing').MockToznyServer;
+
+describe('question builders', function() {
+
+  it('builds confirm questions', function() {
+    expect(question.confirm('Send $10?')).toEqual({ type: 'question', question: 'Send $10?' });
+    expect(question.confirm('Send $10?', { accept: 'Send', reject: 'Cancel' })).toEqual({
+      type: 'question', question: 'Send $10?', accept: 'Send', reject: 'Cancel'
+    });
+  });
+
+  it('builds callback questions', function() {
+    expect(question.callback('Why?', {
+      success: 'https://example.com/ok', error: 'https://example.com/no'
+    })).toEqual({
+      type: 'callback', question: 'Why?', success: 'https://example.com/ok', error: 'https://example.com/no'
+    });
+  });
+
+  it('rejects malformed questions', function() {
+    function code(fn) {
+      try { fn(); }
+      catch (err) {
+        expect(err instanceof errors.ValidationError).toBe(true);
+        return err.code;
+      }
+    }
+    expect(code(function() { question.confirm(''); })).toEqual('invalid_question');
+    expect(code(function() { question.confirm(new Array(1002).join('x')); })).toEqual('invalid_question');
+    expect(code(function() { question.confirm('OK?', { accept: '' }); })).toEqual('invalid_question');
+    expect(code(function() { question.callback('Why?', { success: '/ok', error: 'https://x.com' }); }))
+      .toEqual('invalid_question');
+    expect(code(function() { question.validateQuestion({ type: 'poll', question: 'Why?' }); }))
+      .toEqual('invalid_question');
+  });
+
+});
+
+describe('question challenges', function() {
+
+  var server = new MockToznyServer();
+  var realm;
+
+  beforeAll(function(done) {
+    server.listen().then(function(apiUrl) {
+      realm = new Realm(server.realmKeyId, server.realmSecret, apiUrl);
+      done();
+    });
+  });
+
+  afterAll(function(done) {
+    server.close().then(done);
+  });
+
+  function answered(q, answer) {
+    var account = server.addUser({ email: 'q' + Math.random() + '@example.com' });
+    var challenge;
+    return realm.questionChallenge(q, account.user_id).then(function(c) {
+      challenge = c;
+      return server.completeSession(c.session_id, null, answer);
+    }).then(function(result) {
+      return { challenge: challenge, result: result, user_id: account.user_id };
+    });
+  }
+
+  it('does not send malformed questions', function(done) {
+    realm.questionChallenge({ type: 'question', question: '' }).then(done.fail, function(err) {
+      expect(err instanceof errors.ValidationError).toBe(true);
+      expect(err.method).toEqual('realm.question_challenge');
+      done();
+    });
+  });
+
+  it('verifies an accepted answer', function(done) {
+    var q = question.confirm('Send $2,500.00 to ACME Corp?');
+    answered(q).then(function(a) {
+      return realm.verifyQuestionAnswer(a.result.signed_data, a.result.signature, {
+        sessionId: a.challenge.session_id, question: q
+      }).then(function(answer) {
+        expect(answer.session_id).toEqual(a.challenge.session_id);
+        expect(answer.user_id).toEqual(a.user_id);
+        expect(answer.question).toEqual(q);
+        expect(answer.answer).toEqual('accept');
+        expect(answer.accepted).toBe(true);
+        done();
+      });
+    }).then(null, done.fail);
+  });
+
+  it('verifies a rejected answer', function(done) {
+    answered(question.confirm('Send $5?'), 'reject').then(function(a) {
+      return realm.verifyQuestionAnswer(a.result.signed_data, a.result.signature, {
+        sessionId: a.challenge.session_id
+      });
+    }).then(function(answer) {
+      expect(answer.answer).toEqual('reject');
+      expect(answer.accepted).toBe(false);
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('verifies callback answers', function(done) {
+    var q = question.callback('Why?', { success: 'https://example.com/ok', error: 'https://example.com/no' });
+    answered(q, 'error').then(function(a) {
+      return realm.verifyQuestionAnswer(a.result.signed_data, a.result.signature, {
+        sessionId: a.challenge.session_id
+      });
+    }).then(function(answer) {
+      expect(answer.answer).toEqual('error');
+      expect(answer.accepted).toBe(false);
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('rejects answers to a different session or question', function(done) {
+    var q = question.confirm('Send $100?');
+    answered(q).then(function(a) {
+      return realm.verifyQuestionAnswer(a.result.signed_data, a.result.signature, {
+        sessionId: 'some-other-session'
+      }).then(done.fail, function(err) {
+        expect(err instanceof errors.SignatureError).toBe(true);
+        expect(err.code).toEqual('session_mismatch');
+        // The rejected answer used up its nonce, so check the question with another.
+        return answered(q);
+      }).then(function(a) {
+        return realm.verifyQuestionAnswer(a.result.signed_data, a.result.signature, {
+          sessionId: a.challenge.session_id, question: question.confirm('Send $100000?')
+        });
+      }).then(done.fail, function(err) {
+        expect(err.code).toEqual('question_mismatch');
+        done();
+      });
+    }).then(null, done.fail);
+  });
+
+  it('rejects tampered and non-question payloads', function(done) {
+    answered(question.confirm('Send $7?'), 'reject').then(function(a) {
+      var payload = JSON.parse(crypto.fromBase64(a.result.signed_data).toString('utf8'));
+      payload.answer = 'accept';
+      var tampered = crypto.toBase64(JSON.stringify(payload));
+      var opts = { sessionId: a.challenge.session_id };
+      return realm.verifyQuestionAnswer(tampered, a.result.signature, opts).then(done.fail, function(err) {
+        expect(err.code).toEqual('invalid_signature');
+        delete payload.question;
+        var login = crypto.toBase64(JSON.stringify(payload));
+        return crypto.sign(server.realmSecret, login).then(function(signature) {
+          return realm.verifyQuestionAnswer(login, signature, opts);
+        });
+      }).then(done.fail, function(err) {
+        expect(err instanceof errors.SignatureError).toBe(true);
+        expect(err.code).toEqual('malformed_payload');
+        done();
+      });
+    }).then(null, done.fail);
+  });
+
+  it('requires the session id', function(done) {
+    answered(question.confirm('Send $9?')).then(function(a) {
+      return realm.verifyQuestionAnswer(a.result.signed_data, a.result.signature, {});
+    }).then(done.fail, function(err) {
+      expect(err instanceof errors.ValidationError).toBe(true);
+      expect(err.code).toEqual('missing_parameter');
+      done();
+    });
+  });
+
+  it('rejects replayed answers without a configured nonce store', function(done) {
+    answered(question.confirm('Send $11?')).then(function(a) {
+      var opts = { sessionId: a.challenge.session_id };
+      return realm.verifyQuestionAnswer(a.result.signed_data, a.result.signature, opts).then(function() {
+        return realm.verifyQuestionAnswer(a.result.signed_data, a.result.signature, opts);
+      });
+    }).then(done.fail, function(err) {
+      expect(err.code).toEqual('nonce_reused');
+      done();
+    });
+  });
+
+  it('rejects answers signed for another realm', function(done) {
+    answered(question.confirm('Send $13?')).then(function(a) {
+      var payload = JSON.parse(crypto.fromBase64(a.result.signed_data).toString('utf8'));
+      payload.realm_key_id = 'sid_other';
+      var other = crypto.toBase64(JSON.stringify(payload));
+      return crypto.sign(server.realmSecret, other).then(function(signature) {
+        return realm.verifyQuestionAnswer(other, signature, { sessionId: a.challenge.session_id });
+      });
+    }).then(done.fail, function(err) {
+      expect(err.code).toEqual('realm_mismatch');
+      done();
+    });
+  });
+
+});
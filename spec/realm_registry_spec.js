@@ -0,0 +1,210 @@
+/*global describe, it, expect */
+
+var ToznyStrategy = require('../lib/passport');
+var Realm         = require('../lib/realm').default;
+var RealmRegistry = require('../lib/realm-registry').default;
+var tozny         = require('../lib/crypto');
+
+var API_URL = 'http://127.0.0.1:1/api/';
+
+var TENANTS = {
+  'acme.example.com':   { realmKeyId: 'sid_acme',   realmSecret: 'acme-secret' },
+  'globex.example.com': { realmKeyId: 'sid_globex', realmSecret: 'globex-secret' },
+};
+
+// Signs a fresh login for the realm `keyId` with `secret`.
+function login(keyId, secret) {
+  var signedData = tozny.toBase64(JSON.stringify({
+    user_id: 'sid_user', realm_key_id: keyId, nonce: Math.random().toString(36),
+    expires_at: Math.floor(Date.now() / 1000) + 60
+  }));
+  return tozny.sign(secret, signedData).then(function(signature) {
+    return { tozny_signed_data: signedData, tozny_signature: signature };
+  });
+}
+
+// Runs a strategy the way Passport does, and resolves to the outcome.
+function authenticate(strategy, req) {
+  return new Promise(function(resolve) {
+    strategy.success = function(user) { resolve({ success: user }); };
+    strategy.fail    = function(info, status) { resolve({ fail: info, status: status }); };
+    strategy.authenticate(req);
+  });
+}
+
+describe('RealmRegistry', function() {
+
+  it('builds realms from configs', function(done) {
+    var registry = new RealmRegistry({ realms: TENANTS, apiUrl: API_URL, realmOptions: { clockSkew: 5 } });
+    registry.get('acme.example.com').then(function(realm) {
+      expect(realm instanceof Realm).toBe(true);
+      expect(realm.keyId).toEqual('sid_acme');
+      expect(realm.apiUrl).toEqual(API_URL);
+      expect(realm.clockSkew).toEqual(5);
+      return registry.get('initech.example.com');
+    }).then(done.fail, function(err) {
+      expect(err.code).toEqual('unknown_realm');
+      expect(err.status).toEqual(400);
+      done();
+    });
+  });
+
+  it('rejects configs without credentials', function() {
+    expect(function() {
+      new RealmRegistry({ realms: { 'acme.example.com': { realmKeyId: 'sid_acme' } } });
+    }).toThrowError(/realmSecret/);
+  });
+
+  it('shares concurrent lookups, and keeps resolved realms for the ttl', function(done) {
+    var calls = 0;
+    var registry = new RealmRegistry({
+      apiUrl: API_URL,
+      ttl: 20,
+      resolve: function(tenant) {
+        calls += 1;
+        return Promise.resolve(TENANTS[tenant]);
+      }
+    });
+    Promise.all([registry.get('acme.example.com'), registry.get('acme.example.com')]).then(function(realms) {
+      expect(realms[0]).toBe(realms[1]);
+      expect(calls).toEqual(1);
+      return registry.get('acme.example.com');
+    }).then(function() {
+      expect(calls).toEqual(1);
+      return new Promise(function(resolve) { setTimeout(resolve, 30); });
+    }).then(function() {
+      return registry.get('acme.example.com');
+    }).then(function() {
+      expect(calls).toEqual(2);
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('keeps the realm and its state when credentials are looked up again', function(done) {
+    var secret = 'acme-secret';
+    var registry = new RealmRegistry({
+      apiUrl: API_URL,
+      ttl: 20,
+      realmOptions: { throttle: { cooldown: 0, perDestination: { limit: 1, window: 60000 } } },
+      resolve: function() {
+        return { realmKeyId: 'sid_acme', realmSecret: secret };
+      }
+    });
+    var first;
+    registry.get('acme.example.com').then(function(realm) {
+      first = realm;
+      return realm.throttle.check({ realm: realm.keyId, destination: 'a@example.com' });
+    }).then(function() {
+      secret = 'rotated-secret';
+      return new Promise(function(resolve) { setTimeout(resolve, 30); });
+    }).then(function() {
+      return registry.get('acme.example.com');
+    }).then(function(realm) {
+      expect(realm).toBe(first);
+      expect(realm.realmSecret).toEqual('rotated-secret');
+      return realm.throttle.check({ realm: realm.keyId, destination: 'a@example.com' });
+    }).then(done.fail, function(err) {
+      expect(err.code).toEqual('rate_limited');
+      done();
+    });
+  });
+
+  it('does not mistake inherited object properties for tenants', function(done) {
+    var names = ['constructor', 'toString', '__proto__', 'hasOwnProperty'];
+    var plain    = new RealmRegistry({ realms: {} });
+    var resolved = new RealmRegistry({ apiUrl: API_URL, resolve: function() { return null; } });
+    Promise.all(names.map(function(name) {
+      return Promise.all([plain.get(name), resolved.get(name)].map(function(lookup) {
+        return lookup.then(function(found) { return { found: found }; }, function(err) { return err; });
+      }));
+    })).then(function(outcomes) {
+      [].concat.apply([], outcomes).forEach(function(outcome) {
+        expect(outcome.code).toEqual('unknown_realm');
+      });
+      expect({}.realm).toBeUndefined();
+      expect(Object.prototype.hasOwnProperty('realm')).toBe(false);
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('does not keep failed lookups', function(done) {
+    var calls = 0;
+    var registry = new RealmRegistry({
+      apiUrl: API_URL,
+      resolve: function() {
+        calls += 1;
+        return calls === 1 ? Promise.reject(new Error('db down')) : null;
+      }
+    });
+    registry.get('acme.example.com').then(done.fail, function(err) {
+      expect(err.message).toEqual('db down');
+      return registry.get('acme.example.com');
+    }).then(done.fail, function(err) {
+      expect(err.code).toEqual('unknown_realm');
+      expect(calls).toEqual(2);
+      done();
+    });
+  });
+
+});
+
+describe('ToznyStrategy with a registry', function() {
+
+  var registry = new RealmRegistry({ realms: TENANTS, apiUrl: API_URL });
+
+  it('picks the realm by hostname', function(done) {
+    var req = { headers: { host: 'Globex.example.com:8443' } };
+    login('sid_globex', 'globex-secret').then(function(fields) {
+      req.body = fields;
+      return authenticate(new ToznyStrategy(registry), req);
+    }).then(function(outcome) {
+      expect(outcome.success.user_id).toEqual('sid_user');
+      expect(req.toznyRealm.keyId).toEqual('sid_globex');
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('picks the realm by header or route parameter', function(done) {
+    var byHeader = new ToznyStrategy(registry, { tenant: { header: 'X-Tenant' } });
+    var byParam  = new ToznyStrategy(registry, { tenant: { param: 'tenant' } });
+    login('sid_acme', 'acme-secret').then(function(fields) {
+      return authenticate(byHeader, { body: fields, headers: { 'x-tenant': 'acme.example.com' } });
+    }).then(function(outcome) {
+      expect(outcome.success).toBeDefined();
+      return login('sid_acme', 'acme-secret');
+    }).then(function(fields) {
+      return authenticate(byParam, { body: fields, headers: {}, params: { tenant: 'acme.example.com' } });
+    }).then(function(outcome) {
+      expect(outcome.success).toBeDefined();
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('rejects logins for another tenant', function(done) {
+    // Both tenants share a secret, so only the realm key id tells them apart.
+    var shared = new RealmRegistry({
+      apiUrl: API_URL,
+      realms: {
+        'acme.example.com':   { realmKeyId: 'sid_acme',   realmSecret: 'shared-secret' },
+        'globex.example.com': { realmKeyId: 'sid_globex', realmSecret: 'shared-secret' },
+      }
+    });
+    login('sid_globex', 'shared-secret').then(function(fields) {
+      return authenticate(new ToznyStrategy(shared), { body: fields, headers: { host: 'acme.example.com' } });
+    }).then(function(outcome) {
+      expect(outcome.fail.code).toEqual('realm_mismatch');
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('fails requests for unknown tenants', function(done) {
+    login('sid_acme', 'acme-secret').then(function(fields) {
+      return authenticate(new ToznyStrategy(registry), { body: fields, headers: { host: 'initech.example.com' } });
+    }).then(function(outcome) {
+      expect(outcome.fail.code).toEqual('unknown_realm');
+      expect(outcome.status).toEqual(400);
+      done();
+    }).then(null, done.fail);
+  });
+
+});
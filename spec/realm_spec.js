@@ -1,9 +1,243 @@
-/*global describe, it, expect */
+/*global describe, it, expect, beforeAll, afterAll */
 
-var Realm = require('../lib/realm.js');
+var http             = require('http');
+var querystring      = require('querystring');
+var Realm            = require('../lib/realm.js').default;
+var MemoryNonceStore = require('../lib/nonce-store.js').MemoryNonceStore;
+var tozny            = require('../lib/crypto.js');
+var errors           = require('../lib/errors.js');
+var MockToznyServer  = require('../testing').MockToznyServer;
+
+var REALM_KEY_ID = 'sid_d915e7226947b';
+var SECRET = '8f8c9b8df39f8c8be4a39378bece4ac01cba948f9b4ef7b90acad3f49d5358f2';
+
+function signLogin(secret, login) {
+  var encoded = tozny.toBase64(JSON.stringify(login));
+  return tozny.sign(secret, encoded).then(function(signature) {
+    return { signed_data: encoded, signature: signature };
+  });
+}
+
+function inSeconds(offset) {
+  return String(Math.floor(Date.now() / 1000) + offset);
+}
 
 describe('realm', function() {
 
+  describe('verifyLogin', function() {
+
+    var login = {
+      user_id:      'sid_1234',
+      session_id:   'abcd',
+      realm_key_id: REALM_KEY_ID,
+      nonce:        'e3b0c44298fc1c149afbf4c8996fb924',
+    };
+
+    function withExpiry(offset) {
+      var copy = JSON.parse(JSON.stringify(login));
+      copy.expires_at = inSeconds(offset);
+      return copy;
+    }
+
+    it('accepts a valid, unexpired payload', function(done) {
+      var realm = new Realm(REALM_KEY_ID, SECRET, 'http://localhost');
+      signLogin(SECRET, withExpiry(60)).then(function(signed) {
+        return realm.verifyLogin(signed.signed_data, signed.signature);
+      }).then(function(result) {
+        expect(result.user_id).toEqual('sid_1234');
+        done();
+      }, done.fail);
+    });
+
+    it('rejects an invalid signature', function(done) {
+      var realm = new Realm(REALM_KEY_ID, SECRET, 'http://localhost');
+      signLogin('not the secret', withExpiry(60)).then(function(signed) {
+        return realm.verifyLogin(signed.signed_data, signed.signature);
+      }).then(done.fail, function(err) {
+        expect(err instanceof errors.SignatureError).toBe(true);
+        expect(err.code).toEqual('invalid_signature');
+        done();
+      });
+    });
+
+    it('rejects an expired payload', function(done) {
+      var realm = new Realm(REALM_KEY_ID, SECRET, 'http://localhost');
+      signLogin(SECRET, withExpiry(-120)).then(function(signed) {
+        return realm.verifyLogin(signed.signed_data, signed.signature);
+      }).then(done.fail, function(err) {
+        expect(err instanceof errors.SignatureError).toBe(true);
+        expect(err.code).toEqual('expired');
+        done();
+      });
+    });
+
+    it('allows for configured clock skew', function(done) {
+      var realm = new Realm(REALM_KEY_ID, SECRET, 'http://localhost', { clockSkew: 300 });
+      signLogin(SECRET, withExpiry(-120)).then(function(signed) {
+        return realm.verifyLogin(signed.signed_data, signed.signature);
+      }).then(function(result) {
+        expect(result.user_id).toEqual('sid_1234');
+        done();
+      }, done.fail);
+    });
+
+    it('rejects a reused nonce', function(done) {
+      var realm = new Realm(REALM_KEY_ID, SECRET, 'http://localhost', {
+        nonceStore: new MemoryNonceStore()
+      });
+      signLogin(SECRET, withExpiry(60)).then(function(signed) {
+        return realm.verifyLogin(signed.signed_data, signed.signature).then(function() {
+          return realm.verifyLogin(signed.signed_data, signed.signature);
+        });
+      }).then(done.fail, function(err) {
+        expect(err instanceof errors.SignatureError).toBe(true);
+        expect(err.code).toEqual('nonce_reused');
+        done();
+      });
+    });
+
+    it('rejects a payload that is not JSON', function(done) {
+      var realm   = new Realm(REALM_KEY_ID, SECRET, 'http://localhost');
+      var encoded = tozny.toBase64('not json');
+      tozny.sign(SECRET, encoded).then(function(signature) {
+        return realm.verifyLogin(encoded, signature);
+      }).then(done.fail, function(err) {
+        expect(err.code).toEqual('malformed_payload');
+        done();
+      });
+    });
+
+  });
+
+  describe('argument validation', function() {
+
+    it('rejects a missing user id without making a request', function(done) {
+      var realm = new Realm(REALM_KEY_ID, SECRET, 'http://localhost:1');
+      realm.userGet('').then(done.fail, function(err) {
+        expect(err instanceof errors.ValidationError).toBe(true);
+        expect(err instanceof errors.ToznyError).toBe(true);
+        expect(err instanceof Error).toBe(true);
+        expect(err.method).toEqual('realm.user_get');
+        expect(err.code).toEqual('missing_parameter');
+        done();
+      });
+    });
+
+  });
+
+  describe('against the mock server', function() {
+
+    var server = new MockToznyServer({ realmKeyId: REALM_KEY_ID, realmSecret: SECRET });
+    var realm;
+
+    beforeAll(function(done) {
+      server.listen().then(function(apiUrl) {
+        realm = new Realm(REALM_KEY_ID, SECRET, apiUrl);
+        done();
+      });
+    });
+
+    afterAll(function(done) {
+      server.close().then(done);
+    });
+
+    it('adds, fetches, and updates users', function(done) {
+      var userId;
+      realm.userAdd('false', { email: 'alice@example.com', department: 'eng' }).then(function(resp) {
+        userId = resp.user_id;
+        return realm.userGet(userId);
+      }).then(function(user) {
+        expect(user.meta.department).toEqual('eng');
+        expect(user.tozny_email).toEqual('alice@example.com');
+        return realm.userUpdate(userId, { department: 'ops' });
+      }).then(function() {
+        return realm.userGet(userId);
+      }).then(function(user) {
+        expect(user.meta.department).toEqual('ops');
+        done();
+      }).then(null, done.fail);
+    });
+
+    it('reports whether users exist', function(done) {
+      var user = server.addUser({ email: 'bob@example.com' });
+      Promise.all([
+        realm.userExists(user.user_id),
+        realm.userExists('sid_nobody'),
+        realm.userEmailExists('bob@example.com'),
+        realm.userEmailExists('nobody@example.com')
+      ]).then(function(results) {
+        expect(results).toEqual([true, false, true, false]);
+        done();
+      }, done.fail);
+    });
+
+    it('lists users', function(done) {
+      var user = server.addUser({ email: 'carol@example.com' });
+      realm.usersGet({ term: 'carol' }).then(function(users) {
+        expect(Object.keys(users)).toEqual([user.user_id]);
+        done();
+      }, done.fail);
+    });
+
+    it('iterates over all users', function(done) {
+      var before = Object.keys(server.users).length;
+      for (var i = 0; i < 7; i++) {
+        server.addUser({ email: 'user' + i + '@bulk.example.com' });
+      }
+      realm.iterateUsers({}, { pageSize: 3, concurrency: 2 }).toArray().then(function(users) {
+        expect(users.length).toEqual(before + 7);
+        done();
+      }, done.fail);
+    });
+
+    it('reports unknown users as API errors', function(done) {
+      realm.userGet('sid_nobody').then(done.fail, function(err) {
+        expect(err instanceof errors.ToznyApiError).toBe(true);
+        expect(err.code).toEqual('user_not_found');
+        expect(err.method).toEqual('realm.user_get');
+        done();
+      });
+    });
+
+    it('rejects requests signed with the wrong secret', function(done) {
+      var impostor = new Realm(REALM_KEY_ID, 'not the secret', server.url);
+      impostor.userExists('sid_nobody').then(done.fail, function(err) {
+        expect(err.code).toEqual('invalid_signature');
+        done();
+      });
+    });
+
+    it('rejects realm requests that are not signed', function(done) {
+      var user = server.addUser({ email: 'unsigned@example.com' });
+      var body = querystring.stringify({ method: 'realm.user_get', realm_key_id: REALM_KEY_ID, user_id: user.user_id });
+      var req = http.request(server.url, {
+        method:  'POST',
+        headers: { 'content-type': 'application/x-www-form-urlencoded' }
+      }, function(res) {
+        var text = '';
+        res.setEncoding('utf8');
+        res.on('data', function(chunk) { text += chunk; });
+        res.on('end', function() {
+          expect(text).toContain('invalid_signature');
+          expect(text).not.toContain('unsigned@example.com');
+          done();
+        });
+      });
+      req.on('error', done.fail);
+      req.end(body);
+    });
+
+    it('sends a magic link without delivering it when asked', function(done) {
+      realm.linkChallenge('dave@example.com', 'https://app.example.com/login', 60, 'authenticate', false)
+      .then(function(resp) {
+        expect(resp.url).toMatch(/^https:\/\/app\.example\.com\/login\?toznyo=/);
+        expect(server.lastMessage('dave@example.com')).toBeNull();
+        done();
+      }, done.fail);
+    });
+
+  });
+
   if (process.env.REALM_KEY_ID &&
       process.env.SECRET &&
       process.env.API_URL &&
@@ -0,0 +1,105 @@
+/*global describe, it, expect */
+
+var rpc    = require('../lib/rpc');
+var errors = require('../lib/errors');
+
+function retryable() {
+  return new errors.TransportError('socket hang up', { retryable: true });
+}
+
+describe('rpc', function() {
+
+  describe('dispatch', function() {
+
+    var fast = { retries: 2, retryDelay: 1, maxRetryDelay: 1 };
+
+    it('retries safe methods after retryable failures', function(done) {
+      var attempts = 0;
+      rpc.dispatch('realm.user_get', function() {
+        attempts++;
+        return attempts < 3 ? Promise.reject(retryable()) : Promise.resolve('ok');
+      }, fast).then(function(result) {
+        expect(result).toEqual('ok');
+        expect(attempts).toEqual(3);
+        done();
+      }, done.fail);
+    });
+
+    it('gives up after the configured number of retries', function(done) {
+      var attempts = 0;
+      rpc.dispatch('realm.user_get', function() {
+        attempts++;
+        return Promise.reject(retryable());
+      }, fast).then(done.fail, function(err) {
+        expect(err instanceof errors.TransportError).toBe(true);
+        expect(attempts).toEqual(3);
+        done();
+      });
+    });
+
+    it('never retries methods that modify data', function(done) {
+      var attempts = 0;
+      rpc.dispatch('realm.user_add', function() {
+        attempts++;
+        return Promise.reject(retryable());
+      }, fast).then(done.fail, function() {
+        expect(attempts).toEqual(1);
+        done();
+      });
+    });
+
+    it('does not retry errors that are not retryable', function(done) {
+      var attempts = 0;
+      rpc.dispatch('realm.user_get', function() {
+        attempts++;
+        return Promise.reject(new errors.ToznyApiError('no such user'));
+      }, fast).then(done.fail, function() {
+        expect(attempts).toEqual(1);
+        done();
+      });
+    });
+
+    it('keeps backoff delays within bounds', function() {
+      for (var n = 0; n < 10; n++) {
+        var delay = rpc.retryDelay(n, { retryDelay: 100, maxRetryDelay: 1000 });
+        expect(delay).not.toBeLessThan(0);
+        expect(delay).toBeLessThan(Math.min(1000, 100 * Math.pow(2, n)));
+      }
+    });
+
+  });
+
+  describe('send', function() {
+
+    it('passes the form to a custom transport', function(done) {
+      var seen;
+      var transport = {
+        send: function(url, form, opts) {
+          seen = { url: url, form: form, opts: opts };
+          return Promise.resolve({ return: 'ok' });
+        }
+      };
+      rpc.send('http://tozny.test', { a: 'b' }, { transport: transport, timeout: 10 }, 'realm.user_get')
+      .then(function(body) {
+        expect(body).toEqual({ return: 'ok' });
+        expect(seen.url).toEqual('http://tozny.test');
+        expect(seen.form).toEqual({ a: 'b' });
+        expect(seen.opts.timeout).toEqual(10);
+        done();
+      }, done.fail);
+    });
+
+    it('converts transport failures to typed errors', function(done) {
+      var transport = {
+        send: function() { return Promise.reject(new Error('getaddrinfo ENOTFOUND')); }
+      };
+      rpc.send('http://tozny.test', {}, { transport: transport }, 'realm.user_get').then(done.fail, function(err) {
+        expect(err instanceof errors.TransportError).toBe(true);
+        expect(err.method).toEqual('realm.user_get');
+        done();
+      });
+    });
+
+  });
+
+});
@@ -0,0 +1,146 @@
+/*global describe, it, expect, beforeAll, afterAll */
+
+var revalidateSession = require('../lib/session').revalidateSession;
+var OtpStrategy       = require('../lib/otp').default;
+var Realm             = require('../lib/realm').default;
+var User              = require('../lib/user').default;
+var MockToznyServer   = require('../testing').MockToznyServer;
+
+describe('revalidateSession', function() {
+
+  var server = new MockToznyServer();
+  var realm, user;
+
+  beforeAll(function(done) {
+    server.listen().then(function(apiUrl) {
+      realm = new Realm(server.realmKeyId, server.realmSecret, apiUrl);
+      user  = new User(server.realmKeyId, apiUrl);
+      done();
+    });
+  });
+
+  afterAll(function(done) {
+    server.close().then(done);
+  });
+
+  // Logs in with the OTP strategy, and resolves to a request that carries the
+  // resulting session.
+  function logIn(email) {
+    var account = server.addUser({ email: email });
+    return user.otpChallenge('email', 'authenticate', email).then(function(challenge) {
+      var req = {
+        session: {},
+        body:    { session_id: challenge.session_id, otp: server.lastMessage(email).otp },
+        logout:  function() { req.loggedOut = true; }
+      };
+      return new Promise(function(resolve, reject) {
+        var strategy = new OtpStrategy(realm);
+        strategy.success = function() { resolve(req); };
+        strategy.fail    = reject;
+        strategy.error   = reject;
+        strategy.authenticate(req);
+      });
+    }).then(function(req) {
+      req.account = account;
+      return req;
+    });
+  }
+
+  // Runs the middleware, and resolves to the reason the session ended, or to
+  // null if it did not.
+  function run(middleware, req) {
+    return new Promise(function(resolve, reject) {
+      middleware(req, {}, function(err) {
+        return err ? reject(err) : resolve(req.loggedOut ? req.reason : null);
+      });
+    });
+  }
+
+  function middleware(opts) {
+    return revalidateSession(realm, Object.assign({
+      onEnd: function(req, res, next, reason) { req.reason = reason; next(); }
+    }, opts));
+  }
+
+  it('records the Tozny session at login', function(done) {
+    logIn('record@example.com').then(function(req) {
+      expect(req.session.tozny.user_id).toEqual(req.account.user_id);
+      expect(req.session.tozny.session_id).toEqual(jasmine.any(String));
+      expect(req.session.tozny.expires_at).toBeGreaterThan(Date.now() / 1000);
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('ends the session once the user is blocked', function(done) {
+    var check = middleware({ interval: 0 });
+    var req;
+    logIn('blocked@example.com').then(function(r) {
+      req = r;
+      return run(check, req);
+    }).then(function(reason) {
+      expect(reason).toBe(null);
+      server.blockUser(req.account.user_id);
+      return run(check, req);
+    }).then(function(reason) {
+      expect(reason).toEqual('invalid');
+      expect(req.session.tozny).toBeUndefined();
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('checks at most once per interval', function(done) {
+    var check = middleware({ interval: 60000 });
+    var req;
+    logIn('cached@example.com').then(function(r) {
+      req = r;
+      server.blockUser(req.account.user_id);
+      return run(check, req);
+    }).then(function(reason) {
+      expect(reason).toBe(null);
+      req.session.tozny.checked_at -= 60000;
+      return run(check, req);
+    }).then(function(reason) {
+      expect(reason).toEqual('invalid');
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('ends the session when the login expires, without calling the API', function(done) {
+    var check = middleware({ interval: 0 });
+    logIn('expired@example.com').then(function(req) {
+      req.session.tozny.expires_at = Math.floor(Date.now() / 1000) - 1;
+      var before = server.requests.length;
+      return run(check, req).then(function(reason) {
+        expect(reason).toEqual('expired');
+        expect(server.requests.length).toEqual(before);
+        done();
+      });
+    }).then(null, done.fail);
+  });
+
+  it('allows requests when the check fails, unless configured to fail closed', function(done) {
+    var offline = new Realm(server.realmKeyId, server.realmSecret, 'http://127.0.0.1:1/api/', { retries: 0 });
+    var req;
+    logIn('offline@example.com').then(function(r) {
+      req = r;
+      return run(revalidateSession(offline, { interval: 0 }), req);
+    }).then(function(reason) {
+      expect(reason).toBe(null);
+      return run(revalidateSession(offline, {
+        interval:   0,
+        failClosed: true,
+        onEnd:      function(req, res, next, reason) { req.reason = reason; next(); }
+      }), req);
+    }).then(function(reason) {
+      expect(reason).toEqual('error');
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('passes through requests without a recorded login', function(done) {
+    run(middleware(), { session: {} }).then(function(reason) {
+      expect(reason).toBe(null);
+      done();
+    }).then(null, done.fail);
+  });
+});
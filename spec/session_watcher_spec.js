@@ -0,0 +1,152 @@
+/*global describe, it, expect, beforeAll, afterAll */
+
+var http            = require('http');
+var Realm           = require('../lib/realm').default;
+var User            = require('../lib/user').default;
+var SessionWatcher  = require('../lib/session-watcher').default;
+var errors          = require('../lib/errors');
+var MockToznyServer = require('../testing').MockToznyServer;
+
+describe('waiting for challenge completion', function() {
+
+  var server = new MockToznyServer();
+  var realm, user;
+
+  beforeAll(function(done) {
+    server.listen().then(function(apiUrl) {
+      realm = new Realm(server.realmKeyId, server.realmSecret, apiUrl);
+      user  = new User(server.realmKeyId, apiUrl);
+      done();
+    });
+  });
+
+  afterAll(function(done) {
+    server.close().then(done);
+  });
+
+  function later(fn) {
+    setTimeout(fn, 50);
+  }
+
+  it('resolves with the signed result of a question challenge', function(done) {
+    var account = server.addUser({ email: 'question@example.com' });
+    var question = { type: 'question', question: 'Approve the transfer?' };
+    realm.questionChallenge(question, account.user_id).then(function(challenge) {
+      later(function() { server.completeSession(challenge.session_id); });
+      return realm.waitForCompletion(challenge.session_id, { interval: 10 });
+    }).then(function(result) {
+      return realm.verifyLogin(result.signed_data, result.signature);
+    }).then(function(login) {
+      expect(login.user_id).toEqual(account.user_id);
+      expect(login.question).toEqual(question);
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('yields each status change of a login challenge', function(done) {
+    var account = server.addUser({ email: 'login@example.com' });
+    var seen = [];
+    user.loginChallenge().then(function(challenge) {
+      var watcher = user.watchSession(challenge.session_id, { interval: 10 });
+      later(function() { server.completeSession(challenge.session_id, account.user_id); });
+      function step() {
+        return watcher.next().then(function(result) {
+          if (result.done) { return; }
+          seen.push(result.value);
+          return step();
+        });
+      }
+      return step();
+    }).then(function() {
+      expect(seen.map(function(s) { return s.status; })).toEqual(['pending', 'completed']);
+      expect(seen[1].signed_data).toEqual(jasmine.any(String));
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('completes once an OTP is accepted', function(done) {
+    server.addUser({ email: 'otpwait@example.com' });
+    var sessionId;
+    user.otpChallenge('email', 'authenticate', 'otpwait@example.com').then(function(challenge) {
+      sessionId = challenge.session_id;
+      return user.otpResult(server.lastMessage('otpwait@example.com').otp, sessionId);
+    }).then(function() {
+      return realm.waitForCompletion(sessionId);
+    }).then(function(result) {
+      expect(result.session_id).toEqual(sessionId);
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('fails with a DeniedError when the user declines', function(done) {
+    realm.questionChallenge({ type: 'question', question: 'OK?' }).then(function(challenge) {
+      later(function() { server.denySession(challenge.session_id); });
+      return realm.waitForCompletion(challenge.session_id, { interval: 10 });
+    }).then(done.fail, function(err) {
+      expect(err instanceof errors.DeniedError).toBe(true);
+      expect(err.code).toEqual('denied');
+      done();
+    });
+  });
+
+  it('fails with a TimeoutError when the user does not respond', function(done) {
+    user.loginChallenge().then(function(challenge) {
+      return user.waitForCompletion(challenge.session_id, { interval: 10, timeout: 60 });
+    }).then(done.fail, function(err) {
+      expect(err instanceof errors.TimeoutError).toBe(true);
+      expect(err.code).toEqual('timeout');
+      done();
+    });
+  });
+
+  it('fails when a session completes without a signed result', function(done) {
+    var watcher = new SessionWatcher(function() {
+      return Promise.resolve({ return: 'ok', status: 'completed', signature: 'sig' });
+    }, 'sess', { interval: 10 });
+    watcher.result().then(done.fail, function(err) {
+      expect(err instanceof errors.ToznyApiError).toBe(true);
+      expect(err.code).toEqual('missing_signed_data');
+      done();
+    });
+  });
+
+  it('fails with an AbortError when cancelled', function(done) {
+    var controller = new AbortController();
+    user.loginChallenge().then(function(challenge) {
+      later(function() { controller.abort(); });
+      return user.waitForCompletion(challenge.session_id, { interval: 10, signal: controller.signal });
+    }).then(done.fail, function(err) {
+      expect(err instanceof errors.AbortError).toBe(true);
+      done();
+    });
+  });
+});
+
+describe('waiting on an API that does not respond', function() {
+
+  var sockets = [];
+  var server = http.createServer(function() {});
+  var realm;
+
+  beforeAll(function(done) {
+    server.on('connection', function(socket) { sockets.push(socket); });
+    server.listen(0, '127.0.0.1', function() {
+      realm = new Realm('sid_silent', 'silent-secret', 'http://127.0.0.1:' + server.address().port + '/api/');
+      done();
+    });
+  });
+
+  afterAll(function(done) {
+    sockets.forEach(function(socket) { socket.destroy(); });
+    server.close(function() { done(); });
+  });
+
+  it('gives up at the deadline instead of retrying polls', function(done) {
+    var started = Date.now();
+    realm.waitForCompletion('sess', { timeout: 300, interval: 50 }).then(done.fail, function(err) {
+      expect(err instanceof errors.TimeoutError).toBe(true);
+      expect(Date.now() - started).toBeLessThan(600);
+      done();
+    });
+  });
+});
@@ -0,0 +1,147 @@
+/*global describe, it, expect, beforeAll, afterAll */
+
+var Realm             = require('../lib/realm').default;
+var User              = require('../lib/user').default;
+var throttle          = require('../lib/throttle');
+var errors            = require('../lib/errors');
+var MockToznyServer   = require('../testing').MockToznyServer;
+
+var ChallengeThrottle = throttle.default;
+
+function attempts(t, list) {
+  return list.reduce(function(prev, attempt) {
+    return prev.then(function(outcomes) {
+      return t.check(attempt).then(function() {
+        return outcomes.concat('ok');
+      }, function(err) {
+        return outcomes.concat(err);
+      });
+    });
+  }, Promise.resolve([]));
+}
+
+describe('ChallengeThrottle', function() {
+
+  it('enforces a cooldown between challenges to one destination', function(done) {
+    var t = new ChallengeThrottle({ cooldown: 30000 });
+    attempts(t, [
+      { realm: 'sid_a', destination: 'a@example.com' },
+      { realm: 'sid_a', destination: 'a@example.com' },
+      { realm: 'sid_a', destination: 'b@example.com' },
+    ]).then(function(outcomes) {
+      expect(outcomes[0]).toEqual('ok');
+      expect(outcomes[1] instanceof errors.RateLimitError).toBe(true);
+      expect(outcomes[1].code).toEqual('rate_limited');
+      expect(outcomes[1].status).toEqual(429);
+      expect(outcomes[1].scope).toEqual('cooldown');
+      expect(outcomes[1].retryAfter).toBeGreaterThan(29000);
+      expect(outcomes[1].retryAfter).not.toBeGreaterThan(30000);
+      expect(outcomes[2]).toEqual('ok');
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('counts differently written forms of a destination together', function(done) {
+    var t = new ChallengeThrottle({ cooldown: 0, perDestination: { limit: 1, window: 60000 } });
+    attempts(t, [
+      { realm: 'sid_a', destination: 'foo@example.com' },
+      { realm: 'sid_a', destination: ' Foo@Example.com ' },
+      { realm: 'sid_a', destination: '+1 555 0100' },
+      { realm: 'sid_a', destination: '+1 (555) 01-00' },
+      { realm: 'sid_a', destination: '+15550100' },
+    ]).then(function(outcomes) {
+      expect(outcomes[0]).toEqual('ok');
+      expect(outcomes[1].scope).toEqual('destination');
+      expect(outcomes[2]).toEqual('ok');
+      expect(outcomes[3].scope).toEqual('destination');
+      expect(outcomes[4].scope).toEqual('destination');
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('limits challenges per IP address and per realm', function(done) {
+    var t = new ChallengeThrottle({
+      cooldown: 0,
+      perIp:    { limit: 2, window: 60000 },
+      dailyCap: { realm: 3 },
+    });
+    attempts(t, [
+      { realm: 'sid_a', destination: '1@example.com', ip: '10.0.0.1' },
+      { realm: 'sid_a', destination: '2@example.com', ip: '10.0.0.1' },
+      { realm: 'sid_a', destination: '3@example.com', ip: '10.0.0.1' },
+      { realm: 'sid_a', destination: '4@example.com', ip: '10.0.0.2' },
+      { realm: 'sid_b', destination: '5@example.com', ip: '10.0.0.3' },
+    ]).then(function(outcomes) {
+      expect(outcomes.slice(0, 2)).toEqual(['ok', 'ok']);
+      expect(outcomes[2].scope).toEqual('ip');
+      expect(outcomes[3].scope).toEqual('realm');
+      expect(outcomes[4]).toEqual('ok');
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('uses the given counter store', function(done) {
+    var keys = [];
+    var store = {
+      hit: function(key, ttl) {
+        keys.push(key);
+        return Promise.resolve({ count: 1, resetAt: Date.now() + ttl });
+      }
+    };
+    new ChallengeThrottle({ store: store, prefix: 'app:' })
+      .check({ realm: 'sid_a', destination: 'a@example.com', ip: '10.0.0.1' })
+      .then(function() {
+        expect(keys.length).toEqual(3);
+        keys.forEach(function(key) { expect(key.indexOf('app:')).toEqual(0); });
+        done();
+      }).then(null, done.fail);
+  });
+
+});
+
+describe('throttled challenges', function() {
+
+  var server = new MockToznyServer();
+  var realm, user;
+
+  beforeAll(function(done) {
+    server.listen().then(function(apiUrl) {
+      realm = new Realm(server.realmKeyId, server.realmSecret, apiUrl, {
+        throttle: { perDestination: { limit: 1, window: 60000 } }
+      });
+      user = new User(server.realmKeyId, apiUrl, { throttle: realm.throttle });
+      done();
+    });
+  });
+
+  afterAll(function(done) {
+    server.close().then(done);
+  });
+
+  it('does not send a challenge the throttle refuses', function(done) {
+    server.addUser({ email: 'otp@example.com' });
+    realm.otpChallenge('email', 'authenticate', 'otp@example.com').then(function() {
+      expect(server.outbox.length).toEqual(1);
+      return user.otpChallenge('email', 'authenticate', 'otp@example.com', undefined, { ip: '10.0.0.1' });
+    }).then(done.fail, function(err) {
+      expect(err instanceof errors.RateLimitError).toBe(true);
+      expect(err.method).toEqual('user.otp_challenge');
+      expect(server.outbox.length).toEqual(1);
+      done();
+    });
+  });
+
+  it('does not count links that are returned instead of sent', function(done) {
+    var endpoint = 'https://app.example.com/landing';
+    realm.linkChallenge('nosend@example.com', endpoint, null, 'authenticate', false).then(function() {
+      return realm.linkChallenge('nosend@example.com', endpoint, null, 'authenticate', true);
+    }).then(function() {
+      return realm.linkChallenge('nosend@example.com', endpoint, null, 'authenticate', true);
+    }).then(done.fail, function(err) {
+      expect(err instanceof errors.RateLimitError).toBe(true);
+      expect(err.method).toEqual('realm.link_challenge');
+      done();
+    });
+  });
+
+});
@@ -0,0 +1,89 @@
+/*global describe, it, expect, beforeAll, afterAll */
+
+var http      = require('http');
+var transport = require('../lib/transport');
+var errors    = require('../lib/errors');
+var rpc       = require('../lib/rpc');
+
+describe('transports', function() {
+
+  var server, url;
+
+  beforeAll(function(done) {
+    server = http.createServer(function(req, res) {
+      var body = '';
+      req.on('data', function(chunk) { body += chunk; });
+      req.on('end', function() {
+        if (req.url === '/hang') {
+          return;  // never respond
+        }
+        res.statusCode = req.url === '/fail' ? 503 : 200;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({
+          return:  req.url === '/fail' ? 'error' : 'ok',
+          body:    body,
+          tracing: req.headers['x-trace-id'] || null
+        }));
+      });
+    });
+    server.listen(0, '127.0.0.1', function() {
+      url = 'http://127.0.0.1:' + server.address().port;
+      done();
+    });
+  });
+
+  afterAll(function(done) {
+    server.close(done);
+  });
+
+  [
+    ['SuperagentTransport', transport.SuperagentTransport],
+    ['HttpTransport',       transport.HttpTransport]
+  ].forEach(function(pair) {
+    var name = pair[0], Transport = pair[1];
+
+    describe(name, function() {
+
+      var t = new Transport({ headers: { 'X-Trace-Id': 'abc123' } });
+
+      it('posts form-encoded fields and parses the response', function(done) {
+        t.send(url + '/', { signed_data: 'a b', signature: 'c', skipped: undefined }, {})
+        .then(function(body) {
+          expect(body.return).toEqual('ok');
+          expect(body.body).toEqual('signed_data=a%20b&signature=c');
+          expect(body.tracing).toEqual('abc123');
+          done();
+        }, done.fail);
+      });
+
+      it('reports HTTP errors with the response body', function(done) {
+        rpc.send(url + '/fail', {}, { transport: t }, 'realm.user_get').then(done.fail, function(err) {
+          expect(err instanceof errors.ToznyApiError).toBe(true);
+          expect(err.status).toEqual(503);
+          expect(err.retryable).toBe(true);
+          done();
+        });
+      });
+
+      it('times out', function(done) {
+        rpc.send(url + '/hang', {}, { transport: t, timeout: 50 }, 'realm.user_get').then(done.fail, function(err) {
+          expect(err instanceof errors.TransportError).toBe(true);
+          expect(err.code).toEqual('timeout');
+          done();
+        });
+      });
+
+      it('can be cancelled', function(done) {
+        var controller = new AbortController();
+        rpc.send(url + '/hang', {}, { transport: t, signal: controller.signal }, 'realm.user_get')
+        .then(done.fail, function(err) {
+          expect(err instanceof errors.AbortError).toBe(true);
+          done();
+        });
+        setTimeout(function() { controller.abort(); }, 20);
+      });
+
+    });
+  });
+
+});
@@ -0,0 +1,118 @@
+/*global describe, it, expect, beforeAll, afterAll */
+
+var Realm           = require('../lib/realm').default;
+var UserBatcher     = require('../lib/user-batcher').default;
+var errors          = require('../lib/errors');
+var MockToznyServer = require('../testing').MockToznyServer;
+
+function settle(promise) {
+  return promise.then(function(value) { return { value: value }; }, function(err) { return { error: err }; });
+}
+
+describe('UserBatcher', function() {
+
+  it('splits large batches', function(done) {
+    var batches = [];
+    var batcher = new UserBatcher(function(ids) {
+      batches.push(ids);
+      var users = {};
+      ids.forEach(function(id) { users[id] = { user_id: id }; });
+      return Promise.resolve(users);
+    }, { maxBatchSize: 2 });
+    Promise.all(['a', 'b', 'c', 'a'].map(function(id) { return batcher.load(id); })).then(function(users) {
+      expect(users.map(function(u) { return u.user_id; })).toEqual(['a', 'b', 'c', 'a']);
+      expect(batches).toEqual([['a', 'b'], ['c']]);
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('does not find inherited object properties', function(done) {
+    var batcher = new UserBatcher(function() { return Promise.resolve({}); });
+    Promise.all(['constructor', 'toString', '__proto__'].map(function(id) {
+      return settle(batcher.load(id));
+    })).then(function(outcomes) {
+      outcomes.forEach(function(outcome) {
+        expect(outcome.error instanceof errors.NotFoundError).toBe(true);
+      });
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('rejects every lookup in a batch that fails', function(done) {
+    var batcher = new UserBatcher(function() { return Promise.reject(new Error('down')); });
+    Promise.all([settle(batcher.load('a')), settle(batcher.load('b'))]).then(function(outcomes) {
+      expect(outcomes[0].error.message).toEqual('down');
+      expect(outcomes[1].error.message).toEqual('down');
+      done();
+    }).then(null, done.fail);
+  });
+
+});
+
+describe('realm with batching', function() {
+
+  var server = new MockToznyServer();
+  var realm;
+
+  beforeAll(function(done) {
+    server.listen().then(function(apiUrl) {
+      realm = new Realm(server.realmKeyId, server.realmSecret, apiUrl, { batch: true });
+      done();
+    });
+  });
+
+  afterAll(function(done) {
+    server.close().then(done);
+  });
+
+  function callsTo(method) {
+    return server.requests.filter(function(r) { return r.method === method; });
+  }
+
+  it('coalesces concurrent lookups into one users_get call', function(done) {
+    var a = server.addUser({ email: 'a@example.com' });
+    var b = server.addUser({ email: 'b@example.com' });
+    var before = callsTo('realm.users_get').length;
+    Promise.all([
+      realm.userGet(a.user_id),
+      realm.userGet(b.user_id),
+      realm.userGet(a.user_id),
+      settle(realm.userGet('sid_missing')),
+    ]).then(function(results) {
+      expect(results[0].meta.email).toEqual('a@example.com');
+      expect(results[1].meta.email).toEqual('b@example.com');
+      expect(results[2]).toBe(results[0]);
+      expect(results[3].error instanceof errors.NotFoundError).toBe(true);
+      expect(results[3].error instanceof errors.ToznyApiError).toBe(true);
+      expect(results[3].error.code).toEqual('user_not_found');
+      expect(results[3].error.userId).toEqual('sid_missing');
+
+      var calls = callsTo('realm.users_get');
+      expect(calls.length - before).toEqual(1);
+      expect([].concat(calls[calls.length - 1].user_ids).sort())
+        .toEqual([a.user_id, b.user_id, 'sid_missing'].sort());
+      expect(callsTo('realm.user_get').length).toEqual(0);
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('sends lookups with their own call options separately', function(done) {
+    var c = server.addUser({ email: 'c@example.com' });
+    Promise.all([
+      realm.userGet(c.user_id, { timeout: 5000 }),
+      realm.userGet(c.user_id, { batch: false }),
+    ]).then(function() {
+      expect(callsTo('realm.user_get').length).toEqual(2);
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('does not mistake inherited object properties for users', function(done) {
+    settle(realm.userGet('constructor')).then(function(outcome) {
+      expect(outcome.error instanceof errors.NotFoundError).toBe(true);
+      expect(outcome.error.userId).toEqual('constructor');
+      done();
+    }).then(null, done.fail);
+  });
+
+});
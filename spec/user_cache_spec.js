@@ -0,0 +1,178 @@
+/*global describe, it, expect, beforeAll, afterAll */
+
+var Realm            = require('../lib/realm').default;
+var UserCache        = require('../lib/user-cache').default;
+var MemoryCacheStore = require('../lib/user-cache').MemoryCacheStore;
+var MockToznyServer  = require('../testing').MockToznyServer;
+
+describe('MemoryCacheStore', function() {
+
+  it('evicts the least recently used entry', function(done) {
+    var store = new MemoryCacheStore({ maxEntries: 2 });
+    store.set('a', 1, 1000).then(function() {
+      return store.set('b', 2, 1000);
+    }).then(function() {
+      return store.get('a');
+    }).then(function() {
+      return store.set('c', 3, 1000);
+    }).then(function() {
+      return Promise.all([store.get('a'), store.get('b'), store.get('c')]);
+    }).then(function(values) {
+      expect(values).toEqual([1, undefined, 3]);
+      expect(store.evictions).toEqual(1);
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('expires entries', function(done) {
+    var store = new MemoryCacheStore();
+    store.set('a', 1, -1).then(function() {
+      return store.get('a');
+    }).then(function(value) {
+      expect(value).toBeUndefined();
+      done();
+    }).then(null, done.fail);
+  });
+
+});
+
+describe('UserCache', function() {
+
+  it('does not store a value loaded across an invalidation', function(done) {
+    var cache = new UserCache();
+    var finishLoad;
+    var loaded = cache.through('user:sid_a', function() {
+      return new Promise(function(resolve) { finishLoad = resolve; });
+    });
+    setTimeout(function() {
+      cache.invalidate('sid_a').then(function() {
+        finishLoad({ user_id: 'sid_a', meta: { stale: true } });
+        return loaded;
+      }).then(function(value) {
+        expect(value.meta.stale).toBe(true);
+        return cache.store.get(cache.prefix + 'user:sid_a');
+      }).then(function(stored) {
+        expect(stored).toBeUndefined();
+        return cache.through('user:sid_a', function() { return Promise.resolve({ user_id: 'sid_a' }); });
+      }).then(function() {
+        return cache.store.get(cache.prefix + 'user:sid_a');
+      }).then(function(stored) {
+        expect(stored).toEqual({ user_id: 'sid_a' });
+        done();
+      }).then(null, done.fail);
+    }, 10);
+  });
+
+  it('remembers email addresses for at most maxEntries users', function() {
+    var cache = new UserCache({ maxEntries: 2 });
+    cache.linkEmail('sid_a', 'a@example.com');
+    cache.linkEmail('sid_b', 'b@example.com');
+    cache.linkEmail('sid_a', 'a2@example.com');
+    cache.linkEmail('sid_c', 'c@example.com');
+    expect(Array.from(cache._emails.keys())).toEqual(['sid_a', 'sid_c']);
+    expect(cache._emails.get('sid_a')).toEqual(['a@example.com', 'a2@example.com']);
+  });
+
+});
+
+describe('realm with a user cache', function() {
+
+  var server = new MockToznyServer();
+  var realm, cache;
+
+  beforeAll(function(done) {
+    server.listen().then(function(apiUrl) {
+      cache = new UserCache({ ttl: 60000 });
+      realm = new Realm(server.realmKeyId, server.realmSecret, apiUrl, { cache: cache });
+      done();
+    });
+  });
+
+  afterAll(function(done) {
+    server.close().then(done);
+  });
+
+  function callsTo(method) {
+    return server.requests.filter(function(r) { return r.method === method; }).length;
+  }
+
+  it('serves repeated lookups from the cache', function(done) {
+    var account = server.addUser({ email: 'cached@example.com' });
+    var before  = cache.stats();
+    realm.userGet(account.user_id).then(function() {
+      return realm.userGet(account.user_id);
+    }).then(function(user) {
+      expect(user.user_id).toEqual(account.user_id);
+      expect(callsTo('realm.user_get')).toEqual(1);
+      var stats = cache.stats();
+      expect(stats.hits - before.hits).toEqual(1);
+      expect(stats.misses - before.misses).toEqual(1);
+      return realm.userGet(account.user_id, { cache: false });
+    }).then(function() {
+      expect(callsTo('realm.user_get')).toEqual(2);
+      expect(cache.stats().bypasses - before.bypasses).toEqual(1);
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('drops entries when a user is updated through the realm', function(done) {
+    var account = server.addUser({ email: 'update@example.com', team: 'a' });
+    realm.userGet(account.user_id).then(function() {
+      return realm.userUpdate(account.user_id, { team: 'b' });
+    }).then(function() {
+      return realm.userGet(account.user_id);
+    }).then(function(user) {
+      expect(user.meta.team).toEqual('b');
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('drops cached email lookups when a user is added through the realm', function(done) {
+    realm.userEmailExists('new@example.com').then(function(exists) {
+      expect(exists).toBe(false);
+      return realm.userAdd('false', { email: 'new@example.com' });
+    }).then(function() {
+      return realm.userEmailExists('new@example.com');
+    }).then(function(exists) {
+      expect(exists).toBe(true);
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('drops entries on explicit invalidation', function(done) {
+    var account = server.addUser({ email: 'elsewhere@example.com' });
+    var calls;
+    realm.userExists(account.user_id).then(function() {
+      return realm.userEmailExists('elsewhere@example.com');
+    }).then(function() {
+      calls = callsTo('realm.user_exists');
+      return realm.userExists(account.user_id);
+    }).then(function() {
+      expect(callsTo('realm.user_exists')).toEqual(calls);
+      return cache.invalidate(account.user_id);
+    }).then(function() {
+      return realm.userExists(account.user_id);
+    }).then(function() {
+      return realm.userEmailExists('elsewhere@example.com');
+    }).then(function() {
+      expect(callsTo('realm.user_exists')).toEqual(calls + 2);
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('falls back to the API when the store fails', function(done) {
+    var broken = {
+      get:    function() { return Promise.reject(new Error('down')); },
+      set:    function() { return Promise.reject(new Error('down')); },
+      delete: function() { return Promise.reject(new Error('down')); },
+    };
+    var account = server.addUser({ email: 'broken@example.com' });
+    var other = new Realm(server.realmKeyId, server.realmSecret, server.url, { cache: { store: broken } });
+    other.userGet(account.user_id).then(function(user) {
+      expect(user.user_id).toEqual(account.user_id);
+      expect(other.cache.stats().errors).toEqual(2);
+      done();
+    }).then(null, done.fail);
+  });
+
+});
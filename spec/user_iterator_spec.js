@@ -0,0 +1,101 @@
+/*global describe, it, expect */
+
+var UserIterator = require('../lib/user-iterator').default;
+var errors       = require('../lib/errors');
+
+// Simulates `realm.users_get` over `total` users.
+function fakeRealm(total) {
+  var calls = [];
+  function fetchPage(params) {
+    calls.push(params);
+    var results = {};
+    for (var i = params.offset; i < Math.min(total, params.offset + params.rows); i++) {
+      results['sid_' + i] = { user_id: 'sid_' + i };
+    }
+    return Promise.resolve(results);
+  }
+  return { fetchPage: fetchPage, calls: calls };
+}
+
+function ids(users) {
+  return users.map(function(user) { return user.user_id; });
+}
+
+describe('UserIterator', function() {
+
+  it('yields every user, one page at a time', function(done) {
+    var realm = fakeRealm(5);
+    new UserIterator(realm.fetchPage, { term: 'x' }, { pageSize: 2 }).toArray().then(function(users) {
+      expect(ids(users)).toEqual(['sid_0', 'sid_1', 'sid_2', 'sid_3', 'sid_4']);
+      expect(realm.calls).toEqual([
+        { term: 'x', rows: 2, offset: 0 },
+        { term: 'x', rows: 2, offset: 2 },
+        { term: 'x', rows: 2, offset: 4 }
+      ]);
+      done();
+    }, done.fail);
+  });
+
+  it('stops after an empty last page', function(done) {
+    var realm = fakeRealm(4);
+    new UserIterator(realm.fetchPage, {}, { pageSize: 2 }).toArray().then(function(users) {
+      expect(users.length).toEqual(4);
+      expect(realm.calls.length).toEqual(3);
+      done();
+    }, done.fail);
+  });
+
+  it('fetches lazily', function(done) {
+    var realm = fakeRealm(100);
+    var iterator = new UserIterator(realm.fetchPage, {}, { pageSize: 10 });
+    iterator.next().then(function(result) {
+      expect(result.value.user_id).toEqual('sid_0');
+      expect(realm.calls.length).toEqual(1);
+      return iterator.return();
+    }).then(function() {
+      return iterator.next();
+    }).then(function(result) {
+      expect(result.done).toBe(true);
+      done();
+    }, done.fail);
+  });
+
+  it('keeps several pages in flight', function(done) {
+    var realm = fakeRealm(25);
+    var iterator = new UserIterator(realm.fetchPage, {}, { pageSize: 10, concurrency: 3 });
+    iterator.next().then(function() {
+      expect(realm.calls.length).toEqual(3);
+      return iterator.toArray();
+    }).then(function(users) {
+      expect(users.length).toEqual(24);
+      // Pages past the short last page may already be in flight when it arrives.
+      expect(realm.calls.length).toEqual(5);
+      done();
+    }, done.fail);
+  });
+
+  it('enforces an upper bound in toArray', function(done) {
+    var realm = fakeRealm(30);
+    new UserIterator(realm.fetchPage, {}, { pageSize: 10 }).toArray(15).then(done.fail, function(err) {
+      expect(err instanceof errors.ValidationError).toBe(true);
+      expect(err.code).toEqual('too_many_results');
+      expect(realm.calls.length).toEqual(2);
+      done();
+    });
+  });
+
+  it('rejects paging parameters in the filter', function(done) {
+    var realm = fakeRealm(30);
+    new UserIterator(realm.fetchPage, { rows: 5 }).next().then(done.fail, function(err) {
+      expect(err.code).toEqual('invalid_filter');
+      expect(realm.calls.length).toEqual(0);
+      done();
+    });
+  });
+
+  it('supports the async iteration protocol', function() {
+    var iterator = new UserIterator(fakeRealm(0).fetchPage);
+    expect(iterator[Symbol.asyncIterator]()).toBe(iterator);
+  });
+
+});
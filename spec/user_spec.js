@@ -0,0 +1,81 @@
+/*global describe, it, expect, beforeAll, afterAll */
+
+var Realm           = require('../lib/realm').default;
+var User            = require('../lib/user').default;
+var errors          = require('../lib/errors');
+var MockToznyServer = require('../testing').MockToznyServer;
+
+describe('user', function() {
+
+  var server = new MockToznyServer({ maxAttempts: 2 });
+  var realm, user;
+
+  beforeAll(function(done) {
+    server.listen().then(function(apiUrl) {
+      realm = new Realm(server.realmKeyId, server.realmSecret, apiUrl);
+      user  = new User(server.realmKeyId, apiUrl);
+      done();
+    });
+  });
+
+  afterAll(function(done) {
+    server.close().then(done);
+  });
+
+  it('completes an OTP login that the realm can verify', function(done) {
+    var account = server.addUser({ email: 'erin@example.com' });
+    user.otpChallenge('email', 'authenticate', 'erin@example.com').then(function(challenge) {
+      var otp = server.lastMessage('erin@example.com').otp;
+      return user.otpResult(otp, challenge.session_id);
+    }).then(function(result) {
+      return realm.verifyLogin(result.signed_data, result.signature);
+    }).then(function(login) {
+      expect(login.user_id).toEqual(account.user_id);
+      return realm.checkValidLogin(login.user_id, login.session_id, new Date(login.expires_at * 1000));
+    }).then(function(valid) {
+      expect(valid).toBe(true);
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('completes a magic link login', function(done) {
+    server.addUser({ email: 'frank@example.com' });
+    user.linkChallenge('frank@example.com', 'https://app.example.com/login', 'authenticate').then(function() {
+      return user.linkResult(server.lastMessage('frank@example.com').otp);
+    }).then(function(result) {
+      return user.authenticationChallengeExchange(result.signed_data, result.signature);
+    }).then(function(result) {
+      return realm.verifyLogin(result.signed_data, result.signature);
+    }).then(function(login) {
+      expect(login.user_display).toEqual('frank@example.com');
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('enrolls a new user from a verified OTP', function(done) {
+    realm.otpChallenge('email', 'enroll', 'grace@example.com').then(function(challenge) {
+      return user.otpResult(server.lastMessage('grace@example.com').otp, challenge.session_id);
+    }).then(function(result) {
+      return user.enrollmentChallengeExchange(result.signed_data, result.signature);
+    }).then(function(enrollment) {
+      expect(server.users[enrollment.user_id].tozny_email).toEqual('grace@example.com');
+      done();
+    }).then(null, done.fail);
+  });
+
+  it('locks a session after too many wrong OTPs', function(done) {
+    var sessionId;
+    user.otpChallenge('sms-otp-6', 'verify', '+15555550100').then(function(challenge) {
+      sessionId = challenge.session_id;
+      return user.otpResult('000000x', sessionId).then(done.fail, function(err) {
+        expect(err.code).toEqual('invalid_otp');
+        return user.otpResult('000000x', sessionId);
+      });
+    }).then(done.fail, function(err) {
+      expect(err instanceof errors.ToznyApiError).toBe(true);
+      expect(err.code).toEqual('too_many_attempts');
+      done();
+    });
+  });
+
+});
@@ -0,0 +1,113 @@
+/*global describe, it, expect, beforeAll, afterAll */
+
+var UsersQuery      = require('../lib/users-query').default;
+var Realm           = require('../lib/realm').default;
+var errors          = require('../lib/errors');
+var MockToznyServer = require('../testing').MockToznyServer;
+
+describe('UsersQuery', function() {
+
+  function invalid(query) {
+    try {
+      query.build();
+    }
+    catch (err) {
+      expect(err instanceof errors.ValidationError).toBe(true);
+      return err.code;
+    }
+    return null;
+  }
+
+  it('compiles filters to usersGet params', function() {
+    var params = new UsersQuery()
+      .whereMeta('department', 'eng')
+      .whereMeta('level', '>=', 3)
+      .whereTozny('email', 'like', '%@corp.com')
+      .ids(['sid_1', 'sid_2'])
+      .term('smith')
+      .limit(50)
+      .offset(100)
+      .build();
+    expect(params).toEqual({
+      term:           'smith',
+      meta_fields:    { department: 'eng' },
+      meta_advanced:  [{ field: 'level', operator: '>=', value: 3 }],
+      tozny_advanced: [{ field: 'email', operator: 'like', value: '%@corp.com' }],
+      user_ids:       ['sid_1', 'sid_2'],
+      rows:           50,
+      offset:         100
+    });
+  });
+
+  it('does not modify the query it is derived from', function() {
+    var base = new UsersQuery().whereMeta('department', 'eng');
+    base.whereMeta('level', 3);
+    expect(base.build()).toEqual({ meta_fields: { department: 'eng' } });
+  });
+
+  it('rejects invalid queries', function() {
+    expect(invalid(new UsersQuery().whereMeta('a', 'regex', 'x'))).toEqual('invalid_query');
+    expect(invalid(new UsersQuery().whereMeta('a', 'like', 3))).toEqual('invalid_query');
+    expect(invalid(new UsersQuery().whereMeta('', 'x'))).toEqual('invalid_query');
+    expect(invalid(new UsersQuery().whereMeta('a', 'x').whereMeta('a', 'y'))).toEqual('invalid_query');
+    expect(invalid(new UsersQuery().whereTozny('shoe_size', 9))).toEqual('invalid_query');
+    expect(invalid(new UsersQuery().ids([]))).toEqual('invalid_query');
+    expect(invalid(new UsersQuery().term('  '))).toEqual('invalid_query');
+    expect(invalid(new UsersQuery().limit(0))).toEqual('invalid_query');
+    expect(invalid(new UsersQuery().limit(10).offset(10).page(2))).toEqual('invalid_query');
+    expect(invalid(new UsersQuery().page(2))).toEqual('invalid_query');
+    expect(invalid(new UsersQuery().limit(10).page(2))).toBeNull();
+  });
+
+  describe('against the mock server', function() {
+
+    var server = new MockToznyServer();
+    var realm;
+
+    beforeAll(function(done) {
+      server.addUser({ email: 'ann@corp.com',   department: 'eng', level: 2 });
+      server.addUser({ email: 'ben@corp.com',   department: 'eng', level: 4 });
+      server.addUser({ email: 'cal@other.com',  department: 'eng', level: 5 });
+      server.addUser({ email: 'dee@corp.com',   department: 'ops', level: 5 });
+      server.listen().then(function(apiUrl) {
+        realm = new Realm(server.realmKeyId, server.realmSecret, apiUrl);
+        done();
+      });
+    });
+
+    afterAll(function(done) {
+      server.close().then(done);
+    });
+
+    it('finds matching users', function(done) {
+      realm.users()
+        .whereMeta('department', 'eng')
+        .whereMeta('level', '>=', 3)
+        .whereTozny('email', 'like', '%@corp.com')
+        .get()
+        .then(function(users) {
+          var emails = Object.keys(users).map(function(id) { return users[id].tozny_email; });
+          expect(emails).toEqual(['ben@corp.com']);
+          done();
+        }, done.fail);
+    });
+
+    it('does not send invalid queries', function(done) {
+      var before = server.requests.length;
+      realm.users().limit(-1).get().then(done.fail, function(err) {
+        expect(err.code).toEqual('invalid_query');
+        expect(server.requests.length).toEqual(before);
+        done();
+      });
+    });
+
+    it('iterates over matching users', function(done) {
+      realm.users().whereMeta('department', 'eng').limit(1).iterate().toArray().then(function(users) {
+        expect(users.length).toEqual(3);
+        done();
+      }, done.fail);
+    });
+
+  });
+
+});
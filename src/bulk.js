@@ -0,0 +1,577 @@
+/* @flow */
+
+import bluebird     from 'bluebird'
+import objectAssign from 'object-assign'
+
+import { ValidationError } from './errors'
+
+import type Realm from './realm'
+import type { UsersGetParams } from './users-query'
+
+/**
+ * @class bulk
+ * @singleton
+ *
+ * Module that exports functions for importing users into a realm, and for
+ * exporting users from a realm, in CSV or NDJSON (newline-delimited JSON)
+ * format.  Import with:
+ *
+ *     var bulk = require('tozny-auth/lib/bulk');
+ *
+ * or
+ *
+ *     var importUsers = require('tozny-auth').importUsers;
+ *
+ * For example, to onboard users from a CSV file and write a report of the
+ * outcome of every row:
+ *
+ *     tozny.importUsers(realm, fs.createReadStream('users.csv'), {
+ *       format: 'csv',
+ *       report: fs.createWriteStream('report.ndjson')
+ *     }).then(function(summary) {
+ *       console.log(summary.succeeded + ' imported, ' + summary.failed + ' failed');
+ *     });
+ *
+ * And to back up every user:
+ *
+ *     tozny.exportUsers(realm, fs.createWriteStream('users.ndjson'), { format: 'ndjson' });
+ */
+
+export type Format = 'csv'|'ndjson'
+
+export type ImportOptions = {
+  format?:      Format,
+  mode?:        'add'|'update'|'auto',
+  concurrency?: number,
+  dryRun?:      boolean,
+  report?:      ?Writable,
+}
+
+export type ImportSummary = {
+  total:     number,
+  succeeded: number,
+  failed:    number,
+}
+
+export type ExportOptions = {
+  format?:     Format,
+  filter?:     UsersGetParams,
+  pageSize?:   number,
+  metaFields?: string[],
+}
+
+type Readable = {
+  setEncoding(encoding: string): any,
+  on(event: string, listener: Function): any,
+  pause(): any,
+  resume(): any,
+}
+
+type Writable = {
+  write(chunk: string): boolean,
+  once(event: string, listener: Function): any,
+}
+
+type Row = {
+  row:     number,
+  record?: Object,
+  error?:  ValidationError,
+}
+
+/**
+ * Columns that are not user metadata.  `user_id` selects the user to update,
+ * and `defer` is passed to {@link Realm#userAdd}.
+ */
+const RESERVED = ['user_id', 'defer']
+
+/**
+ * Columns written by {@link #exportUsers} ahead of the metadata columns.
+ */
+const USER_COLUMNS = [
+  'user_id', 'tozny_email', 'tozny_username', 'tozny_primary', 'tozny_secondary',
+  'status', 'blocked', 'created', 'modified', 'last_login', 'total_logins',
+  'total_failed_logins', 'last_failed_login', 'total_devices',
+]
+
+const META_PREFIX = 'meta.'
+
+/**
+ * Reads users from a stream, and adds or updates each one.
+ *
+ * Each CSV row or NDJSON line describes one user.  The `user_id` field
+ * selects the user to update, and the optional `defer` field is passed to
+ * {@link Realm#userAdd}.  The remaining fields are user metadata:
+ *
+ * - In CSV, if any column is named `meta.<field>` then only those columns are
+ *   metadata - this is the layout produced by {@link #exportUsers}.  Otherwise
+ *   every other column is metadata.  Empty cells are left out.  If the realm
+ *   has a {@link Realm#metadataSchema}, cells are converted to the declared
+ *   types with {@link MetadataSchema#parse} before they are written.
+ * - In NDJSON, if a line has a `meta` object then that object is the
+ *   metadata.  Otherwise every other property is metadata.
+ *
+ * A row that cannot be parsed or that fails to import is recorded as
+ * a failure, and does not stop the import.
+ *
+ * @param {Realm} realm
+ * @param {stream.Readable} input
+ * @param {Object} [opts]
+ * @param {string} [opts.format="csv"] `"csv"` or `"ndjson"`
+ * @param {string} [opts.mode="auto"] `"add"` to add every row as a new user,
+ * `"update"` to update the user given by every row's `user_id`, or `"auto"`
+ * to update rows that have a `user_id` and add the rest
+ * @param {number} [opts.concurrency=4] Number of API calls to run at a time
+ * @param {boolean} [opts.dryRun=false] Parse and check every row, without
+ * making any API calls
+ * @param {stream.Writable} [opts.report] Receives one JSON line per row, with
+ * `row`, `ok`, and either `user_id` or `error` properties.  The stream is not
+ * ended when the import finishes.  While its buffer is full, no new rows are
+ * started.
+ * @return {Promise.<Object>} Resolves to a summary with `total`, `succeeded`,
+ * and `failed` counts once every row has been processed
+ */
+export function importUsers(realm: Realm, input: Readable, opts?: ImportOptions): Promise<ImportSummary> {
+  const o           = opts || {}
+  const format      = o.format || 'csv'
+  const mode        = o.mode || 'auto'
+  const concurrency = o.concurrency || 4
+  const highWater   = concurrency * 4
+  const report      = o.report
+
+  if (format !== 'csv' && format !== 'ndjson') {
+    return bluebird.reject(invalidOption('format must be "csv" or "ndjson"'))
+  }
+  if (['add', 'update', 'auto'].indexOf(mode) < 0) {
+    return bluebird.reject(invalidOption('mode must be "add", "update", or "auto"'))
+  }
+
+  const reader  = format === 'csv' ? new CsvRowReader() : new NdjsonRowReader()
+  const summary = { total: 0, succeeded: 0, failed: 0 }
+  const queue: Row[] = []
+  var active = 0
+  var ended    = false
+  var paused   = false
+  var draining = false
+
+  return new bluebird((resolve, reject) => {
+    function pump() {
+      while (!draining && active < concurrency && queue.length > 0) {
+        const row = queue.shift()
+        active += 1
+        importRow(realm, row, mode, !!o.dryRun, format === 'csv').then(outcome => {
+          active -= 1
+          summary.total += 1
+          if (outcome.ok) { summary.succeeded += 1 } else { summary.failed += 1 }
+          if (report && !report.write(JSON.stringify(outcome) + '\n') && !draining) {
+            // Start no more rows until the report catches up.
+            draining = true
+            report.once('drain', () => {
+              draining = false
+              pump()
+            })
+          }
+          pump()
+        })
+      }
+      if (paused && queue.length < highWater) {
+        paused = false
+        input.resume()
+      }
+      if (ended && !draining && active === 0 && queue.length === 0) {
+        resolve(summary)
+      }
+    }
+
+    function enqueue(rows: Row[]) {
+      rows.forEach(row => queue.push(row))
+      if (!paused && queue.length >= highWater) {
+        paused = true
+        input.pause()
+      }
+      pump()
+    }
+
+    input.setEncoding('utf8')
+    input.on('data', chunk => enqueue(reader.push(chunk)))
+    input.on('end', () => {
+      ended = true
+      enqueue(reader.end())
+    })
+    input.on('error', reject)
+  })
+}
+
+/**
+ * Writes every user in a realm - or every user that matches a filter - to
+ * a stream.  Each user's metadata is included.
+ *
+ * In CSV format the metadata fields become columns named `meta.<field>`.  If
+ * `metaFields` is not given, the columns are the fields of the realm's
+ * {@link Realm#metadataSchema}, if it has one, followed by the fields of the
+ * users in the first page.  Fields that only later users have are left out;
+ * give `metaFields` to choose the columns.  Text cells that start with `=`,
+ * `+`, `-`, or `@` are prefixed with `'`, so that spreadsheets do not run them
+ * as formulas.
+ *
+ * @param {Realm} realm
+ * @param {stream.Writable} output Not ended when the export finishes
+ * @param {Object} [opts]
+ * @param {string} [opts.format="ndjson"] `"csv"` or `"ndjson"`
+ * @param {Object} [opts.filter] Filter params, as for {@link Realm#iterateUsers}
+ * @param {number} [opts.pageSize=100]
+ * @param {string[]} [opts.metaFields] Metadata columns to write in CSV format
+ * @return {Promise.<Object>} Resolves to `{ count }` once every user is written
+ */
+export function exportUsers(realm: Realm, output: Writable, opts?: ExportOptions): Promise<{ count: number }> {
+  const o      = opts || {}
+  const format = o.format || 'ndjson'
+  if (format !== 'csv' && format !== 'ndjson') {
+    return bluebird.reject(invalidOption('format must be "csv" or "ndjson"'))
+  }
+  const users = realm.iterateUsers(o.filter, { pageSize: o.pageSize })
+
+  if (format === 'ndjson') {
+    return writeEach(users, output, user => JSON.stringify(user) + '\n')
+  }
+  const schema  = realm.metadataSchema
+  const columns = o.metaFields
+    ? bluebird.resolve({ metaFields: o.metaFields, source: users })
+    : take(users, o.pageSize || 100).then(page => ({
+      metaFields: metaKeys(schema ? Object.keys(schema.fields) : [], page),
+      source:     prepend(page, users),
+    }))
+
+  return columns.then(({ metaFields, source }) => {
+    const header = USER_COLUMNS.concat(metaFields.map(field => META_PREFIX + field))
+    return write(output, csvLine(header)).then(() =>
+      writeEach(source, output, user => csvLine(
+        USER_COLUMNS.map(column => user[column])
+          .concat(metaFields.map(field => user.meta ? user.meta[field] : undefined))
+      ))
+    )
+  })
+}
+
+/**
+ * Imports one row, and describes the outcome for the report.
+ *
+ * @private
+ */
+function importRow(realm: Realm, row: Row, mode: string, dryRun: boolean, fromText: boolean): Promise<Object> {
+  const failure = err => ({
+    row: row.row,
+    ok:  false,
+    error: {
+      name:    err && err.name || 'Error',
+      code:    err && err.code || null,
+      message: err && err.message || String(err),
+    }
+  })
+  if (row.error || !row.record) {
+    return bluebird.resolve(failure(row.error))
+  }
+  const task = toTask(row.record, mode)
+  if (task.error) {
+    return bluebird.resolve(failure(task.error))
+  }
+  const schema = realm.metadataSchema
+  if (fromText && schema) {
+    // CSV cells are all strings; convert them to the declared types.
+    try {
+      task.meta = schema.parse(task.meta, 'meta', { partial: task.action === 'update' })
+    }
+    catch (err) {
+      return bluebird.resolve(failure(err))
+    }
+  }
+  const base = { row: row.row, ok: true, action: task.action }
+  if (dryRun) {
+    return bluebird.resolve(objectAssign(base, { user_id: task.userId || null, dry_run: true }))
+  }
+  const call = task.action === 'update'
+    ? realm.userUpdate(task.userId || '', task.meta).then(() => task.userId)
+    : realm.userAdd(task.defer, task.meta).then(resp => resp && typeof resp === 'object' ? resp.user_id : null)
+  return call.then(
+    userId => objectAssign(base, { user_id: userId || null }),
+    failure
+  )
+}
+
+function toTask(record: Object, mode: string): Object {
+  const userId = typeof record.user_id === 'string' && record.user_id !== '' ? record.user_id : null
+  const action = mode === 'auto' ? (userId ? 'update' : 'add') : mode
+  if (action === 'update' && !userId) {
+    return { error: rowError('user_id is required to update a user') }
+  }
+  const meta = record.__meta || objectAssign({}, record)
+  RESERVED.forEach(key => { delete meta[key] })
+  if (action === 'update' && Object.keys(meta).length === 0) {
+    return { error: rowError('row has no metadata to update') }
+  }
+  const defer = record.defer === true || record.defer === 'true' ? 'true' : 'false'
+  return { action, userId, defer, meta }
+}
+
+/**
+ * Incrementally parses RFC 4180 CSV.  The first record is the header.
+ *
+ * @private
+ */
+class CsvRowReader {
+  _field: string;
+  _record: string[];
+  _inQuotes: boolean;
+  _quotePending: boolean;
+  _header: ?string[];
+  _row: number;
+  _sawData: boolean;
+
+  constructor() {
+    this._field        = ''
+    this._record       = []
+    this._inQuotes     = false
+    this._quotePending = false
+    this._header       = null
+    this._row          = 0
+    this._sawData      = false
+  }
+
+  push(text: string): Row[] {
+    const rows = []
+    for (var i = 0; i < text.length; i++) {
+      const c = text[i]
+      if (this._quotePending) {
+        this._quotePending = false
+        if (c === '"') {
+          this._field += '"'
+          continue
+        }
+        this._inQuotes = false
+      }
+      if (this._inQuotes) {
+        if (c === '"') { this._quotePending = true } else { this._field += c }
+        continue
+      }
+      if (c === '"' && this._field === '') {
+        this._inQuotes = true
+        this._sawData  = true
+      }
+      else if (c === ',') {
+        this._record.push(this._field)
+        this._field = ''
+        this._sawData = true
+      }
+      else if (c === '\n') {
+        this._endRecord(rows)
+      }
+      else if (c !== '\r') {
+        this._field += c
+        this._sawData = true
+      }
+    }
+    return rows
+  }
+
+  end(): Row[] {
+    const rows = []
+    if (this._inQuotes && !this._quotePending) {
+      this._row += 1
+      rows.push({ row: this._row, error: rowError('unterminated quoted field') })
+      return rows
+    }
+    this._endRecord(rows)
+    return rows
+  }
+
+  _endRecord(rows: Row[]) {
+    if (!this._sawData) {
+      return  // skip blank lines
+    }
+    this._record.push(this._field)
+    const values = this._record
+    this._field   = ''
+    this._record  = []
+    this._inQuotes = this._quotePending = false
+    this._sawData = false
+
+    if (!this._header) {
+      this._header = values.map(v => v.trim())
+      return
+    }
+    const header = this._header
+    this._row += 1
+    if (values.length !== header.length) {
+      rows.push({ row: this._row, error: rowError(
+        'expected ' + header.length + ' fields but found ' + values.length
+      ) })
+      return
+    }
+    const prefixed = header.some(name => name.indexOf(META_PREFIX) === 0)
+    const record   = {}
+    const meta     = {}
+    header.forEach((name, i) => {
+      if (values[i] === '') { return }
+      if (RESERVED.indexOf(name) >= 0) {
+        record[name] = values[i]
+      }
+      else if (!prefixed) {
+        meta[name] = values[i]
+      }
+      else if (name.indexOf(META_PREFIX) === 0) {
+        meta[name.slice(META_PREFIX.length)] = values[i]
+      }
+    })
+    record.__meta = meta
+    rows.push({ row: this._row, record })
+  }
+}
+
+/**
+ * Incrementally parses newline-delimited JSON.
+ *
+ * @private
+ */
+class NdjsonRowReader {
+  _partial: string;
+  _row: number;
+
+  constructor() {
+    this._partial = ''
+    this._row     = 0
+  }
+
+  push(text: string): Row[] {
+    const lines = (this._partial + text).split('\n')
+    this._partial = lines.pop()
+    return this._parse(lines)
+  }
+
+  end(): Row[] {
+    const rows = this._parse([this._partial])
+    this._partial = ''
+    return rows
+  }
+
+  _parse(lines: string[]): Row[] {
+    const rows = []
+    lines.forEach(line => {
+      if (line.trim() === '') { return }
+      this._row += 1
+      var value
+      try {
+        value = JSON.parse(line)
+      }
+      catch (e) {
+        rows.push({ row: this._row, error: rowError('line is not valid JSON') })
+        return
+      }
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        rows.push({ row: this._row, error: rowError('line is not a JSON object') })
+        return
+      }
+      const record = objectAssign({}, value)
+      if (value.meta && typeof value.meta === 'object') {
+        record.__meta = objectAssign({}, value.meta)
+      }
+      rows.push({ row: this._row, record })
+    })
+    return rows
+  }
+}
+
+function writeEach(users: Object, output: Writable, format: (user: Object) => string): Promise<{ count: number }> {
+  var count = 0
+  const step = () => users.next().then(result => {
+    if (result.done) {
+      return { count }
+    }
+    count += 1
+    return write(output, format(result.value)).then(step)
+  })
+  return step()
+}
+
+/**
+ * Writes to a stream, and waits for the stream to drain if its buffer is full.
+ *
+ * @private
+ */
+function write(output: Writable, text: string): Promise<void> {
+  return output.write(text)
+    ? bluebird.resolve()
+    : new bluebird(resolve => output.once('drain', resolve))
+}
+
+function csvLine(values: any[]): string {
+  return values.map(csvField).join(',') + '\r\n'
+}
+
+function csvField(value: any): string {
+  if (value === null || value === undefined) {
+    return ''
+  }
+  var text = value instanceof Date ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value)
+    : String(value)
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = "'" + text
+  }
+  return /[",\r\n]/.test(text) || /^\s|\s$/.test(text)
+    ? '"' + text.replace(/"/g, '""') + '"'
+    : text
+}
+
+function metaKeys(known: string[], users: Object[]): string[] {
+  const seen = Object.create(null)
+  const keys = []
+  known.forEach(key => {
+    seen[key] = true
+    keys.push(key)
+  })
+  users.forEach(user => {
+    Object.keys(user.meta || {}).forEach(key => {
+      if (!seen[key]) {
+        seen[key] = true
+        keys.push(key)
+      }
+    })
+  })
+  return keys
+}
+
+/**
+ * Reads up to `count` users from an iterator.
+ *
+ * @private
+ */
+function take(users: Object, count: number): Promise<Object[]> {
+  const taken = []
+  const step = () => taken.length >= count ? bluebird.resolve(taken) : users.next().then(result => {
+    if (result.done) {
+      return taken
+    }
+    taken.push(result.value)
+    return step()
+  })
+  return step()
+}
+
+/**
+ * Produces `items`, and then the rest of `users`.
+ *
+ * @private
+ */
+function prepend(items: Object[], users: Object): Object {
+  var i = 0
+  return {
+    next: () => i < items.length ? bluebird.resolve({ done: false, value: items[i++] }) : users.next()
+  }
+}
+
+function rowError(message: string): ValidationError {
+  return new ValidationError(message, { code: 'invalid_row' })
+}
+
+function invalidOption(message: string): ValidationError {
+  return new ValidationError(message, { code: 'invalid_option' })
+}
@@ -0,0 +1,415 @@
+/* @flow */
+
+import * as tozny from './crypto'
+import bluebird     from 'bluebird'
+import fs           from 'fs'
+import Realm        from './realm'
+
+import { ValidationError } from './errors'
+
+/**
+ * @class cli
+ * @singleton
+ *
+ * Module that implements the `tozny-auth` command-line tool.  The tool reads
+ * realm credentials from the `REALM_KEY_ID`, `SECRET`, and `API_URL`
+ * environment variables - the same ones the specs use - or from a JSON file
+ * given with `--config`.  `REALM_SECRET` is read if `SECRET` is not set.
+ * A config file looks like this:
+ *
+ *     { "realmKeyId": "sid_...", "realmSecret": "...", "apiUrl": "https://api.tozny.com" }
+ *
+ * Values in the config file take precedence over the environment.  For
+ * example:
+ *
+ *     $ tozny-auth user get sid_2ae8001385271 --format table
+ *     $ tozny-auth user list --meta department=eng --limit 20
+ *     $ tozny-auth call realm.users_get --param term=example.com
+ *
+ * Run `tozny-auth help` for the full list of commands.
+ */
+
+export type CliIo = {
+  env:      { [key:string]: ?string },
+  stdout:   { write: Function },
+  stderr:   { write: Function },
+  readFile: (path: string) => string,
+}
+
+type Args = {
+  positional: string[],
+  options:    { [key:string]: Array<string|true> },
+}
+
+type Command = {
+  usage:   string,
+  summary: string,
+  run:     (args: Args, realm: () => Realm) => Promise<any>|any,
+}
+
+const FLAGS = ['defer', 'no-send', 'help']
+
+const COMMANDS: { [name:string]: Command } = {
+  'user get': {
+    usage:   'user get <user_id>',
+    summary: 'Fetch a user',
+    run:     (args, realm) => realm().userGet(positional(args, 0, 'user_id')),
+  },
+  'user exists': {
+    usage:   'user exists (<user_id> | --email <email>)',
+    summary: 'Check whether a user exists',
+    run:     (args, realm) => {
+      const email = option(args, 'email')
+      return email
+        ? realm().userEmailExists(email)
+        : realm().userExists(positional(args, 0, 'user_id'))
+    },
+  },
+  'user list': {
+    usage:   'user list [--term <text>] [--meta <field>=<value>]... [--email <email>] [--limit <n>]',
+    summary: 'List users that match a filter',
+    run:     (args, realm) => {
+      var query = realm().users()
+      const term  = option(args, 'term')
+      const email = option(args, 'email')
+      const limit = option(args, 'limit')
+      if (term)  { query = query.term(term) }
+      if (email) { query = query.whereTozny('email', email) }
+      pairs(args, 'meta').forEach(([field, value]) => { query = query.whereMeta(field, value) })
+      return limit
+        ? query.limit(integer(limit, 'limit')).get().then(results => Object.keys(results).map(id => results[id]))
+        : query.iterate().toArray()
+    },
+  },
+  'user add': {
+    usage:   'user add [--defer] [--meta <field>=<value>]...',
+    summary: 'Add a user',
+    run:     (args, realm) => realm().userAdd(
+      flag(args, 'defer') ? 'true' : 'false', args.options.meta ? meta(args) : null
+    ),
+  },
+  'user update': {
+    usage:   'user update <user_id> --meta <field>=<value>...',
+    summary: "Update a user's metadata",
+    run:     (args, realm) => realm().userUpdate(positional(args, 0, 'user_id'), meta(args)),
+  },
+  'otp-challenge': {
+    usage:   'otp-challenge (--type <type> --destination <destination> | --presence <presence>) [--context <context>] [--data <json>]',
+    summary: 'Send a one-time password',
+    run:     (args, realm) => {
+      const presence = option(args, 'presence')
+      if (!presence) {
+        required(args, 'type')
+        required(args, 'destination')
+      }
+      return realm().otpChallenge(
+        option(args, 'type'), option(args, 'context'), option(args, 'destination'),
+        presence || undefined, option(args, 'data')
+      )
+    },
+  },
+  'link-challenge': {
+    usage:   'link-challenge --destination <destination> --endpoint <url> [--lifespan <seconds>] [--context <context>] [--no-send] [--data <json>]',
+    summary: 'Send a magic link',
+    run:     (args, realm) => {
+      const lifespan = option(args, 'lifespan')
+      return realm().linkChallenge(
+        required(args, 'destination'), required(args, 'endpoint'),
+        lifespan ? integer(lifespan, 'lifespan') : null,
+        option(args, 'context'), !flag(args, 'no-send'), option(args, 'data')
+      )
+    },
+  },
+  'check-valid-login': {
+    usage:   'check-valid-login <user_id> <session_id> [--expires-at <unix time>]',
+    summary: 'Check that a login session is valid',
+    run:     (args, realm) => {
+      const expiresAt = option(args, 'expires-at')
+      return realm().checkValidLogin(
+        positional(args, 0, 'user_id'), positional(args, 1, 'session_id'),
+        expiresAt ? new Date(integer(expiresAt, 'expires-at') * 1000) : new Date()
+      )
+    },
+  },
+  'call': {
+    usage:   'call <method> [--param <name>=<value>]...',
+    summary: 'Make any API call',
+    run:     (args, realm) => {
+      const params = {}
+      pairs(args, 'param').forEach(([name, value]) => { params[name] = value })
+      return realm().rawCall(positional(args, 0, 'method'), params)
+    },
+  },
+  'decode': {
+    usage:   'decode <signed_data>',
+    summary: 'Decode a signed payload without checking its signature',
+    run:     args => {
+      const text = tozny.fromBase64(positional(args, 0, 'signed_data')).toString('utf8')
+      try {
+        return JSON.parse(text)
+      }
+      catch (e) {
+        throw new ValidationError('signed_data is not base64-encoded JSON', { code: 'malformed_payload' })
+      }
+    },
+  },
+  'verify': {
+    usage:   'verify <signed_data> <signature>',
+    summary: 'Check the signature and expiration of a signed payload',
+    run:     (args, realm) => realm().verifyLogin(
+      positional(args, 0, 'signed_data'), positional(args, 1, 'signature')
+    ),
+  },
+}
+
+/**
+ * Runs the command given by `argv`, and writes its result to `io.stdout`.
+ *
+ * @param {string[]} argv Command-line arguments, without the node executable
+ * and script path
+ * @param {Object} [io] Environment and streams; defaults to those of the
+ * current process
+ * @return {Promise.<number>} Resolves to the exit status: 0 on success, 1 if
+ * the command failed, and 2 if it was used incorrectly
+ */
+export function run(argv: string[], io?: CliIo): Promise<number> {
+  const env = io || processIo()
+  var args, command
+
+  return bluebird.try(() => {
+    args    = parseArgs(argv)
+    command = findCommand(args)
+    if (!command) {
+      if (args.positional.length === 0 || args.positional[0] === 'help' || flag(args, 'help')) {
+        env.stdout.write(usage())
+        return null
+      }
+      throw usageError('unknown command "' + args.positional.join(' ') + '"')
+    }
+    const format = option(args, 'format') || 'json'
+    if (format !== 'json' && format !== 'table') {
+      throw usageError('--format must be "json" or "table"')
+    }
+    var realm
+    const getRealm = () => realm || (realm = makeRealm(args, env))
+    return bluebird.resolve(command.run(args, getRealm)).then(result => {
+      env.stdout.write(format === 'table' ? table(result) : JSON.stringify(result, null, 2) + '\n')
+    })
+  })
+  .then(() => 0, err => {
+    if (err instanceof ValidationError && err.code === 'invalid_arguments') {
+      env.stderr.write('error: ' + err.message + '\n')
+      env.stderr.write(command ? 'usage: tozny-auth ' + command.usage + '\n' : usage())
+      return 2
+    }
+    env.stderr.write('error: ' + err.message + (err.code ? ' (' + err.code + ')' : '') + '\n')
+    return 1
+  })
+}
+
+/**
+ * Entry point for `bin/tozny-auth`.
+ */
+export function main() {
+  run(process.argv.slice(2)).then(status => { process.exitCode = status })
+}
+
+function processIo(): CliIo {
+  return {
+    env:      process.env,
+    stdout:   process.stdout,
+    stderr:   process.stderr,
+    readFile: path => fs.readFileSync(path, 'utf8'),
+  }
+}
+
+function makeRealm(args: Args, io: CliIo): Realm {
+  var config = {}
+  const configPath = option(args, 'config')
+  if (configPath) {
+    try {
+      config = JSON.parse(io.readFile(configPath))
+    }
+    catch (e) {
+      throw usageError('cannot read config file ' + configPath + ': ' + e.message)
+    }
+  }
+  const keyId  = config.realmKeyId || io.env.REALM_KEY_ID
+  const secret = config.realmSecret || io.env.SECRET || io.env.REALM_SECRET
+  const apiUrl = option(args, 'api-url') || config.apiUrl || io.env.API_URL
+  if (!keyId || !secret) {
+    throw usageError('realm credentials are required; set REALM_KEY_ID and SECRET, or use --config')
+  }
+  return new Realm(keyId, secret, apiUrl)
+}
+
+function parseArgs(argv: string[]): Args {
+  const args = { positional: [], options: {} }
+  for (var i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg.indexOf('--') !== 0) {
+      args.positional.push(arg)
+      continue
+    }
+    const eq   = arg.indexOf('=')
+    const name = eq > 0 ? arg.slice(2, eq) : arg.slice(2)
+    var value
+    if (eq > 0) {
+      value = arg.slice(eq + 1)
+    }
+    else if (FLAGS.indexOf(name) >= 0) {
+      value = true
+    }
+    else if (i + 1 < argv.length) {
+      value = argv[++i]
+    }
+    else {
+      throw usageError('--' + name + ' requires a value')
+    }
+    args.options[name] = (args.options[name] || []).concat([value])
+  }
+  return args
+}
+
+/**
+ * Two-word commands are matched before one-word commands.  The command words
+ * are removed from the positional arguments.
+ *
+ * @private
+ */
+function findCommand(args: Args): ?Command {
+  const words = args.positional
+  if (words.length >= 2 && COMMANDS[words[0] + ' ' + words[1]]) {
+    const command = COMMANDS[words[0] + ' ' + words[1]]
+    args.positional = words.slice(2)
+    return command
+  }
+  if (words.length >= 1 && words[0] !== 'user' && COMMANDS[words[0]]) {
+    const command = COMMANDS[words[0]]
+    args.positional = words.slice(1)
+    return command
+  }
+  return null
+}
+
+function option(args: Args, name: string): ?string {
+  const values = args.options[name]
+  if (!values) { return null }
+  const value = values[values.length - 1]
+  return typeof value === 'string' ? value : null
+}
+
+function flag(args: Args, name: string): boolean {
+  return !!args.options[name]
+}
+
+function required(args: Args, name: string): string {
+  const value = option(args, name)
+  if (!value) {
+    throw usageError('--' + name + ' is required')
+  }
+  return value
+}
+
+function positional(args: Args, index: number, name: string): string {
+  const value = args.positional[index]
+  if (!value) {
+    throw usageError('<' + name + '> is required')
+  }
+  return value
+}
+
+function pairs(args: Args, name: string): Array<[string, string]> {
+  return (args.options[name] || []).map(pair => {
+    const text = String(pair)
+    const eq   = text.indexOf('=')
+    if (eq < 1) {
+      throw usageError('--' + name + ' must be given as <name>=<value>')
+    }
+    return [text.slice(0, eq), text.slice(eq + 1)]
+  })
+}
+
+function meta(args: Args): Object {
+  const fields = pairs(args, 'meta')
+  if (fields.length === 0) {
+    throw usageError('at least one --meta is required')
+  }
+  const result = {}
+  fields.forEach(([field, value]) => { result[field] = value })
+  return result
+}
+
+function integer(text: string, name: string): number {
+  const n = Number(text)
+  if (!/^\d+$/.test(text) || !isFinite(n)) {
+    throw usageError('--' + name + ' must be a non-negative integer')
+  }
+  return n
+}
+
+function usage(): string {
+  const lines = Object.keys(COMMANDS).map(name => {
+    const command = COMMANDS[name]
+    return '  tozny-auth ' + command.usage + '\n      ' + command.summary
+  })
+  return 'usage:\n' + lines.join('\n') + '\n\n' +
+    'options:\n' +
+    '  --config <file>   JSON file with realmKeyId, realmSecret, and apiUrl\n' +
+    '  --api-url <url>   Tozny API URL (default: $API_URL)\n' +
+    '  --format <format> "json" (default) or "table"\n\n' +
+    'environment:\n' +
+    '  REALM_KEY_ID      Realm key id, unless given by --config\n' +
+    '  SECRET            Realm secret, unless given by --config (or REALM_SECRET)\n' +
+    '  API_URL           Tozny API URL\n'
+}
+
+/**
+ * Formats a result as a plain-text table: arrays of objects get a column per
+ * field, objects get a row per field, and other values are printed as-is.
+ *
+ * @private
+ */
+function table(result: any): string {
+  if (Array.isArray(result)) {
+    if (result.length === 0) { return '(no results)\n' }
+    const columns = []
+    result.forEach(row => Object.keys(row || {}).forEach(key => {
+      if (columns.indexOf(key) < 0) { columns.push(key) }
+    }))
+    return grid([columns].concat(result.map(row => columns.map(key => cell(row[key])))), true)
+  }
+  if (result && typeof result === 'object') {
+    const keys = Object.keys(result)
+    if (keys.length === 0) { return '(no results)\n' }
+    return grid(keys.map(key => [key, cell(result[key])]), false)
+  }
+  return cell(result) + '\n'
+}
+
+function grid(rows: string[][], header: boolean): string {
+  const widths = rows[0].map((_, i) => Math.max.apply(null, rows.map(row => row[i].length)))
+  const line   = row => row.map((value, i) => pad(value, widths[i])).join('  ').replace(/\s+$/, '')
+  const lines  = rows.map(line)
+  if (header) {
+    lines.splice(1, 0, widths.map(w => repeat('-', w)).join('  '))
+  }
+  return lines.join('\n') + '\n'
+}
+
+function cell(value: any): string {
+  if (value === null || value === undefined) { return '' }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value)
+}
+
+function pad(text: string, width: number): string {
+  return text + repeat(' ', width - text.length)
+}
+
+function repeat(text: string, n: number): string {
+  return new Array(n + 1).join(text)
+}
+
+function usageError(message: string): ValidationError {
+  return new ValidationError(message, { code: 'invalid_arguments' })
+}
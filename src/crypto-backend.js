@@ -0,0 +1,173 @@
+/* @flow */
+
+import bluebird from 'bluebird'
+
+/**
+ * @class crypto-backend
+ * @singleton
+ *
+ * Module that exports the primitives that signing depends on: HMAC-SHA256 and
+ * a source of random bytes.  There are two implementations:
+ * {@link NodeCryptoBackend}, which uses Node's `crypto` module, and
+ * {@link WebCryptoBackend}, which uses the Web Crypto API (`crypto.subtle`)
+ * found in browsers, edge workers, Deno, and Bun.  Node's is used where it is
+ * available; otherwise Web Crypto is.
+ *
+ * To use a particular implementation, call {@link #setCryptoBackend} before
+ * making any calls:
+ *
+ *     var tozny = require('tozny-auth');
+ *     tozny.setCryptoBackend(new tozny.WebCryptoBackend());
+ *
+ * Where Node's modules are not available, load {@link Realm} from
+ * `tozny-auth/lib/realm` rather than from the package index, and give it
+ * a `transport` - for example one that sends requests with `fetch`.  The
+ * Node transports are only loaded when no transport is given.
+ */
+
+/**
+ * @class CryptoBackend
+ * @abstract
+ * Interface implemented by crypto backends.
+ */
+
+/**
+ * @method hmacSha256
+ * Computes an HMAC-SHA256 digest.
+ *
+ * @param {Uint8Array} key
+ * @param {Uint8Array} message
+ * @return {Promise.<Uint8Array>} 32-byte digest
+ */
+
+/**
+ * @method randomBytes
+ * Produces cryptographically strong random bytes.
+ *
+ * @param {number} size
+ * @return {Uint8Array}
+ */
+export type CryptoBackend = {
+  name: string,
+  hmacSha256(key: Uint8Array, message: Uint8Array): Promise<Uint8Array>,
+  randomBytes(size: number): Uint8Array,
+}
+
+/**
+ * @class NodeCryptoBackend
+ * @implements CryptoBackend
+ * Backend that uses Node's `crypto` module.
+ *
+ * @constructor
+ * @param {Object} [nodeCrypto] The `crypto` module.  Loaded with `require`
+ * if not given.
+ */
+export class NodeCryptoBackend {
+  name: string;
+  _crypto: any;
+
+  constructor(nodeCrypto?: any) {
+    this.name    = 'node'
+    this._crypto = nodeCrypto || require('crypto')
+  }
+
+  hmacSha256(key: Uint8Array, message: Uint8Array): Promise<Uint8Array> {
+    const hmac = this._crypto.createHmac('sha256', key)
+    hmac.update(message)
+    return bluebird.resolve(new Uint8Array(hmac.digest()))
+  }
+
+  randomBytes(size: number): Uint8Array {
+    return new Uint8Array(this._crypto.randomBytes(size))
+  }
+}
+
+/**
+ * @class WebCryptoBackend
+ * @implements CryptoBackend
+ * Backend that uses the Web Crypto API.
+ *
+ * @constructor
+ * @param {Object} [webCrypto] Object with `subtle` and `getRandomValues`.
+ * Defaults to the global `crypto`.
+ */
+export class WebCryptoBackend {
+  name: string;
+  _crypto: any;
+
+  constructor(webCrypto?: any) {
+    const wc = webCrypto || globalCrypto()
+    if (!wc || !wc.subtle || typeof wc.getRandomValues !== 'function') {
+      throw new Error('The Web Crypto API is not available in this runtime')
+    }
+    this.name    = 'webcrypto'
+    this._crypto = wc
+  }
+
+  hmacSha256(key: Uint8Array, message: Uint8Array): Promise<Uint8Array> {
+    const subtle = this._crypto.subtle
+    return bluebird.resolve(
+      subtle.importKey('raw', key, { name: 'HMAC', hash: { name: 'SHA-256' } }, false, ['sign'])
+    ).then(cryptoKey =>
+      subtle.sign('HMAC', cryptoKey, message)
+    ).then(digest => new Uint8Array(digest))
+  }
+
+  randomBytes(size: number): Uint8Array {
+    const bytes = new Uint8Array(size)
+    // getRandomValues fills at most 65536 bytes per call.
+    for (var offset = 0; offset < size; offset += 65536) {
+      this._crypto.getRandomValues(bytes.subarray(offset, Math.min(size, offset + 65536)))
+    }
+    return bytes
+  }
+}
+
+var selected: ?CryptoBackend = null
+
+/**
+ * Picks a backend for this runtime: {@link NodeCryptoBackend} under Node,
+ * and {@link WebCryptoBackend} elsewhere.
+ *
+ * @return {CryptoBackend}
+ */
+export function detectCryptoBackend(): CryptoBackend {
+  const isNode = typeof process !== 'undefined' && !!process.versions && !!process.versions.node
+  if (isNode) {
+    try {
+      return new NodeCryptoBackend()
+    }
+    catch (e) {
+      // Fall back to Web Crypto, as in a bundle where `crypto` is stubbed out.
+    }
+  }
+  return new WebCryptoBackend()
+}
+
+/**
+ * @return {CryptoBackend} The backend in use, detecting it on first use
+ */
+export function cryptoBackend(): CryptoBackend {
+  if (!selected) {
+    selected = detectCryptoBackend()
+  }
+  return selected
+}
+
+/**
+ * Replaces the backend in use.  Give `null` to detect it again.
+ *
+ * @param {CryptoBackend} backend
+ */
+export function setCryptoBackend(backend: ?CryptoBackend) {
+  selected = backend
+}
+
+function globalCrypto(): any {
+  /* global self */
+  const scope: any = typeof self !== 'undefined' ? self
+    : typeof global !== 'undefined' ? global
+    : typeof window !== 'undefined' ? window
+    : {}
+  return scope.crypto
+}
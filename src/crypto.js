@@ -1,14 +1,18 @@
 /* @flow */
 
-import * as crypto                        from 'crypto'
-import promisePlugin                      from 'superagent-promise-plugin'
-import { default as bluebird, promisify } from 'bluebird'
-import request                            from 'superagent'
+import bluebird                           from 'bluebird'
 import objectAssign                       from 'object-assign'
+import { apiError }                       from './errors'
+import { dispatch, send }                 from './rpc'
+import { cryptoBackend }                  from './crypto-backend'
+import { utf8Encode, base64Encode, base64Decode, hexEncode } from './encoding'
+
+import type { CallOptions } from './rpc'
 
 export {
   sign,
   checkSignature,
+  constantTimeEqual,
   encodeTime,
   fromBase64,
   toBase64,
@@ -16,14 +20,14 @@ export {
   sendRequest,
 }
 
-promisePlugin.Promise = bluebird
-
 /**
  * @class crypto
  * @singleton
  *
  * Module that exports functions to produce, sign, serialize, and deserialize
- * API challenges and responses.
+ * API challenges and responses.  Signing goes through the
+ * {@link crypto-backend}, and encoding does not use `Buffer`, so that these
+ * functions also run outside of Node.
  * Intended for internal use.
  */
 
@@ -36,21 +40,26 @@ promisePlugin.Promise = bluebird
  * @param {string} secret
  * @param {string} method Name of API method to invoke via RPC
  * @param {Object} [params] Parameters to send with API call
- * @return {Promise.<Object>}
+ * @param {Object} [opts] Timeout, retry, and cancellation options; see {@link rpc}
+ * @return {Promise.<Object>} Fails with {@link ToznyApiError} if the API reports
+ * an error, with {@link TransportError} if no usable response is received, or
+ * with {@link AbortError} if the call is cancelled
  */
 function sendRequest<T>(apiUrl: string,
                         realmKeyId: string,
                         secret: string,
                         method: string,
-                        params: Object): Promise<T> {
-  return mkRequest(realmKeyId, secret, method, params).then(function(req) {
-    return request
-      .post(apiUrl)
-      .type('form')
-      .send(req)
-      .use(promisePlugin)
-      .then(resp => resp.body);
-  });
+                        params: Object,
+                        opts?: ?CallOptions): Promise<T> {
+  return dispatch(method, function(callOpts) {
+    // Sign every attempt separately so that each one carries a fresh nonce.
+    return mkRequest(realmKeyId, secret, method, params).then(function(req) {
+      return send(apiUrl, req, callOpts, method);
+    }).then(function(body) {
+      const err = apiError(method, body);
+      return err ? bluebird.reject(err) : body;
+    });
+  }, opts, params);
 }
 
 /**
@@ -89,48 +98,63 @@ function mkRequest(realmKeyId: string,
 }
 
 /**
- * Produces an HMAC signature of an arbitrary [Buffer][] or utf8-encoded string.
- *
- * [Buffer]: http://nodejs.org/api/buffer.html#buffer_new_buffer_str_encoding
+ * Produces an HMAC signature of arbitrary bytes or of a utf8-encoded string.
  *
- * @param {string} secret UTF8-encoded (a.k.a. ASCII) hexadecimal string
- * @param {Buffer/string} message Message to sign
+ * @param {string/Uint8Array} secret UTF8-encoded (a.k.a. ASCII) hexadecimal
+ * string, or raw key bytes
+ * @param {Uint8Array/string} message Message to sign
  * @return {Promise.<string>} URL-safe base64-encoded signature
  */
-function sign(secret: string, message: Buffer|string): Promise<string> {
-  const hmac = crypto.createHmac('sha256', secret);
-  hmac.update(message);
-  const result = toBase64(hmac.digest());
-  return bluebird.resolve(result);
+function sign(secret: string|Uint8Array, message: Uint8Array|string): Promise<string> {
+  const key  = typeof secret === 'string' ? utf8Encode(secret) : secret;
+  const data = typeof message === 'string' ? utf8Encode(message) : message;
+  return bluebird.resolve(cryptoBackend().hmacSha256(key, data)).then(toBase64);
 }
 
 /**
  * Verifies a signature by reproducing it, given the same secret and message.
  *
- * @param {string} secret UTF8-encoded (a.k.a. ASCII) hexadecimal string
+ * @param {string/Uint8Array} secret UTF8-encoded (a.k.a. ASCII) hexadecimal string
  * @param {string} signature URL-safe base64-encoded signature to verify
- * @param {Buffer/string} message Message corresponding to signature
+ * @param {Uint8Array/string} message Message corresponding to signature
  * @return {Promise.<boolean>} True if computed signature matches the given signature
  */
-function checkSignature(secret: string, signature: string, message: Buffer|string): Promise<boolean> {
+function checkSignature(secret: string|Uint8Array, signature: string,
+                        message: Uint8Array|string): Promise<boolean> {
   return sign(secret, message).then(function(expected) {
-    return signature == expected;  // TODO: timing insensitive comparison
+    return constantTimeEqual(expected, signature);
   });
 }
 
 /**
- * Computes 32 random bytes, encoded as a hexadecimal string.  Uses Node's
- * built-in [`crypto.randomBytes`][randomBytes] function, which is reported to
- * be cryptographically strong.
+ * Compares two strings in time that depends only on their lengths, not on
+ * their contents.  Use this to compare secret values such as signatures.
  *
- * [randomBytes]: http://nodejs.org/api/crypto.html#crypto_crypto_randombytes_size_callback
+ * @param {string} a
+ * @param {string} b
+ * @return {boolean} True if the strings are identical
+ */
+function constantTimeEqual(a: string, b: string): boolean {
+  if (typeof a !== 'string' || typeof b !== 'string') {
+    return false;
+  }
+  var len  = Math.max(a.length, b.length);
+  var diff = a.length ^ b.length;
+  for (var i = 0; i < len; i++) {
+    // charCodeAt returns NaN past the end of a string; `| 0` turns that into 0
+    diff |= (a.charCodeAt(i) | 0) ^ (b.charCodeAt(i) | 0);
+  }
+  return diff === 0;
+}
+
+/**
+ * Computes 32 random bytes, encoded as a hexadecimal string.  Uses the
+ * {@link crypto-backend}, whose random bytes are cryptographically strong.
  *
  * @private
  */
 function getNonce() {
-  return promisify(crypto.randomBytes)(32).then(function(buf) {
-    return buf.toString('hex');
-  });
+  return bluebird.try(() => hexEncode(cryptoBackend().randomBytes(32)));
 }
 
 function getExpires() {
@@ -151,32 +175,29 @@ function encodeTime(time: Date|number): string {
 }
 
 /**
- * Encodes a [Buffer][] or a utf8-encoded string using a URL-safe variant of Base64.
- *
- * [Buffer]: http://nodejs.org/api/buffer.html#buffer_new_buffer_str_encoding
+ * Encodes bytes or a utf8-encoded string using a URL-safe variant of Base64.
  *
- * @param {Buffer/string} data
+ * @param {Uint8Array/string} data
  * @return {string}
  */
-function toBase64(data: Buffer|string): string {
-  var buf = data instanceof Buffer ? data : new Buffer(data, 'utf8');
-  return buf.toString('base64')
-  .replace(/\+/g, '-')
-  .replace(/\//g, '_')
-  .replace(/=/g, '');
+function toBase64(data: Uint8Array|string): string {
+  return base64Encode(typeof data === 'string' ? utf8Encode(data) : data, true);
 }
 
 /**
- * Decodes a string from a URL-safe variant of Base64 into a Buffer.
+ * Decodes a string from a URL-safe variant of Base64.  Under Node the result
+ * is a [Buffer][], so that it can be turned back into text with
+ * `.toString('utf8')`; elsewhere it is a `Uint8Array`.  Use
+ * {@link encoding#utf8Decode} to get text in any runtime.
  *
- * [Buffer]: http://nodejs.org/api/buffer.html#buffer_new_buffer_str_encoding
+ * [Buffer]: http://nodejs.org/api/buffer.html
  *
  * @param {string} data
- * @return {Buffer}
+ * @return {Uint8Array}
  */
-function fromBase64(data: string): Buffer {
-  var fromUrlSafe = data
-  .replace(/-/g, '+')
-  .replace(/_/g, '/') + '=';
-  return new Buffer(fromUrlSafe, 'base64');
+function fromBase64(data: string): Uint8Array {
+  const bytes = base64Decode(data);
+  return typeof Buffer === 'function' && typeof Buffer.from === 'function'
+    ? Buffer.from(bytes.buffer, bytes.byteOffset, bytes.length)
+    : bytes;
 }
@@ -0,0 +1,159 @@
+/* @flow */
+
+/**
+ * @class encoding
+ * @singleton
+ *
+ * Module that exports UTF-8 and Base64 codecs that work on `Uint8Array`s, so
+ * that signing and verifying do not depend on Node's `Buffer`.
+ * Intended for internal use.
+ */
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+const URL_SAFE = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_'
+
+const LOOKUP: { [key:string]: number } = {}
+ALPHABET.split('').forEach((ch, i) => {
+  LOOKUP[ch] = i
+  LOOKUP[URL_SAFE[i]] = i
+})
+
+/**
+ * Encodes a string as UTF-8.  Unpaired surrogates are encoded as U+FFFD.
+ *
+ * @param {string} str
+ * @return {Uint8Array}
+ */
+export function utf8Encode(str: string): Uint8Array {
+  const bytes = []
+  for (var i = 0; i < str.length; i++) {
+    var c = str.charCodeAt(i)
+    if (c >= 0xd800 && c <= 0xdbff && i + 1 < str.length) {
+      const next = str.charCodeAt(i + 1)
+      if (next >= 0xdc00 && next <= 0xdfff) {
+        c = 0x10000 + ((c - 0xd800) << 10) + (next - 0xdc00)
+        i++
+      }
+    }
+    if (c >= 0xd800 && c <= 0xdfff) {
+      c = 0xfffd
+    }
+    if (c < 0x80) {
+      bytes.push(c)
+    }
+    else if (c < 0x800) {
+      bytes.push(0xc0 | c >> 6, 0x80 | c & 0x3f)
+    }
+    else if (c < 0x10000) {
+      bytes.push(0xe0 | c >> 12, 0x80 | c >> 6 & 0x3f, 0x80 | c & 0x3f)
+    }
+    else {
+      bytes.push(0xf0 | c >> 18, 0x80 | c >> 12 & 0x3f, 0x80 | c >> 6 & 0x3f, 0x80 | c & 0x3f)
+    }
+  }
+  return new Uint8Array(bytes)
+}
+
+/**
+ * Decodes UTF-8.  Malformed sequences are decoded as U+FFFD.
+ *
+ * @param {Uint8Array} bytes
+ * @return {string}
+ */
+export function utf8Decode(bytes: Uint8Array): string {
+  var out = ''
+  var i   = 0
+  while (i < bytes.length) {
+    const b = bytes[i]
+    const n = b < 0x80 ? 0 : b >= 0xc2 && b < 0xe0 ? 1 : b >= 0xe0 && b < 0xf0 ? 2 : b >= 0xf0 && b < 0xf5 ? 3 : -1
+    if (n < 0) {
+      out += '\ufffd'
+      i++
+      continue
+    }
+    var c = n === 0 ? b : b & (0x3f >> n)
+    var j = 1
+    for (; j <= n; j++) {
+      const cont = bytes[i + j]
+      if (typeof cont !== 'number' || (cont & 0xc0) !== 0x80) { break }
+      c = c << 6 | cont & 0x3f
+    }
+    const overlong = n === 2 && c < 0x800 || n === 3 && c < 0x10000
+    if (j <= n || overlong || c > 0x10ffff || c >= 0xd800 && c <= 0xdfff) {
+      out += '\ufffd'
+      i += Math.max(j, 1)
+      continue
+    }
+    if (c >= 0x10000) {
+      c -= 0x10000
+      out += String.fromCharCode(0xd800 + (c >> 10), 0xdc00 + (c & 0x3ff))
+    }
+    else {
+      out += String.fromCharCode(c)
+    }
+    i += n + 1
+  }
+  return out
+}
+
+/**
+ * Encodes bytes as Base64.
+ *
+ * @param {Uint8Array} bytes
+ * @param {boolean} [urlSafe=false] Use the URL-safe alphabet, and leave out
+ * padding
+ * @return {string}
+ */
+export function base64Encode(bytes: Uint8Array, urlSafe?: boolean): string {
+  const alphabet = urlSafe ? URL_SAFE : ALPHABET
+  var out = ''
+  for (var i = 0; i < bytes.length; i += 3) {
+    const b0 = bytes[i]
+    const b1 = i + 1 < bytes.length ? bytes[i + 1] : 0
+    const b2 = i + 2 < bytes.length ? bytes[i + 2] : 0
+    out += alphabet[b0 >> 2] + alphabet[(b0 & 0x03) << 4 | b1 >> 4]
+    out += i + 1 < bytes.length ? alphabet[(b1 & 0x0f) << 2 | b2 >> 6] : (urlSafe ? '' : '=')
+    out += i + 2 < bytes.length ? alphabet[b2 & 0x3f] : (urlSafe ? '' : '=')
+  }
+  return out
+}
+
+/**
+ * Decodes Base64 in either the standard or the URL-safe alphabet, with or
+ * without padding.  Characters outside of both alphabets are skipped.
+ *
+ * @param {string} str
+ * @return {Uint8Array}
+ */
+export function base64Decode(str: string): Uint8Array {
+  const bytes = []
+  var acc  = 0
+  var bits = 0
+  for (var i = 0; i < str.length; i++) {
+    const ch = str[i]
+    if (ch === '=') { break }
+    const v = LOOKUP[ch]
+    if (typeof v !== 'number') { continue }
+    acc   = (acc << 6 | v) & 0xffffff
+    bits += 6
+    if (bits >= 8) {
+      bits -= 8
+      bytes.push(acc >> bits & 0xff)
+    }
+  }
+  return new Uint8Array(bytes)
+}
+
+/**
+ * Encodes bytes as a lowercase hexadecimal string.
+ *
+ * @param {Uint8Array} bytes
+ * @return {string}
+ */
+export function hexEncode(bytes: Uint8Array): string {
+  var out = ''
+  for (var i = 0; i < bytes.length; i++) {
+    out += (bytes[i] < 0x10 ? '0' : '') + bytes[i].toString(16)
+  }
+  return out
+}
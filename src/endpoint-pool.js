@@ -0,0 +1,255 @@
+/* @flow */
+
+import bluebird from 'bluebird'
+
+import { ToznyApiError, TransportError } from './errors'
+
+/**
+ * @class endpoint-pool
+ * @singleton
+ *
+ * Module that exports {@link EndpointPool}.  Import with:
+ *
+ *     var EndpointPool = require('tozny-auth').EndpointPool;
+ *
+ * Give the {@link Realm} or {@link User} constructor a list of API URLs,
+ * in order of preference, to fail over between them:
+ *
+ *     var realm = new Realm(keyId, secret, [
+ *       'https://api.tozny.com',
+ *       'https://api-backup.example.com',
+ *     ], { circuitBreaker: { failureThreshold: 3, resetTimeout: 30 * 1000 } });
+ *
+ *     app.get('/health', function(req, res) {
+ *       var health = realm.endpoints.health();
+ *       res.status(health.healthy ? 200 : 503).json(health);
+ *     });
+ *
+ * The `API_URL` environment variable may also list several URLs, separated
+ * by commas.
+ */
+
+export type CircuitBreakerOptions = {
+  failureThreshold?: number,
+  resetTimeout?:     number,
+}
+
+export type EndpointState = {
+  url:       string,
+  state:     'closed'|'open'|'half_open',
+  failures:  number,
+  openedAt:  ?Date,
+  lastError: ?string,
+}
+
+type Endpoint = {
+  url:       string,
+  failures:  number,
+  openedAt:  number,
+  probing:   boolean,
+  lastError: ?string,
+}
+
+// Errors that mean the request never reached the server, so that it is safe
+// to send it to another endpoint right away.
+const NOT_SENT = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH']
+
+/**
+ * @class EndpointPool
+ * Sends requests to the first healthy endpoint of an ordered list, with
+ * a circuit breaker for each endpoint:
+ *
+ * - An endpoint starts out **closed**, and requests go to it.
+ * - After `failureThreshold` failures in a row it **opens**, and requests go
+ *   to the next endpoint in the list.
+ * - Once `resetTimeout` milliseconds have passed it is **half-open**: the
+ *   next request is sent to it as a probe.  If the probe succeeds the
+ *   endpoint closes again; if it fails the endpoint stays open for another
+ *   `resetTimeout`.
+ *
+ * Failures are transport errors - connection failures, timeouts, and HTTP
+ * 5xx responses - and errors the API reports with a 5xx status.  Other errors
+ * reported by the API do not count.  If the
+ * connection to an endpoint is refused, or its name does not resolve, the
+ * request is sent to the next endpoint at once; other failures are left to
+ * the retry rules of the call.  If every endpoint is open, calls fail with
+ * a {@link TransportError} with the code `"circuit_open"`.
+ *
+ * @constructor
+ * @param {string[]} urls API URLs, in order of preference
+ * @param {Object} [opts]
+ * @param {number} [opts.failureThreshold=3] Failures in a row that open the
+ * circuit of an endpoint
+ * @param {number} [opts.resetTimeout=30000] Milliseconds an endpoint stays
+ * open before it is probed
+ */
+export default class EndpointPool {
+  failureThreshold: number;
+  resetTimeout: number;
+  _endpoints: Endpoint[];
+
+  constructor(urls: string[], opts?: CircuitBreakerOptions) {
+    if (!Array.isArray(urls) || urls.length === 0) {
+      throw new TypeError('EndpointPool needs at least one URL')
+    }
+    const o = opts || {}
+    this.failureThreshold = typeof o.failureThreshold === 'number' ? Math.max(1, o.failureThreshold) : 3
+    this.resetTimeout     = typeof o.resetTimeout === 'number' ? o.resetTimeout : 30 * 1000
+    this._endpoints = urls.map(url => ({ url, failures: 0, openedAt: 0, probing: false, lastError: null }))
+  }
+
+  /**
+   * Produces a pool from an `EndpointPool` or from a list of URLs.
+   *
+   * @static
+   * @param {EndpointPool/string[]} endpoints
+   * @param {Object} [opts] Options for a new pool
+   * @return {EndpointPool}
+   */
+  static from(endpoints: EndpointPool|string[], opts?: ?CircuitBreakerOptions): EndpointPool {
+    return endpoints instanceof EndpointPool ? endpoints : new EndpointPool(endpoints, opts || undefined)
+  }
+
+  /**
+   * @return {string[]} Every URL in the pool, in order of preference
+   */
+  urls(): string[] {
+    return this._endpoints.map(e => e.url)
+  }
+
+  /**
+   * Reports the state of every endpoint, for health checks.
+   *
+   * @return {Object} `healthy`, which is true if any endpoint is closed, and
+   * `endpoints`, the `url`, `state` (`"closed"`, `"open"`, or
+   * `"half_open"`), `failures`, `openedAt`, and `lastError` of each endpoint
+   */
+  health(): { healthy: boolean, endpoints: EndpointState[] } {
+    const now = Date.now()
+    const endpoints = this._endpoints.map(e => ({
+      url:       e.url,
+      state:     this._state(e, now),
+      failures:  e.failures,
+      openedAt:  e.openedAt ? new Date(e.openedAt) : null,
+      lastError: e.lastError,
+    }))
+    return { healthy: endpoints.some(e => e.state === 'closed'), endpoints }
+  }
+
+  /**
+   * Sends a request to the first available endpoint, and records the outcome.
+   *
+   * @param {Function} send Takes a URL and returns a promise of the response
+   * @param {string} method Name of the RPC method, for errors
+   * @return {Promise.<Object>}
+   */
+  send<T>(send: (url: string) => Promise<T>, method: string): Promise<T> {
+    const tried = []
+    const attempt = () => {
+      const endpoint = this._pick(tried)
+      if (!endpoint) {
+        return bluebird.reject(new TransportError('Every Tozny API endpoint is unavailable', {
+          method, code: 'circuit_open', retryable: false
+        }))
+      }
+      tried.push(endpoint)
+      return bluebird.resolve(send(endpoint.url)).then(result => {
+        this._succeeded(endpoint)
+        return result
+      }, err => {
+        if (err instanceof ToznyApiError && !isEndpointFailure(err)) {
+          // The endpoint answered, even if the answer is an error.
+          this._succeeded(endpoint)
+          return bluebird.reject(err)
+        }
+        if (!isEndpointFailure(err)) {
+          endpoint.probing = false
+          return bluebird.reject(err)
+        }
+        this._failed(endpoint, err)
+        return NOT_SENT.indexOf(err.code) >= 0 ? attempt() : bluebird.reject(err)
+      })
+    }
+    return attempt()
+  }
+
+  /**
+   * Picks the first endpoint that is closed, or that is due for a probe.
+   *
+   * @private
+   */
+  _pick(exclude: Endpoint[]): ?Endpoint {
+    const now = Date.now()
+    for (var i = 0; i < this._endpoints.length; i++) {
+      const e = this._endpoints[i]
+      if (exclude.indexOf(e) >= 0) { continue }
+      const state = this._state(e, now)
+      if (state === 'closed') {
+        return e
+      }
+      if (state === 'half_open' && !e.probing) {
+        e.probing = true
+        return e
+      }
+    }
+    return null
+  }
+
+  /**
+   * @private
+   */
+  _state(e: Endpoint, now: number): 'closed'|'open'|'half_open' {
+    if (e.failures < this.failureThreshold) { return 'closed' }
+    return now - e.openedAt >= this.resetTimeout ? 'half_open' : 'open'
+  }
+
+  /**
+   * @private
+   */
+  _succeeded(e: Endpoint) {
+    e.failures  = 0
+    e.openedAt  = 0
+    e.probing   = false
+  }
+
+  /**
+   * @private
+   */
+  _failed(e: Endpoint, err: any) {
+    e.failures += 1
+    e.lastError = err && err.message || String(err)
+    e.probing   = false
+    if (e.failures >= this.failureThreshold) {
+      e.openedAt = Date.now()
+    }
+  }
+}
+
+/**
+ * Works out where to send API calls from the URL or URLs given to
+ * a constructor, or else from `API_URL`, which may list several URLs
+ * separated by commas.  A pool is made only if there is a list.
+ *
+ * @private
+ */
+export function resolveEndpoints(given: ?(string|string[]|EndpointPool),
+                                 opts?: ?CircuitBreakerOptions): { apiUrl: string, endpoints: ?EndpointPool } {
+  const env  = typeof process !== 'undefined' && process.env ? process.env.API_URL : undefined
+  const urls = env ? env.split(',').map(u => u.trim()).filter(Boolean) : []
+  const source = given || (urls.length > 1 ? urls : env) || 'https://api.tozny.com'
+  if (typeof source === 'string') {
+    return { apiUrl: source, endpoints: null }
+  }
+  const pool = EndpointPool.from(source, opts)
+  return { apiUrl: pool.urls()[0], endpoints: pool }
+}
+
+// A 5xx error body from the API counts as a failure of the endpoint, as a 5xx
+// response does.
+function isEndpointFailure(err: any): boolean {
+  const status = err && typeof err.status === 'number' ? err.status : null
+  if (err instanceof ToznyApiError) {
+    return status !== null && status >= 500
+  }
+  return err instanceof TransportError && (status === null || status >= 500)
+}
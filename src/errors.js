@@ -0,0 +1,337 @@
+/* @flow */
+
+import objectAssign from 'object-assign'
+
+/**
+ * @class errors
+ * @singleton
+ *
+ * Module that exports the error classes used to report failures from
+ * {@link Realm}, {@link User}, and the {@link crypto} functions.  Import with:
+ *
+ *     var errors = require('tozny-auth/lib/errors');
+ *
+ * or
+ *
+ *     var ToznyApiError = require('tozny-auth').ToznyApiError;
+ *
+ * Every error is an instance of {@link ToznyError}, and of `Error`.  To branch
+ * on the kind of failure, test with `instanceof`:
+ *
+ *     realm.userGet(userId).then(null, function(err) {
+ *       if (err instanceof tozny.TransportError && err.retryable) {
+ *         // try again later
+ *       }
+ *       else if (err instanceof tozny.ToznyApiError) {
+ *         console.error('Tozny refused', err.method, err.code, err.message);
+ *       }
+ *     });
+ */
+
+export type ErrorDetails = {
+  method?:    ?string,
+  code?:      ?string,
+  status?:    ?number,
+  retryable?: boolean,
+  cause?:     any,
+}
+
+export {
+  ToznyError,
+  ToznyApiError,
+  SignatureError,
+  TransportError,
+  ValidationError,
+  AbortError,
+  TimeoutError,
+  DeniedError,
+  RateLimitError,
+  NotFoundError,
+  apiError,
+  transportError,
+  requireParams,
+}
+
+/**
+ * @class ToznyError
+ * @extends Error
+ * Base class of all errors produced by this library.
+ *
+ * @constructor
+ * @param {string} message Human-readable description of the failure
+ * @param {Object} [details]
+ * @param {string} [details.method] Name of the RPC method that failed
+ * @param {string} [details.code] Error code reported by the server, or by this library
+ * @param {number} [details.status] HTTP status of the response
+ * @param {boolean} [details.retryable=false] Whether repeating the call might succeed
+ * @param {Error} [details.cause] Underlying error
+ */
+function ToznyError(message: string, details?: ErrorDetails) {
+  const d = details || {};
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, this.constructor);
+  }
+  this.name      = this.constructor.name;
+  this.message   = message;
+
+  /**
+   * @property {string} method
+   * Name of the RPC method that failed, if the failure happened in an API call
+   */
+  this.method    = d.method || null;
+
+  /**
+   * @property {string} code
+   * Error code reported by the server, or by this library
+   */
+  this.code      = d.code || null;
+
+  /**
+   * @property {number} status
+   * HTTP status of the response, if a response was received
+   */
+  this.status    = typeof d.status === 'number' ? d.status : null;
+
+  /**
+   * @property {boolean} retryable
+   * True if repeating the same call might succeed
+   */
+  this.retryable = !!d.retryable;
+
+  /**
+   * @property {Error} cause
+   * Underlying error, if any
+   */
+  this.cause     = d.cause;
+}
+inherits(ToznyError, Error);
+
+/**
+ * @class ToznyApiError
+ * @extends ToznyError
+ * The Tozny API responded, but reported an error - or responded with
+ * something other than what was expected.
+ */
+function ToznyApiError(message: string, details?: ErrorDetails) {
+  ToznyError.call(this, message, details);
+}
+inherits(ToznyApiError, ToznyError);
+
+/**
+ * @class SignatureError
+ * @extends ToznyError
+ * A signed payload was rejected.  The `code` property gives the reason, which
+ * is one of:
+ *
+ * - `"invalid_signature"`
+ * - `"malformed_payload"`
+ * - `"missing_expiration"`
+ * - `"expired"`
+ * - `"missing_nonce"`
+ * - `"nonce_reused"`
+ * - `"realm_mismatch"`, if the realm is checked and the payload is for
+ *   another realm
+ * - `"session_mismatch"` and `"question_mismatch"`, from
+ *   {@link Realm#verifyQuestionAnswer}
+ */
+function SignatureError(message: string, details?: ErrorDetails) {
+  ToznyError.call(this, message, details);
+}
+inherits(SignatureError, ToznyError);
+
+/**
+ * @class TransportError
+ * @extends ToznyError
+ * The request could not be delivered, or no usable response came back.
+ */
+function TransportError(message: string, details?: ErrorDetails) {
+  ToznyError.call(this, message, details);
+}
+inherits(TransportError, ToznyError);
+
+/**
+ * @class ValidationError
+ * @extends ToznyError
+ * Arguments given to a method were invalid.  No request was sent.
+ */
+function ValidationError(message: string, details?: ErrorDetails) {
+  ToznyError.call(this, message, details);
+}
+inherits(ValidationError, ToznyError);
+
+/**
+ * @class AbortError
+ * @extends ToznyError
+ * The call was cancelled through its `AbortSignal`.  The `code` property is
+ * always `"aborted"`.
+ */
+function AbortError(message: string, details?: ErrorDetails) {
+  ToznyError.call(this, message, objectAssign({}, details, { code: 'aborted', retryable: false }));
+}
+inherits(AbortError, ToznyError);
+
+/**
+ * @class TimeoutError
+ * @extends ToznyError
+ * A challenge session was not completed in time.  The `code` property is
+ * `"timeout"` if the caller stopped waiting, or `"session_expired"` if Tozny
+ * reports that the session expired.
+ */
+function TimeoutError(message: string, details?: ErrorDetails) {
+  ToznyError.call(this, message, objectAssign({ code: 'timeout' }, details));
+}
+inherits(TimeoutError, ToznyError);
+
+/**
+ * @class DeniedError
+ * @extends ToznyError
+ * The user declined a challenge.  The `code` property is always `"denied"`.
+ */
+function DeniedError(message: string, details?: ErrorDetails) {
+  ToznyError.call(this, message, objectAssign({}, details, { code: 'denied', retryable: false }));
+}
+inherits(DeniedError, ToznyError);
+
+/**
+ * @class RateLimitError
+ * @extends ToznyError
+ * A challenge was not sent because a {@link ChallengeThrottle} limit was
+ * reached.  The `code` property is always `"rate_limited"`, and the `status`
+ * is 429.
+ *
+ * @constructor
+ * @param {string} message
+ * @param {number} retryAfter Milliseconds until the challenge may be sent
+ * @param {string} scope Limit that was reached
+ * @param {Object} [details] See {@link ToznyError}
+ */
+function RateLimitError(message: string, retryAfter: number, scope: string, details?: ErrorDetails) {
+  ToznyError.call(this, message, objectAssign({}, details, {
+    code: 'rate_limited', status: 429, retryable: false
+  }));
+
+  /**
+   * @property {number} retryAfter
+   * Milliseconds until the limit resets
+   */
+  this.retryAfter = retryAfter;
+
+  /**
+   * @property {string} scope
+   * Limit that was reached: `"cooldown"`, `"destination"`, `"ip"`, or `"realm"`
+   */
+  this.scope = scope;
+}
+inherits(RateLimitError, ToznyError);
+
+/**
+ * @class NotFoundError
+ * @extends ToznyApiError
+ * A user that was asked for does not exist.  The `code` property is always
+ * `"user_not_found"`, as when the API reports a missing user, and the
+ * `status` is 404.
+ *
+ * @constructor
+ * @param {string} message
+ * @param {string} userId Id of the missing user
+ * @param {Object} [details] See {@link ToznyError}
+ */
+function NotFoundError(message: string, userId: string, details?: ErrorDetails) {
+  ToznyApiError.call(this, message, objectAssign({}, details, {
+    code: 'user_not_found', status: 404, retryable: false
+  }));
+
+  /**
+   * @property {string} userId
+   * Id of the missing user
+   */
+  this.userId = userId;
+}
+inherits(NotFoundError, ToznyApiError);
+
+/**
+ * Given the body of an API response, produces a {@link ToznyApiError} if the
+ * body reports an error.  Returns `null` otherwise.
+ *
+ * @param {string} method Name of the RPC method that was called
+ * @param {Object} body Parsed response body
+ * @param {number} [status] HTTP status of the response
+ * @return {ToznyApiError}
+ */
+function apiError(method: string, body: any, status?: ?number): ?ToznyApiError {
+  if (!body || (body.return !== 'error' && !body.errors)) {
+    return null;
+  }
+  const first = Array.isArray(body.errors) && body.errors.length > 0
+    ? body.errors[0]
+    : {};
+  const httpStatus = typeof status === 'number'
+    ? status
+    : (typeof first.status_code === 'number' ? first.status_code : null);
+  return new ToznyApiError(first.error_message || first.message || 'Tozny API error', {
+    method,
+    code:      first.error_code || first.code || null,
+    status:    httpStatus,
+    retryable: isRetryableStatus(httpStatus),
+    cause:     body.errors,
+  });
+}
+
+/**
+ * Converts an error thrown by an HTTP client into a {@link ToznyError}.  If
+ * the server sent an error response with a Tozny error body, the result is
+ * a {@link ToznyApiError}; otherwise it is a {@link TransportError}.
+ *
+ * @param {string} method Name of the RPC method that was called
+ * @param {Error} err Error thrown by the HTTP client
+ * @return {ToznyError}
+ */
+function transportError(method: string, err: any): ToznyError {
+  if (err instanceof ToznyError) {
+    return err;
+  }
+  const status = err && typeof err.status === 'number' ? err.status : null;
+  const body   = err && err.response ? err.response.body : null;
+  const fromBody = apiError(method, body, status);
+  if (fromBody) {
+    return fromBody;
+  }
+  // superagent marks timeouts with a `timeout` property
+  const timedOut = !!(err && err.timeout);
+  return new TransportError(err && err.message || String(err), {
+    method,
+    code:      timedOut ? 'timeout' : (err && err.code || null),
+    status,
+    retryable: status === null || isRetryableStatus(status),
+    cause:     err,
+  });
+}
+
+/**
+ * Produces a {@link ValidationError} naming the first of the given parameters
+ * that is not a non-empty string, or `null` if all of them are.
+ *
+ * @param {string} method Name of the RPC method the parameters are meant for
+ * @param {Object} params Map from parameter names to values
+ * @return {ValidationError}
+ */
+function requireParams(method: string, params: { [key:string]: ?string }): ?ValidationError {
+  const missing = Object.keys(params).filter(key =>
+    typeof params[key] !== 'string' || params[key] === ''
+  );
+  return missing.length > 0
+    ? new ValidationError('Missing required parameter: ' + missing[0], {
+        method, code: 'missing_parameter'
+      })
+    : null;
+}
+
+// Same as `util.inherits`, without depending on Node's `util` module.
+function inherits(ctor: Function, superCtor: Function) {
+  ctor.super_ = superCtor;
+  Object.setPrototypeOf(ctor.prototype, superCtor.prototype);
+}
+
+function isRetryableStatus(status: ?number): boolean {
+  return typeof status === 'number' && (status >= 500 || status === 429);
+}
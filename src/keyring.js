@@ -0,0 +1,142 @@
+/* @flow */
+
+import * as tozny from './crypto'
+import bluebird   from 'bluebird'
+
+import { ValidationError } from './errors'
+
+/**
+ * @class keyring
+ * @singleton
+ *
+ * Module that exports {@link Keyring}.  Import with:
+ *
+ *     var Keyring = require('tozny-auth/lib/keyring').default;
+ *
+ * or
+ *
+ *     var Keyring = require('tozny-auth').Keyring;
+ *
+ */
+
+/**
+ * @property {Keyring} exports
+ */
+
+export type KeyringEntry = {
+  id:        string,
+  secret:    string,
+  notAfter?: ?Date,
+}
+
+/**
+ * @class Keyring
+ * Holds the secrets of a realm while a secret rotation is in progress.
+ *
+ * The first key in a keyring is the primary key.  API requests are always
+ * signed with the primary key.  Signatures made with any key in the ring are
+ * accepted, unless the key's `notAfter` date has passed.  For example, to
+ * rotate to a new secret while accepting the old secret for another week:
+ *
+ *     var keyring = new tozny.Keyring([
+ *       { id: '2016-10', secret: newSecret },
+ *       { id: '2016-04', secret: oldSecret, notAfter: new Date('2016-10-24') }
+ *     ]);
+ *     var realm = new tozny.Realm(realmKeyId, keyring, apiUrl);
+ *
+ * {@link Realm#verifyLogin} reports the id of the key that matched in the
+ * `matched_key_id` property of its result, which makes it possible to tell
+ * when an old secret is no longer in use.
+ */
+export default class Keyring {
+  _keys: KeyringEntry[];
+
+  /**
+   * @constructor
+   * @param {Object[]} keys Keys in order of preference, each with `id`,
+   * `secret`, and optionally `notAfter` properties
+   */
+  constructor(keys: KeyringEntry[]) {
+    if (!keys || keys.length < 1) {
+      throw new ValidationError('A keyring must contain at least one key', { code: 'invalid_keyring' });
+    }
+    const seen = {}
+    keys.forEach(key => {
+      if (!key.id || !key.secret) {
+        throw new ValidationError('Every key in a keyring must have an id and a secret', { code: 'invalid_keyring' });
+      }
+      if (seen[key.id]) {
+        throw new ValidationError('Duplicate key id in keyring: ' + key.id, { code: 'invalid_keyring' });
+      }
+      seen[key.id] = true
+    })
+    this._keys = keys.slice()
+  }
+
+  /**
+   * Wraps a single secret in a keyring, or returns the given keyring as-is.
+   *
+   * @static
+   * @param {string/Keyring/Object[]} secret
+   * @return {Keyring}
+   */
+  static from(secret: string|Keyring|KeyringEntry[]): Keyring {
+    if (secret instanceof Keyring) {
+      return secret
+    }
+    if (Array.isArray(secret)) {
+      return new Keyring(secret)
+    }
+    return new Keyring([{ id: 'primary', secret }])
+  }
+
+  /**
+   * @return {Object} The key used to sign requests
+   */
+  primary(): KeyringEntry {
+    return this._keys[0]
+  }
+
+  /**
+   * @return {Object[]} All keys, primary key first
+   */
+  keys(): KeyringEntry[] {
+    return this._keys.slice()
+  }
+
+  /**
+   * Signs a message with the primary key.
+   *
+   * @param {Uint8Array/string} message
+   * @return {Promise.<string>} URL-safe base64-encoded signature
+   */
+  sign(message: Uint8Array|string): Promise<string> {
+    return tozny.sign(this.primary().secret, message)
+  }
+
+  /**
+   * Checks a signature against every key that has not passed its `notAfter`
+   * date.  Every such key is checked, even after a match is found, so that the
+   * time taken does not reveal which key matched.
+   *
+   * @param {string} signature URL-safe base64-encoded signature to verify
+   * @param {Uint8Array/string} message Message corresponding to signature
+   * @param {Date} [now=new Date()]
+   * @return {Promise.<string>} Id of the matching key, or `null` if no key matched
+   */
+  verify(signature: string, message: Uint8Array|string, now?: Date): Promise<?string> {
+    const time   = now ? now.getTime() : Date.now()
+    const usable = this._keys.filter(key => !key.notAfter || key.notAfter.getTime() > time)
+
+    return bluebird.all(usable.map(key => tozny.sign(key.secret, message)))
+    .then(expected => {
+      var matched = null
+      expected.forEach((sig, i) => {
+        if (tozny.constantTimeEqual(sig, signature) && matched === null) {
+          matched = usable[i].id
+        }
+      })
+      return matched
+    })
+  }
+}
@@ -0,0 +1,110 @@
+/* @flow */
+
+import type { RpcEvent, Hooks } from './rpc'
+
+/**
+ * @class logging
+ * @singleton
+ *
+ * Module that exports {@link #jsonLogger}, which logs every API call as lines
+ * of JSON, and {@link #redact}.  Import with:
+ *
+ *     var jsonLogger = require('tozny-auth').jsonLogger;
+ *
+ * Install the logger as a hook on a {@link Realm} or {@link User}:
+ *
+ *     var realm = new Realm(keyId, secret, apiUrl, { hooks: jsonLogger() });
+ *
+ * Each line looks like this:
+ *
+ *     {"time":"2016-09-01T12:00:00.000Z","level":"info","event":"response",
+ *      "method":"realm.user_get","id":"5f2b9c0e1d3a4b67","attempt":1,
+ *      "duration_ms":84,"params":{"user_id":"sid_123"}}
+ *
+ * Secrets, signatures, OTPs, and signed payloads never appear in the output.
+ */
+
+/**
+ * @property {string}
+ * Replaces redacted values.
+ */
+export const REDACTED = '[REDACTED]'
+
+const SECRET_KEY = /secret|signature|signed_data|otp|password|token|toznyo/i
+
+/**
+ * Copies a value, replacing the values of fields whose names suggest that
+ * they hold secrets: realm secrets, signatures, OTPs, signed payloads,
+ * passwords, and tokens.  Nested objects and arrays are copied as well.
+ *
+ * @param {Object} value
+ * @return {Object}
+ */
+export function redact(value: mixed): any {
+  return copy(value, 0)
+}
+
+function copy(value: mixed, depth: number): any {
+  if (!value || typeof value !== 'object') {
+    return value
+  }
+  if (depth > 8) {
+    return REDACTED
+  }
+  if (Array.isArray(value)) {
+    return value.map(v => copy(v, depth + 1))
+  }
+  if (value instanceof Date) {
+    return value.toISOString()
+  }
+  const source: Object = value
+  const result = {}
+  Object.keys(source).forEach(key => {
+    result[key] = SECRET_KEY.test(key) ? REDACTED : copy(source[key], depth + 1)
+  })
+  return result
+}
+
+/**
+ * Produces hooks that write a line of JSON for every API call event.
+ * Requests and responses are logged at level `"info"`, retries at `"warn"`,
+ * and errors at `"error"`.  Errors are logged with their `name`, `code`,
+ * `status`, and `message`.
+ *
+ * @param {Object} [opts]
+ * @param {Function} [opts.write] Receives each line, without a trailing
+ * newline.  Defaults to writing to stderr.
+ * @param {boolean} [opts.requests=false] Also log the start of each attempt
+ * @return {Object} Hooks to give as the `hooks` option
+ */
+export function jsonLogger(opts?: { write?: (line: string) => void, requests?: boolean }): Hooks {
+  const o     = opts || {}
+  const write = o.write || (line => process.stderr.write(line + '\n'))
+
+  function log(level: string, event: RpcEvent) {
+    const record: Object = {
+      time:    new Date().toISOString(),
+      level,
+      event:   event.type,
+      method:  event.method,
+      id:      event.id,
+      attempt: event.attempt,
+    }
+    if (typeof event.duration === 'number') { record.duration_ms = event.duration }
+    if (typeof event.delay === 'number')    { record.delay_ms = event.delay }
+    if (typeof event.willRetry === 'boolean') { record.will_retry = event.willRetry }
+    const err: any = event.error
+    if (err) {
+      record.error = { name: err.name, code: err.code, status: err.status, message: err.message }
+    }
+    record.params = event.params
+    write(JSON.stringify(redact(record)))
+  }
+
+  return {
+    onRequest:  event => { if (o.requests) { log('info', event) } },
+    onResponse: event => log('info', event),
+    onRetry:    event => log('warn', event),
+    onError:    event => log('error', event),
+  }
+}
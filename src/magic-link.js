@@ -0,0 +1,225 @@
+/* @flow */
+
+import bluebird   from 'bluebird'
+import url        from 'url'
+import util       from 'util'
+import Strategy   from 'passport-strategy'
+import User       from './user'
+
+import { MemoryNonceStore } from './nonce-store'
+import { readBody }         from './request-body'
+import { rememberLogin, DEFAULT_SESSION_KEY } from './session'
+import { failureReason }    from './otp'
+import { RateLimitError, ValidationError } from './errors'
+
+import type Realm from './realm'
+import type { NonceStore } from './nonce-store'
+
+/**
+ * @class magic-link
+ * @singleton
+ *
+ * Module that exports {@link ToznyMagicLinkStrategy} and
+ * {@link #magicLinkRouter}, which together implement login with magic links.
+ * Import with:
+ *
+ *     var magicLink = require('tozny-auth/lib/magic-link');
+ *
+ * or
+ *
+ *     var MagicLinkStrategy = require('tozny-auth').MagicLinkStrategy;
+ *     var magicLinkRouter   = require('tozny-auth').magicLinkRouter;
+ *
+ * A complete login flow looks like this:
+ *
+ *     passport.use(new MagicLinkStrategy(realm, { lookupUser: findUser }));
+ *
+ *     // Sends a link to the email address or phone number in the
+ *     // `destination` field of the POST body.
+ *     app.use('/login/link', magicLinkRouter(realm, {
+ *       endpoint: 'https://app.example.com/login/landing'
+ *     }));
+ *
+ *     // The link in the message points here.
+ *     app.get('/login/landing',
+ *       passport.authenticate('tozny-magic-link', {
+ *         successRedirect: '/secret',
+ *         failureRedirect: '/'
+ *       }));
+ */
+
+export type MagicLinkStrategyOptions = {
+  lookupUser?:        (_: { user_id: string }) => (Promise<Object>|Object),
+  nonceStore?:        NonceStore,
+  passReqToCallback?: boolean,
+  otpField?:          string,
+  user?:              User,
+  sessionKey?:        string|false,
+}
+
+export type MagicLinkRouterOptions = {
+  endpoint:          string,
+  path?:             string,
+  destinationField?: string,
+  lifespan?:         number,
+  context?:          string,
+}
+
+/**
+ * @class ToznyMagicLinkStrategy
+ * Passport strategy that completes a magic-link login.  Use it on the route
+ * that magic links point to.  The strategy name is `'tozny-magic-link'`.
+ *
+ * The strategy takes the OTP from the query string of the request, exchanges
+ * it for a signed login payload with {@link User#linkResult}, checks the
+ * payload with {@link Realm#verifyLogin}, and then looks up the app's user
+ * record as {@link ToznyStrategy} does.
+ *
+ * Invalid or expired links fail authentication with status 401, and a
+ * `reason` from {@link otp#OTP_FAILURE_REASONS}.  Other errors - the Tozny API
+ * could not be reached or answered with a server error, or `lookupUser`
+ * failed - are passed to Passport as errors.
+ *
+ * @constructor
+ * @param {Realm} realm Tozny realm to authenticate under
+ * @param {Object} [opts]
+ * @param {Function} [opts.lookupUser] Maps Tozny login data to an app-specific
+ * user record; see {@link ToznyStrategy}
+ * @param {boolean} [opts.passReqToCallback] Flag whether or not to pass the
+ * original request into the lookupUser callback
+ * @param {string} [opts.otpField="toznyo"] Name of the query parameter that
+ * carries the OTP
+ * @param {NonceStore} [opts.nonceStore] Store used to reject replayed login
+ * payloads.  Defaults as for {@link ToznyStrategy}.
+ * @param {User} [opts.user] Client for the user API.  Defaults to a client
+ * for the realm's API URL, with the realm's call options.
+ * @param {string/boolean} [opts.sessionKey="tozny"] Where to record the
+ * verified login in `req.session`; see {@link ToznyStrategy}
+ */
+export default function ToznyMagicLinkStrategy(realm: Realm, opts?: MagicLinkStrategyOptions) {
+  const o = opts || {};
+  Strategy.call(this);
+  this.name = 'tozny-magic-link';
+  this._realm       = realm;
+  this._user        = o.user || new User(realm.keyId, realm.apiUrl, realm.callOptions);
+  this._otpField    = o.otpField || 'toznyo';
+  this._lookup      = o.lookupUser;
+  this._passReqToCallback = o.passReqToCallback;
+  this._nonceStore  = o.nonceStore || realm.nonceStore || new MemoryNonceStore();
+  this._sessionKey  = o.sessionKey === undefined ? DEFAULT_SESSION_KEY : o.sessionKey;
+}
+
+util.inherits(ToznyMagicLinkStrategy, Strategy);
+
+ToznyMagicLinkStrategy.prototype.authenticate = function authenticate(req, opts) {
+  opts = opts || {};
+  var self  = this;
+  var query = req.query || url.parse(req.url || '', true).query;
+  var otp   = query[self._otpField];
+
+  if (!otp || typeof otp !== 'string') {
+    return self.fail({
+      message: opts.badRequestMessage || 'Missing query parameter: "' + self._otpField + '".'
+    }, 400);
+  }
+
+  function lookup(login) {
+    rememberLogin(req, login, self._sessionKey);
+    if (!self._lookup) {
+      return login;
+    }
+    return bluebird.resolve(self._passReqToCallback
+      ? self._lookup(req, login)
+      : self._lookup(login));
+  }
+
+  bluebird.resolve(self._user.linkResult(otp)).then(function(result) {
+    return self._realm.verifyLogin(result.signed_data, result.signature, { nonceStore: self._nonceStore });
+  }).then(lookup).then(
+    function success(user) {
+      self.success(user);
+    },
+    function error(err) {
+      const reason = failureReason(err);
+      if (reason) {
+        self.fail({ reason, message: err.message, code: err.code }, 401);
+      }
+      else {
+        self.error(err);
+      }
+    }
+  );
+};
+
+/**
+ * Produces Express middleware that sends magic links.  A `POST` to the
+ * middleware's path with a `destination` field - an email address or a phone
+ * number - sends a link that points to `opts.endpoint`.  The middleware
+ * responds with JSON: `{ session_id, presence }` if the link was sent, or
+ * `{ error: { code, message } }` with status 400 if the destination is
+ * invalid.  If the realm's {@link Realm#throttle} does not allow the link to
+ * be sent, the status is 429 and a `Retry-After` header is set.  Other
+ * requests are passed to the next handler.
+ *
+ * The request body is read from `req.body` if a body parser has already run,
+ * and is parsed as a form otherwise.
+ *
+ * @param {Realm} realm
+ * @param {Object} opts
+ * @param {string} opts.endpoint URL that magic links point to; the route that
+ * uses {@link ToznyMagicLinkStrategy}
+ * @param {string} [opts.path="/"] Path to respond to, relative to where the
+ * middleware is mounted
+ * @param {string} [opts.destinationField="destination"]
+ * @param {number} [opts.lifespan] Seconds that links stay valid
+ * @param {string} [opts.context="authenticate"]
+ * @return {Function} Middleware that takes `(req, res, next)`
+ */
+export function magicLinkRouter(realm: Realm, opts: MagicLinkRouterOptions): Function {
+  if (!opts || !opts.endpoint) {
+    throw new ValidationError('magicLinkRouter requires an endpoint', { code: 'missing_parameter' });
+  }
+  const path    = opts.path || '/';
+  const field   = opts.destinationField || 'destination';
+  const context = opts.context || 'authenticate';
+
+  return function magicLinkHandler(req, res, next) {
+    if (req.method !== 'POST' || url.parse(req.url || '').pathname !== path) {
+      return next();
+    }
+    readBody(req).then(function(body) {
+      const destination = String(body[field] || '').trim();
+      if (!isEmail(destination) && !isPhone(destination)) {
+        return respond(res, 400, { error: {
+          code:    'invalid_destination',
+          message: 'Field "' + field + '" must be an email address or a phone number.'
+        } });
+      }
+      const ip = req.ip || (req.socket && req.socket.remoteAddress);
+      return realm.linkChallenge(destination, opts.endpoint, opts.lifespan, context, true, undefined, { ip })
+      .then(function(challenge) {
+        respond(res, 200, { session_id: challenge.session_id, presence: challenge.presence });
+      });
+    }).catch(function(err) {
+      if (!(err instanceof RateLimitError)) {
+        return next(err);
+      }
+      res.setHeader('Retry-After', String(Math.ceil(err.retryAfter / 1000)));
+      respond(res, 429, { error: { code: err.code, message: err.message } });
+    });
+  };
+}
+
+function respond(res, status: number, body: Object) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+}
+
+function isEmail(destination: string): boolean {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(destination);
+}
+
+function isPhone(destination: string): boolean {
+  return /^\+?[0-9][0-9 ().-]{5,}[0-9]$/.test(destination);
+}
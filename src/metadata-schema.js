@@ -0,0 +1,314 @@
+/* @flow */
+
+import { ValidationError } from './errors'
+
+/**
+ * @class metadata-schema
+ * @singleton
+ *
+ * Module that exports {@link MetadataSchema}.  Import with:
+ *
+ *     var MetadataSchema = require('tozny-auth').MetadataSchema;
+ */
+
+export type FieldType = 'string'|'number'|'integer'|'boolean'|'date'|'json'
+
+export type FieldSpec = {
+  type:       FieldType,
+  required?:  boolean,
+  format?:    'email'|'phone'|'url'|RegExp,
+  maxLength?: number,
+}
+
+export type SchemaOptions = {
+  additionalFields?: boolean,
+}
+
+export type FieldProblem = {
+  path:    string,
+  message: string,
+}
+
+const TYPES = ['string', 'number', 'integer', 'boolean', 'date', 'json']
+
+const FORMATS = {
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  phone: /^\+?[0-9][0-9 ().-]{5,}[0-9]$/,
+  url:   /^https?:\/\/[^\s/?#]+[^\s]*$/i,
+}
+
+/**
+ * @class MetadataSchema
+ * Describes the metadata fields that users in a realm carry.  Give a schema
+ * to the {@link Realm} constructor as `metadataSchema`, and the realm checks
+ * the metadata written by {@link Realm#userAdd} and {@link Realm#userUpdate},
+ * and converts the `meta` of users read by {@link Realm#userGet} and
+ * {@link Realm#usersGet} to the declared types:
+ *
+ *     var realm = new Realm(keyId, secret, apiUrl, {
+ *       metadataSchema: new MetadataSchema({
+ *         email:      { type: 'string', format: 'email', required: true },
+ *         nickname:   { type: 'string', maxLength: 32 },
+ *         employee:   { type: 'integer' },
+ *         hired:      { type: 'date' },
+ *         newsletter: { type: 'boolean' },
+ *       })
+ *     });
+ *
+ * Tozny stores metadata values as strings.  Dates are written as ISO 8601
+ * strings and read back as `Date` objects; numbers and booleans are read back
+ * from their string forms; `json` fields hold any JSON value.
+ *
+ * Metadata that does not match the schema is reported with
+ * a {@link ValidationError} whose code is `"invalid_metadata"`.  The error has
+ * an `errors` property listing every problem as `{ path, message }`, where
+ * `path` names the field - e.g. `"meta.hired"`.
+ *
+ * @constructor
+ * @param {Object} fields Map from field names to specs.  Each spec has
+ * a `type` - one of `"string"`, `"number"`, `"integer"`, `"boolean"`,
+ * `"date"`, or `"json"` - and optionally `required`, `maxLength` (for
+ * strings), and `format` (for strings): `"email"`, `"phone"`, `"url"`, or
+ * a `RegExp`.
+ * @param {Object} [opts]
+ * @param {boolean} [opts.additionalFields=true] Allow fields that are not
+ * declared in the schema
+ */
+export default class MetadataSchema {
+  fields: { [key:string]: FieldSpec };
+  additionalFields: boolean;
+
+  constructor(fields: { [key:string]: FieldSpec }, opts?: SchemaOptions) {
+    const o = opts || {}
+    if (!fields || typeof fields !== 'object') {
+      throw new ValidationError('Schema fields must be an object', { code: 'invalid_schema' })
+    }
+    Object.keys(fields).forEach(name => checkSpec(name, fields[name]))
+    this.fields           = fields
+    this.additionalFields = o.additionalFields !== false
+  }
+
+  /**
+   * Produces a schema from a `MetadataSchema` or from a map of field specs.
+   *
+   * @static
+   * @param {MetadataSchema/Object} schema
+   * @return {MetadataSchema}
+   */
+  static from(schema: MetadataSchema|{ [key:string]: FieldSpec }): MetadataSchema {
+    return schema instanceof MetadataSchema ? schema : new MetadataSchema(schema)
+  }
+
+  /**
+   * Checks metadata that is about to be written, and converts it to the form
+   * that is sent to Tozny.
+   *
+   * @param {Object} meta
+   * @param {Object} [opts]
+   * @param {boolean} [opts.partial=false] Check an update to some of the
+   * fields: required fields may be left out, but not set to `null`
+   * @return {Object} Metadata to send
+   */
+  serialize(meta: ?Object, opts?: { partial?: boolean }): Object {
+    const partial  = !!(opts && opts.partial)
+    const input    = meta || {}
+    const result   = {}
+    const problems = []
+
+    if (typeof input !== 'object' || Array.isArray(input)) {
+      throw failure([{ path: 'meta', message: 'must be an object' }])
+    }
+    this._checkNames(input, 'meta', problems)
+    Object.keys(this.fields).forEach(name => {
+      const spec  = this.fields[name]
+      const path  = 'meta.' + name
+      const value = input[name]
+      if (value === undefined || value === null) {
+        if (spec.required && (!partial || value === null)) {
+          problems.push({ path, message: 'is required' })
+        }
+        else if (value === null) {
+          result[name] = null
+        }
+        return
+      }
+      const problem = checkValue(spec, value)
+      if (problem) {
+        problems.push({ path, message: problem })
+      }
+      else {
+        result[name] = encode(spec, value)
+      }
+    })
+    Object.keys(input).forEach(name => {
+      if (!this.fields[name]) { result[name] = input[name] }
+    })
+
+    if (problems.length > 0) {
+      throw failure(problems)
+    }
+    return result
+  }
+
+  /**
+   * Converts metadata read from Tozny to the declared types, and checks it.
+   *
+   * @param {Object} meta
+   * @param {string} [path="meta"] Prefix for paths in errors
+   * @param {Object} [opts]
+   * @param {boolean} [opts.partial=false] Parse some of the fields: required
+   * fields may be left out
+   * @return {Object}
+   */
+  parse(meta: ?Object, path?: ?string, opts?: { partial?: boolean }): Object {
+    const prefix   = path || 'meta'
+    const partial  = !!(opts && opts.partial)
+    const input    = meta && typeof meta === 'object' ? meta : {}
+    const result   = {}
+    const problems = []
+
+    this._checkNames(input, prefix, problems)
+    Object.keys(input).forEach(name => { result[name] = input[name] })
+    Object.keys(this.fields).forEach(name => {
+      const spec  = this.fields[name]
+      const raw   = input[name]
+      if (raw === undefined || raw === null || raw === '') {
+        if (spec.required && !partial) {
+          problems.push({ path: prefix + '.' + name, message: 'is required' })
+        }
+        return
+      }
+      const value   = decode(spec, raw)
+      const problem = value === undefined ? 'is not a valid ' + spec.type : checkValue(spec, value)
+      if (problem) {
+        problems.push({ path: prefix + '.' + name, message: problem })
+      }
+      else {
+        result[name] = value
+      }
+    })
+
+    if (problems.length > 0) {
+      throw failure(problems)
+    }
+    return result
+  }
+
+  _checkNames(input: Object, prefix: string, problems: FieldProblem[]) {
+    if (this.additionalFields) {
+      return
+    }
+    Object.keys(input).forEach(name => {
+      if (!this.fields[name]) {
+        problems.push({ path: prefix + '.' + name, message: 'is not a declared field' })
+      }
+    })
+  }
+}
+
+function checkSpec(name: string, spec: FieldSpec) {
+  function bad(message) {
+    return new ValidationError('Field "' + name + '" ' + message, { code: 'invalid_schema' })
+  }
+  if (!spec || TYPES.indexOf(spec.type) < 0) {
+    throw bad('must have a type of ' + TYPES.join(', '))
+  }
+  if (spec.format !== undefined && !(spec.format instanceof RegExp) && !FORMATS[String(spec.format)]) {
+    throw bad('has an unknown format: ' + String(spec.format))
+  }
+  if ((spec.format !== undefined || spec.maxLength !== undefined) && spec.type !== 'string') {
+    throw bad('can only have a format or maxLength if its type is string')
+  }
+  if (spec.maxLength !== undefined && !(typeof spec.maxLength === 'number' && spec.maxLength >= 0)) {
+    throw bad('must have a non-negative maxLength')
+  }
+}
+
+/**
+ * Describes what is wrong with a value, or returns `null` if it matches the
+ * spec.
+ *
+ * @private
+ */
+function checkValue(spec: FieldSpec, value: mixed): ?string {
+  switch (spec.type) {
+    case 'string':
+      if (typeof value !== 'string') { return 'must be a string' }
+      if (typeof spec.maxLength === 'number' && value.length > spec.maxLength) {
+        return 'must be at most ' + spec.maxLength + ' characters long'
+      }
+      const format = spec.format
+      if (format instanceof RegExp) {
+        return format.test(value) ? null : 'does not match ' + String(format)
+      }
+      if (typeof format === 'string') {
+        return FORMATS[format].test(value) ? null : 'must be a valid ' + format
+      }
+      return null
+    case 'number':
+      return typeof value === 'number' && isFinite(value) ? null : 'must be a number'
+    case 'integer':
+      return typeof value === 'number' && Math.floor(value) === value && isFinite(value)
+        ? null : 'must be an integer'
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be a boolean'
+    case 'date':
+      return isNaN(toTime(value)) ? 'must be a date' : null
+    default:
+      return null
+  }
+}
+
+function encode(spec: FieldSpec, value: any): mixed {
+  if (spec.type === 'date') { return new Date(toTime(value)).toISOString() }
+  if (spec.type === 'json') { return JSON.stringify(value) }
+  return value
+}
+
+function toTime(value: mixed): number {
+  if (value instanceof Date)     { return value.getTime() }
+  if (typeof value === 'string') { return Date.parse(value) }
+  return NaN
+}
+
+/**
+ * Converts a stored value to the declared type, or returns `undefined` if it
+ * cannot be converted.
+ *
+ * @private
+ */
+function decode(spec: FieldSpec, raw: mixed): mixed {
+  switch (spec.type) {
+    case 'number':
+    case 'integer':
+      if (typeof raw === 'number') { return raw }
+      return typeof raw === 'string' && raw.trim() !== '' && isFinite(Number(raw)) ? Number(raw) : undefined
+    case 'boolean':
+      if (typeof raw === 'boolean') { return raw }
+      if (raw === 'true' || raw === '1')  { return true }
+      if (raw === 'false' || raw === '0') { return false }
+      return undefined
+    case 'date':
+      return typeof raw === 'string' && !isNaN(Date.parse(raw)) ? new Date(raw) : undefined
+    case 'json':
+      if (typeof raw !== 'string') { return raw }
+      try {
+        return JSON.parse(raw)
+      }
+      catch (e) {
+        return undefined
+      }
+    default:
+      return raw
+  }
+}
+
+function failure(problems: FieldProblem[]): ValidationError {
+  const first    = problems[0]
+  const err: any = new ValidationError('Invalid metadata: ' + first.path + ' ' + first.message +
+    (problems.length > 1 ? ' (and ' + (problems.length - 1) + ' more)' : ''), {
+    code: 'invalid_metadata'
+  })
+  err.errors = problems
+  return err
+}
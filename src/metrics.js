@@ -0,0 +1,409 @@
+/* @flow */
+
+import { ToznyError, ToznyApiError, TransportError, AbortError } from './errors'
+
+import type { CallOptions, Hooks, RpcEvent } from './rpc'
+
+/**
+ * @class metrics
+ * @singleton
+ *
+ * Module that exports {@link Metrics}, {@link MemoryCollector}, and
+ * {@link #metricsHandler}.  Import with:
+ *
+ *     var Metrics = require('tozny-auth').Metrics;
+ *
+ * Give metrics to the {@link Realm} or {@link User} constructor as `metrics`
+ * to count API calls, time them, and count logins:
+ *
+ *     var realm = new Realm(keyId, secret, apiUrl, { metrics: {} });
+ *     app.get('/metrics', metricsHandler(realm.metrics));
+ *
+ * These metrics are produced:
+ *
+ * - `tozny_rpc_requests_total` (counter), by `method` and `outcome`: every
+ *   request to the API.  Each attempt of a retried call is counted.  The
+ *   outcome is `"success"`, `"api_error"`, `"transport_error"`,
+ *   `"timeout"`, `"aborted"`, or `"error"`.
+ * - `tozny_rpc_request_duration_seconds` (histogram), by `method` and
+ *   `outcome`: time taken by each request
+ * - `tozny_login_verifications_total` (counter), by `outcome` and `reason`:
+ *   every call to {@link Realm#verifyLogin}.  The outcome is `"success"` or
+ *   `"failure"`; the reason of a failure is the `code` of the
+ *   {@link SignatureError}, such as `"expired"` or `"nonce_reused"`.
+ * - `tozny_authentications_total` (counter), by `outcome` and `reason`: every
+ *   request handled by a {@link ToznyStrategy}.  Failures that happen before
+ *   the login is verified have reasons such as `"missing_fields"` or
+ *   `"invalid_body"`.
+ *
+ * By default the values are kept by a {@link MemoryCollector}, which
+ * {@link #metricsHandler} serves in the Prometheus text format.  To send them
+ * elsewhere give a {@link Collector} instead - for example one that feeds
+ * prom-client:
+ *
+ *     var client = require('prom-client');
+ *     var METRICS = require('tozny-auth').METRICS;
+ *     var registered = {};
+ *     function metric(name) {
+ *       var spec = METRICS[name];
+ *       var Type = spec.type === 'counter' ? client.Counter : client.Histogram;
+ *       return registered[name] = registered[name] ||
+ *         new Type({ name: name, help: spec.help, labelNames: spec.labels });
+ *     }
+ *     var realm = new Realm(keyId, secret, apiUrl, { metrics: { collector: {
+ *       increment: function(name, labels, value) { metric(name).inc(labels, value); },
+ *       observe:   function(name, labels, value) { metric(name).observe(labels, value); },
+ *     } } });
+ *
+ * or StatsD, through a client that supports tags:
+ *
+ *     var collector = {
+ *       increment: function(name, labels, value) { statsd.increment(name, value, labels); },
+ *       observe:   function(name, labels, value) { statsd.timing(name, value * 1000, labels); },
+ *     };
+ */
+
+export type Labels = { [key:string]: string }
+
+/**
+ * @class Collector
+ * @abstract
+ * Interface implemented by metric collectors.  Methods should not throw;
+ * errors are ignored anyway, so that a failing collector cannot break API
+ * calls or logins.
+ */
+
+/**
+ * @method increment
+ * Adds to a counter.
+ *
+ * @param {string} name
+ * @param {Object} labels Map from label names to values
+ * @param {number} value
+ */
+
+/**
+ * @method observe
+ * Records a value in a histogram.
+ *
+ * @param {string} name
+ * @param {Object} labels Map from label names to values
+ * @param {number} value Durations are given in seconds
+ */
+export type Collector = {
+  increment(name: string, labels: Labels, value: number): void,
+  observe(name: string, labels: Labels, value: number): void,
+}
+
+export type MetricsOptions = {
+  collector?: Collector,
+  buckets?:   number[],
+}
+
+/**
+ * @property {Object}
+ * Describes every metric produced: maps each name to its `type`
+ * (`"counter"` or `"histogram"`), `help` text, and `labels`.
+ */
+export const METRICS = {
+  tozny_rpc_requests_total: {
+    type: 'counter', help: 'Requests made to the Tozny API', labels: ['method', 'outcome'],
+  },
+  tozny_rpc_request_duration_seconds: {
+    type: 'histogram', help: 'Time taken by requests to the Tozny API', labels: ['method', 'outcome'],
+  },
+  tozny_login_verifications_total: {
+    type: 'counter', help: 'Signed login payloads verified', labels: ['outcome', 'reason'],
+  },
+  tozny_authentications_total: {
+    type: 'counter', help: 'Requests handled by the Tozny Passport strategy', labels: ['outcome', 'reason'],
+  },
+}
+
+/**
+ * @property {number[]}
+ * Default histogram bucket bounds, in seconds.
+ */
+export const DEFAULT_BUCKETS = [0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+
+type Series = { labels: Labels, value: number, counts: number[], sum: number }
+
+/**
+ * @class MemoryCollector
+ * @implements Collector
+ * Collector that keeps values in process memory, and renders them in the
+ * Prometheus text exposition format.
+ *
+ * @constructor
+ * @param {Object} [opts]
+ * @param {number[]} [opts.buckets] Upper bounds of histogram buckets.
+ * Defaults to {@link metrics#DEFAULT_BUCKETS}.
+ */
+export class MemoryCollector {
+  buckets: number[];
+  _metrics: { [name:string]: { type: string, series: { [key:string]: Series } } };
+
+  constructor(opts?: { buckets?: ?number[] }) {
+    const buckets = opts && opts.buckets || DEFAULT_BUCKETS
+    this.buckets  = buckets.slice().sort((a, b) => a - b)
+    this._metrics = {}
+  }
+
+  /**
+   * @param {string} name
+   * @param {Object} labels
+   * @param {number} value
+   */
+  increment(name: string, labels: Labels, value: number) {
+    this._series(name, 'counter', labels).value += value
+  }
+
+  /**
+   * @param {string} name
+   * @param {Object} labels
+   * @param {number} value
+   */
+  observe(name: string, labels: Labels, value: number) {
+    const series = this._series(name, 'histogram', labels)
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) { series.counts[i] += 1 }
+    })
+    series.value += 1
+    series.sum   += value
+  }
+
+  /**
+   * Reads a counter, or the number of values recorded in a histogram.
+   *
+   * @param {string} name
+   * @param {Object} [labels] Only series with all of these label values are
+   * counted
+   * @return {number} Sum over the matching series
+   */
+  value(name: string, labels?: Labels): number {
+    const metric = this._metrics[name]
+    if (!metric) { return 0 }
+    const want = labels || {}
+    return Object.keys(metric.series).reduce((total, key) => {
+      const series = metric.series[key]
+      const match  = Object.keys(want).every(label => series.labels[label] === want[label])
+      return match ? total + series.value : total
+    }, 0)
+  }
+
+  /**
+   * Renders every metric in the Prometheus text exposition format.
+   *
+   * @return {string}
+   */
+  expose(): string {
+    const lines = []
+    Object.keys(this._metrics).sort().forEach(name => {
+      const metric = this._metrics[name]
+      const spec   = METRICS[name]
+      if (spec) { lines.push('# HELP ' + name + ' ' + spec.help) }
+      lines.push('# TYPE ' + name + ' ' + metric.type)
+      Object.keys(metric.series).sort().forEach(key => {
+        const series = metric.series[key]
+        if (metric.type === 'counter') {
+          lines.push(name + formatLabels(series.labels) + ' ' + series.value)
+          return
+        }
+        this.buckets.forEach((bound, i) => {
+          lines.push(name + '_bucket' + formatLabels(series.labels, String(bound)) + ' ' + series.counts[i])
+        })
+        lines.push(name + '_bucket' + formatLabels(series.labels, '+Inf') + ' ' + series.value)
+        lines.push(name + '_sum' + formatLabels(series.labels) + ' ' + series.sum)
+        lines.push(name + '_count' + formatLabels(series.labels) + ' ' + series.value)
+      })
+    })
+    return lines.join('\n') + '\n'
+  }
+
+  /**
+   * @private
+   */
+  _series(name: string, type: string, labels: Labels): Series {
+    const metric = this._metrics[name] = this._metrics[name] || { type, series: {} }
+    const key    = Object.keys(labels).sort().map(l => l + '=' + labels[l]).join(',')
+    var series   = metric.series[key]
+    if (!series) {
+      series = metric.series[key] = {
+        labels: labels,
+        value:  0,
+        counts: this.buckets.map(() => 0),
+        sum:    0,
+      }
+    }
+    return series
+  }
+}
+
+/**
+ * @class Metrics
+ * Counts and times API calls and logins, and reports them to
+ * a {@link Collector}.  See the {@link metrics} module for the metrics that
+ * are produced.
+ *
+ * @constructor
+ * @param {Object} [opts]
+ * @param {Collector} [opts.collector] Defaults to a {@link MemoryCollector}
+ * @param {number[]} [opts.buckets] Histogram buckets for the default collector
+ */
+export default class Metrics {
+  /**
+   * @property {Collector}
+   * @readonly
+   */
+  collector: Collector;
+
+  /**
+   * @property {Object}
+   * @readonly
+   * {@link Hooks} that count and time API requests.  {@link Realm} and
+   * {@link User} add these to every call.
+   */
+  hooks: Hooks;
+
+  constructor(opts?: MetricsOptions) {
+    const o = opts || {}
+    this.collector = o.collector || new MemoryCollector({ buckets: o.buckets })
+    this.hooks = {
+      onResponse: event => this._request(event),
+      onError:    event => this._request(event),
+    }
+  }
+
+  /**
+   * Produces metrics from a `Metrics` instance or from options to construct
+   * one with.
+   *
+   * @static
+   * @param {Metrics/Object} metrics
+   * @return {Metrics}
+   */
+  static from(metrics: Metrics|MetricsOptions): Metrics {
+    return metrics instanceof Metrics ? metrics : new Metrics(metrics)
+  }
+
+  /**
+   * Counts the verification of a signed login payload.
+   *
+   * @param {Error} [err] Reason the payload was rejected, if it was
+   */
+  countVerification(err?: mixed) {
+    this._count('tozny_login_verifications_total', err)
+  }
+
+  /**
+   * Counts a request handled by a {@link ToznyStrategy}.
+   *
+   * @param {Error/string} [failure] Reason authentication failed, if it did
+   */
+  countAuthentication(failure?: mixed) {
+    this._count('tozny_authentications_total', failure)
+  }
+
+  /**
+   * Renders the collected metrics in the Prometheus text exposition format,
+   * if the collector supports that.
+   *
+   * @return {string}
+   */
+  expose(): string {
+    const collector: any = this.collector
+    return typeof collector.expose === 'function' ? collector.expose() : ''
+  }
+
+  /**
+   * @private
+   */
+  _request(event: RpcEvent) {
+    const labels   = { method: event.method, outcome: outcome(event.error) }
+    const duration = event.duration || 0
+    safely(() => this.collector.increment('tozny_rpc_requests_total', labels, 1))
+    safely(() => this.collector.observe('tozny_rpc_request_duration_seconds', labels, duration / 1000))
+  }
+
+  /**
+   * @private
+   */
+  _count(name: string, failure: mixed) {
+    const labels = failure
+      ? { outcome: 'failure', reason: reason(failure) }
+      : { outcome: 'success', reason: '' }
+    safely(() => this.collector.increment(name, labels, 1))
+  }
+}
+
+/**
+ * Produces a request handler that serves metrics in the Prometheus text
+ * exposition format.  Works with Express and with Node's `http` module.
+ *
+ *     app.get('/metrics', metricsHandler(realm.metrics));
+ *
+ * @param {Metrics/MemoryCollector} source Anything with an `expose` method
+ * @return {Function} Handler that takes `(req, res)`
+ */
+export function metricsHandler(source: { expose(): string }): (req: any, res: any) => void {
+  return function(req, res) {
+    var body
+    try {
+      body = source.expose()
+    }
+    catch (err) {
+      res.statusCode = 500
+      res.end()
+      return
+    }
+    res.statusCode = 200
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8')
+    res.end(body)
+  }
+}
+
+/**
+ * Adds the hooks of `metrics`, if there are any, to call options.
+ *
+ * @private
+ */
+export function withMetrics(opts: CallOptions, metrics: ?Metrics): CallOptions {
+  if (metrics) {
+    opts.hooks = [].concat(opts.hooks || [], metrics.hooks)
+  }
+  return opts
+}
+
+function outcome(err: ?Error): string {
+  const e: any = err
+  if (!e) { return 'success' }
+  if (e instanceof ToznyApiError) { return 'api_error' }
+  if (e instanceof AbortError) { return 'aborted' }
+  if (e.code === 'timeout') { return 'timeout' }
+  if (e instanceof TransportError) { return 'transport_error' }
+  return 'error'
+}
+
+function reason(failure: mixed): string {
+  if (typeof failure === 'string') { return failure }
+  return failure instanceof ToznyError && failure.code ? failure.code : 'error'
+}
+
+function safely(fn: () => void) {
+  try {
+    fn()
+  }
+  catch (e) {
+    // A broken collector must not break the call.
+  }
+}
+
+function formatLabels(labels: Labels, le?: string): string {
+  const pairs = Object.keys(labels).sort().map(l => l + '="' + escapeLabel(labels[l]) + '"')
+  if (le) { pairs.push('le="' + le + '"') }
+  return pairs.length > 0 ? '{' + pairs.join(',') + '}' : ''
+}
+
+function escapeLabel(value: string): string {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+}
@@ -0,0 +1,113 @@
+/* @flow */
+
+import bluebird from 'bluebird'
+
+/**
+ * @class nonce-store
+ * @singleton
+ *
+ * Module that exports {@link MemoryNonceStore}.  Import with:
+ *
+ *     var MemoryNonceStore = require('tozny-auth/lib/nonce-store').MemoryNonceStore;
+ *
+ * or
+ *
+ *     var MemoryNonceStore = require('tozny-auth').MemoryNonceStore;
+ *
+ * A nonce store records the nonces of login payloads that have already been
+ * accepted, so that {@link Realm#verifyLogin} can refuse to accept the same
+ * payload twice.  Any object with an `add` method that matches the
+ * {@link NonceStore} interface can be used - for example a small wrapper
+ * around Redis:
+ *
+ *     var store = {
+ *       add: function(nonce, ttl) {
+ *         // SET with NX only succeeds if the key does not exist yet
+ *         return redis.set('tozny:nonce:' + nonce, '1', 'PX', ttl, 'NX')
+ *           .then(function(reply) { return reply === 'OK'; });
+ *       }
+ *     };
+ */
+
+/**
+ * @class NonceStore
+ * @abstract
+ * Interface implemented by nonce stores.
+ */
+
+/**
+ * @method add
+ * Records a nonce.  Implementations must perform the check and the insert
+ * atomically.
+ *
+ * @param {string} nonce Nonce taken from a signed payload
+ * @param {number} ttl   Number of milliseconds for which the nonce must be remembered
+ * @return {Promise.<boolean>} True if the nonce had not been seen before, false if it is a replay
+ */
+export type NonceStore = {
+  add(nonce: string, ttl: number): Promise<boolean>
+}
+
+/**
+ * @class MemoryNonceStore
+ * @implements NonceStore
+ * Nonce store that keeps nonces in process memory.  Expired nonces are evicted
+ * as new nonces are added.
+ *
+ * This store is only suitable for apps that run in a single process.  Apps that
+ * run multiple processes or hosts should use a shared store instead.
+ */
+export class MemoryNonceStore {
+  _expirations: { [key:string]: number };
+  _nextSweep: number;
+
+  /**
+   * @constructor
+   */
+  constructor() {
+    this._expirations = {}
+    this._nextSweep   = 0
+  }
+
+  /**
+   * @param {string} nonce
+   * @param {number} ttl Number of milliseconds to remember the nonce
+   * @return {Promise.<boolean>}
+   */
+  add(nonce: string, ttl: number): Promise<boolean> {
+    const now = Date.now()
+    this._sweep(now)
+
+    const expiresAt = this._expirations[nonce]
+    if (typeof expiresAt !== 'undefined' && expiresAt > now) {
+      return bluebird.resolve(false)
+    }
+    this._expirations[nonce] = now + Math.max(ttl, 0)
+    return bluebird.resolve(true)
+  }
+
+  /**
+   * Number of nonces currently remembered.
+   *
+   * @return {number}
+   */
+  size(): number {
+    return Object.keys(this._expirations).length
+  }
+
+  /**
+   * Drops expired nonces.  To keep `add` cheap a full sweep runs at most once
+   * per second.
+   *
+   * @private
+   */
+  _sweep(now: number) {
+    if (now < this._nextSweep) { return }
+    this._nextSweep = now + 1000
+    Object.keys(this._expirations).forEach(nonce => {
+      if (this._expirations[nonce] <= now) {
+        delete this._expirations[nonce]
+      }
+    })
+  }
+}
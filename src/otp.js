@@ -0,0 +1,204 @@
+/* @flow */
+
+import bluebird   from 'bluebird'
+import util       from 'util'
+import Strategy   from 'passport-strategy'
+import User       from './user'
+
+import { MemoryNonceStore } from './nonce-store'
+import { readBody }         from './request-body'
+import { rememberLogin, DEFAULT_SESSION_KEY } from './session'
+import { SignatureError, ToznyApiError, ValidationError } from './errors'
+
+import type Realm from './realm'
+import type { NonceStore } from './nonce-store'
+
+/**
+ * @class otp
+ * @singleton
+ *
+ * Module that exports {@link ToznyOtpStrategy}.  Import with:
+ *
+ *     var ToznyOtpStrategy = require('tozny-auth/lib/otp').default;
+ *
+ * or
+ *
+ *     var OtpStrategy = require('tozny-auth').OtpStrategy;
+ *
+ */
+
+export type OtpStrategyOptions = {
+  lookupUser?:        (_: { user_id: string }) => (Promise<Object>|Object),
+  nonceStore?:        NonceStore,
+  passReqToCallback?: boolean,
+  sessionIdField?:    string,
+  otpField?:          string,
+  user?:              User,
+  sessionKey?:        string|false,
+}
+
+/**
+ * @property {Object}
+ * Reasons given in the `reason` property of the info object that
+ * {@link ToznyOtpStrategy} passes to Passport when authentication fails.
+ *
+ * - `missing_fields`: the POST did not include a session id and an OTP
+ * - `invalid_otp`: the OTP is wrong; the user may try again
+ * - `session_expired`: the session has expired or was already used; the
+ *   user must request a new OTP
+ * - `too_many_attempts`: too many wrong OTPs were entered for the session;
+ *   the user must request a new OTP
+ * - `invalid_login`: the API returned a result that could not be verified
+ */
+export const OTP_FAILURE_REASONS = {
+  MISSING_FIELDS:    'missing_fields',
+  INVALID_OTP:       'invalid_otp',
+  SESSION_EXPIRED:   'session_expired',
+  TOO_MANY_ATTEMPTS: 'too_many_attempts',
+  INVALID_LOGIN:     'invalid_login',
+}
+
+/**
+ * @class ToznyOtpStrategy
+ * Passport strategy for passwordless login with a one-time password sent by
+ * SMS or email.  The strategy name is `'tozny-otp'`.
+ *
+ * Start the login by sending an OTP with {@link Realm#otpChallenge} or
+ * {@link User#otpChallenge}, and give the resulting `session_id` to the login
+ * form.  When the user submits the form with the `session_id` and the `otp`
+ * they received, the strategy checks the OTP with {@link User#otpResult},
+ * verifies the signed result against the realm secret with
+ * {@link Realm#verifyLogin}, and then looks up the app's user record as
+ * {@link ToznyStrategy} does.
+ *
+ *     passport.use(new OtpStrategy(realm, { lookupUser: findUser }));
+ *
+ *     app.post('/login/otp', function(req, res, next) {
+ *       passport.authenticate('tozny-otp', function(err, user, info) {
+ *         if (err)   { return next(err); }
+ *         if (!user) { return res.status(401).json({ reason: info.reason }); }
+ *         req.logIn(user, next);
+ *       })(req, res, next);
+ *     });
+ *
+ * When authentication fails, the info object has a `message` and one of the
+ * {@link #OTP_FAILURE_REASONS} as its `reason`.  Errors reaching the Tozny API
+ * are passed to Passport as errors.
+ *
+ * @constructor
+ * @param {Realm} realm Tozny realm to authenticate under
+ * @param {Object} [opts]
+ * @param {Function} [opts.lookupUser] Maps Tozny login data to an app-specific
+ * user record; see {@link ToznyStrategy}
+ * @param {boolean} [opts.passReqToCallback] Flag whether or not to pass the
+ * original request into the lookupUser callback
+ * @param {string} [opts.sessionIdField="session_id"] Name of POST parameter
+ * that carries the session id
+ * @param {string} [opts.otpField="otp"] Name of POST parameter that carries
+ * the OTP
+ * @param {NonceStore} [opts.nonceStore] Store used to reject replayed login
+ * payloads.  Defaults as for {@link ToznyStrategy}.
+ * @param {User} [opts.user] Client for the user API.  Defaults to a client
+ * for the realm's API URL, with the realm's call options.
+ * @param {string/boolean} [opts.sessionKey="tozny"] Where to record the
+ * verified login in `req.session`; see {@link ToznyStrategy}
+ */
+export default function ToznyOtpStrategy(realm: Realm, opts?: OtpStrategyOptions) {
+  const o = opts || {};
+  Strategy.call(this);
+  this.name = 'tozny-otp';
+  this._realm       = realm;
+  this._user        = o.user || new User(realm.keyId, realm.apiUrl, realm.callOptions);
+  this._sessionId   = o.sessionIdField || 'session_id';
+  this._otp         = o.otpField || 'otp';
+  this._lookup      = o.lookupUser;
+  this._passReqToCallback = o.passReqToCallback;
+  this._nonceStore  = o.nonceStore || realm.nonceStore || new MemoryNonceStore();
+  this._sessionKey  = o.sessionKey === undefined ? DEFAULT_SESSION_KEY : o.sessionKey;
+}
+
+util.inherits(ToznyOtpStrategy, Strategy);
+
+ToznyOtpStrategy.prototype.authenticate = function authenticate(req, opts) {
+  opts = opts || {};
+  var self = this;
+
+  function lookup(login) {
+    rememberLogin(req, login, self._sessionKey);
+    if (!self._lookup) {
+      return login;
+    }
+    return bluebird.resolve(self._passReqToCallback
+      ? self._lookup(req, login)
+      : self._lookup(login));
+  }
+
+  readBody(req).then(function(fields) {
+    var sessionId = fields[self._sessionId];
+    var otp       = fields[self._otp];
+
+    if (!sessionId || !otp) {
+      return self.fail({
+        reason:  OTP_FAILURE_REASONS.MISSING_FIELDS,
+        message: opts.badRequestMessage ||
+          'Missing post paramaters: "' + self._sessionId + '" and "' + self._otp + '".'
+      }, 400);
+    }
+
+    return self._user.otpResult(String(otp).trim(), String(sessionId))
+    .then(function(result) {
+      return self._realm.verifyLogin(result.signed_data, result.signature, { nonceStore: self._nonceStore });
+    })
+    .then(lookup)
+    .then(function success(user) {
+      self.success(user);
+    });
+  }).catch(function error(err) {
+    const reason = failureReason(err);
+    if (reason) {
+      self.fail({ reason, message: err.message }, 401);
+    }
+    else if (err instanceof ValidationError && err.status) {
+      // The request body could not be read: too large, malformed, or of the wrong type.
+      self.fail(err, err.status);
+    }
+    else {
+      self.error(err);
+    }
+  });
+};
+
+/**
+ * Maps an error from `user.otp_result` or from verification to one of the
+ * failure reasons.  Returns `null` for errors that are not authentication
+ * failures - e.g. the API could not be reached.  Also used by the magic-link
+ * strategy, whose links are OTPs.
+ *
+ * @private
+ */
+export function failureReason(err: any): ?string {
+  if (err instanceof SignatureError) {
+    return OTP_FAILURE_REASONS.INVALID_LOGIN;
+  }
+  if (!(err instanceof ToznyApiError)) {
+    return null;
+  }
+  const known = [
+    OTP_FAILURE_REASONS.INVALID_OTP,
+    OTP_FAILURE_REASONS.SESSION_EXPIRED,
+    OTP_FAILURE_REASONS.TOO_MANY_ATTEMPTS,
+  ];
+  if (known.indexOf(err.code) >= 0) {
+    return err.code;
+  }
+  if (err.status === 410) {
+    return OTP_FAILURE_REASONS.SESSION_EXPIRED;
+  }
+  if (err.status === 429) {
+    return OTP_FAILURE_REASONS.TOO_MANY_ATTEMPTS;
+  }
+  if (err.status && err.status >= 500) {
+    return null;
+  }
+  return OTP_FAILURE_REASONS.INVALID_OTP;
+}
@@ -1,13 +1,20 @@
 /* @flow */
 
-import formidable from 'formidable'
 import bluebird   from 'bluebird'
 import util       from 'util'
 import Strategy   from 'passport-strategy'
 
-const promisify = bluebird.promisify;
+import RealmRegistry from './realm-registry'
 
-import typeof Realm from './realm'
+import { MemoryNonceStore } from './nonce-store'
+import { readBody, findField } from './request-body'
+import { rememberLogin, DEFAULT_SESSION_KEY } from './session'
+import { SignatureError, ToznyError, ValidationError } from './errors'
+
+import type Realm from './realm'
+import type Metrics from './metrics'
+import type { NonceStore } from './nonce-store'
+import type { FieldSource } from './request-body'
 
 /**
  * @class passport
@@ -67,11 +74,29 @@ module.exports = ToznyStrategy;
  *         failureRedirect: '/'
  *       }));
  *
+ * An app that serves several tenants, each with its own realm, can give the
+ * strategy a {@link RealmRegistry} instead of a realm.  The realm for each
+ * request is then looked up by the tenant named in the request - by default,
+ * its hostname:
+ *
+ *     passport.use(new ToznyStrategy(registry, { tenant: { header: 'X-Tenant' } }));
+ *
+ * In that mode a login is only accepted if its `realm_key_id` is the key id
+ * of the realm that was picked, so that a payload signed for one tenant
+ * cannot be used to log in to another.  The realm is recorded on the request
+ * as `req.toznyRealm`.
+ *
  * @constructor
  * Constructs an authentication strategy configured with credentials for
  * a Tozny realm.
  *
- * @param {Realm} realm Tozny realm to authenticate under
+ * Logins that cannot be verified fail authentication, as do requests with
+ * missing or unreadable fields, or for an unknown tenant.  Other errors - e.g.
+ * from `lookupUser` or from the nonce store - are passed to Passport as
+ * errors.
+ *
+ * @param {Realm/RealmRegistry} realm Tozny realm to authenticate under, or
+ * a registry to look up the realm of each request in
  * @param {Object} [opts]
  * @param {function({user_id: string}): Promise.<Object>|Object} [options.lookupUser]
  * Callback to map Tozny login data to an app-specific user record.
@@ -93,38 +118,119 @@ module.exports = ToznyStrategy;
  * parameter that corries login challenge signature
  * @param {boolean} [opts.passReqToCallback=true] Flag whether or not to pass
  * the original request into the lookupUser callback
+ * @param {NonceStore} [opts.nonceStore] Store used to reject replayed login
+ * payloads.  Defaults to the realm's nonce store if it has one, or else to
+ * a {@link MemoryNonceStore} owned by the strategy.  With a registry, the
+ * realm of each request is asked for its nonce store.
+ * @param {string[]} [opts.fieldSources=["body"]] Where to look for the login
+ * fields, in order: any of `"body"`, `"query"`, and `"header"`.  JSON and
+ * urlencoded bodies are accepted, and `req.body` is used if a body parser has
+ * already run.
+ * @param {string} [opts.signedDataHeader="X-Tozny-Signed-Data"] Header that
+ * carries the encoded login challenge, when headers are a field source
+ * @param {string} [opts.signatureHeader="X-Tozny-Signature"] Header that
+ * carries the login challenge signature, when headers are a field source
+ * @param {number} [opts.bodyLimit=102400] Maximum size of a request body, in
+ * bytes.  Larger bodies fail authentication with status 413.
+ * @param {boolean} [opts.multipart=false] Also accept `multipart/form-data`
+ * bodies, parsed with formidable
+ * @param {string/boolean} [opts.sessionKey="tozny"] Key in `req.session`
+ * where the `session_id` and `expires_at` of the verified login are recorded,
+ * for use by {@link session#revalidateSession}.  Set to `false` to record
+ * nothing.
+ * @param {Metrics} [opts.metrics] Counts authentication attempts and their
+ * outcomes.  Defaults to the realm's metrics, if it has any.
+ * @param {string/Object/Function} [opts.tenant="hostname"] With a registry,
+ * how to find the tenant of a request: `"hostname"`, `{param: name}` for
+ * a route parameter, `{header: name}` for a request header, or a function
+ * that takes the request and returns the tenant name
  */
-function ToznyStrategy(realm: Realm, opts: ToznyStrategyOptions) {
+function ToznyStrategy(realm: Realm|RealmRegistry, opts: ToznyStrategyOptions) {
   opts = opts || {};
-  this._realm = realm;
+  const registry = realm instanceof RealmRegistry ? realm : null;
+  const single: any = registry ? null : realm;
+  this._realm    = single;
+  this._registry = registry;
+  this._tenant   = tenantOf(opts.tenant || 'hostname');
   Strategy.call(this);
   this.name = 'tozny';
   this._signed_data = opts.signedDataField || 'tozny_signed_data';
   this._signature   = opts.signatureField  || 'tozny_signature';
   this._lookup      = opts.lookupUser;
   this._passReqToCallback = opts.passReqToCallback;
+  this._nonceStore  = opts.nonceStore || single && single.nonceStore || new MemoryNonceStore();
+  this._realmNonces = !opts.nonceStore;
+  this._sources     = opts.fieldSources || ['body'];
+  this._signedDataHeader = opts.signedDataHeader || 'X-Tozny-Signed-Data';
+  this._signatureHeader  = opts.signatureHeader  || 'X-Tozny-Signature';
+  this._bodyOptions = { limit: opts.bodyLimit, multipart: !!opts.multipart };
+  this._sessionKey  = opts.sessionKey === undefined ? DEFAULT_SESSION_KEY : opts.sessionKey;
+  this._metrics     = opts.metrics || single && single.metrics;
 }
 
 util.inherits(ToznyStrategy, Strategy);
 
 export type ToznyStrategyOptions = {
   lookupUser?:        (_: { user_id: string }) => (Promise<Object>|Object),
+  nonceStore?:        NonceStore,
   passReqToCallback?: boolean,
   signedDataField?:   string,
   signatureField?:    string,
+  fieldSources?:      FieldSource[],
+  signedDataHeader?:  string,
+  signatureHeader?:   string,
+  bodyLimit?:         number,
+  multipart?:         boolean,
+  sessionKey?:        string|false,
+  metrics?:           Metrics,
+  tenant?:            TenantSource,
+}
+
+export type TenantSource = 'hostname'
+                         | { param: string }
+                         | { header: string }
+                         | (req: Object) => ?string
+
+function tenantOf(source: TenantSource): (req: Object) => ?string {
+  if (typeof source === 'function') {
+    return source;
+  }
+  if (source === 'hostname') {
+    return function(req) {
+      const host = req.hostname || req.headers && req.headers.host;
+      return host ? String(host).replace(/:\d+$/, '').toLowerCase() : null;
+    };
+  }
+  const s: Object = source;
+  if (typeof s.param === 'string') {
+    const param = s.param;
+    return function(req) { return req.params && req.params[param]; };
+  }
+  if (typeof s.header === 'string') {
+    const header = s.header.toLowerCase();
+    return function(req) { return req.headers && req.headers[header]; };
+  }
+  throw new TypeError('Unknown tenant source: ' + String(source));
 }
 
 ToznyStrategy.prototype.authenticate = function authenticate(req, opts) {
   opts = opts || {};
-  var form = new formidable.IncomingForm();
   var self = this;
+  function count(failure) {
+    if (self._metrics) {
+      self._metrics.countAuthentication(failure);
+    }
+  }
+  var body = self._sources.indexOf('body') >= 0
+    ? readBody(req, self._bodyOptions)
+    : bluebird.resolve({});
 
-  promisify(form.parse.bind(form))(req).then(function (formData) {
-    var fields     = formData;
-    var signedData = fields[self._signed_data];
-    var signature  = fields[self._signature];
+  body.then(function (fields) {
+    var signedData = findField(req, fields, self._sources, self._signed_data, self._signedDataHeader);
+    var signature  = findField(req, fields, self._sources, self._signature, self._signatureHeader);
 
     if (!signedData || !signature) {
+      count('missing_fields');
       return self.fail({
           message: opts.badRequestMessage ||
             'Missing post paramaters: "'+ self._signed_data +'" and "'+ self._signature +'".'
@@ -144,17 +250,38 @@ ToznyStrategy.prototype.authenticate = function authenticate(req, opts) {
       }
     }
 
-    return self._realm.verifyLogin(signedData, signature).then(
+    var realm = self._registry
+      ? self._registry.get(self._tenant(req))
+      : bluebird.resolve(self._realm);
+
+    return realm.then(function(realm) {
+      if (self._registry) {
+        req.toznyRealm = realm;
+        return realm.verifyLogin(signedData, signature, {
+          nonceStore: self._realmNonces && realm.nonceStore || self._nonceStore,
+          checkRealm: true
+        });
+      }
+      return realm.verifyLogin(signedData, signature, { nonceStore: self._nonceStore });
+    }).then(
       function success(login) {
-        return lookup(login).then(function(user) {
+        rememberLogin(req, login, self._sessionKey);
+        return bluebird.resolve(lookup(login)).then(function(user) {
+          count();
           self.success(user);
         });
       }
     );
-  }).then(
-    null,
-    function error(err) {
-      self.fail(err);
+  }).catch(function error(err) {
+    const e = err || new ToznyError('Authentication failed without an error');
+    count(e);
+    if (e instanceof SignatureError || e instanceof ValidationError && e.status) {
+      // The login was rejected, or the request was unreadable or for an
+      // unknown tenant.
+      self.fail(e, e.status);
+    }
+    else {
+      self.error(e);
     }
-  );
+  });
 };
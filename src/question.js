@@ -0,0 +1,206 @@
+/* @flow */
+
+import { ValidationError } from './errors'
+
+/**
+ * @class question
+ * @singleton
+ *
+ * Module that exports builders for the questions sent with
+ * {@link Realm#questionChallenge}.  Import with:
+ *
+ *     var question = require('tozny-auth').question;
+ *
+ * Two kinds of question are supported:
+ *
+ * - {@link #confirm} asks the user to accept or reject a request, such as
+ *   a wire transfer.  The user's answer is `"accept"` or `"reject"`.
+ * - {@link #callback} asks a free-text question whose outcome is delivered to
+ *   one of two URLs.  The user's answer is `"success"` or `"error"`.
+ *
+ * The builders check their arguments, so that a malformed question fails with
+ * a {@link ValidationError} before anything is sent.  Verify the user's answer
+ * with {@link Realm#verifyQuestionAnswer}.
+ */
+
+export type ConfirmQuestion = {
+  type:     'question',
+  question: string,
+  accept?:  string,
+  reject?:  string,
+}
+
+export type CallbackQuestion = {
+  type:     'callback',
+  question: string,
+  success:  string,
+  error:    string,
+}
+
+export type Question = ConfirmQuestion | CallbackQuestion
+
+/**
+ * Answer to a question challenge, as produced by
+ * {@link Realm#verifyQuestionAnswer}.  `accepted` is true if `answer` is
+ * `"accept"` or `"success"`.
+ */
+export type QuestionAnswer = {
+  session_id:     string,
+  user_id:        ?string,
+  question:       Question,
+  answer:         string,
+  accepted:       boolean,
+  expires_at:     number,
+  matched_key_id: ?string,
+}
+
+/**
+ * @property {number}
+ * Maximum length of question text, in characters.
+ */
+export const MAX_QUESTION_LENGTH = 1000
+
+/**
+ * @property {number}
+ * Maximum length of the labels of a {@link #confirm} question's buttons.
+ */
+export const MAX_LABEL_LENGTH = 64
+
+const ANSWERS = {
+  question: ['accept', 'reject'],
+  callback: ['success', 'error'],
+}
+
+/**
+ * Builds a question that the user accepts or rejects.
+ *
+ *     realm.questionChallenge(
+ *       question.confirm('Send $2,500.00 to ACME Corp?', { accept: 'Send', reject: 'Cancel' }),
+ *       userId
+ *     );
+ *
+ * @param {string} text Question shown to the user
+ * @param {Object} [labels]
+ * @param {string} [labels.accept] Label of the button that accepts
+ * @param {string} [labels.reject] Label of the button that rejects
+ * @return {Object}
+ */
+export function confirm(text: string, labels?: { accept?: string, reject?: string }): ConfirmQuestion {
+  const q: ConfirmQuestion = { type: 'question', question: text }
+  if (labels && typeof labels.accept !== 'undefined') { q.accept = labels.accept }
+  if (labels && typeof labels.reject !== 'undefined') { q.reject = labels.reject }
+  validateQuestion(q)
+  return q
+}
+
+/**
+ * Builds a free-text question whose outcome is delivered by redirecting the
+ * user to one of two URLs.
+ *
+ * @param {string} text Question shown to the user
+ * @param {Object} urls
+ * @param {string} urls.success URL to visit when the user answers
+ * @param {string} urls.error URL to visit when the user declines
+ * @return {Object}
+ */
+export function callback(text: string, urls: { success: string, error: string }): CallbackQuestion {
+  const u = urls || {}
+  const q: CallbackQuestion = { type: 'callback', question: text, success: u.success, error: u.error }
+  validateQuestion(q)
+  return q
+}
+
+/**
+ * Checks that a question is well-formed.  Throws a {@link ValidationError} with
+ * the code `"invalid_question"` if it is not.
+ *
+ * @param {Object} q
+ */
+export function validateQuestion(q: mixed) {
+  if (!q || typeof q !== 'object' || Array.isArray(q)) {
+    throw invalid('Question must be an object')
+  }
+  if (typeof q.question !== 'string' || q.question.trim() === '') {
+    throw invalid('Question text must be a non-empty string')
+  }
+  if (q.question.length > MAX_QUESTION_LENGTH) {
+    throw invalid('Question text is longer than ' + MAX_QUESTION_LENGTH + ' characters')
+  }
+  if (q.type === 'question') {
+    checkLabel(q.accept, 'accept')
+    checkLabel(q.reject, 'reject')
+  }
+  else if (q.type === 'callback') {
+    checkUrl(q.success, 'success')
+    checkUrl(q.error, 'error')
+  }
+  else {
+    throw invalid('Question type must be "question" or "callback"')
+  }
+}
+
+/**
+ * Reads the answer from a verified question payload.  Throws a
+ * {@link ValidationError} if the payload does not carry a question, or if
+ * the answer is not one that the question allows.
+ *
+ * @private
+ * @param {Object} payload Verified payload produced by {@link Realm#verifyLogin}
+ * @return {Object}
+ */
+export function toAnswer(payload: Object): QuestionAnswer {
+  const q: any = typeof payload.question === 'string' ? parseQuestion(payload.question) : payload.question
+  validateQuestion(q)
+  const allowed = ANSWERS[q.type]
+  if (allowed.indexOf(payload.answer) < 0) {
+    throw invalid('Answer must be one of: ' + allowed.join(', '))
+  }
+  return {
+    session_id:     payload.session_id,
+    user_id:        payload.user_id || null,
+    question:       q,
+    answer:         payload.answer,
+    accepted:       payload.answer === allowed[0],
+    expires_at:     parseInt(payload.expires_at, 10),
+    matched_key_id: payload.matched_key_id || null,
+  }
+}
+
+/**
+ * Compares two questions field by field.
+ *
+ * @private
+ * @return {boolean}
+ */
+export function sameQuestion(a: Object, b: Object): boolean {
+  return ['type', 'question', 'accept', 'reject', 'success', 'error'].every(key => a[key] === b[key])
+}
+
+function parseQuestion(text: string): mixed {
+  try {
+    return JSON.parse(text)
+  }
+  catch (e) {
+    throw invalid('Question is not valid JSON')
+  }
+}
+
+function checkLabel(value: mixed, name: string) {
+  if (typeof value === 'undefined') {
+    return
+  }
+  if (typeof value !== 'string' || value.trim() === '' || value.length > MAX_LABEL_LENGTH) {
+    throw invalid('Label "' + name + '" must be a non-empty string of at most ' +
+      MAX_LABEL_LENGTH + ' characters')
+  }
+}
+
+function checkUrl(value: mixed, name: string) {
+  if (typeof value !== 'string' || !/^https?:\/\/[^\s/?#]+[^\s]*$/i.test(value)) {
+    throw invalid('URL "' + name + '" must be an absolute http or https URL')
+  }
+}
+
+function invalid(message: string): ValidationError {
+  return new ValidationError(message, { code: 'invalid_question' })
+}
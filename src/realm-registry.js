@@ -0,0 +1,220 @@
+/* @flow */
+
+import bluebird     from 'bluebird'
+import objectAssign from 'object-assign'
+import Realm        from './realm'
+import Keyring      from './keyring'
+
+import { ValidationError } from './errors'
+
+import type { KeyringEntry } from './keyring'
+import type { RealmOptions } from './realm'
+import type EndpointPool     from './endpoint-pool'
+
+/**
+ * @class realm-registry
+ * @singleton
+ *
+ * Module that exports {@link RealmRegistry}.  Import with:
+ *
+ *     var RealmRegistry = require('tozny-auth').RealmRegistry;
+ *
+ * A registry holds the realms of many tenants, for apps that serve several
+ * customers who each have their own Tozny realm.  Tenants are named by
+ * whatever identifies them in a request - a hostname, for example.  Realms
+ * may be listed up front, in the format of the config file of the
+ * `tozny-auth` command line tool:
+ *
+ *     var registry = new RealmRegistry({
+ *       realms: {
+ *         'acme.example.com':   { realmKeyId: 'sid_...', realmSecret: '...' },
+ *         'globex.example.com': { realmKeyId: 'sid_...', realmSecret: '...' },
+ *       },
+ *       realmOptions: { nonceStore: sharedNonceStore },
+ *     });
+ *
+ * or looked up when they are first needed:
+ *
+ *     var registry = new RealmRegistry({
+ *       resolve: function(tenant) {
+ *         return db.tenants.findOne({ host: tenant }).then(function(row) {
+ *           return row && { realmKeyId: row.realm_key_id, realmSecret: row.realm_secret };
+ *         });
+ *       },
+ *       ttl: 10 * 60 * 1000,
+ *     });
+ *
+ * Give the registry to a {@link ToznyStrategy} in place of a realm to pick
+ * the realm for each login request.
+ */
+
+export type RealmConfig = {
+  realmKeyId:  string,
+  realmSecret: string|Keyring|KeyringEntry[],
+  apiUrl?:     ?(string|string[]|EndpointPool),
+  options?:    RealmOptions,
+}
+
+export type RegistryOptions = {
+  realms?:       { [tenant:string]: Realm|RealmConfig },
+  resolve?:      (tenant: string) => ?(Realm|RealmConfig)|Promise<?(Realm|RealmConfig)>,
+  ttl?:          number,
+  apiUrl?:       ?(string|string[]|EndpointPool),
+  realmOptions?: RealmOptions,
+}
+
+/**
+ * @class RealmRegistry
+ * Finds the {@link Realm} of a tenant.  Realms listed in `realms` are always
+ * available.  Other tenants are looked up with `resolve`, and the realms it
+ * produces are kept for `ttl` milliseconds, so that changed credentials are
+ * picked up.  Concurrent lookups of one tenant share a single call to
+ * `resolve`; failed lookups are not kept.
+ *
+ * When a tenant is looked up again, and `resolve` gives a config with the
+ * same `realmKeyId` as before, the tenant keeps its realm, and only the
+ * secret is replaced.  The throttle counters, cache, batcher, and metrics of
+ * the realm carry over.  The `apiUrl` and `options` of the config only take
+ * effect when a realm is made for a new key id.
+ *
+ * Objects given in `realmOptions`, rather than options to construct them
+ * with, are shared by every tenant.  In particular a {@link UserCache} given
+ * as `cache` keeps the entries of every tenant under one key prefix, so that
+ * for example a cached {@link Realm#userEmailExists} result for one tenant is
+ * returned to another.  Give cache options instead, and each realm gets its
+ * own cache with a prefix that includes its key id.
+ *
+ * @constructor
+ * @param {Object} opts
+ * @param {Object} [opts.realms] Map from tenant names to realms, or to
+ * configs to construct them from: `realmKeyId`, `realmSecret`, and optionally
+ * `apiUrl` and `options`
+ * @param {Function} [opts.resolve] Takes a tenant name, and returns a realm,
+ * a config, or `null` if there is no such tenant - or a promise of one
+ * @param {number} [opts.ttl=300000] Milliseconds to keep resolved realms
+ * @param {string/string[]/EndpointPool} [opts.apiUrl] API URL of realms made
+ * from configs that do not give one
+ * @param {Object} [opts.realmOptions] Options for realms made from configs.
+ * A config's own `options` are merged over these.
+ */
+export default class RealmRegistry {
+  ttl: number;
+  _static: { [tenant:string]: Realm };
+  _resolved: { [tenant:string]: { realm: Promise<Realm>, expiresAt: number } };
+  _realms: { [tenant:string]: Realm };
+  _resolve: ?(tenant: string) => ?(Realm|RealmConfig)|Promise<?(Realm|RealmConfig)>;
+  _apiUrl: ?(string|string[]|EndpointPool);
+  _realmOptions: RealmOptions;
+
+  constructor(opts: RegistryOptions) {
+    const o = opts || {}
+    this.ttl           = typeof o.ttl === 'number' ? o.ttl : 5 * 60 * 1000
+    // Tenant names come from requests, so these maps must not inherit
+    // properties like `constructor` or `__proto__`.
+    this._static       = Object.create(null)
+    this._resolved     = Object.create(null)
+    this._realms       = Object.create(null)
+    this._resolve      = o.resolve
+    this._apiUrl       = o.apiUrl
+    this._realmOptions = o.realmOptions || {}
+    const realms = o.realms || {}
+    Object.keys(realms).forEach(tenant => this.add(tenant, realms[tenant]))
+  }
+
+  /**
+   * Adds a tenant, or replaces one.
+   *
+   * @param {string} tenant
+   * @param {Realm/Object} realm A realm, or a config to construct one from
+   * @return {Realm}
+   */
+  add(tenant: string, realm: Realm|RealmConfig): Realm {
+    const r = this._toRealm(tenant, realm)
+    this._static[tenant] = r
+    delete this._resolved[tenant]
+    delete this._realms[tenant]
+    return r
+  }
+
+  /**
+   * Forgets a tenant.  A tenant that came from `resolve` is looked up again
+   * the next time it is needed.
+   *
+   * @param {string} tenant
+   */
+  delete(tenant: string) {
+    delete this._static[tenant]
+    delete this._resolved[tenant]
+    delete this._realms[tenant]
+  }
+
+  /**
+   * Finds the realm of a tenant.
+   *
+   * @param {string} tenant
+   * @return {Promise.<Realm>} Fails with a {@link ValidationError} with the
+   * code `"unknown_realm"` if there is no such tenant
+   */
+  get(tenant: string): Promise<Realm> {
+    if (!tenant || typeof tenant !== 'string') {
+      return bluebird.reject(unknown('No tenant given'))
+    }
+    const known = this._static[tenant]
+    if (known) {
+      return bluebird.resolve(known)
+    }
+    const cached = this._resolved[tenant]
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.realm
+    }
+    const resolve = this._resolve
+    if (!resolve) {
+      return bluebird.reject(unknown('Unknown tenant: ' + tenant))
+    }
+    const realm = bluebird.try(() => resolve(tenant)).then(found => {
+      if (!found) {
+        throw unknown('Unknown tenant: ' + tenant)
+      }
+      const r = this._toRealm(tenant, found, this._realms[tenant])
+      this._realms[tenant] = r
+      return r
+    })
+    const entry = { realm, expiresAt: Date.now() + this.ttl }
+    this._resolved[tenant] = entry
+    realm.catch(() => {
+      if (this._resolved[tenant] === entry) {
+        delete this._resolved[tenant]
+      }
+    })
+    return realm
+  }
+
+  /**
+   * Makes a realm from a config, or refreshes the secret of `previous` if
+   * the config is for the same realm.
+   *
+   * @private
+   */
+  _toRealm(tenant: string, realm: Realm|RealmConfig, previous?: ?Realm): Realm {
+    if (realm instanceof Realm) {
+      return realm
+    }
+    const config: any = realm
+    if (!config || typeof config.realmKeyId !== 'string' || !config.realmKeyId || !config.realmSecret) {
+      throw new ValidationError('Config for tenant ' + tenant + ' needs a realmKeyId and a realmSecret', {
+        code: 'invalid_realm_config'
+      })
+    }
+    if (previous && previous.keyId === config.realmKeyId) {
+      previous.keyring     = Keyring.from(config.realmSecret)
+      previous.realmSecret = previous.keyring.primary().secret
+      return previous
+    }
+    return new Realm(config.realmKeyId, config.realmSecret, config.apiUrl || this._apiUrl,
+                     objectAssign({}, this._realmOptions, config.options))
+  }
+}
+
+function unknown(message: string): ValidationError {
+  return new ValidationError(message, { code: 'unknown_realm', status: 400 })
+}
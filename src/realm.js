@@ -1,9 +1,39 @@
 /* @flow */
 
 import * as tozny from './crypto'
-import bluebird   from 'bluebird'
+import bluebird     from 'bluebird'
+import objectAssign from 'object-assign'
+import Keyring      from './keyring'
+import UserIterator from './user-iterator'
+import UsersQuery   from './users-query'
+import SessionWatcher from './session-watcher'
+import MetadataSchema from './metadata-schema'
+import UserCache      from './user-cache'
+import UserBatcher    from './user-batcher'
+import ChallengeThrottle, { throttled } from './throttle'
+import Metrics, { withMetrics } from './metrics'
+import EndpointPool, { resolveEndpoints } from './endpoint-pool'
 
-import type { User } from './types'
+import { SignatureError, ToznyApiError, ValidationError, requireParams } from './errors'
+import { validateQuestion, toAnswer, sameQuestion } from './question'
+import { utf8Encode, utf8Decode, base64Encode } from './encoding'
+
+import type { User }       from './types'
+import { MemoryNonceStore } from './nonce-store'
+import type { NonceStore } from './nonce-store'
+import type { KeyringEntry } from './keyring'
+import type { CallOptions, Hooks } from './rpc'
+import type { Transport }    from './transport'
+import type { UserIteratorOptions } from './user-iterator'
+import type { UsersGetParams }      from './users-query'
+import type { WaitOptions }         from './session-watcher'
+import type { Question, QuestionAnswer } from './question'
+import type { FieldSpec } from './metadata-schema'
+import type { UserCacheOptions } from './user-cache'
+import type { BatchOptions } from './user-batcher'
+import type { ThrottleOptions, SendOptions } from './throttle'
+import type { MetricsOptions } from './metrics'
+import type { CircuitBreakerOptions } from './endpoint-pool'
 
 /**
  * @class realm
@@ -91,26 +121,169 @@ export default class Realm {
    * @readonly
    * API URL that was given when this Realm object was constructed.  If no URL
    * was given then this value is taken from the `API_URL` environment
-   * variable.
+   * variable.  If a list of URLs was given, this is the first of them.
    */
   apiUrl: string;
 
-  realmSecret: string;
+  /**
+   * @property {EndpointPool}
+   * @readonly
+   * Endpoints that calls fail over between, if a list of API URLs was given.
+   * Use {@link EndpointPool#health} to check on them.
+   */
+  endpoints: ?EndpointPool;
+
+  /**
+   * @property {string}
+   * @readonly
+   * Secret of the primary key in {@link #keyring}.  Used to sign API requests.
+   * `null` if the Realm was constructed without a secret.
+   */
+  realmSecret: ?string;
+
+  /**
+   * @property {Keyring}
+   * @readonly
+   * All secrets that are accepted when verifying signatures.  If the Realm
+   * was constructed with a single secret then the keyring contains just that
+   * secret, with the id `"primary"`.  `null` if the Realm was constructed
+   * without a secret.
+   */
+  keyring: ?Keyring;
+
+  /**
+   * @property {NonceStore}
+   * Store used by {@link #verifyLogin} to reject replayed payloads.  If this is
+   * not set then nonces are not checked.
+   */
+  nonceStore: ?NonceStore;
+
+  /**
+   * @property {number}
+   * Number of seconds by which a signed payload may be past its `expires_at`
+   * time and still be accepted.  Allows for clock drift between this host and
+   * Tozny.
+   */
+  clockSkew: number;
+
+  /**
+   * @property {Object}
+   * Default timeout, retry, and cancellation options for API calls made
+   * through this realm.  See {@link CallOptions}.
+   */
+  callOptions: CallOptions;
+
+  /**
+   * @property {MetadataSchema}
+   * Schema that user metadata is checked against and parsed with.  If this is
+   * not set then metadata is passed through as-is.
+   */
+  metadataSchema: ?MetadataSchema;
+
+  /**
+   * @property {UserCache}
+   * Cache for {@link #userGet}, {@link #userExists}, and
+   * {@link #userEmailExists}.  If this is not set then every lookup goes to
+   * the API.
+   */
+  cache: ?UserCache;
+
+  /**
+   * @property {UserBatcher}
+   * Collects concurrent calls to {@link #userGet} into `realm.users_get`
+   * calls.  If this is not set then every lookup is a separate call.
+   */
+  batcher: ?UserBatcher;
+
+  /**
+   * @property {ChallengeThrottle}
+   * Limits how often {@link #otpChallenge} and {@link #linkChallenge} send
+   * messages.  If this is not set then sending is not limited.
+   */
+  throttle: ?ChallengeThrottle;
+
+  _answerNonces: ?NonceStore;
+
+  /**
+   * @property {Metrics}
+   * Counts and times API calls made through this realm, and counts calls to
+   * {@link #verifyLogin}.  If this is not set then nothing is measured.
+   */
+  metrics: ?Metrics;
 
   /**
    * @constructor
    * @param {string} realmKeyId  This usually begins with `sid_` followed by a hexadecimal string
-   * @param {string} realmSecret This is usually a long hexadecimal string
-   * @param {string} [inApiUrl=process.env.API_URL] URL of Tozny service
+   * @param {string/Keyring/Object[]} [realmSecret] This is usually a long
+   * hexadecimal string.  To rotate secrets, give a {@link Keyring} or an array
+   * of keys to construct one from.  Without a secret, API calls and
+   * {@link #verifyLogin} fail with a {@link ValidationError} with the code
+   * `"missing_secret"`.
+   * @param {string/string[]/EndpointPool} [inApiUrl=process.env.API_URL] URL
+   * of Tozny service.  Give a list of URLs, in order of preference, or an
+   * {@link EndpointPool} to fail over between several.
+   * @param {Object} [opts]
+   * @param {NonceStore} [opts.nonceStore] Store used to reject replayed login payloads
+   * @param {number} [opts.clockSkew=60] Allowance in seconds for clock drift when
+   * checking payload expiration
+   * @param {number} [opts.timeout=30000] Milliseconds to wait for each API
+   * request before giving up.  Set to 0 to wait indefinitely.
+   * @param {number} [opts.retries=2] Number of times to retry a failed call to
+   * a read-only method, such as `realm.user_get`.  Other methods are never retried.
+   * @param {number} [opts.retryDelay=100] Base delay in milliseconds for
+   * exponential backoff between retries
+   * @param {number} [opts.maxRetryDelay=2000] Upper bound on the delay between retries
+   * @param {Transport} [opts.transport] Delivers signed requests to the API.
+   * Defaults to a {@link SuperagentTransport}.
+   * @param {Object/Object[]} [opts.hooks] Functions that observe every API
+   * call, such as a {@link logging#jsonLogger}.  See {@link Hooks}.
+   * @param {MetadataSchema/Object} [opts.metadataSchema] Schema for user
+   * metadata, or a map of field specs to construct one from.  See
+   * {@link MetadataSchema}.
+   * @param {UserCache/Object} [opts.cache] Caches user lookups.  Give
+   * a {@link UserCache}, or options to construct one with: `ttl`,
+   * `maxEntries`, `store`, and `prefix`.  The prefix defaults to one that
+   * includes the realm key id.
+   * @param {boolean/Object} [opts.batch] Set to `true` to fetch concurrent
+   * {@link #userGet} lookups together, or give options for the
+   * {@link UserBatcher}: `maxBatchSize` and `wait`.
+   * @param {ChallengeThrottle/Object} [opts.throttle] Limits how often
+   * challenges are sent.  Give a {@link ChallengeThrottle}, or options to
+   * construct one with.
+   * @param {Metrics/Object} [opts.metrics] Collects metrics about API calls
+   * and logins.  Give a {@link Metrics}, or options to construct one with.
+   * @param {Object} [opts.circuitBreaker] `failureThreshold` and
+   * `resetTimeout` for the {@link EndpointPool} made from a list of URLs
    */
-  constructor(realmKeyId: string, realmSecret: string, inApiUrl?: ?string) {
-    const processApiUrl = typeof process !== 'undefined' && process.env
-      ? process.env.API_URL
-      : undefined
+  constructor(realmKeyId: string, realmSecret?: ?(string|Keyring|KeyringEntry[]),
+              inApiUrl?: ?(string|string[]|EndpointPool), opts?: RealmOptions) {
+    const options = opts || {}
+    const target  = resolveEndpoints(inApiUrl, options.circuitBreaker)
 
     this.keyId       = realmKeyId
-    this.realmSecret = realmSecret
-    this.apiUrl      = inApiUrl || processApiUrl || 'https://api.tozny.com'
+    this.keyring     = realmSecret ? Keyring.from(realmSecret) : null
+    this.realmSecret = this.keyring ? this.keyring.primary().secret : null
+    this.apiUrl      = target.apiUrl
+    this.endpoints   = target.endpoints
+    this.nonceStore  = options.nonceStore
+    this.clockSkew   = typeof options.clockSkew === 'number' ? options.clockSkew : 60
+    this.metadataSchema = options.metadataSchema ? MetadataSchema.from(options.metadataSchema) : null
+    this.cache          = options.cache ? UserCache.from(options.cache, 'tozny:' + realmKeyId + ':') : null
+    this.throttle       = options.throttle ? ChallengeThrottle.from(options.throttle) : null
+    const batch = options.batch
+    this.batcher        = batch
+      ? new UserBatcher(ids => this._usersByIds(ids), typeof batch === 'object' ? batch : {})
+      : null
+    this.metrics        = options.metrics ? Metrics.from(options.metrics) : null
+    this.callOptions = {
+      timeout:       options.timeout,
+      retries:       options.retries,
+      retryDelay:    options.retryDelay,
+      maxRetryDelay: options.maxRetryDelay,
+      transport:     options.transport,
+      hooks:         options.hooks,
+      endpoints:     this.endpoints,
+    }
   }
 
   /**
@@ -119,34 +292,114 @@ export default class Realm {
    * @method
    * @param {string} method Name of method to invoke via RPC.
    * @param {Object} [params] Parameters to send.
-   * @return {Promise.<Object>} Result depends on the API call that is made
+   * @param {Object} [opts] Overrides {@link #callOptions} for this call.  May
+   * also include a `signal` (an `AbortSignal`) to cancel the call.
+   * @return {Promise.<Object>} Result depends on the API call that is made.
+   * Fails with {@link ToznyApiError} if the API reports an error, with
+   * {@link TransportError} if no usable response is received, or with
+   * {@link AbortError} if the call is cancelled.
    */
-  rawCall(method: string, params: Object): Promise<Object> {
-    return tozny.sendRequest(this.apiUrl, this.keyId, this.realmSecret, method, params);
+  rawCall(method: string, params: Object, opts?: ?CallOptions): Promise<Object> {
+    const secret = this.realmSecret
+    if (!secret) {
+      return bluebird.reject(missingSecret(this.keyId, method));
+    }
+    const callOpts = withMetrics(objectAssign({}, this.callOptions, opts), this.metrics)
+    return tozny.sendRequest(this.apiUrl, this.keyId, secret, method, params, callOpts);
   }
 
   /**
    * We have received a sign package and signature -
    * let's verify it.
    *
+   * The signature may have been made with any usable key in {@link #keyring}.
+   * The id of the key that matched is added to the result as `matched_key_id`.
+   *
+   * Besides checking the signature, the payload is rejected if its
+   * `expires_at` time has passed (allowing for {@link #clockSkew}), and - if
+   * a nonce store is configured - if its `nonce` has been seen before.
+   *
    * @param {string} signedData Who's logging in, seriaized with JSON and URL-safe base64
    * @param {string} signature The signature for the payload
-   * @return {Promise.<Object>} Object with several fields:
+   * @param {Object} [opts]
+   * @param {NonceStore} [opts.nonceStore=this.nonceStore] Overrides the realm's nonce store
+   * @param {boolean} [opts.checkRealm=false] Also reject the payload, with the
+   * code `"realm_mismatch"`, unless its `realm_key_id` is this realm's
+   * {@link #keyId}.  Apps that serve several realms should always check.
+   * @return {Promise.<Object>} Fails with a {@link SignatureError} if the
+   * payload is rejected.  On success, resolves to an object with several fields:
    *
    * TODO
    *
    */
-  verifyLogin(signedData: string, signature: string): Promise<Object> {
-    return tozny.checkSignature(this.realmSecret, signature, signedData)
-    .then(function(valid) {
-      var decoded;
-      if (valid) {
+  verifyLogin(signedData: string, signature: string,
+              opts?: { nonceStore?: ?NonceStore, checkRealm?: boolean }): Promise<Object> {
+    const nonceStore = opts && opts.nonceStore || this.nonceStore
+    const clockSkew  = this.clockSkew
+    const realmKeyId = opts && opts.checkRealm ? this.keyId : null
+    const metrics    = this.metrics
+    const keyring    = this.keyring
+
+    function reject(code, message) {
+      return bluebird.reject(new SignatureError(message, { code }));
+    }
+
+    if (!keyring) {
+      return bluebird.reject(missingSecret(this.keyId, 'verifyLogin'));
+    }
+
+    const verified = keyring.verify(signature, signedData)
+    .then(function(keyId) {
+      var decoded, login;
+      if (keyId === null) {
+        return reject('invalid_signature', 'invalid signature');
+      }
+      try {
         decoded = tozny.fromBase64(signedData);
-        return JSON.parse(decoded.toString('utf8'));
+        login   = JSON.parse(utf8Decode(decoded));
       }
-      else {
-        return bluebird.reject('invalid signature');
+      catch (e) {
+        return reject('malformed_payload', 'signed data is not valid JSON');
+      }
+      if (!login || typeof login !== 'object') {
+        return reject('malformed_payload', 'signed data is not a JSON object');
+      }
+      if (realmKeyId !== null && login.realm_key_id !== realmKeyId) {
+        return reject('realm_mismatch', 'login is for a different realm');
+      }
+      login.matched_key_id = keyId;
+
+      const expiresAt = parseInt(login.expires_at, 10);
+      const now       = Date.now() / 1000;
+      if (isNaN(expiresAt)) {
+        return reject('missing_expiration', 'missing expiration');
       }
+      if (expiresAt + clockSkew < now) {
+        return reject('expired', 'login expired');
+      }
+
+      if (!nonceStore) {
+        return login;
+      }
+      if (typeof login.nonce !== 'string' || !login.nonce) {
+        return reject('missing_nonce', 'missing nonce');
+      }
+      // Remember the nonce for as long as the payload could still be accepted.
+      const ttl = Math.ceil((expiresAt + clockSkew - now) * 1000);
+      return bluebird.resolve(nonceStore.add(login.nonce, ttl)).then(function(fresh) {
+        return fresh ? login : reject('nonce_reused', 'nonce reused');
+      });
+    });
+
+    if (!metrics) {
+      return verified;
+    }
+    return verified.then(function(login) {
+      metrics.countVerification();
+      return login;
+    }, function(err) {
+      metrics.countVerification(err);
+      return bluebird.reject(err);
     });
   }
 
@@ -154,20 +407,27 @@ export default class Realm {
    * @param {string} userId
    * @param {string} sessionId
    * @param {Date}   expiresAt
+   * @param {Object} [opts] Per-call options; see {@link #rawCall}
    * @return {Promise.<boolean>} True if login is valid, false otherwise
    */
-  checkValidLogin(userId: string, sessionId: string, expiresAt: Date): Promise<boolean> {
+  checkValidLogin(userId: string, sessionId: string, expiresAt: Date,
+                  opts?: ?CallOptions): Promise<boolean> {
+    const invalid = requireParams('realm.check_valid_login', { userId, sessionId })
+    if (invalid) { return bluebird.reject(invalid) }
     return this.rawCall('realm.check_valid_login', {
       user_id:    userId,
       session_id: sessionId,
       expires_at: tozny.encodeTime(expiresAt)
-    }).then(function(resp) {
+    }, opts).then(function(resp) {
       return resp.return === 'true';
     });
   }
 
   /**
    * Sends a question challenge - optionally directed to a specific user.
+   * Build the question with {@link question#confirm} or
+   * {@link question#callback}.  The question is checked before it is sent;
+   * a malformed question fails with a {@link ValidationError}.
    *
    * @param {Object} question
    * @param {string} [userId]
@@ -181,14 +441,95 @@ export default class Realm {
    * - created_at
    * - presence
    */
-  questionChallenge(question: Object, user_id?: ?string
+  questionChallenge(question: Question|Object, user_id?: ?string
                    ): Promise<QuestionChallengeResponse> {
+    try {
+      validateQuestion(question)
+    }
+    catch (err) {
+      err.method = 'realm.question_challenge'
+      return bluebird.reject(err)
+    }
     const params = typeof user_id !== 'undefined'
       ? { question, user_id }
       : { question }
     return this.rawCall('realm.question_challenge', params);
   }
 
+  /**
+   * Verifies the signed answer to a question challenge, as produced by
+   * {@link #waitForCompletion}.  The signature, expiration, and nonce are
+   * checked as by {@link #verifyLogin}, and the answer must be for this
+   * realm.  Nonces are always checked: if the realm has no nonce store and
+   * none is given, a {@link MemoryNonceStore} owned by the realm is used.
+   *
+   * The `session_id` of the challenge that was sent is required, and the
+   * question itself should be given if it is at hand, so that an answer to
+   * some other question cannot be passed off as an answer to this one:
+   *
+   *     realm.verifyQuestionAnswer(result.signed_data, result.signature, {
+   *       sessionId: challenge.session_id,
+   *       question:  transferQuestion,
+   *     }).then(function(answer) {
+   *       if (answer.accepted) { return sendTransfer(answer.user_id); }
+   *     });
+   *
+   * @param {string} signedData
+   * @param {string} signature
+   * @param {Object} opts
+   * @param {string} opts.sessionId Session id of the challenge that was sent
+   * @param {Object} [opts.question] Question that was sent
+   * @param {NonceStore} [opts.nonceStore=this.nonceStore] Overrides the realm's nonce store
+   * @return {Promise.<Object>} Resolves to the `session_id`, `user_id`,
+   * `question`, `answer`, `accepted`, `expires_at`, and `matched_key_id` of
+   * the answer.  Fails with a {@link ValidationError} if `opts.sessionId` is
+   * missing, and with a {@link SignatureError} if the payload is
+   * rejected: besides the codes produced by {@link #verifyLogin}, the code is
+   * `"session_mismatch"` or `"question_mismatch"` if the payload does not
+   * match `opts`, and `"malformed_payload"` if it does not carry a valid
+   * question and answer.
+   */
+  verifyQuestionAnswer(signedData: string, signature: string,
+                       opts: { sessionId: string, question?: Question, nonceStore?: ?NonceStore }
+                      ): Promise<QuestionAnswer> {
+    const o = opts || {}
+    const invalid = requireParams('realm.verify_question_answer', { sessionId: o.sessionId })
+    if (invalid) { return bluebird.reject(invalid) }
+    const nonceStore = o.nonceStore || this.nonceStore || this._ownNonceStore()
+    return this.verifyLogin(signedData, signature, { nonceStore, checkRealm: true })
+    .then(function(payload) {
+      var answer;
+      try {
+        answer = toAnswer(payload);
+      }
+      catch (err) {
+        if (!(err instanceof ValidationError)) { throw err }
+        throw new SignatureError('signed data is not a question answer: ' + err.message, {
+          code: 'malformed_payload'
+        });
+      }
+      if (answer.session_id !== o.sessionId) {
+        throw new SignatureError('answer is for a different session', { code: 'session_mismatch' });
+      }
+      if (o.question && !sameQuestion(o.question, answer.question)) {
+        throw new SignatureError('answer is for a different question', { code: 'question_mismatch' });
+      }
+      return answer;
+    });
+  }
+
+  /**
+   * Nonce store for question answers when the realm has none.
+   *
+   * @private
+   */
+  _ownNonceStore(): NonceStore {
+    if (!this._answerNonces) {
+      this._answerNonces = new MemoryNonceStore()
+    }
+    return this._answerNonces
+  }
+
   /**
    * Send an email or SMS-based one time password challenge to a specific destination.
    *
@@ -197,14 +538,19 @@ export default class Realm {
    * @param {string} [destination] The phone number or email address to use.
    * @param {string} [presence]    If defined, re-use a previously used format and destination.
    * @param {string} [data]        Serialized JSON object containing data to be added to the signed response.
-   * @returns {Promise.<Object>}
+   * @param {Object} [opts]
+   * @param {string} [opts.ip]       Address of the client that asked for the challenge, for {@link #throttle}
+   * @returns {Promise.<Object>} Fails with a {@link RateLimitError} if
+   * {@link #throttle} does not allow the challenge.
    */
   otpChallenge(type?: ?string, context?: ?string, destination?: ?string, presence?: ?string,
-               data?: ?string): Promise<OTPChallengeResponse> {
+               data?: ?string, opts?: ?SendOptions): Promise<OTPChallengeResponse> {
     const params = typeof presence !== 'undefined'
         ? {presence, data, context}
         : {type, destination, data, context}
-    return this.rawCall('realm.otp_challenge', params);
+    return throttled(this.throttle, this.keyId, destination || presence, opts, 'realm.otp_challenge', () =>
+      this.rawCall('realm.otp_challenge', params)
+    );
   }
 
   /**
@@ -216,16 +562,65 @@ export default class Realm {
    * @param {string}  [context]   One of “enroll,” “authenticate,” or “verify”.
    * @param {boolean} [sendNow]   Flag whether to send the message (true) or return the magic link (false).
    * @param {string}  [data]      Serialized JSON object containing data to be added to the signed response.
-   * @returns {Promise.<Object>}
+   * @param {Object}  [opts]
+   * @param {string}  [opts.ip]    Address of the client that asked for the challenge, for {@link #throttle}
+   * @returns {Promise.<Object>} Fails with a {@link RateLimitError} if
+   * {@link #throttle} does not allow the challenge.
    */
   linkChallenge(destination: string, endpoint: string, lifespan?: ?number, context?: ?string,
-                sendNow?: ?boolean, data?: ?string): Promise<OTPChallengeResponse> {
+                sendNow?: ?boolean, data?: ?string, opts?: ?SendOptions): Promise<OTPChallengeResponse> {
+    const invalid = requireParams('realm.link_challenge', { destination, endpoint })
+    if (invalid) { return bluebird.reject(invalid) }
 
     // Convert the Boolean value to a yes/no literal
     const send = (typeof sendNow === 'undefined' || !! sendNow) ? 'yes' : 'no';
 
     const params = {destination, endpoint, lifespan, context, send, data}
-    return this.rawCall('realm.link_challenge', params);
+    if (send === 'no') {
+      return this.rawCall('realm.link_challenge', params);
+    }
+    return throttled(this.throttle, this.keyId, destination, opts, 'realm.link_challenge', () =>
+      this.rawCall('realm.link_challenge', params)
+    );
+  }
+
+  /**
+   * Watches a question, OTP, or link challenge session for status changes.
+   * See {@link SessionWatcher}.
+   *
+   * @param {string} sessionId Session id returned when the challenge was created
+   * @param {Object} [opts] `timeout`, `interval`, and `signal`
+   * @return {SessionWatcher}
+   */
+  watchSession(sessionId: string, opts?: ?WaitOptions): SessionWatcher {
+    return new SessionWatcher(
+      callOpts => this.rawCall('realm.check_session_status', { session_id: sessionId }, callOpts),
+      sessionId, opts, 'realm.check_session_status'
+    )
+  }
+
+  /**
+   * Waits for the user to complete a challenge session.
+   *
+   *     realm.questionChallenge(question, userId).then(function(challenge) {
+   *       return realm.waitForCompletion(challenge.session_id, { timeout: 60000 });
+   *     }).then(function(result) {
+   *       return realm.verifyLogin(result.signed_data, result.signature);
+   *     });
+   *
+   * @param {string} sessionId Session id returned when the challenge was created
+   * @param {Object} [opts]
+   * @param {number} [opts.timeout=300000] Milliseconds to wait in total
+   * @param {number} [opts.interval=1000] Milliseconds between polls
+   * @param {AbortSignal} [opts.signal] Stops waiting when it fires
+   * @return {Promise.<Object>} Resolves to the `signed_data` and `signature`
+   * of the completed session.  Fails with a {@link DeniedError},
+   * {@link TimeoutError}, or {@link AbortError}; see {@link SessionWatcher#result}.
+   */
+  waitForCompletion(sessionId: string, opts?: ?WaitOptions): Promise<Object> {
+    const invalid = requireParams('realm.check_session_status', { sessionId })
+    if (invalid) { return bluebird.reject(invalid) }
+    return this.watchSession(sessionId, opts).result()
   }
 
 
@@ -233,20 +628,27 @@ export default class Realm {
    * Does the given user exist in this realm?
    *
    * @param {string} userId The user ID of the user we're looking for
+   * @param {Object} [opts] Per-call options; see {@link #rawCall}
+   * @param {boolean} [opts.cache=true] Set to `false` to skip {@link #cache}
+   * and fetch a fresh result
    * @return {Promise.<boolean>} Boolean indicating whether the user exists
    */
-  userExists(userId: string): Promise<boolean> {
-    return this.rawCall('realm.user_exists', { user_id: userId }).then(function(resp) {
-      if (resp.return === 'true' && typeof resp.user_id !== 'undefined') {
-        return true;
-      }
-      else if (resp.return === 'false') {
-        return false;
-      }
-      else {
-        return bluebird.reject(resp);
-      }
-    });
+  userExists(userId: string, opts?: ?LookupOptions): Promise<boolean> {
+    const invalid = requireParams('realm.user_exists', { userId })
+    if (invalid) { return bluebird.reject(invalid) }
+    return this._lookup('exists:' + userId, opts, () =>
+      this.rawCall('realm.user_exists', { user_id: userId }, opts).then(function(resp) {
+        if (resp.return === 'true' && typeof resp.user_id !== 'undefined') {
+          return true;
+        }
+        else if (resp.return === 'false') {
+          return false;
+        }
+        else {
+          return bluebird.reject(unexpected('realm.user_exists', resp));
+        }
+      })
+    );
   }
 
 
@@ -254,20 +656,29 @@ export default class Realm {
    * Does the given user exist in this realm?
    *
    * @param  {string} email The email of the user we're looking for
+   * @param  {Object} [opts] Per-call options; see {@link #rawCall}
+   * @param  {boolean} [opts.cache=true] Set to `false` to skip {@link #cache}
+   * and fetch a fresh result
    * @return {Promise.<boolean>} Boolean indicating whether the user exists
    */
-  userEmailExists(email: string): Promise<boolean> {
-    return this.rawCall('realm.user_exists', { tozny_email: email }).then(function(resp) {
-      if (resp.return === 'true' && typeof resp.user_id !== 'undefined') {
-        return true;
-      }
-      else if (resp.return === 'false') {
-        return false;
-      }
-      else {
-        return bluebird.reject(resp);
-      }
-    });
+  userEmailExists(email: string, opts?: ?LookupOptions): Promise<boolean> {
+    const invalid = requireParams('realm.user_exists', { email })
+    if (invalid) { return bluebird.reject(invalid) }
+    const cache = this.cache
+    return this._lookup('email:' + email, opts, () =>
+      this.rawCall('realm.user_exists', { tozny_email: email }, opts).then(function(resp) {
+        if (resp.return === 'true' && typeof resp.user_id !== 'undefined') {
+          if (cache) { cache.linkEmail(String(resp.user_id), email); }
+          return true;
+        }
+        else if (resp.return === 'false') {
+          return false;
+        }
+        else {
+          return bluebird.reject(unexpected('realm.user_exists', resp));
+        }
+      })
+    );
   }
 
 
@@ -275,16 +686,29 @@ export default class Realm {
    * Add this user to the given realm.
    *
    * @param {string} [defer=false] Whether to use deferred enrollment. Defaults "false".
-   * @param {Array} [metadata]
+   * @param {Object} [metadata] Metadata fields for the new user.  Checked
+   * against {@link #metadataSchema}, if there is one.
    * @return {Promise.<Object>} The Tozny_API_User object if successful, otherwise false.
+   * Fails with a {@link ValidationError} if the metadata does not match the schema.
    */
-  userAdd(defer: string = "false", metadata: Object[]): Promise<User|boolean> {
+  userAdd(defer: string = "false", metadata?: ?Object): Promise<User|boolean> {
+    const schema = this.metadataSchema
+    if (schema) {
+      try {
+        metadata = schema.serialize(metadata)
+      }
+      catch (err) {
+        err.method = 'realm.user_add'
+        return bluebird.reject(err)
+      }
+    }
     const params = metadata
       ? { defer, extra_fields: tozny.toBase64(JSON.stringify(metadata)) }
       : { defer }
-    return this.rawCall('realm.user_add', params).then(function(resp) {
+    const emails = metadata && typeof metadata.email === 'string' ? [metadata.email] : []
+    return this._invalidating(this.rawCall('realm.user_add', params), null, emails).then(function(resp) {
       if (resp.return !== 'ok') {
-        return bluebird.reject(resp);
+        return bluebird.reject(unexpected('realm.user_add', resp));
       }
       else {
         return resp;  // TODO: Should we pull a user object out of the response?
@@ -296,54 +720,245 @@ export default class Realm {
    * Get a user from the given realm
    *
    * @param {string} userId User id to fetch
-   * @return {Promise.<Object>} user_id, metadata
+   * @param {Object} [opts] Per-call options; see {@link #rawCall}
+   * @param {boolean} [opts.cache=true] Set to `false` to skip {@link #cache}
+   * and fetch a fresh result
+   * @param {boolean} [opts.batch=true] Set to `false` to skip {@link #batcher}.
+   * Lookups that give other per-call options also skip it.
+   * @return {Promise.<Object>} user_id, metadata.  If there is
+   * a {@link #metadataSchema}, `meta` is parsed with it, and the call fails with
+   * a {@link ValidationError} if the stored metadata does not match.  A batched
+   * lookup fails with a {@link NotFoundError} if the user does not exist.
    */
-  userGet(userId: string): Promise<User> {
-    return this.rawCall('realm.user_get', { user_id: userId }).then(function(resp) {
-      if (resp.results) {
-        return resp.results;
-      }
-      else {
-        return bluebird.reject(resp);
-      }
+  userGet(userId: string, opts?: ?LookupOptions): Promise<User> {
+    const invalid = requireParams('realm.user_get', { userId })
+    if (invalid) { return bluebird.reject(invalid) }
+    const schema  = this.metadataSchema
+    const batcher = this.batcher
+    if (batcher && batchable(opts)) {
+      return this._lookup('user:' + userId, opts, () => batcher.load(userId)).then(function(user) {
+        return schema ? parseMeta(schema, user, 'meta', 'realm.user_get') : user;
+      });
+    }
+    return this._lookup('user:' + userId, opts, () =>
+      this.rawCall('realm.user_get', { user_id: userId }, opts).then(function(resp) {
+        if (resp.results) {
+          return resp.results;
+        }
+        else {
+          return bluebird.reject(unexpected('realm.user_get', resp));
+        }
+      })
+    ).then(function(user) {
+      return schema ? parseMeta(schema, user, 'meta', 'realm.user_get') : user;
     });
   }
 
   /**
-   * Get list of users in a given realm, optionally filtered by params.
+   * Get list of users in a given realm, optionally filtered by params.  Use
+   * {@link #users} to build params with validation.
    *
    * @param {Object} params
-   * @return {Promise.<Object>}
+   * @param {Object} [opts] Per-call options; see {@link #rawCall}
+   * @return {Promise.<Object>} Map from user ids to users.  The `meta` of each
+   * user is parsed as by {@link #userGet}.
    */
-  usersGet(params: UsersGetParams = {}): Promise<UsersGetResults> {
-    return this.rawCall('realm.users_get', params).then(function(resp) {
+  usersGet(params: UsersGetParams = {}, opts?: ?CallOptions): Promise<UsersGetResults> {
+    const schema = this.metadataSchema
+    return this.rawCall('realm.users_get', params, opts).then(function(resp) {
       if (resp.results) {
-        return resp.results;
+        if (!schema) {
+          return resp.results;
+        }
+        const users = {};
+        Object.keys(resp.results).forEach(function(id) {
+          users[id] = parseMeta(schema, resp.results[id], id + '.meta', 'realm.users_get');
+        });
+        return users;
       }
       else {
-        return bluebird.reject(resp);
+        return bluebird.reject(unexpected('realm.users_get', resp));
       }
     })
   }
 
+  /**
+   * Starts a query for users in this realm.  See {@link UsersQuery}.
+   *
+   *     realm.users()
+   *       .whereMeta('department', 'eng')
+   *       .whereTozny('email', 'like', '%@corp.com')
+   *       .limit(50)
+   *       .get();
+   *
+   * @return {UsersQuery}
+   */
+  users(): UsersQuery {
+    return new UsersQuery(this)
+  }
+
+  /**
+   * Iterates over every user that matches the given filter, fetching pages
+   * lazily.  See {@link UserIterator}.
+   *
+   *     realm.iterateUsers({ term: 'example.com' }, { pageSize: 500, concurrency: 4 })
+   *       .toArray(50000)
+   *       .then(function(users) { console.log(users.length + ' users'); });
+   *
+   * @param {Object} [filter] Same params as {@link #usersGet}, without `rows`,
+   * `offset`, or `page`
+   * @param {Object} [opts] `pageSize` and `concurrency`, as well as per-call
+   * options for each page request; see {@link #rawCall}
+   * @return {UserIterator}
+   */
+  iterateUsers(filter?: ?UsersGetParams, opts?: UserIteratorOptions & CallOptions): UserIterator {
+    return new UserIterator(params => this.usersGet(params, opts), filter, opts)
+  }
+
   /**
    * Update a user from the given realm
    *
    * @param {string} userId User id to update by
+   * @param {Object} extraFields Metadata fields to change.  Checked against
+   * {@link #metadataSchema}, if there is one; required fields may be left out.
    * @return {Promise.<Object>} The Tozny_API_User object if successful, otherwise false.
+   * Fails with a {@link ValidationError} if the metadata does not match the schema.
    */
   userUpdate(userId: string, extraFields: Object): Promise<Object> {
-    var extraFieldsArg = new Buffer(JSON.stringify(extraFields)).toString('base64');
+    const invalid = requireParams('realm.user_update', { userId })
+    if (invalid) { return bluebird.reject(invalid) }
+    const schema = this.metadataSchema
+    if (schema) {
+      try {
+        extraFields = schema.serialize(extraFields, { partial: true })
+      }
+      catch (err) {
+        err.method = 'realm.user_update'
+        return bluebird.reject(err)
+      }
+    }
+    var extraFieldsArg = base64Encode(utf8Encode(JSON.stringify(extraFields)));
 
-    return this.rawCall('realm.user_update', { user_id: userId, extra_fields: extraFieldsArg }).then(function(resp) {
+    const emails = extraFields && typeof extraFields.email === 'string' ? [extraFields.email] : []
+    const update = this.rawCall('realm.user_update', { user_id: userId, extra_fields: extraFieldsArg })
+    return this._invalidating(update, userId, emails).then(function(resp) {
       if (resp.return !== 'ok') {
-        return bluebird.reject(resp);
+        return bluebird.reject(unexpected('realm.user_update', resp));
       }
       else {
         return resp;  // TODO: Should we pull a user object out of the response?
       }
     });
   }
+
+  /**
+   * Fetches the users with the given ids in one call, for {@link #batcher}.
+   *
+   * @private
+   */
+  _usersByIds(ids: string[]): Promise<{ [key:string]: User }> {
+    return this.rawCall('realm.users_get', { user_ids: ids, rows: ids.length }).then(function(resp) {
+      const results = resp.results;
+      if (!results || typeof results !== 'object') {
+        return bluebird.reject(unexpected('realm.users_get', resp));
+      }
+      const users = Object.create(null);
+      Object.keys(results).forEach(function(id) { users[id] = results[id]; });
+      return users;
+    });
+  }
+
+  /**
+   * Reads through {@link #cache}, if there is one.
+   *
+   * @private
+   */
+  _lookup<T>(key: string, opts: ?LookupOptions, load: () => Promise<T>): Promise<T> {
+    const cache = this.cache
+    return cache ? cache.through(key, load, !!opts && opts.cache === false) : load()
+  }
+
+  /**
+   * Drops cached entries for a user once a write settles, whether or not it
+   * succeeded.  The user id of a new user is taken from the response.
+   *
+   * @private
+   */
+  _invalidating(write: Promise<Object>, userId: ?string, emails: string[]): Promise<Object> {
+    const cache = this.cache
+    if (!cache) {
+      return write
+    }
+    return bluebird.resolve(write).then(
+      resp => cache.invalidate(userId || resp && resp.user_id, emails).then(() => resp),
+      err  => cache.invalidate(userId, emails).then(() => bluebird.reject(err))
+    )
+  }
+}
+
+/**
+ * Produces the error reported when the API responds without an error, but also
+ * without the expected result.
+ *
+ * @private
+ */
+function missingSecret(keyId: string, method: string): ValidationError {
+  return new ValidationError('Realm ' + keyId + ' has no secret to sign or verify with', {
+    method, code: 'missing_secret'
+  });
+}
+
+function unexpected(method: string, resp: Object): ToznyApiError {
+  return new ToznyApiError('Unexpected response from Tozny API', {
+    method, code: 'unexpected_response', cause: resp
+  });
+}
+
+/**
+ * Parses the `meta` of a user record with the realm's schema.
+ *
+ * @private
+ */
+function parseMeta(schema: MetadataSchema, user: Object, path: string, method: string): Object {
+  try {
+    return objectAssign({}, user, { meta: schema.parse(user.meta, path) });
+  }
+  catch (err) {
+    err.method = method;
+    throw err;
+  }
+}
+
+/**
+ * Whether a lookup may go through the batcher: only if it gives no per-call
+ * options that would have to apply to the whole batch.
+ *
+ * @private
+ */
+function batchable(opts: ?LookupOptions): boolean {
+  if (!opts) { return true }
+  const o: Object = opts
+  return o.batch !== false &&
+    Object.keys(o).every(key => key === 'cache' || key === 'batch' || typeof o[key] === 'undefined')
+}
+
+export type LookupOptions = CallOptions & { cache?: boolean, batch?: boolean }
+
+export type RealmOptions = {
+  nonceStore?:    NonceStore,
+  clockSkew?:     number,
+  timeout?:       number,
+  retries?:       number,
+  retryDelay?:    number,
+  maxRetryDelay?: number,
+  transport?:     Transport,
+  hooks?:         Hooks|Hooks[],
+  metadataSchema?: MetadataSchema|{ [key:string]: FieldSpec },
+  cache?:          UserCache|UserCacheOptions,
+  throttle?:       ChallengeThrottle|ThrottleOptions,
+  metrics?:        Metrics|MetricsOptions,
+  batch?:          boolean|BatchOptions,
+  circuitBreaker?: CircuitBreakerOptions,
 }
 
 type OTPChallengeResponse = {
@@ -364,17 +979,5 @@ type QuestionChallengeResponse = {
   presence:     string,
 }
 
-type UsersGetParams = {
-  term?:           string,
-  meta_advanced?:  any,
-  meta_fields?:    any,
-  tozny_advanced?: any,
-  tozny_fields?:   any,
-  user_ids?:       any,
-  rows?:           number,
-  offset?:         number,
-  page?:           number,
-}
-
 // Value is a map from user IDs to user values
 type UsersGetResults = { [key:string]: User }
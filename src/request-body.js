@@ -0,0 +1,182 @@
+/* @flow */
+
+import formidable  from 'formidable'
+import bluebird    from 'bluebird'
+import querystring from 'querystring'
+import url         from 'url'
+
+import { ValidationError } from './errors'
+
+/**
+ * @class request-body
+ * @singleton
+ * @private
+ *
+ * Reads login fields from incoming requests for the Passport strategies.
+ */
+
+export type BodyOptions = {
+  limit?:     number,
+  multipart?: boolean,
+}
+
+export type FieldSource = 'body'|'query'|'header'
+
+/**
+ * Default limit on the size of request bodies, in bytes.
+ */
+export const DEFAULT_BODY_LIMIT = 100 * 1024
+
+/**
+ * Reads the fields of a POST body.
+ *
+ * - If a body parser has already parsed the body, `req.body` is used as-is.
+ *   An empty `req.body` is not trusted unless `req._body` is set, since
+ *   body-parser leaves one behind when it skips a content type that it does
+ *   not handle; the body is read from the request instead.
+ * - `application/json` bodies must contain a JSON object.
+ * - `application/x-www-form-urlencoded` bodies are parsed as forms.
+ * - `multipart/form-data` bodies are parsed with formidable, but only if
+ *   `opts.multipart` is set.
+ * - Requests without a body, or whose body was already consumed, produce no
+ *   fields.
+ *
+ * Fails with a {@link ValidationError} that has a `status` of 400, 413, or 415
+ * if the body is malformed, too large, or of an unsupported type.
+ *
+ * @param {http.IncomingMessage} req
+ * @param {Object} [opts]
+ * @param {number} [opts.limit=102400] Maximum body size, in bytes
+ * @param {boolean} [opts.multipart=false] Accept multipart bodies
+ * @return {Promise.<Object>}
+ */
+export function readBody(req: Object, opts?: BodyOptions): Promise<Object> {
+  const o     = opts || {}
+  const limit = o.limit || DEFAULT_BODY_LIMIT
+  if (isParsed(req.body, req._body)) {
+    return bluebird.resolve(req.body)
+  }
+  if (req.readableEnded || typeof req.on !== 'function') {
+    return bluebird.resolve({})
+  }
+
+  const headers = req.headers || {}
+  const type    = String(headers['content-type'] || '').split(';')[0].trim().toLowerCase()
+  const length  = parseInt(headers['content-length'], 10)
+  if (length > limit) {
+    return bluebird.reject(tooLarge(limit))
+  }
+
+  if (type === 'multipart/form-data') {
+    if (!o.multipart) {
+      return bluebird.reject(bodyError('Multipart request bodies are not accepted', 'unsupported_media_type', 415))
+    }
+    const form = new formidable.IncomingForm()
+    form.maxFieldsSize = limit
+    return bluebird.promisify(form.parse.bind(form))(req)
+  }
+  if (type !== '' && type !== 'application/json' && type !== 'application/x-www-form-urlencoded') {
+    return bluebird.reject(bodyError('Unsupported content type: ' + type, 'unsupported_media_type', 415))
+  }
+
+  return readText(req, limit).then(text => {
+    if (text === '') {
+      return {}
+    }
+    if (type === 'application/json') {
+      var parsed
+      try {
+        parsed = JSON.parse(text)
+      }
+      catch (e) {
+        throw bodyError('Request body is not valid JSON', 'invalid_body', 400)
+      }
+      if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw bodyError('Request body must be a JSON object', 'invalid_body', 400)
+      }
+      return parsed
+    }
+    return querystring.parse(text)
+  })
+}
+
+/**
+ * Finds the value of a login field, checking each source in order.  Header
+ * names are matched case-insensitively.
+ *
+ * @param {http.IncomingMessage} req
+ * @param {Object} body Fields read by {@link #readBody}
+ * @param {string[]} sources Any of `"body"`, `"query"`, and `"header"`
+ * @param {string} field Name of the field in the body or query string
+ * @param {string} header Name of the header
+ * @return {string|undefined}
+ */
+export function findField(req: Object, body: Object, sources: FieldSource[],
+                          field: string, header: string): ?string {
+  for (var i = 0; i < sources.length; i++) {
+    var value
+    if (sources[i] === 'body') {
+      value = body[field]
+    }
+    else if (sources[i] === 'query') {
+      value = (req.query || url.parse(req.url || '', true).query)[field]
+    }
+    else if (sources[i] === 'header') {
+      value = (req.headers || {})[header.toLowerCase()]
+    }
+    if (Array.isArray(value)) {
+      value = value[0]
+    }
+    if (typeof value === 'string' && value !== '') {
+      return value
+    }
+  }
+  return undefined
+}
+
+function isParsed(body: mixed, flagged: mixed): boolean {
+  return !!body && typeof body === 'object' && (!!flagged || Object.keys(body).length > 0)
+}
+
+function readText(req: Object, limit: number): Promise<string> {
+  return new bluebird((resolve, reject) => {
+    const chunks = []
+    var size = 0
+
+    function onData(chunk) {
+      size += chunk.length
+      if (size > limit) {
+        cleanup()
+        req.resume()  // discard the rest of the body
+        reject(tooLarge(limit))
+        return
+      }
+      chunks.push(chunk)
+    }
+    function onEnd() {
+      cleanup()
+      resolve(Buffer.concat(chunks).toString('utf8'))
+    }
+    function onError(err) {
+      cleanup()
+      reject(err)
+    }
+    function cleanup() {
+      req.removeListener('data', onData)
+      req.removeListener('end', onEnd)
+      req.removeListener('error', onError)
+    }
+
+    req.on('data', onData)
+    req.on('end', onEnd)
+    req.on('error', onError)
+  })
+}
+
+function tooLarge(limit: number): ValidationError {
+  return bodyError('Request body is larger than ' + limit + ' bytes', 'body_too_large', 413)
+}
+
+function bodyError(message: string, code: string, status: number): ValidationError {
+  return new ValidationError(message, { code, status })
+}
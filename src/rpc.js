@@ -0,0 +1,304 @@
+/* @flow */
+
+import bluebird     from 'bluebird'
+import objectAssign from 'object-assign'
+
+import { AbortError, transportError } from './errors'
+import { redact }                     from './logging'
+import { cryptoBackend }              from './crypto-backend'
+import { hexEncode }                  from './encoding'
+
+import type { Transport } from './transport'
+import type EndpointPool  from './endpoint-pool'
+
+export {
+  dispatch,
+  isSafeMethod,
+  retryDelay,
+  send,
+  sleep,
+}
+
+/**
+ * @class rpc
+ * @singleton
+ *
+ * Module that exports the machinery shared by {@link Realm} and {@link User}
+ * for dispatching RPC calls: request timeouts, retries with exponential
+ * backoff, cancellation, and delivery through a {@link Transport}.
+ * Intended for internal use.
+ */
+
+/**
+ * Minimal interface of the DOM / Node `AbortSignal` that is used here.
+ */
+export type AbortSignalLike = {
+  aborted: boolean,
+  addEventListener(type: string, listener: Function): void,
+  removeEventListener(type: string, listener: Function): void,
+}
+
+/**
+ * Options that control how an RPC call is dispatched.  These may be given to
+ * the {@link Realm} and {@link User} constructors to set defaults for every
+ * call, and to `rawCall` and the read-only methods of those classes to
+ * override the defaults for one call.
+ */
+export type CallOptions = {
+  timeout?:       number,
+  retries?:       number,
+  retryDelay?:    number,
+  maxRetryDelay?: number,
+  signal?:        ?AbortSignalLike,
+  transport?:     Transport,
+  hooks?:         ?(Hooks|Hooks[]),
+  correlationId?: string,
+  endpoints?:     ?EndpointPool,
+}
+
+/**
+ * Describes one step of an RPC call, and is given to {@link Hooks}.
+ *
+ * - `type`: `"request"`, `"response"`, `"error"`, or `"retry"`
+ * - `method`: name of the RPC method
+ * - `id`: correlation id, shared by every attempt of one call
+ * - `attempt`: number of the attempt, starting at 1
+ * - `params`: the call's parameters, with secrets redacted
+ * - `duration`: milliseconds the attempt took (`response` and `error`)
+ * - `error`: the failure (`error` and `retry`)
+ * - `willRetry`: whether the call will be attempted again (`error`)
+ * - `delay`: milliseconds until the next attempt (`retry`)
+ */
+export type RpcEvent = {
+  type:       'request'|'response'|'error'|'retry',
+  method:     string,
+  id:         string,
+  attempt:    number,
+  params:     Object,
+  duration?:  number,
+  error?:     Error,
+  willRetry?: boolean,
+  delay?:     number,
+}
+
+/**
+ * Functions that observe RPC calls.  Give hooks - or a list of them - as the
+ * `hooks` call option.  Each function receives an {@link RpcEvent}.  Errors
+ * thrown by hooks are ignored.
+ */
+export type Hooks = {
+  onRequest?:  (event: RpcEvent) => void,
+  onResponse?: (event: RpcEvent) => void,
+  onError?:    (event: RpcEvent) => void,
+  onRetry?:    (event: RpcEvent) => void,
+}
+
+/**
+ * @property {string[]}
+ * Methods that only read data, and that are therefore safe to send again after
+ * a failure.  Calls to any other method are never retried.
+ */
+export const SAFE_METHODS = [
+  'realm.user_get',
+  'realm.users_get',
+  'realm.user_exists',
+  'realm.check_valid_login',
+  'realm.check_session_status',
+  'user.check_session_status',
+  'user.realm_get',
+]
+
+const DEFAULTS = {
+  timeout:       30000,
+  retries:       2,
+  retryDelay:    100,
+  maxRetryDelay: 2000,
+}
+
+/**
+ * @param {string} method
+ * @return {boolean} True if `method` is listed in {@link #SAFE_METHODS}
+ */
+function isSafeMethod(method: string): boolean {
+  return SAFE_METHODS.indexOf(method) >= 0
+}
+
+/**
+ * Runs an RPC call, retrying failed attempts if the method is safe to retry
+ * and the failure is marked `retryable`.  Each attempt should produce a newly
+ * signed request, so that every attempt carries a fresh nonce.
+ *
+ * Reports each attempt to `opts.hooks`; see {@link Hooks}.
+ *
+ * @param {string} method Name of the RPC method
+ * @param {Function} attempt Makes one attempt; receives the effective call
+ * options and returns a promise
+ * @param {Object} [opts] See {@link CallOptions}
+ * @param {Object} [params] Parameters of the call, for hooks
+ * @return {Promise.<Object>} Fails with {@link AbortError} if the call is
+ * cancelled via `opts.signal`
+ */
+function dispatch<T>(method: string,
+                     attempt: (opts: CallOptions) => Promise<T>,
+                     opts?: ?CallOptions,
+                     params?: ?Object): Promise<T> {
+  const options = withDefaults(opts)
+  const signal  = options.signal
+  const retries = isSafeMethod(method) ? options.retries || 0 : 0
+  const hooks   = options.hooks ? [].concat(options.hooks) : []
+  const id      = options.correlationId || (hooks.length > 0 ? newCorrelationId() : '')
+  const safe    = hooks.length > 0 ? redact(params || {}) : {}
+
+  function emit(name: string, n: number, details: Object) {
+    if (hooks.length === 0) { return }
+    const event = objectAssign({ method, id, attempt: n + 1, params: safe }, details)
+    hooks.forEach(hook => {
+      const fn = hook && hook[name]
+      if (typeof fn !== 'function') { return }
+      try {
+        fn.call(hook, event)
+      }
+      catch (e) {
+        // A broken hook must not break the call.
+      }
+    })
+  }
+
+  function run(n) {
+    if (signal && signal.aborted) {
+      return bluebird.reject(new AbortError('Call cancelled', { method }))
+    }
+    const started = Date.now()
+    emit('onRequest', n, { type: 'request' })
+    return bluebird.resolve(attempt(options)).then(result => {
+      emit('onResponse', n, { type: 'response', duration: Date.now() - started })
+      return result
+    }, err => {
+      const willRetry = n < retries && !!err && !!err.retryable
+      emit('onError', n, { type: 'error', duration: Date.now() - started, error: err, willRetry })
+      if (!willRetry) {
+        return bluebird.reject(err)
+      }
+      const delay = retryDelay(n, options)
+      emit('onRetry', n, { type: 'retry', error: err, delay })
+      return sleep(delay, signal, method).then(() => run(n + 1))
+    })
+  }
+
+  return run(0)
+}
+
+function newCorrelationId(): string {
+  return hexEncode(cryptoBackend().randomBytes(8))
+}
+
+/**
+ * Computes the time to wait before a retry, using exponential backoff with
+ * "full jitter": a random delay between zero and an exponentially growing
+ * ceiling.
+ *
+ * @param {number} n Number of the attempt that failed, starting at 0
+ * @param {Object} opts
+ * @return {number} Delay in milliseconds
+ */
+function retryDelay(n: number, opts: CallOptions): number {
+  const base    = typeof opts.retryDelay === 'number' ? opts.retryDelay : DEFAULTS.retryDelay
+  const max     = typeof opts.maxRetryDelay === 'number' ? opts.maxRetryDelay : DEFAULTS.maxRetryDelay
+  const ceiling = Math.min(max, base * Math.pow(2, n))
+  return Math.floor(Math.random() * ceiling)
+}
+
+/**
+ * Delivers a form-encoded request through the configured transport, and
+ * resolves to the parsed response body.  Errors from the transport are
+ * converted to {@link ToznyError} instances.
+ *
+ * @param {string} url Used unless `opts.endpoints` is given
+ * @param {Object} form Fields to send
+ * @param {Object} opts `transport`, `timeout`, `signal`, and `endpoints`
+ * are used
+ * @param {string} method Name of the RPC method, used in error reports
+ * @return {Promise.<Object>}
+ */
+function send(url: string, form: Object, opts: CallOptions, method: string): Promise<Object> {
+  const endpoints = opts.endpoints
+  return endpoints
+    ? endpoints.send(target => deliver(target, form, opts, method), method)
+    : deliver(url, form, opts, method)
+}
+
+// The Node transports are loaded only when they are needed, so that the
+// library works with a transport of its own where Node's http modules are
+// not available.
+function defaultTransport(): Transport {
+  return require('./transport').defaultTransport()
+}
+
+function deliver(url: string, form: Object, opts: CallOptions, method: string): Promise<Object> {
+  const transport = opts.transport || defaultTransport()
+  const sent = bluebird.resolve(transport.send(url, form, {
+    timeout: opts.timeout,
+    signal:  opts.signal,
+  })).then(null, err => bluebird.reject(transportError(method, err)))
+  // The transport should cancel its own request when the signal fires; this
+  // guarantees that the call fails promptly even if it does not.
+  return abortable(sent, opts.signal, method, () => {})
+}
+
+/**
+ * Rejects with an {@link AbortError} as soon as `signal` fires, and runs
+ * `onAbort` to release whatever resources `promise` holds.
+ *
+ * @private
+ */
+function abortable<T>(promise: Promise<T>, signal: ?AbortSignalLike, method: string,
+                      onAbort: () => void): Promise<T> {
+  if (!signal) {
+    return promise
+  }
+  const sig = signal
+  return new bluebird((resolve, reject) => {
+    function abort() {
+      onAbort()
+      reject(new AbortError('Call cancelled', { method }))
+    }
+    if (sig.aborted) {
+      return abort()
+    }
+    sig.addEventListener('abort', abort)
+    promise.then(
+      value => { sig.removeEventListener('abort', abort); resolve(value) },
+      err   => { sig.removeEventListener('abort', abort); reject(err) }
+    )
+  })
+}
+
+/**
+ * Waits for `ms` milliseconds, or fails with an {@link AbortError} as soon as
+ * `signal` fires.
+ *
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @param {string} method Name of the RPC method being waited on, for errors
+ * @return {Promise}
+ */
+function sleep(ms: number, signal: ?AbortSignalLike, method: string): Promise<void> {
+  var timer
+  const delay = new bluebird(resolve => { timer = setTimeout(resolve, ms) })
+  return abortable(delay, signal, method, () => clearTimeout(timer))
+}
+
+function withDefaults(opts: ?CallOptions): CallOptions {
+  const o = opts || {}
+  return {
+    timeout:       typeof o.timeout === 'number' ? o.timeout : DEFAULTS.timeout,
+    retries:       typeof o.retries === 'number' ? o.retries : DEFAULTS.retries,
+    retryDelay:    typeof o.retryDelay === 'number' ? o.retryDelay : DEFAULTS.retryDelay,
+    maxRetryDelay: typeof o.maxRetryDelay === 'number' ? o.maxRetryDelay : DEFAULTS.maxRetryDelay,
+    signal:        o.signal,
+    transport:     o.transport,
+    hooks:         o.hooks,
+    correlationId: o.correlationId,
+    endpoints:     o.endpoints,
+  }
+}
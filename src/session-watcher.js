@@ -0,0 +1,229 @@
+/* @flow */
+
+import bluebird     from 'bluebird'
+import objectAssign from 'object-assign'
+
+import { AbortError, DeniedError, TimeoutError, ToznyApiError, TransportError } from './errors'
+import { sleep } from './rpc'
+
+import type { AbortSignalLike, CallOptions } from './rpc'
+
+/**
+ * @class session-watcher
+ * @singleton
+ *
+ * Module that exports {@link SessionWatcher}.  Instances are produced by
+ * `watchSession` on {@link Realm} and {@link User}.
+ */
+
+export type WaitOptions = {
+  timeout?:  number,
+  interval?: number,
+  signal?:   ?AbortSignalLike,
+}
+
+/**
+ * Status of a challenge session.  `status` is one of `"pending"`,
+ * `"completed"`, `"denied"`, or `"expired"`.  Completed sessions also have
+ * `signed_data` and `signature`.
+ */
+export type SessionStatus = {
+  session_id:   string,
+  status:       string,
+  signed_data?: string,
+  signature?:   string,
+}
+
+type CheckStatus = (opts: CallOptions) => Promise<Object>
+
+const TERMINAL = ['completed', 'denied', 'expired']
+
+/**
+ * @class SessionWatcher
+ * Polls the status of a login, question, or OTP challenge session until the
+ * user completes it.  Use it as an async iterator of status changes - for
+ * example, to push progress to a browser:
+ *
+ *     for await (const s of realm.watchSession(challenge.session_id)) {
+ *       socket.send(s.status);
+ *     }
+ *
+ * or wait for the signed result with {@link #result}, which is what
+ * `waitForCompletion` does:
+ *
+ *     realm.waitForCompletion(challenge.session_id, { timeout: 60000 })
+ *       .then(function(result) {
+ *         return realm.verifyLogin(result.signed_data, result.signature);
+ *       });
+ *
+ * The iterator yields the first status it sees, and then each status that
+ * differs from the one before.  It ends after a `"completed"`, `"denied"`, or
+ * `"expired"` status.  If `timeout` elapses first, `next` fails with
+ * a {@link TimeoutError}; if `signal` fires, it fails with an
+ * {@link AbortError}.
+ */
+export default class SessionWatcher {
+  _check: CheckStatus;
+  _sessionId: string;
+  _interval: number;
+  _deadline: number;
+  _signal: ?AbortSignalLike;
+  _method: string;
+  _last: ?string;
+  _polled: boolean;
+  _done: boolean;
+
+  /**
+   * @constructor
+   * @param {Function} check Fetches the session status once; given per-call
+   * options, returns a promise of the API response
+   * @param {string} sessionId
+   * @param {Object} [opts]
+   * @param {number} [opts.timeout=300000] Milliseconds to wait in total
+   * @param {number} [opts.interval=1000] Milliseconds between polls
+   * @param {AbortSignal} [opts.signal] Stops waiting when it fires
+   * @param {string} method Name of the status RPC method, for errors
+   */
+  constructor(check: CheckStatus, sessionId: string, opts?: ?WaitOptions, method?: string) {
+    const o = opts || {}
+    this._check     = check
+    this._sessionId = sessionId
+    this._interval  = typeof o.interval === 'number' ? o.interval : 1000
+    this._deadline  = Date.now() + (typeof o.timeout === 'number' ? o.timeout : 5 * 60 * 1000)
+    this._signal    = o.signal
+    this._method    = method || 'check_session_status'
+    this._last      = null
+    this._polled    = false
+    this._done      = false
+  }
+
+  /**
+   * @return {Promise.<Object>} Resolves to `{ done: false, value: status }`
+   * when the status changes, or to `{ done: true }` after a final status
+   */
+  next(): Promise<{ done: boolean, value?: SessionStatus }> {
+    if (this._done) {
+      return bluebird.resolve({ done: true })
+    }
+    return this._poll().then(status => {
+      if (TERMINAL.indexOf(status.status) >= 0) {
+        this._done = true
+      }
+      if (status.status === this._last) {
+        return this.next()
+      }
+      this._last = status.status
+      return { done: false, value: status }
+    }, err => {
+      this._done = true
+      return bluebird.reject(err)
+    })
+  }
+
+  /**
+   * Stops watching.  Called automatically when a `for await` loop exits via
+   * `break`.
+   *
+   * @return {Promise.<Object>}
+   */
+  return(): Promise<{ done: boolean }> {
+    this._done = true
+    return bluebird.resolve({ done: true })
+  }
+
+  /**
+   * Waits for the session to finish.
+   *
+   * @return {Promise.<Object>} Resolves to the `signed_data` and `signature`
+   * of the completed session.  Fails with a {@link DeniedError} if the user
+   * declined, with a {@link TimeoutError} if the session expired or `timeout`
+   * elapsed, and with an {@link AbortError} if `signal` fired.  A session
+   * that completes without a signed result fails with a {@link ToznyApiError}
+   * with the code `"missing_signed_data"`.
+   */
+  result(): Promise<{ signed_data: string, signature: string, session_id: string }> {
+    return this.next().then(step => {
+      const status = step.value
+      if (step.done || !status) {
+        return bluebird.reject(new AbortError('Stopped watching session ' + this._sessionId, {
+          method: this._method
+        }))
+      }
+      if (status.status === 'completed') {
+        const signedData = status.signed_data
+        const signature  = status.signature
+        if (!signedData || !signature) {
+          return bluebird.reject(new ToznyApiError('Session ' + this._sessionId + ' completed without a signed result', {
+            method: this._method, code: 'missing_signed_data', cause: status
+          }))
+        }
+        return { session_id: status.session_id, signed_data: signedData, signature }
+      }
+      if (status.status === 'denied') {
+        return bluebird.reject(new DeniedError('The user denied the challenge', { method: this._method }))
+      }
+      if (status.status === 'expired') {
+        return bluebird.reject(new TimeoutError('The challenge session expired', {
+          method: this._method, code: 'session_expired'
+        }))
+      }
+      return this.result()
+    })
+  }
+
+  /**
+   * Fetches the status once, after waiting for the poll interval if this is
+   * not the first poll.
+   *
+   * @private
+   */
+  _poll(): Promise<SessionStatus> {
+    const signal = this._signal
+    if (signal && signal.aborted) {
+      return bluebird.reject(new AbortError('Stopped watching session ' + this._sessionId, {
+        method: this._method
+      }))
+    }
+    const remaining = this._deadline - Date.now()
+    const wait      = this._polled ? Math.min(this._interval, Math.max(remaining, 0)) : 0
+    this._polled = true
+    return sleep(wait, signal, this._method).then(() => {
+      const left = this._deadline - Date.now()
+      if (left <= 0) {
+        return bluebird.reject(new TimeoutError(
+          'Session ' + this._sessionId + ' was not completed in time', { method: this._method }
+        ))
+      }
+      // Polls are not retried: the next poll is the retry, and a retry would
+      // get the whole of the remaining time again, running past the deadline.
+      return this._check({ signal, timeout: left, retries: 0 }).catch(err => {
+        // A poll cut short by the deadline means the session was not completed in time.
+        if (err instanceof TransportError && err.code === 'timeout' && Date.now() >= this._deadline) {
+          return bluebird.reject(new TimeoutError(
+            'Session ' + this._sessionId + ' was not completed in time', { method: this._method, cause: err }
+          ))
+        }
+        return bluebird.reject(err)
+      })
+    }).then(resp => {
+      if (!resp || typeof resp.status !== 'string') {
+        return bluebird.reject(new ToznyApiError('Unexpected response to ' + this._method, {
+          method: this._method, code: 'unexpected_response', cause: resp
+        }))
+      }
+      return objectAssign({ session_id: this._sessionId }, pick(resp), { status: resp.status })
+    })
+  }
+}
+
+// Lets `for await` consume a SessionWatcher directly.
+if (typeof Symbol === 'function' && Symbol.asyncIterator) {
+  (SessionWatcher.prototype: any)[Symbol.asyncIterator] = function() { return this }
+}
+
+function pick(resp: Object): Object {
+  const result = {}
+  if (resp.signed_data) { result.signed_data = resp.signed_data }
+  if (resp.signature)   { result.signature = resp.signature }
+  return result
+}
@@ -0,0 +1,163 @@
+/* @flow */
+
+import bluebird     from 'bluebird'
+import objectAssign from 'object-assign'
+
+import type Realm from './realm'
+
+/**
+ * @class session
+ * @singleton
+ *
+ * Module that exports {@link #revalidateSession}, Express middleware that ends
+ * Passport sessions once the Tozny login behind them is no longer valid.
+ * Import with:
+ *
+ *     var revalidateSession = require('tozny-auth').revalidateSession;
+ *
+ * The Tozny strategies record the `session_id` and `expires_at` of every
+ * verified login in `req.session.tozny`.  Install the middleware after
+ * Passport's own session middleware:
+ *
+ *     app.use(passport.initialize());
+ *     app.use(passport.session());
+ *     app.use(revalidateSession(realm, { interval: 60 * 1000 }));
+ *
+ * Passport 0.6 and later replace the session when a user logs in.  Pass
+ * `keepSessionInfo: true` to `passport.authenticate` so that the recorded
+ * login survives.
+ */
+
+export type ToznySessionInfo = {
+  user_id:    string,
+  session_id: string,
+  expires_at: number,
+  checked_at: number,
+}
+
+export type RevalidateOptions = {
+  interval?:   number,
+  sessionKey?: string,
+  failClosed?: boolean,
+  onEnd?:      (req: Object, res: Object, next: Function, reason: string) => void,
+}
+
+/**
+ * @property {string}
+ * Key in `req.session` where the strategies record verified logins.
+ */
+export const DEFAULT_SESSION_KEY = 'tozny'
+
+/**
+ * Records a verified login in the request's session, if it has one.
+ *
+ * @private
+ * @param {http.IncomingMessage} req
+ * @param {Object} login Payload produced by {@link Realm#verifyLogin}
+ * @param {string/boolean} key Session key, or `false` to record nothing
+ */
+export function rememberLogin(req: Object, login: Object, key: string|false) {
+  if (key === false || !req.session || !login.session_id) {
+    return
+  }
+  req.session[key] = {
+    user_id:    login.user_id,
+    session_id: login.session_id,
+    expires_at: parseInt(login.expires_at, 10),
+    checked_at: Date.now(),
+  }
+}
+
+/**
+ * Produces Express middleware that logs the user out when their Tozny login
+ * expires, or when {@link Realm#checkValidLogin} reports that it is no longer
+ * valid - for example because the user was blocked.
+ *
+ * Validity is checked at most once per `interval` for each session; the time
+ * of the last successful check is kept in the session.  Requests in the same
+ * session that arrive while a check is in flight share its result.
+ *
+ * Requests without a recorded login are passed through untouched.
+ *
+ * @param {Realm} realm
+ * @param {Object} [opts]
+ * @param {number} [opts.interval=300000] Milliseconds between checks
+ * @param {string} [opts.sessionKey="tozny"] Key of the recorded login in `req.session`
+ * @param {boolean} [opts.failClosed=false] End the session if the check
+ * fails with an error, e.g. because the API cannot be reached.  By default
+ * the request is allowed, and the check is retried on the next request.
+ * @param {Function} [opts.onEnd] Called as `onEnd(req, res, next, reason)`
+ * after the user is logged out, with `reason` being `"expired"`, `"invalid"`,
+ * or `"error"`.  Defaults to calling `next()`.
+ * @return {Function} Middleware that takes `(req, res, next)`
+ */
+export function revalidateSession(realm: Realm, opts?: RevalidateOptions): Function {
+  const o        = opts || {}
+  const interval = typeof o.interval === 'number' ? o.interval : 5 * 60 * 1000
+  const key      = o.sessionKey || DEFAULT_SESSION_KEY
+  const onEnd    = o.onEnd || ((req, res, next) => next())
+  const inFlight: { [sessionId:string]: Promise<boolean> } = {}
+
+  function check(info: ToznySessionInfo): Promise<boolean> {
+    const id = info.session_id
+    if (!inFlight[id]) {
+      inFlight[id] = bluebird.resolve(
+        realm.checkValidLogin(info.user_id, id, new Date(info.expires_at * 1000))
+      ).finally(() => { delete inFlight[id] })
+    }
+    return inFlight[id]
+  }
+
+  return function toznySession(req, res, next) {
+    const info = req.session && req.session[key]
+    if (!info || !info.session_id) {
+      return next()
+    }
+    const end = reason => logOut(req, key).then(() => onEnd(req, res, next, reason), next)
+
+    const now = Date.now()
+    if (info.expires_at * 1000 <= now) {
+      return end('expired')
+    }
+    if (now - info.checked_at < interval) {
+      return next()
+    }
+    check(info).then(valid => {
+      if (!valid) {
+        return end('invalid')
+      }
+      if (req.session && req.session[key]) {
+        req.session[key] = objectAssign({}, req.session[key], { checked_at: Date.now() })
+      }
+      next()
+    }, () => {
+      if (o.failClosed) {
+        return end('error')
+      }
+      next()
+    })
+  }
+}
+
+/**
+ * Removes the recorded login, and logs out of Passport.  Supports both the
+ * synchronous `req.logout()` of older Passport versions and the callback form
+ * of newer ones.
+ *
+ * @private
+ */
+function logOut(req: Object, key: string): Promise<void> {
+  if (req.session) {
+    delete req.session[key]
+  }
+  if (typeof req.logout !== 'function') {
+    return bluebird.resolve()
+  }
+  if (req.logout.length === 0) {
+    req.logout()
+    return bluebird.resolve()
+  }
+  return new bluebird((resolve, reject) => {
+    req.logout(err => err ? reject(err) : resolve())
+  })
+}
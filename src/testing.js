@@ -0,0 +1,750 @@
+/* @flow */
+
+import * as tozny   from './crypto'
+import bluebird     from 'bluebird'
+import crypto       from 'crypto'
+import http         from 'http'
+import objectAssign from 'object-assign'
+import querystring  from 'querystring'
+
+/**
+ * @class testing
+ * @singleton
+ *
+ * Module that exports {@link MockToznyServer}.  Import with:
+ *
+ *     var MockToznyServer = require('tozny-auth/testing').MockToznyServer;
+ *
+ */
+
+/**
+ * @property {MockToznyServer} exports
+ */
+
+export type MockUser = {
+  user_id:        string,
+  blocked:        ?boolean,
+  status:         string,
+  created:        string,
+  modified:       string,
+  meta:           Object,
+  tozny_email:    string,
+  tozny_username: string,
+}
+
+export type OutboxMessage = {
+  kind:        'otp'|'link',
+  session_id:  string,
+  destination: string,
+  otp:         string,
+  url?:        string,
+}
+
+type Session = {
+  session_id:  string,
+  kind:        'otp'|'link'|'question'|'login',
+  type:        ?string,
+  destination: ?string,
+  context:     ?string,
+  data:        ?string,
+  otp:         string,
+  expires_at:  number,
+  attempts:    number,
+  completed:   boolean,
+  denied:      boolean,
+  user_id:     ?string,
+  question:    ?Object,
+  answer:      ?string,
+  result:      ?Object,
+}
+
+type Login = {
+  user_id:    string,
+  session_id: string,
+  expires_at: number,
+}
+
+/**
+ * @class MockToznyServer
+ * In-process stand-in for the Tozny API, for use in integration tests.
+ *
+ * The server speaks the same form-encoded RPC protocol as Tozny, checks the
+ * HMAC of every realm request against the realm secret, and keeps users and
+ * challenge sessions in memory.  Point a {@link Realm} or {@link User} at it
+ * by giving its URL as the `apiUrl`:
+ *
+ *     var server = new MockToznyServer({ realmKeyId: 'sid_test', realmSecret: 'secret' });
+ *     server.listen().then(function(apiUrl) {
+ *       var realm = new tozny.Realm('sid_test', 'secret', apiUrl);
+ *       return realm.userAdd('false', { email: 'alice@example.com' });
+ *     });
+ *
+ * OTPs and magic links are not delivered anywhere; they are recorded in
+ * {@link #outbox} so that tests can complete challenges.
+ *
+ * These methods are implemented:
+ *
+ * - `realm.user_add`, `realm.user_get`, `realm.user_update`, `realm.user_exists`
+ * - `realm.users_get`, including the filters produced by {@link UsersQuery}
+ * - `realm.check_valid_login`
+ * - `realm.otp_challenge`, `realm.link_challenge`, `realm.question_challenge`
+ * - `user.otp_challenge`, `user.link_challenge`, `user.login_challenge`
+ * - `user.otp_result`, `user.link_result`
+ * - `user.challenge_exchange`
+ * - `realm.check_session_status`, `user.check_session_status`
+ *
+ * Question and login challenges stay pending until a test acts as the user's
+ * phone, with {@link #completeSession} or {@link #denySession}.
+ *
+ * @constructor
+ * @param {Object} [opts]
+ * @param {string} [opts.realmKeyId="sid_mockrealm"]
+ * @param {string} [opts.realmSecret] Defaults to a random secret
+ * @param {number} [opts.sessionLifespan=300] Seconds for which challenges and
+ * logins are valid
+ * @param {number} [opts.maxAttempts=3] Number of wrong OTPs accepted per session
+ */
+export class MockToznyServer {
+  /**
+   * @property {string}
+   * @readonly
+   */
+  realmKeyId: string;
+
+  /**
+   * @property {string}
+   * @readonly
+   */
+  realmSecret: string;
+
+  /**
+   * @property {string}
+   * @readonly
+   * URL of the running server, set once {@link #listen} resolves
+   */
+  url: ?string;
+
+  /**
+   * @property {Object}
+   * Users in the realm, keyed by user id
+   */
+  users: { [key:string]: MockUser };
+
+  /**
+   * @property {Object[]}
+   * OTPs and magic links that the server would have sent, oldest first.  Each
+   * entry has `kind` (`"otp"` or `"link"`), `session_id`, `destination`, and
+   * `otp` properties; links also have a `url`.
+   */
+  outbox: OutboxMessage[];
+
+  /**
+   * @property {Object[]}
+   * Every request received, with the decoded parameters, oldest first
+   */
+  requests: Object[];
+
+  sessionLifespan: number;
+  maxAttempts: number;
+
+  _server: any;
+  _sessions: { [key:string]: Session };
+  _logins: { [key:string]: Login };
+
+  constructor(opts?: { realmKeyId?: string, realmSecret?: string,
+                       sessionLifespan?: number, maxAttempts?: number }) {
+    const o = opts || {}
+    this.realmKeyId      = o.realmKeyId || 'sid_mockrealm'
+    this.realmSecret     = o.realmSecret || randomHex(32)
+    this.sessionLifespan = o.sessionLifespan || 300
+    this.maxAttempts     = o.maxAttempts || 3
+    this.url             = null
+    this.users           = {}
+    this.outbox          = []
+    this.requests        = []
+    this._sessions       = {}
+    this._logins         = {}
+    this._server         = http.createServer((req, res) => this._handle(req, res))
+  }
+
+  /**
+   * Starts listening on the loopback interface.
+   *
+   * @param {number} [port=0] Port to listen on; by default a free port is chosen
+   * @return {Promise.<string>} URL to use as the `apiUrl`
+   */
+  listen(port?: number): Promise<string> {
+    return new bluebird((resolve, reject) => {
+      this._server.once('error', reject)
+      this._server.listen(port || 0, '127.0.0.1', () => {
+        this.url = 'http://127.0.0.1:' + this._server.address().port + '/api/'
+        resolve(this.url)
+      })
+    })
+  }
+
+  /**
+   * Stops the server.
+   *
+   * @return {Promise}
+   */
+  close(): Promise<void> {
+    return new bluebird(resolve => this._server.close(() => resolve()))
+  }
+
+  /**
+   * Adds a user directly, without going through the API.
+   *
+   * @param {Object} [meta] User metadata.  `email` and `username` fields are
+   * also used as the user's `tozny_email` and `tozny_username`.
+   * @return {Object} The new user record
+   */
+  addUser(meta?: Object): MockUser {
+    const now  = tozny.encodeTime(Date.now())
+    const m    = meta || {}
+    const user = {
+      user_id:        'sid_' + randomHex(7).slice(0, 13),
+      blocked:        false,
+      status:         '1',
+      created:        now,
+      modified:       now,
+      meta:           objectAssign({}, m),
+      tozny_email:    m.email || '',
+      tozny_username: m.username || '',
+    }
+    this.users[user.user_id] = user
+    return user
+  }
+
+  /**
+   * Marks a user as blocked.  Logins of blocked users are no longer reported
+   * as valid by `realm.check_valid_login`.
+   *
+   * @param {string} userId
+   */
+  blockUser(userId: string) {
+    if (this.users[userId]) {
+      this.users[userId].blocked = true
+    }
+  }
+
+  /**
+   * Completes a pending challenge session, as if the user approved it on
+   * their phone.
+   *
+   * @param {string} sessionId
+   * @param {string} [userId] User who approved; defaults to the user the
+   * challenge was sent to
+   * @param {string} [answer] Answer to a question challenge.  Defaults to
+   * `"accept"`, or to `"success"` for callback questions.
+   * @return {Promise.<Object>} The signed result
+   */
+  completeSession(sessionId: string, userId?: ?string, answer?: string): Promise<Object> {
+    const session = this._sessions[sessionId]
+    if (!session) {
+      return bluebird.reject(new Error('Unknown session ' + sessionId))
+    }
+    if (userId) {
+      session.user_id = userId
+    }
+    if (session.kind === 'question') {
+      const type = session.question && session.question.type
+      session.answer = answer || (type === 'callback' ? 'success' : 'accept')
+    }
+    return this._complete(session)
+  }
+
+  /**
+   * Marks a pending challenge session as denied by the user.
+   *
+   * @param {string} sessionId
+   */
+  denySession(sessionId: string) {
+    if (this._sessions[sessionId]) {
+      this._sessions[sessionId].denied = true
+    }
+  }
+
+  /**
+   * @param {string} destination
+   * @return {Object} The most recent outbox entry for the given destination
+   */
+  lastMessage(destination: string): ?OutboxMessage {
+    for (var i = this.outbox.length - 1; i >= 0; i--) {
+      if (this.outbox[i].destination === destination) {
+        return this.outbox[i]
+      }
+    }
+    return null
+  }
+
+  _handle(req: any, res: any) {
+    const chunks = []
+    req.on('data', chunk => chunks.push(chunk))
+    req.on('end', () => {
+      const form = querystring.parse(Buffer.concat(chunks).toString('utf8'))
+      this._decode(form)
+      .then(params => {
+        this.requests.push(params)
+        return this._dispatch(params.method, params)
+      })
+      .then(
+        body => respond(res, body),
+        err  => respond(res, errorBody(err))
+      )
+    })
+  }
+
+  /**
+   * Produces the parameters of a request.  Realm requests carry their
+   * parameters in `signed_data`, which must be signed with the realm secret;
+   * only `user.*` methods may be called without a signature.
+   *
+   * @private
+   */
+  _decode(form: Object): Promise<Object> {
+    const userMethod = typeof form.method === 'string' && form.method.indexOf('user.') === 0
+    if (!form.signed_data && !userMethod) {
+      return bluebird.reject(apiFailure('invalid_signature', 'Realm requests must be signed', 401))
+    }
+    if (userMethod) {
+      return form.realm_key_id === this.realmKeyId
+        ? bluebird.resolve(form)
+        : bluebird.reject(apiFailure('invalid_realm', 'Unknown realm key id', 403))
+    }
+    return tozny.checkSignature(this.realmSecret, form.signature || '', form.signed_data)
+    .then(valid => {
+      if (!valid) {
+        throw apiFailure('invalid_signature', 'Invalid signature', 401)
+      }
+      const params = JSON.parse(tozny.fromBase64(form.signed_data).toString('utf8'))
+      if (params.realm_key_id !== this.realmKeyId) {
+        throw apiFailure('invalid_realm', 'Unknown realm key id', 403)
+      }
+      if (parseInt(params.expires_at, 10) < nowSeconds()) {
+        throw apiFailure('expired_request', 'Request has expired', 401)
+      }
+      return params
+    })
+  }
+
+  _dispatch(method: string, params: Object): Promise<Object>|Object {
+    switch (method) {
+      case 'realm.user_add':            return this._userAdd(params)
+      case 'realm.user_get':            return this._userGet(params)
+      case 'realm.user_update':         return this._userUpdate(params)
+      case 'realm.user_exists':         return this._userExists(params)
+      case 'realm.users_get':           return this._usersGet(params)
+      case 'realm.check_valid_login':   return this._checkValidLogin(params)
+      case 'realm.otp_challenge':
+      case 'user.otp_challenge':        return this._challenge('otp', params)
+      case 'realm.link_challenge':
+      case 'user.link_challenge':       return this._challenge('link', params)
+      case 'realm.question_challenge':  return this._pendingChallenge('question', params)
+      case 'user.login_challenge':      return this._pendingChallenge('login', params)
+      case 'realm.check_session_status':
+      case 'user.check_session_status': return this._sessionStatus(params)
+      case 'user.otp_result':           return this._otpResult(params)
+      case 'user.link_result':          return this._linkResult(params)
+      case 'user.challenge_exchange':   return this._challengeExchange(params)
+      default:
+        throw apiFailure('unknown_method', 'Unknown method: ' + method, 400)
+    }
+  }
+
+  _userAdd(params: Object): Object {
+    const meta = params.extra_fields ? decodeMeta(params.extra_fields) : {}
+    const user = this.addUser(meta)
+    return objectAssign({ return: 'ok' }, user)
+  }
+
+  _userGet(params: Object): Object {
+    return { return: 'ok', results: this._findUser(params.user_id) }
+  }
+
+  _userUpdate(params: Object): Object {
+    const user = this._findUser(params.user_id)
+    const meta = params.extra_fields ? decodeMeta(params.extra_fields) : {}
+    objectAssign(user.meta, meta)
+    if (meta.email)    { user.tozny_email = meta.email }
+    if (meta.username) { user.tozny_username = meta.username }
+    user.modified = tozny.encodeTime(Date.now())
+    return objectAssign({ return: 'ok' }, user)
+  }
+
+  _userExists(params: Object): Object {
+    const user = params.user_id
+      ? this.users[params.user_id]
+      : this._userByDestination(params.tozny_email)
+    return user ? { return: 'true', user_id: user.user_id } : { return: 'false' }
+  }
+
+  _usersGet(params: Object): Object {
+    var matches = Object.keys(this.users).sort().map(id => this.users[id])
+    if (params.user_ids) {
+      const ids = [].concat(params.user_ids)
+      matches = matches.filter(user => ids.indexOf(user.user_id) >= 0)
+    }
+    if (params.term) {
+      const term = String(params.term).toLowerCase()
+      matches = matches.filter(user =>
+        [user.tozny_email, user.tozny_username].concat(values(user.meta))
+          .some(value => String(value).toLowerCase().indexOf(term) >= 0)
+      )
+    }
+    if (params.meta_fields) {
+      matches = matches.filter(user => fieldsMatch(user.meta, params.meta_fields))
+    }
+    if (params.tozny_fields) {
+      matches = matches.filter(user => fieldsMatch(toznyFields(user), params.tozny_fields))
+    }
+    if (params.meta_advanced) {
+      matches = matches.filter(user => advancedMatch(user.meta, params.meta_advanced))
+    }
+    if (params.tozny_advanced) {
+      matches = matches.filter(user => advancedMatch(toznyFields(user), params.tozny_advanced))
+    }
+    const total  = matches.length
+    const rows   = parseInt(params.rows, 10) || total
+    const offset = typeof params.page !== 'undefined'
+      ? (parseInt(params.page, 10) - 1) * rows
+      : parseInt(params.offset, 10) || 0
+    const results = {}
+    matches.slice(offset, offset + rows).forEach(user => { results[user.user_id] = user })
+    return { return: 'ok', total, results }
+  }
+
+  _checkValidLogin(params: Object): Object {
+    const login = this._logins[params.session_id]
+    const user  = this.users[params.user_id]
+    const valid = !!login && !!user && !user.blocked &&
+      login.user_id === params.user_id &&
+      String(login.expires_at) === String(params.expires_at) &&
+      login.expires_at >= nowSeconds()
+    return { return: valid ? 'true' : 'false' }
+  }
+
+  _challenge(kind: 'otp'|'link', params: Object): Object {
+    const destination = params.destination || params.presence
+    if (!destination) {
+      throw apiFailure('missing_parameter', 'Missing destination', 400)
+    }
+    const session = this._newSession(kind, params, {
+      type:        params.type,
+      destination,
+      otp:         kind === 'link' ? randomHex(16) : randomDigits(params.type === 'sms-otp-8' ? 8 : 6),
+    })
+
+    const response: Object = {
+      return:       'ok',
+      realm_key_id: this.realmKeyId,
+      session_id:   session.session_id,
+      created_at:   nowSeconds(),
+      presence:     destination,
+    }
+    const message: OutboxMessage = {
+      kind,
+      session_id:  session.session_id,
+      destination,
+      otp:         session.otp,
+    }
+    if (kind === 'link') {
+      const separator = String(params.endpoint).indexOf('?') >= 0 ? '&' : '?'
+      message.url = params.endpoint + separator + 'toznyo=' + session.otp
+      if (params.send === 'no') {
+        response.url = message.url
+      }
+    }
+    if (kind === 'otp' || params.send !== 'no') {
+      this.outbox.push(message)
+    }
+    return response
+  }
+
+  _newSession(kind: $PropertyType<Session, 'kind'>, params: Object, fields: Object): Session {
+    const lifespan = parseInt(params.lifespan, 10) || this.sessionLifespan
+    const session  = objectAssign({
+      session_id:  randomHex(32),
+      kind,
+      type:        null,
+      destination: null,
+      context:     params.context,
+      data:        params.data,
+      otp:         '',
+      expires_at:  nowSeconds() + lifespan,
+      attempts:    0,
+      completed:   false,
+      denied:      false,
+      user_id:     null,
+      question:    null,
+      answer:      null,
+      result:      null,
+    }, fields)
+    this._sessions[session.session_id] = session
+    return session
+  }
+
+  /**
+   * Question and login challenges, which wait for {@link #completeSession}.
+   *
+   * @private
+   */
+  _pendingChallenge(kind: 'question'|'login', params: Object): Object {
+    const question = typeof params.question === 'string' ? JSON.parse(params.question) : params.question
+    const session  = this._newSession(kind, params, { user_id: params.user_id || null, question })
+    const base     = String(this.url)
+    return {
+      return:       'ok',
+      challenge:    randomHex(32),
+      realm_key_id: this.realmKeyId,
+      session_id:   session.session_id,
+      qr_url:       base + '?qr=' + session.session_id,
+      mobile_url:   'tozny://?s=' + session.session_id,
+      created_at:   nowSeconds(),
+      presence:     '',
+    }
+  }
+
+  _sessionStatus(params: Object): Object {
+    const session = this._sessions[params.session_id]
+    if (!session) {
+      throw apiFailure('invalid_session', 'Unknown session', 404)
+    }
+    if (session.result) {
+      return objectAssign({}, session.result, { return: 'ok', status: 'completed' })
+    }
+    if (session.denied) {
+      return { return: 'ok', status: 'denied' }
+    }
+    if (session.completed || session.expires_at < nowSeconds()) {
+      return { return: 'ok', status: 'expired' }
+    }
+    return { return: 'ok', status: 'pending' }
+  }
+
+  _otpResult(params: Object): Promise<Object> {
+    const session = this._sessions[params.session_id]
+    if (!session || session.kind !== 'otp') {
+      throw apiFailure('invalid_session', 'Unknown session', 404)
+    }
+    this._checkSession(session)
+    if (!tozny.constantTimeEqual(String(params.otp), session.otp)) {
+      session.attempts += 1
+      throw session.attempts >= this.maxAttempts
+        ? apiFailure('too_many_attempts', 'Too many attempts', 429)
+        : apiFailure('invalid_otp', 'Invalid OTP', 401)
+    }
+    return this._complete(session)
+  }
+
+  _linkResult(params: Object): Promise<Object> {
+    const id = Object.keys(this._sessions).filter(sid =>
+      this._sessions[sid].kind === 'link' && this._sessions[sid].otp === params.otp
+    )[0]
+    if (!id) {
+      throw apiFailure('invalid_otp', 'Invalid OTP', 401)
+    }
+    const session = this._sessions[id]
+    this._checkSession(session)
+    return this._complete(session)
+  }
+
+  _checkSession(session: Session) {
+    if (session.completed || session.expires_at < nowSeconds()) {
+      throw apiFailure('session_expired', 'Session has expired', 410)
+    }
+    if (session.attempts >= this.maxAttempts) {
+      throw apiFailure('too_many_attempts', 'Too many attempts', 429)
+    }
+  }
+
+  /**
+   * Marks a challenge session as completed, and produces the signed result.
+   *
+   * @private
+   */
+  _complete(session: Session): Promise<Object> {
+    session.completed = true
+    const user = session.user_id
+      ? this.users[session.user_id]
+      : this._userByDestination(session.destination)
+    return this._sign({
+      signature_type: 'HMAC',
+      realm_key_id:   this.realmKeyId,
+      session_id:     session.session_id,
+      user_id:        user ? user.user_id : undefined,
+      destination:    session.destination || undefined,
+      context:        session.context,
+      data:           session.data,
+      question:       session.question || undefined,
+      answer:         session.answer || undefined,
+    }).then(result => {
+      session.result = { signed_data: result.signed_data, signature: result.signature }
+      return result
+    })
+  }
+
+  _challengeExchange(params: Object): Promise<Object> {
+    return tozny.checkSignature(this.realmSecret, params.signature || '', params.signed_data || '')
+    .then(valid => {
+      if (!valid) {
+        throw apiFailure('invalid_signature', 'Invalid signature', 401)
+      }
+      const payload = JSON.parse(tozny.fromBase64(params.signed_data).toString('utf8'))
+      if (parseInt(payload.expires_at, 10) < nowSeconds()) {
+        throw apiFailure('session_expired', 'Session has expired', 410)
+      }
+      if (payload.context === 'enroll') {
+        const base  = String(this.url)
+        const field = payload.destination.indexOf('@') >= 0 ? 'email' : 'phone'
+        const user  = this.addUser({ [field]: payload.destination })
+        return {
+          return:                   'ok',
+          user_id:                  user.user_id,
+          temp_key:                 randomHex(16),
+          secret_enrollment_url:    base + '?enroll=' + user.user_id,
+          secret_enrollment_qr_url: base + '?enroll_qr=' + user.user_id,
+          key_id:                   randomHex(8),
+          created:                  nowSeconds(),
+          status:                   1,
+        }
+      }
+      const user = this._userByDestination(payload.destination)
+      if (!user) {
+        throw apiFailure('user_not_found', 'No user with that destination', 404)
+      }
+      return this._sign({
+        signature_type: 'HMAC',
+        realm_key_id:   this.realmKeyId,
+        session_id:     params.session_id || payload.session_id,
+        user_id:        user.user_id,
+        user_display:   user.tozny_username || user.tozny_email,
+      })
+    })
+  }
+
+  /**
+   * Signs a login payload with the realm secret, and records the login so
+   * that `realm.check_valid_login` recognizes it.
+   *
+   * @private
+   */
+  _sign(payload: Object): Promise<Object> {
+    const expiresAt = nowSeconds() + this.sessionLifespan
+    const full      = objectAssign({}, payload, {
+      nonce:      randomHex(32),
+      expires_at: String(expiresAt),
+    })
+    if (full.user_id) {
+      this._logins[full.session_id] = {
+        user_id: full.user_id, session_id: full.session_id, expires_at: expiresAt
+      }
+    }
+    const encoded = tozny.toBase64(JSON.stringify(full))
+    return tozny.sign(this.realmSecret, encoded).then(signature => ({
+      return:      'ok',
+      signed_data: encoded,
+      signature,
+    }))
+  }
+
+  _findUser(userId: string): MockUser {
+    const user = this.users[userId]
+    if (!user) {
+      throw apiFailure('user_not_found', 'No such user', 404)
+    }
+    return user
+  }
+
+  _userByDestination(destination: ?string): ?MockUser {
+    if (!destination) { return null }
+    const id = Object.keys(this.users).filter(uid => {
+      const user = this.users[uid]
+      return user.tozny_email === destination || user.meta.phone === destination
+    })[0]
+    return id ? this.users[id] : null
+  }
+}
+
+export default MockToznyServer
+
+function apiFailure(code: string, message: string, status: number): Object {
+  return { api: true, code, message, status }
+}
+
+function errorBody(err: any): Object {
+  const failure = err && err.api ? err : apiFailure('internal_error', String(err && err.message || err), 500)
+  return {
+    return: 'error',
+    errors: [{
+      error_code:    failure.code,
+      error_message: failure.message,
+      status_code:   failure.status,
+    }]
+  }
+}
+
+function respond(res: any, body: Object) {
+  res.setHeader('Content-Type', 'application/json')
+  res.end(JSON.stringify(body))
+}
+
+function decodeMeta(encoded: string): Object {
+  // Accept both URL-safe and standard base64 encodings
+  return JSON.parse(tozny.fromBase64(encoded).toString('utf8'))
+}
+
+function fieldsMatch(record: Object, fields: Object): boolean {
+  return Object.keys(fields).every(key => String(record[key]) === String(fields[key]))
+}
+
+function advancedMatch(record: Object, filters: Object[]): boolean {
+  return filters.every(f => {
+    const actual = record[f.field]
+    switch (f.operator) {
+      case '=':    return String(actual) === String(f.value)
+      case '!=':   return String(actual) !== String(f.value)
+      case '<':    return actual < f.value
+      case '<=':   return actual <= f.value
+      case '>':    return actual > f.value
+      case '>=':   return actual >= f.value
+      case 'like': return likePattern(String(f.value)).test(String(actual))
+      default:
+        throw apiFailure('invalid_filter', 'Unknown operator: ' + f.operator, 400)
+    }
+  })
+}
+
+function likePattern(pattern: string): RegExp {
+  const escaped = pattern.split('%').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+  return new RegExp('^' + escaped.join('.*') + '$', 'i')
+}
+
+function toznyFields(user: MockUser): Object {
+  return {
+    email:     user.tozny_email,
+    username:  user.tozny_username,
+    primary:   user.meta.phone || user.tozny_email,
+    secondary: '',
+  }
+}
+
+function values(obj: Object): any[] {
+  return Object.keys(obj).map(key => obj[key])
+}
+
+function nowSeconds(): number {
+  return Math.floor(Date.now() / 1000)
+}
+
+function randomHex(bytes: number): string {
+  return crypto.randomBytes(bytes).toString('hex')
+}
+
+function randomDigits(n: number): string {
+  var digits = ''
+  while (digits.length < n) {
+    digits += String(crypto.randomBytes(1)[0] % 10)
+  }
+  return digits
+}
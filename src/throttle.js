@@ -0,0 +1,295 @@
+/* @flow */
+
+import bluebird from 'bluebird'
+
+import { RateLimitError } from './errors'
+
+/**
+ * @class throttle
+ * @singleton
+ *
+ * Module that exports {@link ChallengeThrottle} and
+ * {@link MemoryCounterStore}.  Import with:
+ *
+ *     var ChallengeThrottle = require('tozny-auth').ChallengeThrottle;
+ *
+ * A throttle limits how often OTP and magic link challenges are sent, so that
+ * an endpoint that sends them cannot be used to run up SMS costs or to flood
+ * someone's inbox.  Give one to the {@link Realm} or {@link User} constructor
+ * as `throttle`, and `otpChallenge` and `linkChallenge` check it before
+ * sending anything:
+ *
+ *     var realm = new Realm(keyId, secret, apiUrl, {
+ *       throttle: { cooldown: 60 * 1000, dailyCap: { destination: 10 } }
+ *     });
+ *
+ *     app.post('/send-code', function(req, res, next) {
+ *       realm.otpChallenge('sms-otp-6', 'authenticate', req.body.phone, undefined, undefined,
+ *                          { ip: req.ip })
+ *       .then(function(challenge) { res.json({ session_id: challenge.session_id }); })
+ *       .catch(function(err) {
+ *         if (!(err instanceof RateLimitError)) { return next(err); }
+ *         res.set('Retry-After', Math.ceil(err.retryAfter / 1000)).sendStatus(429);
+ *       });
+ *     });
+ *
+ * Counts are kept by a {@link MemoryCounterStore} unless another
+ * {@link CounterStore} is given.  Apps that run more than one process should
+ * use a shared store, for example a small wrapper around Redis:
+ *
+ *     var store = {
+ *       hit: function(key, ttl) {
+ *         return redis.multi().incr(key).pexpire(key, ttl, 'NX').pttl(key).exec()
+ *           .then(function(r) { return { count: r[0][1], resetAt: Date.now() + r[2][1] }; });
+ *       }
+ *     };
+ */
+
+export type Limit = {
+  limit:  number,
+  window: number,
+}
+
+export type ThrottleOptions = {
+  cooldown?:       number,
+  perDestination?: Limit|Limit[],
+  perIp?:          Limit|Limit[],
+  perRealm?:       Limit|Limit[],
+  dailyCap?:       { destination?: number, ip?: number, realm?: number },
+  store?:          CounterStore,
+  prefix?:         string,
+}
+
+export type SendOptions = {
+  ip?: ?string,
+}
+
+/**
+ * @class CounterStore
+ * @abstract
+ * Interface implemented by counter stores.
+ */
+
+/**
+ * @method hit
+ * Increments a counter, creating it if it does not exist.  Implementations
+ * must perform the increment atomically.
+ *
+ * @param {string} key
+ * @param {number} ttl Milliseconds until a new counter expires.  Does not
+ * change the expiration of an existing counter.
+ * @return {Promise.<Object>} The new `count`, and `resetAt`, the time in
+ * milliseconds since the epoch when the counter expires
+ */
+export type CounterStore = {
+  hit(key: string, ttl: number): Promise<{ count: number, resetAt: number }>
+}
+
+const HOUR = 60 * 60 * 1000
+const DAY  = 24 * HOUR
+
+type Rule = { scope: string, id: string, limit: number, window: number, fixed: boolean }
+
+/**
+ * @class MemoryCounterStore
+ * @implements CounterStore
+ * Counter store that keeps counts in process memory.  Expired counters are
+ * dropped as new counts are made.
+ */
+export class MemoryCounterStore {
+  _counters: { [key:string]: { count: number, resetAt: number } };
+  _nextSweep: number;
+
+  /**
+   * @constructor
+   */
+  constructor() {
+    this._counters  = {}
+    this._nextSweep = 0
+  }
+
+  /**
+   * @param {string} key
+   * @param {number} ttl
+   * @return {Promise.<Object>}
+   */
+  hit(key: string, ttl: number): Promise<{ count: number, resetAt: number }> {
+    const now = Date.now()
+    this._sweep(now)
+    var counter = this._counters[key]
+    if (!counter || counter.resetAt <= now) {
+      counter = this._counters[key] = { count: 0, resetAt: now + ttl }
+    }
+    counter.count += 1
+    return bluebird.resolve({ count: counter.count, resetAt: counter.resetAt })
+  }
+
+  /**
+   * Drops expired counters, at most once per second.
+   *
+   * @private
+   */
+  _sweep(now: number) {
+    if (now < this._nextSweep) { return }
+    this._nextSweep = now + 1000
+    Object.keys(this._counters).forEach(key => {
+      if (this._counters[key].resetAt <= now) {
+        delete this._counters[key]
+      }
+    })
+  }
+}
+
+/**
+ * @class ChallengeThrottle
+ * Limits how often challenges are sent.  Every attempt to send a challenge
+ * counts against each limit, whether or not it is allowed.  These limits
+ * apply:
+ *
+ * - `cooldown`: the time that must pass between two challenges to the same
+ *   destination
+ * - `perDestination`, `perIp`, and `perRealm`: the number of challenges in
+ *   a fixed time window, to one destination, requested from one IP address,
+ *   and for the whole realm.  Each may be a single `{ limit, window }` or
+ *   a list of them, with `window` in milliseconds.
+ * - `dailyCap`: shorthand for a limit per day on each of `destination`, `ip`,
+ *   and `realm`
+ *
+ * The per-IP limits only apply if the caller gives the `ip` of the client
+ * that asked for the challenge.
+ *
+ * @constructor
+ * @param {Object} [opts]
+ * @param {number} [opts.cooldown=30000]
+ * @param {Object/Object[]} [opts.perDestination={ limit: 5, window: 3600000 }]
+ * @param {Object/Object[]} [opts.perIp={ limit: 20, window: 3600000 }]
+ * @param {Object/Object[]} [opts.perRealm] No limit by default
+ * @param {Object} [opts.dailyCap] Numbers of challenges per day, by `destination`,
+ * `ip`, and `realm`
+ * @param {CounterStore} [opts.store] Defaults to a {@link MemoryCounterStore}
+ * @param {string} [opts.prefix="tozny:throttle:"] Prefix of every counter key
+ */
+export default class ChallengeThrottle {
+  cooldown: number;
+  limits: { destination: Limit[], ip: Limit[], realm: Limit[] };
+  store: CounterStore;
+  prefix: string;
+
+  constructor(opts?: ThrottleOptions) {
+    const o   = opts || {}
+    const cap = o.dailyCap || {}
+    this.cooldown = typeof o.cooldown === 'number' ? o.cooldown : 30 * 1000
+    this.limits = {
+      destination: limits(o.perDestination, { limit: 5, window: HOUR }, cap.destination),
+      ip:          limits(o.perIp, { limit: 20, window: HOUR }, cap.ip),
+      realm:       limits(o.perRealm, null, cap.realm),
+    }
+    this.store  = o.store || new MemoryCounterStore()
+    this.prefix = o.prefix || 'tozny:throttle:'
+  }
+
+  /**
+   * Produces a throttle from a `ChallengeThrottle` or from options to
+   * construct one with.
+   *
+   * @static
+   * @param {ChallengeThrottle/Object} throttle
+   * @return {ChallengeThrottle}
+   */
+  static from(throttle: ChallengeThrottle|ThrottleOptions): ChallengeThrottle {
+    return throttle instanceof ChallengeThrottle ? throttle : new ChallengeThrottle(throttle)
+  }
+
+  /**
+   * Counts an attempt to send a challenge.
+   *
+   * @param {Object} attempt
+   * @param {string} attempt.realm Realm key id
+   * @param {string} [attempt.destination] Phone number, email address, or
+   * presence token the challenge is sent to.  Email addresses are compared
+   * without case, and phone numbers without formatting, so that
+   * `Foo@Example.com` and `+1 (555) 010-0100` share counters with
+   * `foo@example.com` and `+15550100100`.
+   * @param {string} [attempt.ip] Address of the client that asked for the
+   * challenge
+   * @return {Promise} Fails with a {@link RateLimitError} if any limit is
+   * reached.  The error's `retryAfter` is the time until every reached limit
+   * resets.
+   */
+  check(attempt: { realm: string, destination?: ?string, ip?: ?string }): Promise<void> {
+    const rules: Rule[] = []
+    const destination = normalizeDestination(attempt.destination)
+    const add = (scope: string, id: ?string, list: Limit[]) => {
+      if (!id) { return }
+      const key: string = id
+      list.forEach(l => rules.push({ scope, id: key, limit: l.limit, window: l.window, fixed: true }))
+    }
+    if (destination && this.cooldown > 0) {
+      rules.push({ scope: 'cooldown', id: destination, limit: 1, window: this.cooldown, fixed: false })
+    }
+    add('destination', destination, this.limits.destination)
+    add('ip', attempt.ip, this.limits.ip)
+    add('realm', attempt.realm, this.limits.realm)
+
+    const now = Date.now()
+    return bluebird.all(rules.map(rule => {
+      const start = rule.fixed ? now - now % rule.window : 0
+      const key   = this.prefix + rule.scope + ':' + rule.id + ':' + rule.window +
+        (rule.fixed ? ':' + start : '')
+      const ttl   = rule.fixed ? start + rule.window - now : rule.window
+      return bluebird.resolve(this.store.hit(key, ttl)).then(counter =>
+        counter.count > rule.limit ? { scope: rule.scope, wait: Math.max(counter.resetAt - now, 0) } : null
+      )
+    })).then(results => {
+      const exceeded = results.filter(Boolean)
+      if (exceeded.length === 0) {
+        return
+      }
+      const longest = exceeded.reduce((a, b) => b.wait > a.wait ? b : a)
+      throw new RateLimitError(
+        'Too many challenges (' + longest.scope + ' limit); retry in ' + Math.ceil(longest.wait / 1000) + 's',
+        longest.wait, longest.scope
+      )
+    })
+  }
+}
+
+/**
+ * Checks the throttle, if there is one, and then sends the challenge.
+ *
+ * @private
+ */
+export function throttled<T>(throttle: ?ChallengeThrottle, realm: string, destination: ?string,
+                             opts: ?SendOptions, method: string, send: () => Promise<T>): Promise<T> {
+  if (!throttle) {
+    return send()
+  }
+  return throttle.check({ realm, destination, ip: opts && opts.ip }).then(send, err => {
+    err.method = method
+    return bluebird.reject(err)
+  })
+}
+
+/**
+ * Reduces the ways of writing one destination to a single form.
+ *
+ * @private
+ */
+function normalizeDestination(destination: ?string): ?string {
+  const trimmed = destination ? String(destination).trim() : ''
+  if (!trimmed) {
+    return null
+  }
+  if (trimmed.indexOf('@') >= 0) {
+    return trimmed.toLowerCase()
+  }
+  if (/^\+?[0-9 ().\-]+$/.test(trimmed) && /[0-9]/.test(trimmed)) {
+    return (trimmed.charAt(0) === '+' ? '+' : '') + trimmed.replace(/[^0-9]/g, '')
+  }
+  return trimmed
+}
+
+function limits(given: ?(Limit|Limit[]), fallback: ?Limit, daily: ?number): Limit[] {
+  const list = given ? [].concat(given) : (fallback ? [fallback] : [])
+  return typeof daily === 'number' ? list.concat({ limit: daily, window: DAY }) : list
+}
@@ -1,5 +1,59 @@
 /* @flow */
 
-export { default as Realm }    from './realm'
-export { default as User }     from './user'
-export { default as Strategy } from './passport'
+import * as question from './question'
+
+export { default as Realm }          from './realm'
+export { default as User }           from './user'
+export { default as Strategy }       from './passport'
+export { default as Keyring }        from './keyring'
+export { default as UserIterator }   from './user-iterator'
+export { default as UsersQuery }     from './users-query'
+export { default as SessionWatcher } from './session-watcher'
+export { default as MetadataSchema } from './metadata-schema'
+export { default as UserCache }      from './user-cache'
+export { MemoryCacheStore }          from './user-cache'
+export { default as UserBatcher }    from './user-batcher'
+export { default as EndpointPool }   from './endpoint-pool'
+export { default as RealmRegistry }  from './realm-registry'
+export { default as ChallengeThrottle } from './throttle'
+export { MemoryCounterStore }        from './throttle'
+export { MemoryNonceStore }          from './nonce-store'
+export {
+  default as MagicLinkStrategy,
+  magicLinkRouter,
+} from './magic-link'
+export {
+  default as OtpStrategy,
+  OTP_FAILURE_REASONS,
+} from './otp'
+export { importUsers, exportUsers } from './bulk'
+export { question }
+export { revalidateSession }        from './session'
+export { jsonLogger, redact }       from './logging'
+export { default as Metrics }        from './metrics'
+export {
+  MemoryCollector,
+  metricsHandler,
+  METRICS,
+} from './metrics'
+export {
+  NodeCryptoBackend,
+  WebCryptoBackend,
+  setCryptoBackend,
+} from './crypto-backend'
+export {
+  SuperagentTransport,
+  HttpTransport,
+} from './transport'
+export {
+  ToznyError,
+  ToznyApiError,
+  SignatureError,
+  TransportError,
+  ValidationError,
+  AbortError,
+  TimeoutError,
+  DeniedError,
+  RateLimitError,
+  NotFoundError,
+} from './errors'
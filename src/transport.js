@@ -0,0 +1,252 @@
+/* @flow */
+
+import bluebird      from 'bluebird'
+import http          from 'http'
+import https         from 'https'
+import objectAssign  from 'object-assign'
+import promisePlugin from 'superagent-promise-plugin'
+import querystring   from 'querystring'
+import request       from 'superagent'
+import url           from 'url'
+
+promisePlugin.Promise = bluebird
+
+import type { AbortSignalLike } from './rpc'
+
+/**
+ * @class transport
+ * @singleton
+ *
+ * Module that exports the HTTP transports that {@link Realm} and {@link User}
+ * use to deliver API requests.  Import with:
+ *
+ *     var transport = require('tozny-auth/lib/transport');
+ *
+ * or
+ *
+ *     var HttpTransport = require('tozny-auth').HttpTransport;
+ *
+ * A transport is any object with a `send` method that matches the
+ * {@link Transport} interface.  Give a transport to the Realm or User
+ * constructor with the `transport` option:
+ *
+ *     var realm = new tozny.Realm(realmKeyId, realmSecret, apiUrl, {
+ *       transport: new tozny.HttpTransport({
+ *         agent: new https.Agent({ keepAlive: true }),
+ *         ca:    fs.readFileSync('corporate-ca.pem')
+ *       })
+ *     });
+ *
+ * If no transport is given then {@link SuperagentTransport} is used.
+ */
+
+/**
+ * @class Transport
+ * @abstract
+ * Interface implemented by transports.
+ */
+
+/**
+ * @method send
+ * Posts a form-encoded request body.  For Realm calls the form is already
+ * signed - a transport must send the fields exactly as given.
+ *
+ * The transport should fail with an error that has a `status` property if
+ * the server responds with an HTTP error status, with a `response.body`
+ * property if that response has a body, and with a `timeout` property if the
+ * request timed out.
+ *
+ * @param {string} url URL of the Tozny API
+ * @param {Object} form Fields to send
+ * @param {Object} opts
+ * @param {number} [opts.timeout] Milliseconds to wait for a response
+ * @param {AbortSignal} [opts.signal] Fires if the caller cancels the call
+ * @return {Promise.<Object>} Parsed response body
+ */
+export type Transport = {
+  send(url: string, form: Object, opts: TransportOptions): Promise<Object>
+}
+
+export type TransportOptions = {
+  timeout?: number,
+  signal?:  ?AbortSignalLike,
+}
+
+export type TlsOptions = {
+  agent?:   any,
+  ca?:      string|Buffer|Array<string|Buffer>,
+  cert?:    string|Buffer,
+  key?:     string|Buffer,
+  headers?: { [key:string]: string },
+}
+
+/**
+ * @class SuperagentTransport
+ * @implements Transport
+ * Sends requests with [superagent][].  This is the default transport.
+ *
+ * [superagent]: https://github.com/visionmedia/superagent
+ *
+ * @constructor
+ * @param {Object} [opts]
+ * @param {http.Agent} [opts.agent] Agent to use for connections, e.g. to keep
+ * connections alive or to go through a proxy
+ * @param {string/Buffer} [opts.ca] Certificate authorities to trust
+ * @param {string/Buffer} [opts.cert] Client certificate for mutual TLS
+ * @param {string/Buffer} [opts.key] Client private key for mutual TLS
+ * @param {Object} [opts.headers] Headers to add to every request
+ */
+export class SuperagentTransport {
+  _opts: TlsOptions;
+
+  constructor(opts?: TlsOptions) {
+    this._opts = opts || {}
+  }
+
+  send(apiUrl: string, form: Object, opts: TransportOptions): Promise<Object> {
+    const o   = this._opts
+    const req = request
+      .post(apiUrl)
+      .type('form')
+    if (o.headers) { req.set(o.headers) }
+    if (o.agent)   { req.agent(o.agent) }
+    if (o.ca)      { req.ca(o.ca) }
+    if (o.cert)    { req.cert(o.cert) }
+    if (o.key)     { req.key(o.key) }
+    if (opts.timeout) {
+      req.timeout(opts.timeout)
+    }
+    const release = onAbort(opts.signal, () => { req.abort() })
+    return req
+      .send(form)
+      .use(promisePlugin)
+      .then(
+        resp => { release(); return resp.body },
+        err  => { release(); return bluebird.reject(err) }
+      )
+  }
+}
+
+/**
+ * @class HttpTransport
+ * @implements Transport
+ * Sends requests with Node's core `http` and `https` modules, without any
+ * third-party HTTP client.
+ *
+ * @constructor
+ * @param {Object} [opts] Accepts the same options as {@link SuperagentTransport}
+ */
+export class HttpTransport {
+  _opts: TlsOptions;
+
+  constructor(opts?: TlsOptions) {
+    this._opts = opts || {}
+  }
+
+  send(apiUrl: string, form: Object, opts: TransportOptions): Promise<Object> {
+    const o      = this._opts
+    const target = url.parse(apiUrl)
+    const client = target.protocol === 'http:' ? http : https
+    const body   = encodeForm(form)
+
+    return new bluebird((resolve, reject) => {
+      var timer, release
+      const req = client.request(objectAssign({
+        method:   'POST',
+        protocol: target.protocol,
+        hostname: target.hostname,
+        port:     target.port,
+        path:     target.path,
+        headers:  objectAssign({}, o.headers, {
+          'Content-Type':   'application/x-www-form-urlencoded',
+          'Content-Length': Buffer.byteLength(body),
+          'Accept':         'application/json',
+        }),
+      }, definedOnly({ agent: o.agent, ca: o.ca, cert: o.cert, key: o.key })), res => {
+        const chunks = []
+        res.on('data', chunk => chunks.push(chunk))
+        res.on('error', fail)
+        res.on('end', () => {
+          clearTimeout(timer)
+          release()
+          const text = Buffer.concat(chunks).toString('utf8')
+          var parsed
+          try {
+            parsed = text ? JSON.parse(text) : null
+          }
+          catch (e) {
+            return fail(objectAssign(new Error('Response is not valid JSON'), { status: res.statusCode }))
+          }
+          if (res.statusCode >= 400) {
+            return fail(objectAssign(new Error(res.statusMessage || 'HTTP ' + res.statusCode), {
+              status:   res.statusCode,
+              response: { body: parsed },
+            }))
+          }
+          resolve(parsed)
+        })
+      })
+
+      function fail(err) {
+        clearTimeout(timer)
+        release()
+        reject(err)
+      }
+
+      req.on('error', fail)
+      if (opts.timeout) {
+        const ms = opts.timeout
+        timer = setTimeout(() => {
+          req.abort()
+          fail(objectAssign(new Error('Timeout of ' + ms + 'ms exceeded'), {
+            timeout: ms, code: 'ECONNABORTED'
+          }))
+        }, ms)
+      }
+      release = onAbort(opts.signal, () => { clearTimeout(timer); req.abort() })
+      req.end(body)
+    })
+  }
+}
+
+/**
+ * @return {Transport} The transport used when none is configured
+ */
+export function defaultTransport(): Transport {
+  return new SuperagentTransport()
+}
+
+/**
+ * Runs `callback` when `signal` fires.  Returns a function that removes the
+ * listener again.
+ *
+ * @private
+ */
+function onAbort(signal: ?AbortSignalLike, callback: () => void): () => void {
+  if (!signal) {
+    return () => {}
+  }
+  const sig = signal
+  sig.addEventListener('abort', callback)
+  return () => sig.removeEventListener('abort', callback)
+}
+
+/**
+ * Form-encodes fields, leaving out fields whose values are `undefined` or
+ * `null` (as superagent does).
+ *
+ * @private
+ */
+function encodeForm(form: Object): string {
+  return querystring.stringify(definedOnly(form))
+}
+
+function definedOnly(obj: Object): Object {
+  const result = {}
+  Object.keys(obj).forEach(key => {
+    if (obj[key] !== undefined && obj[key] !== null) {
+      result[key] = obj[key]
+    }
+  })
+  return result
+}
@@ -31,7 +31,7 @@ export type User = {
   total_failed_logins: string,  // formatted as a number
   last_failed_login:   ?string,
   total_devices:       string,  // formatted as a number
-  meta:                { username: string, email: string },
+  meta:                { username?: string, email?: string, [key:string]: mixed },
   tozny_primary:       string,
   tozny_secondary:     string,  // possibly empty string
   tozny_username:      string,
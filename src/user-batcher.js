@@ -0,0 +1,137 @@
+/* @flow */
+
+import bluebird from 'bluebird'
+
+import { NotFoundError } from './errors'
+
+import type { User } from './types'
+
+/**
+ * @class user-batcher
+ * @singleton
+ *
+ * Module that exports {@link UserBatcher}.  Import with:
+ *
+ *     var UserBatcher = require('tozny-auth').UserBatcher;
+ *
+ * A batcher is turned on by giving the {@link Realm} constructor a `batch`
+ * option.  Calls to {@link Realm#userGet} that are made close together are
+ * then sent as a single `realm.users_get` call:
+ *
+ *     var realm = new Realm(keyId, secret, apiUrl, { batch: true });
+ *
+ *     // One request to the API
+ *     Promise.all(items.map(function(item) { return realm.userGet(item.owner_id); }));
+ */
+
+export type BatchOptions = {
+  maxBatchSize?: number,
+  wait?:         number,
+}
+
+type Waiter = { resolve: (user: User) => void, reject: (err: any) => void }
+
+/**
+ * @class UserBatcher
+ * Collects user lookups, and fetches them together.  Lookups are collected
+ * until `wait` milliseconds after the first one, and then fetched in batches
+ * of at most `maxBatchSize` ids.  Lookups for an id that is already being
+ * fetched share the result of that fetch.
+ *
+ * @constructor
+ * @param {Function} fetch Takes a list of user ids, and returns a promise of
+ * a map from user ids to users
+ * @param {Object} [opts]
+ * @param {number} [opts.maxBatchSize=100] Most ids to fetch in one call
+ * @param {number} [opts.wait=0] Milliseconds to collect lookups for.  With
+ * the default, lookups made in the same turn of the event loop are fetched
+ * together.
+ */
+export default class UserBatcher {
+  maxBatchSize: number;
+  wait: number;
+  _fetch: (ids: string[]) => Promise<{ [key:string]: User }>;
+  _queue: { [key:string]: Waiter };
+  _queued: string[];
+  _inFlight: { [key:string]: Promise<User> };
+  _timer: any;
+
+  constructor(fetch: (ids: string[]) => Promise<{ [key:string]: User }>, opts?: BatchOptions) {
+    const o = opts || {}
+    this.maxBatchSize = typeof o.maxBatchSize === 'number' && o.maxBatchSize > 0 ? o.maxBatchSize : 100
+    this.wait         = typeof o.wait === 'number' ? o.wait : 0
+    this._fetch    = fetch
+    // Keyed by user id, so that an id like `constructor` finds nothing.
+    this._queue    = Object.create(null)
+    this._queued   = []
+    this._inFlight = Object.create(null)
+    this._timer    = null
+  }
+
+  /**
+   * Looks up a user.
+   *
+   * @param {string} userId
+   * @return {Promise.<Object>} Fails with a {@link NotFoundError} if the
+   * batch does not include the user, or with the error of the batch call if
+   * that fails
+   */
+  load(userId: string): Promise<User> {
+    const inFlight = this._inFlight[userId]
+    if (inFlight) {
+      return inFlight
+    }
+    const user = new bluebird((resolve, reject) => {
+      this._queue[userId] = { resolve, reject }
+      this._queued.push(userId)
+    })
+    this._inFlight[userId] = user
+    const forget = () => { delete this._inFlight[userId] }
+    user.then(forget, forget)
+    if (this._queued.length >= this.maxBatchSize) {
+      this._flush()
+    }
+    else if (!this._timer) {
+      this._timer = setTimeout(() => this._flush(), this.wait)
+    }
+    return user
+  }
+
+  /**
+   * Fetches every queued lookup.
+   *
+   * @private
+   */
+  _flush() {
+    if (this._timer) {
+      clearTimeout(this._timer)
+      this._timer = null
+    }
+    const queue = this._queue
+    const ids   = this._queued
+    this._queue  = Object.create(null)
+    this._queued = []
+    for (var i = 0; i < ids.length; i += this.maxBatchSize) {
+      this._send(ids.slice(i, i + this.maxBatchSize), queue)
+    }
+  }
+
+  /**
+   * @private
+   */
+  _send(ids: string[], queue: { [key:string]: Waiter }) {
+    bluebird.try(() => this._fetch(ids)).then(users => {
+      ids.forEach(id => {
+        const user = users && Object.prototype.hasOwnProperty.call(users, id) ? users[id] : null
+        if (user) {
+          queue[id].resolve(user)
+        }
+        else {
+          queue[id].reject(new NotFoundError('No such user: ' + id, id, { method: 'realm.user_get' }))
+        }
+      })
+    }, err => {
+      ids.forEach(id => queue[id].reject(err))
+    })
+  }
+}
@@ -0,0 +1,322 @@
+/* @flow */
+
+import bluebird from 'bluebird'
+
+/**
+ * @class user-cache
+ * @singleton
+ *
+ * Module that exports {@link UserCache} and {@link MemoryCacheStore}.  Import
+ * with:
+ *
+ *     var UserCache = require('tozny-auth').UserCache;
+ *
+ * A cache is turned on by giving the {@link Realm} constructor a `cache`
+ * option.  The realm then keeps the results of {@link Realm#userGet},
+ * {@link Realm#userExists}, and {@link Realm#userEmailExists} for `ttl`
+ * milliseconds:
+ *
+ *     var realm = new Realm(keyId, secret, apiUrl, {
+ *       cache: { ttl: 60 * 1000, maxEntries: 10000 }
+ *     });
+ *
+ * Entries for a user are dropped when the user is changed through the same
+ * realm with {@link Realm#userAdd} or {@link Realm#userUpdate}.  Changes made
+ * elsewhere are picked up when entries expire, or when
+ * {@link UserCache#invalidate} is called.
+ *
+ * By default entries are kept in process memory by a {@link MemoryCacheStore}.
+ * Any object that matches the {@link CacheStore} interface can be used
+ * instead - for example a small wrapper around Redis:
+ *
+ *     var store = {
+ *       get: function(key) {
+ *         return redis.get(key).then(function(v) { return v === null ? undefined : JSON.parse(v); });
+ *       },
+ *       set: function(key, value, ttl) {
+ *         return redis.set(key, JSON.stringify(value), 'PX', ttl);
+ *       },
+ *       delete: function(key) { return redis.del(key); }
+ *     };
+ */
+
+/**
+ * @class CacheStore
+ * @abstract
+ * Interface implemented by cache stores.  Values are plain JSON data.
+ */
+
+/**
+ * @method get
+ * @param {string} key
+ * @return {Promise.<Object>} The stored value, or `undefined` if there is none
+ */
+
+/**
+ * @method set
+ * @param {string} key
+ * @param {Object} value
+ * @param {number} ttl Number of milliseconds to keep the value
+ * @return {Promise}
+ */
+
+/**
+ * @method delete
+ * @param {string} key
+ * @return {Promise}
+ */
+export type CacheStore = {
+  get(key: string): Promise<mixed>,
+  set(key: string, value: mixed, ttl: number): Promise<any>,
+  delete(key: string): Promise<any>,
+}
+
+export type UserCacheOptions = {
+  ttl?:        number,
+  maxEntries?: number,
+  store?:      CacheStore,
+  prefix?:     string,
+}
+
+export type CacheStats = {
+  hits:          number,
+  misses:        number,
+  bypasses:      number,
+  invalidations: number,
+  errors:        number,
+}
+
+type Entry = { value: mixed, expiresAt: number }
+
+type Loading = { count: number, generation: number }
+
+/**
+ * @class MemoryCacheStore
+ * @implements CacheStore
+ * Cache store that keeps entries in process memory.  When the store is full,
+ * the least recently used entry is evicted.
+ *
+ * @constructor
+ * @param {Object} [opts]
+ * @param {number} [opts.maxEntries=1000] Maximum number of entries to keep
+ */
+export class MemoryCacheStore {
+  _entries: Map<string, Entry>;
+  _maxEntries: number;
+
+  /**
+   * @property {number}
+   * Number of entries evicted to make room for new ones.
+   */
+  evictions: number;
+
+  constructor(opts?: { maxEntries?: number }) {
+    const o = opts || {}
+    this._entries    = new Map()
+    this._maxEntries = typeof o.maxEntries === 'number' ? o.maxEntries : 1000
+    this.evictions   = 0
+  }
+
+  get(key: string): Promise<mixed> {
+    const entry = this._entries.get(key)
+    if (!entry) {
+      return bluebird.resolve(undefined)
+    }
+    this._entries.delete(key)
+    if (entry.expiresAt <= Date.now()) {
+      return bluebird.resolve(undefined)
+    }
+    this._entries.set(key, entry)  // most recently used entries come last
+    return bluebird.resolve(entry.value)
+  }
+
+  set(key: string, value: mixed, ttl: number): Promise<void> {
+    this._entries.delete(key)
+    if (this._maxEntries <= 0) {
+      return bluebird.resolve()
+    }
+    while (this._entries.size >= this._maxEntries) {
+      const oldest: any = this._entries.keys().next().value
+      this._entries.delete(oldest)
+      this.evictions += 1
+    }
+    this._entries.set(key, { value, expiresAt: Date.now() + ttl })
+    return bluebird.resolve()
+  }
+
+  delete(key: string): Promise<void> {
+    this._entries.delete(key)
+    return bluebird.resolve()
+  }
+
+  /**
+   * Number of entries currently stored, including expired entries that have
+   * not been evicted yet.
+   *
+   * @return {number}
+   */
+  size(): number {
+    return this._entries.size
+  }
+}
+
+/**
+ * @class UserCache
+ * Read-through cache for user lookups.  See the {@link user-cache} module for
+ * an overview.
+ *
+ * Failures of the store are not passed on: a lookup that cannot be read from
+ * the store goes to the API instead, and is counted in `errors`.
+ *
+ * A lookup that is invalidated while it is being loaded is not stored, since
+ * the loaded value may predate the change.
+ *
+ * @constructor
+ * @param {Object} [opts]
+ * @param {number} [opts.ttl=60000] Milliseconds to keep each entry
+ * @param {number} [opts.maxEntries=1000] Size of the default store, and the
+ * number of users whose email addresses are remembered for invalidation
+ * @param {CacheStore} [opts.store] Where to keep entries.  Defaults to
+ * a {@link MemoryCacheStore}.
+ * @param {string} [opts.prefix="tozny:"] Prefix of every key.  Use a prefix
+ * per realm when several realms share a store.
+ */
+export default class UserCache {
+  ttl: number;
+  store: CacheStore;
+  prefix: string;
+  _stats: CacheStats;
+  _emails: Map<string, string[]>;
+  _maxEmails: number;
+  _loading: { [key:string]: Loading };
+
+  constructor(opts?: UserCacheOptions) {
+    const o = opts || {}
+    this.ttl     = typeof o.ttl === 'number' ? o.ttl : 60 * 1000
+    this.store   = o.store || new MemoryCacheStore({ maxEntries: o.maxEntries })
+    this.prefix  = o.prefix || 'tozny:'
+    this._emails    = new Map()
+    this._maxEmails = typeof o.maxEntries === 'number' ? o.maxEntries : 1000
+    this._loading   = {}
+    this._stats  = { hits: 0, misses: 0, bypasses: 0, invalidations: 0, errors: 0 }
+  }
+
+  /**
+   * Produces a cache from a `UserCache` or from options to construct one
+   * with.
+   *
+   * @static
+   * @param {UserCache/Object} cache
+   * @param {string} [prefix] Default key prefix
+   * @return {UserCache}
+   */
+  static from(cache: UserCache|UserCacheOptions, prefix?: string): UserCache {
+    if (cache instanceof UserCache) {
+      return cache
+    }
+    const opts = {}
+    Object.keys(cache).forEach(key => { (opts: any)[key] = (cache: any)[key] })
+    if (!opts.prefix && prefix) { opts.prefix = prefix }
+    return new UserCache(opts)
+  }
+
+  /**
+   * Looks up a value, calling `load` if it is not cached and storing the
+   * result.
+   *
+   * @private
+   * @param {string} key Key, without the prefix
+   * @param {Function} load Fetches the value from the API
+   * @param {boolean} [bypass=false] Skip the lookup, but store the fresh value
+   * @return {Promise.<Object>}
+   */
+  through<T>(key: string, load: () => Promise<T>, bypass?: boolean): Promise<T> {
+    const full = this.prefix + key
+    const cached = bypass
+      ? bluebird.resolve(undefined)
+      : bluebird.resolve().then(() => this.store.get(full)).catch(() => {
+          this._stats.errors += 1
+          return undefined
+        })
+    return cached.then(value => {
+      if (value !== undefined) {
+        this._stats.hits += 1
+        return (value: any)
+      }
+      if (bypass) { this._stats.bypasses += 1 }
+      else        { this._stats.misses += 1 }
+      const loading    = this._loading[key] || (this._loading[key] = { count: 0, generation: 0 })
+      const generation = loading.generation
+      loading.count += 1
+      const finish = () => {
+        loading.count -= 1
+        if (loading.count === 0 && this._loading[key] === loading) { delete this._loading[key] }
+      }
+      return bluebird.resolve().then(load).then(fresh => {
+        finish()
+        if (loading.generation !== generation) {
+          return fresh
+        }
+        return bluebird.resolve().then(() => this.store.set(full, fresh, this.ttl))
+        .catch(() => { this._stats.errors += 1 })
+        .then(() => fresh)
+      }, err => {
+        finish()
+        return bluebird.reject(err)
+      })
+    })
+  }
+
+  /**
+   * Records that an email address belongs to a user, so that invalidating the
+   * user also drops the cached result for the address.  Only the most
+   * recently seen `maxEntries` users are remembered; entries for the others
+   * are left to expire.
+   *
+   * @private
+   */
+  linkEmail(userId: string, email: string) {
+    const emails = this._emails.get(userId) || []
+    if (emails.indexOf(email) < 0) { emails.push(email) }
+    this._emails.delete(userId)
+    this._emails.set(userId, emails)  // most recently seen users come last
+    while (this._emails.size > this._maxEmails) {
+      const oldest: any = this._emails.keys().next().value
+      this._emails.delete(oldest)
+    }
+  }
+
+  /**
+   * Drops every cached entry for a user.  Cached results of
+   * {@link Realm#userEmailExists} are dropped for the addresses that were
+   * seen for the user in this process, and for any addresses given.
+   *
+   * @param {string} userId
+   * @param {string[]} [emails] Email addresses to drop as well
+   * @return {Promise}
+   */
+  invalidate(userId: ?string, emails?: string[]): Promise<void> {
+    const keys  = userId ? ['user:' + userId, 'exists:' + userId] : []
+    const known = userId && this._emails.get(userId) || []
+    known.concat(emails || []).forEach(email => keys.push('email:' + email))
+    if (userId) { this._emails.delete(userId) }
+    keys.forEach(key => {
+      const loading = this._loading[key]
+      if (loading) { loading.generation += 1 }
+    })
+    this._stats.invalidations += 1
+    return bluebird.all(keys.map(key =>
+      bluebird.resolve().then(() => this.store.delete(this.prefix + key))
+      .catch(() => { this._stats.errors += 1 })
+    )).then(() => undefined)
+  }
+
+  /**
+   * @return {Object} Counts of `hits`, `misses`, `bypasses`,
+   * `invalidations`, and store `errors` since the cache was created
+   */
+  stats(): CacheStats {
+    const s = this._stats
+    return { hits: s.hits, misses: s.misses, bypasses: s.bypasses, invalidations: s.invalidations, errors: s.errors }
+  }
+}
@@ -0,0 +1,196 @@
+/* @flow */
+
+import bluebird     from 'bluebird'
+import objectAssign from 'object-assign'
+
+import { ValidationError } from './errors'
+
+import type { User } from './types'
+
+/**
+ * @class user-iterator
+ * @singleton
+ *
+ * Module that exports {@link UserIterator}.  Instances are produced by
+ * {@link Realm#iterateUsers}.
+ */
+
+export type UserIteratorOptions = {
+  pageSize?:    number,
+  concurrency?: number,
+}
+
+type FetchPage = (params: Object) => Promise<{ [key:string]: User }>
+
+/**
+ * @class UserIterator
+ * Async iterator over every user that matches a `usersGet` filter.  Pages are
+ * requested lazily, as the consumer asks for more users.  Use it with
+ * `for await`:
+ *
+ *     for await (const user of realm.iterateUsers({ term: 'example.com' })) {
+ *       console.log(user.user_id);
+ *     }
+ *
+ * or call {@link #next} directly:
+ *
+ *     var users = realm.iterateUsers();
+ *     users.next().then(function(result) {
+ *       if (!result.done) { console.log(result.value.user_id); }
+ *     });
+ *
+ * With a `concurrency` greater than 1, that many pages are requested at
+ * a time.  Iteration ends after the first page that comes back with fewer
+ * users than the page size.
+ */
+export default class UserIterator {
+  _fetchPage: FetchPage;
+  _filter: Object;
+  _pageSize: number;
+  _concurrency: number;
+  _nextPage: number;
+  _inFlight: Promise<User[]>[];
+  _buffer: User[];
+  _exhausted: boolean;
+  _error: any;
+
+  /**
+   * @constructor
+   * @param {Function} fetchPage Fetches one page; given `usersGet` params,
+   * returns a promise of a map from user ids to users
+   * @param {Object} [filter] `usersGet` params, without `rows`, `offset`, or `page`
+   * @param {Object} [opts]
+   * @param {number} [opts.pageSize=100] Number of users to request per page
+   * @param {number} [opts.concurrency=1] Number of pages to request at a time
+   */
+  constructor(fetchPage: FetchPage, filter?: ?Object, opts?: UserIteratorOptions) {
+    const o = opts || {}
+    this._fetchPage   = fetchPage
+    this._filter      = objectAssign({}, filter)
+    this._pageSize    = o.pageSize || 100
+    this._concurrency = o.concurrency || 1
+    this._nextPage    = 0
+    this._inFlight    = []
+    this._buffer      = []
+    this._exhausted   = false
+    this._error       = null
+
+    const paging = ['rows', 'offset', 'page'].filter(key => key in this._filter)
+    if (paging.length > 0) {
+      this._error = new ValidationError(
+        'Paging parameters are managed by the iterator: ' + paging.join(', '),
+        { method: 'realm.users_get', code: 'invalid_filter' }
+      )
+    }
+    else if (!(this._pageSize > 0) || !(this._concurrency > 0)) {
+      this._error = new ValidationError('pageSize and concurrency must be positive', {
+        method: 'realm.users_get', code: 'invalid_option'
+      })
+    }
+  }
+
+  /**
+   * @return {Promise.<Object>} Resolves to `{ done: false, value: user }`, or
+   * to `{ done: true }` once every user has been produced
+   */
+  next(): Promise<{ done: boolean, value?: User }> {
+    if (this._error) {
+      return bluebird.reject(this._error)
+    }
+    if (this._buffer.length > 0) {
+      return bluebird.resolve({ done: false, value: this._buffer.shift() })
+    }
+    this._schedule()
+    const page = this._inFlight.shift()
+    if (!page) {
+      return bluebird.resolve({ done: true })
+    }
+    return page.then(users => {
+      if (users.length < this._pageSize) {
+        this._finish()
+      }
+      this._buffer = this._buffer.concat(users)
+      return this.next()
+    }, err => {
+      this._finish()
+      this._error = err
+      return bluebird.reject(err)
+    })
+  }
+
+  /**
+   * Stops iteration early.  Called automatically when a `for await` loop exits
+   * via `break`.  Pages that are already in flight are discarded.
+   *
+   * @return {Promise.<Object>}
+   */
+  return(): Promise<{ done: boolean }> {
+    this._finish()
+    this._buffer = []
+    return bluebird.resolve({ done: true })
+  }
+
+  /**
+   * Collects every remaining user into an array.
+   *
+   * @param {number} [max=10000] Upper bound on the number of users.  If there
+   * are more users than this, the promise fails with a {@link ValidationError}
+   * instead of consuming unbounded memory.
+   * @return {Promise.<Object[]>}
+   */
+  toArray(max?: number): Promise<User[]> {
+    const limit   = typeof max === 'number' ? max : 10000
+    const results = []
+    const step = () => this.next().then(result => {
+      if (result.done || !result.value) {
+        return results
+      }
+      if (results.length >= limit) {
+        this.return()
+        return bluebird.reject(new ValidationError(
+          'More than ' + limit + ' users match; raise the limit or iterate instead',
+          { method: 'realm.users_get', code: 'too_many_results' }
+        ))
+      }
+      results.push(result.value)
+      return step()
+    })
+    return step()
+  }
+
+  /**
+   * Keeps up to `concurrency` pages in flight.
+   *
+   * @private
+   */
+  _schedule() {
+    while (!this._exhausted && this._inFlight.length < this._concurrency) {
+      const params = objectAssign({}, this._filter, {
+        rows:   this._pageSize,
+        offset: this._nextPage * this._pageSize,
+      })
+      this._nextPage += 1
+      const page = bluebird.resolve(this._fetchPage(params)).then(values)
+      // Later pages may fail after iteration stops; do not report those as
+      // unhandled rejections.
+      page.catch(() => {})
+      this._inFlight.push(page)
+    }
+  }
+
+  _finish() {
+    this._exhausted = true
+    this._inFlight  = []
+  }
+}
+
+// Lets `for await` consume a UserIterator directly.
+if (typeof Symbol === 'function' && Symbol.asyncIterator) {
+  (UserIterator.prototype: any)[Symbol.asyncIterator] = function() { return this }
+}
+
+function values(results: ?{ [key:string]: User }): User[] {
+  if (!results) { return [] }
+  const map = results
+  return Object.keys(map).map(key => map[key])
+}
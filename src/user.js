@@ -1,13 +1,22 @@
 /* @flow */
 
 import bluebird      from 'bluebird'
-import promisePlugin from 'superagent-promise-plugin'
-import request       from 'superagent'
 import objectAssign  from 'object-assign'
 
-promisePlugin.Promise = bluebird
+import { apiError, requireParams } from './errors'
+import { dispatch, send }          from './rpc'
+import SessionWatcher                from './session-watcher'
+import ChallengeThrottle, { throttled } from './throttle'
+import Metrics, { withMetrics } from './metrics'
+import EndpointPool, { resolveEndpoints } from './endpoint-pool'
 
-import type { Realm } from './types'
+import type { Realm }       from './types'
+import type { CallOptions, Hooks } from './rpc'
+import type { Transport }   from './transport'
+import type { WaitOptions } from './session-watcher'
+import type { ThrottleOptions, SendOptions } from './throttle'
+import type { MetricsOptions } from './metrics'
+import type { CircuitBreakerOptions } from './endpoint-pool'
 
 /**
  * @class user
@@ -35,17 +44,63 @@ export default class User {
   apiUrl: string;
   realmKeyId: string;
 
+  /**
+   * @property {Object}
+   * Default timeout, retry, and cancellation options for API calls.  See
+   * {@link CallOptions}.
+   */
+  callOptions: CallOptions;
+
+  /**
+   * @property {ChallengeThrottle}
+   * Limits how often {@link #otpChallenge} and {@link #linkChallenge} send
+   * messages.  See {@link Realm#throttle}.
+   */
+  throttle: ?ChallengeThrottle;
+
+  /**
+   * @property {Metrics}
+   * Counts and times API calls.  See {@link Realm#metrics}.
+   */
+  metrics: ?Metrics;
+
+  /**
+   * @property {EndpointPool}
+   * @readonly
+   * Endpoints that calls fail over between.  See {@link Realm#endpoints}.
+   */
+  endpoints: ?EndpointPool;
+
   /**
    * @constructor
    * @param {string} realmKeyId
-   * @param {string} [inApiUrl=process.env.API_URL] URL of Tozny service
+   * @param {string/string[]/EndpointPool} [inApiUrl=process.env.API_URL] URL
+   * of Tozny service, or several to fail over between
+   * @param {Object} [opts] Default call options: `timeout`, `retries`,
+   * `retryDelay`, `maxRetryDelay`, `transport`, `hooks`, and `endpoints`; and
+   * `throttle`, `metrics`, and `circuitBreaker`.  See
+   * {@link Realm#constructor}.  Given a realm's `callOptions`, the user shares
+   * the realm's endpoints.
    */
-  constructor(realmKeyId: string, inApiUrl?: ?string) {
-    const processApiUrl = typeof process !== 'undefined' && process.env
-      ? process.env.API_URL
-      : undefined
-    this.apiUrl = inApiUrl || processApiUrl || 'https://api.tozny.com'
+  constructor(realmKeyId: string, inApiUrl?: ?(string|string[]|EndpointPool), opts?: UserOptions|CallOptions) {
+    const options = opts || {}
+    const target  = resolveEndpoints(inApiUrl, (options: Object).circuitBreaker)
+    this.apiUrl    = target.apiUrl
+    this.endpoints = target.endpoints || options.endpoints || null
     this.realmKeyId = realmKeyId
+    this.callOptions = {
+      timeout:       options.timeout,
+      retries:       options.retries,
+      retryDelay:    options.retryDelay,
+      maxRetryDelay: options.maxRetryDelay,
+      transport:     options.transport,
+      hooks:         options.hooks,
+      endpoints:     this.endpoints,
+    }
+    const throttle = (options: Object).throttle
+    this.throttle = throttle ? ChallengeThrottle.from(throttle) : null
+    const metrics = (options: Object).metrics
+    this.metrics  = metrics ? Metrics.from(metrics) : null
   }
 
   /**
@@ -53,9 +108,14 @@ export default class User {
    *
    * @param {string} method Name of method to invoke via RPC.
    * @param {Object} [params] Parameters to send.
-   * @return {Promise.<Object>} Result depends on the API call that is made
+   * @param {Object} [opts] Overrides {@link #callOptions} for this call.  May
+   * also include a `signal` (an `AbortSignal`) to cancel the call.
+   * @return {Promise.<Object>} Result depends on the API call that is made.
+   * Fails with {@link ToznyApiError} if the API reports an error, with
+   * {@link TransportError} if no usable response is received, or with
+   * {@link AbortError} if the call is cancelled.
    */
-  rawCall<T>(method: string, params: Object): Promise<T> {
+  rawCall<T>(method: string, params: Object, opts?: ?CallOptions): Promise<T> {
     var req = {
       method:       method,
       realm_key_id: this.realmKeyId
@@ -63,13 +123,13 @@ export default class User {
     if (params) {
       objectAssign(req, params);
     }
-    return request
-      .post(this.apiUrl)
-      .type('form')
-      .send(req)
-      .use(promisePlugin)
-      .then(resp => resp.body)
-      .then(data => (data && data.errors) ? bluebird.reject(data.errors) : data)
+    const apiUrl = this.apiUrl
+    return dispatch(method, callOpts =>
+      send(apiUrl, req, callOpts, method).then(data => {
+        const err = apiError(method, data)
+        return err ? bluebird.reject(err) : data
+      })
+    , withMetrics(objectAssign({}, this.callOptions, opts), this.metrics), params)
   }
 
   /**
@@ -89,14 +149,19 @@ export default class User {
    * @param {string} [context]     One of “enroll,” “authenticate,” or “verify”.
    * @param {string} [destination] The phone number or email address to use.
    * @param {string} [presence]    If defined, re-use a previously used format and destination.
-   * @returns {Promise.<Object>}
+   * @param {Object} [opts]
+   * @param {string} [opts.ip]       Address of the client that asked for the challenge, for {@link #throttle}
+   * @returns {Promise.<Object>} Fails with a {@link RateLimitError} if
+   * {@link #throttle} does not allow the challenge.
    */
   otpChallenge(type?: ?string, context?: ?string, destination?: ?string,
-               presence?: ?string): Promise<OTPChallengeResponse> {
+               presence?: ?string, opts?: ?SendOptions): Promise<OTPChallengeResponse> {
     const params = typeof presence !== 'undefined'
         ? {presence, context}
         : {type, destination, context}
-    return this.rawCall('user.otp_challenge', params);
+    return throttled(this.throttle, this.realmKeyId, destination || presence, opts, 'user.otp_challenge', () =>
+      this.rawCall('user.otp_challenge', params)
+    );
   }
 
   /**
@@ -107,6 +172,8 @@ export default class User {
    * @returns {Promise.<Object>}
    */
   otpResult(otp: string, session_id: string): Promise<OTPResultResponse> {
+    const invalid = requireParams('user.otp_result', { otp, session_id })
+    if (invalid) { return bluebird.reject(invalid) }
     const params = {otp, session_id}
     return this.rawCall('user.otp_result', params);
   }
@@ -117,11 +184,19 @@ export default class User {
    * @param {string}  destination The phone number or email address to use.
    * @param {string}  endpoint    Base URL from which Tozny should generate the magic link.
    * @param {string}  [context]   One of “enroll,” “authenticate,” or “verify”.
-   * @returns {Promise.<Object>}
+   * @param {Object}  [opts]
+   * @param {string}  [opts.ip]    Address of the client that asked for the challenge, for {@link #throttle}
+   * @returns {Promise.<Object>} Fails with a {@link RateLimitError} if
+   * {@link #throttle} does not allow the challenge.
    */
-  linkChallenge(destination: string, endpoint: string, context?: ?string): Promise<OTPChallengeResponse> {
+  linkChallenge(destination: string, endpoint: string, context?: ?string,
+                opts?: ?SendOptions): Promise<OTPChallengeResponse> {
+    const invalid = requireParams('user.link_challenge', { destination, endpoint })
+    if (invalid) { return bluebird.reject(invalid) }
     const params = {destination, endpoint, context}
-    return this.rawCall('user.link_challenge', params);
+    return throttled(this.throttle, this.realmKeyId, destination, opts, 'user.link_challenge', () =>
+      this.rawCall('user.link_challenge', params)
+    );
   }
 
   /**
@@ -131,10 +206,42 @@ export default class User {
    * @returns {Promise.<Object>}
    */
   linkResult(otp: string): Promise<OTPResultResponse> {
+    const invalid = requireParams('user.link_result', { otp })
+    if (invalid) { return bluebird.reject(invalid) }
     const params = {otp}
     return this.rawCall('user.link_result', params);
   }
 
+  /**
+   * Watches a login or OTP challenge session for status changes.  See
+   * {@link SessionWatcher}.
+   *
+   * @param {string} sessionId Session id returned when the challenge was created
+   * @param {Object} [opts] `timeout`, `interval`, and `signal`
+   * @return {SessionWatcher}
+   */
+  watchSession(sessionId: string, opts?: ?WaitOptions): SessionWatcher {
+    return new SessionWatcher(
+      callOpts => this.rawCall('user.check_session_status', { session_id: sessionId }, callOpts),
+      sessionId, opts, 'user.check_session_status'
+    )
+  }
+
+  /**
+   * Waits for the user to complete a challenge session - e.g. to approve
+   * a login challenge on their phone.  See {@link Realm#waitForCompletion}.
+   *
+   * @param {string} sessionId Session id returned when the challenge was created
+   * @param {Object} [opts] `timeout`, `interval`, and `signal`
+   * @return {Promise.<Object>} Resolves to the `signed_data` and `signature`
+   * of the completed session
+   */
+  waitForCompletion(sessionId: string, opts?: ?WaitOptions): Promise<Object> {
+    const invalid = requireParams('user.check_session_status', { sessionId })
+    if (invalid) { return bluebird.reject(invalid) }
+    return this.watchSession(sessionId, opts).result()
+  }
+
   /**
    * Exchange a signed OTP payload for an enrollment challenge.
    *
@@ -143,6 +250,8 @@ export default class User {
    * @returns {Promise.<T>}
    */
   enrollmentChallengeExchange(signed_data: string, signature: string): Promise<EnrollmentChallengeResponse> {
+    const invalid = requireParams('user.challenge_exchange', { signed_data, signature })
+    if (invalid) { return bluebird.reject(invalid) }
     const params = {signed_data, signature}
     return this.rawCall('user.challenge_exchange', params);
   }
@@ -157,6 +266,8 @@ export default class User {
    */
   authenticationChallengeExchange(signed_data: string, signature: string,
                                   session_id?: ?string): Promise<AuthenticationChallengeResponse> {
+    const invalid = requireParams('user.challenge_exchange', { signed_data, signature })
+    if (invalid) { return bluebird.reject(invalid) }
     const params = {signed_data, signature, session_id}
     return this.rawCall('user.challenge_exchange', params);
   }
@@ -164,10 +275,11 @@ export default class User {
   /**
    * Fetches realm metadata
    *
+   * @param {Object} [opts] Per-call options; see {@link #rawCall}
    * @return {Promise.<Object>}
    */
-  realmGet(): Promise<Realm> {
-    return this.rawCall('user.realm_get', {})
+  realmGet(opts?: ?CallOptions): Promise<Realm> {
+    return this.rawCall('user.realm_get', {}, opts)
   }
 }
 
@@ -196,4 +308,17 @@ type EnrollmentChallengeResponse = {
 type AuthenticationChallengeResponse = {
   signed_data: string,
   signature:   string
-}
\ No newline at end of file
+}
+
+export type UserOptions = {
+  timeout?:       number,
+  retries?:       number,
+  retryDelay?:    number,
+  maxRetryDelay?: number,
+  transport?:     Transport,
+  hooks?:         Hooks|Hooks[],
+  throttle?:      ChallengeThrottle|ThrottleOptions,
+  metrics?:       Metrics|MetricsOptions,
+  endpoints?:     ?EndpointPool,
+  circuitBreaker?: CircuitBreakerOptions,
+}
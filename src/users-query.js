@@ -0,0 +1,345 @@
+/* @flow */
+
+import bluebird     from 'bluebird'
+import objectAssign from 'object-assign'
+
+import { ValidationError } from './errors'
+
+import type { UserIteratorOptions } from './user-iterator'
+import type { CallOptions }         from './rpc'
+
+/**
+ * @class users-query
+ * @singleton
+ *
+ * Module that exports {@link UsersQuery}.  Queries are usually started with
+ * {@link Realm#users}.
+ */
+
+export type Scalar = string|number|boolean
+
+export type FieldFilter = {
+  field:    string,
+  operator: string,
+  value:    Scalar,
+}
+
+export type UsersGetParams = {
+  term?:           string,
+  meta_advanced?:  FieldFilter[],
+  meta_fields?:    { [key:string]: Scalar },
+  tozny_advanced?: FieldFilter[],
+  tozny_fields?:   { [key:string]: Scalar },
+  user_ids?:       string[],
+  rows?:           number,
+  offset?:         number,
+  page?:           number,
+}
+
+type QueryState = {
+  term:    ?string,
+  meta:    FieldFilter[],
+  tozny:   FieldFilter[],
+  ids:     ?string[],
+  limit:   ?number,
+  offset:  ?number,
+  page:    ?number,
+}
+
+type QueryTarget = {
+  usersGet(params?: UsersGetParams, opts?: ?CallOptions): Promise<Object>,
+  iterateUsers(filter?: ?UsersGetParams, opts?: Object): Object,
+}
+
+/**
+ * @property {string[]}
+ * Comparison operators accepted by `whereMeta` and `whereTozny`.  `like`
+ * matches strings, with `%` as a wildcard.
+ */
+export const OPERATORS = ['=', '!=', '<', '<=', '>', '>=', 'like']
+
+/**
+ * @property {string[]}
+ * Built-in user fields that `whereTozny` can filter on.
+ */
+export const TOZNY_FIELDS = ['email', 'username', 'primary', 'secondary']
+
+/**
+ * @class UsersQuery
+ * Builds the filter params for {@link Realm#usersGet}.  Every method returns
+ * a new query, so a partial query can be reused:
+ *
+ *     var engineers = realm.users().whereMeta('department', 'eng');
+ *
+ *     engineers
+ *       .whereTozny('email', 'like', '%@corp.com')
+ *       .limit(50)
+ *       .get()
+ *       .then(function(users) { ... });
+ *
+ * The query is checked when it is compiled by {@link #build}, {@link #get},
+ * or {@link #iterate}.  An invalid query fails with a {@link ValidationError}
+ * before any request is made.
+ *
+ * @constructor
+ * @param {Realm} [realm] Realm that {@link #get} and {@link #iterate} query.
+ * Queries without a realm can only be compiled with {@link #build}.
+ */
+export default class UsersQuery {
+  _realm: ?QueryTarget;
+  _state: QueryState;
+
+  constructor(realm?: ?QueryTarget, state?: QueryState) {
+    this._realm = realm
+    this._state = state || {
+      term: null, meta: [], tozny: [], ids: null, limit: null, offset: null, page: null
+    }
+  }
+
+  /**
+   * Filters on a metadata field.  With two arguments, matches fields equal to
+   * the value.
+   *
+   * @param {string} field
+   * @param {string} [operator="="] One of {@link #OPERATORS}
+   * @param {string/number/boolean} value
+   * @return {UsersQuery}
+   */
+  whereMeta(field: string, operator: Scalar, value?: Scalar): UsersQuery {
+    return this._with({ meta: this._state.meta.concat(filter(field, operator, value, arguments.length)) })
+  }
+
+  /**
+   * Filters on a built-in user field.  With two arguments, matches fields
+   * equal to the value.
+   *
+   * @param {string} field One of {@link #TOZNY_FIELDS}
+   * @param {string} [operator="="] One of {@link #OPERATORS}
+   * @param {string/number/boolean} value
+   * @return {UsersQuery}
+   */
+  whereTozny(field: string, operator: Scalar, value?: Scalar): UsersQuery {
+    return this._with({ tozny: this._state.tozny.concat(filter(field, operator, value, arguments.length)) })
+  }
+
+  /**
+   * Free-text search across user fields.
+   *
+   * @param {string} term
+   * @return {UsersQuery}
+   */
+  term(term: string): UsersQuery {
+    return this._with({ term })
+  }
+
+  /**
+   * Restricts results to the given user ids.
+   *
+   * @param {string[]} userIds
+   * @return {UsersQuery}
+   */
+  ids(userIds: string[]): UsersQuery {
+    return this._with({ ids: userIds })
+  }
+
+  /**
+   * @param {number} rows Maximum number of users to return
+   * @return {UsersQuery}
+   */
+  limit(rows: number): UsersQuery {
+    return this._with({ limit: rows })
+  }
+
+  /**
+   * @param {number} offset Number of matching users to skip
+   * @return {UsersQuery}
+   */
+  offset(offset: number): UsersQuery {
+    return this._with({ offset })
+  }
+
+  /**
+   * @param {number} page Page number, starting at 1.  Cannot be combined with
+   * {@link #offset}.
+   * @return {UsersQuery}
+   */
+  page(page: number): UsersQuery {
+    return this._with({ page })
+  }
+
+  /**
+   * Checks the query, and compiles it to params for {@link Realm#usersGet}.
+   *
+   * @return {Object}
+   * @throws {ValidationError} If the query is invalid
+   */
+  build(): UsersGetParams {
+    const s      = this._state
+    const params = {}
+
+    if (s.term !== null && s.term !== undefined) {
+      if (typeof s.term !== 'string' || s.term.trim() === '') {
+        throw invalid('term must be a non-empty string')
+      }
+      params.term = s.term
+    }
+
+    s.meta.forEach(f => checkFilter(f, 'meta'))
+    s.tozny.forEach(f => {
+      checkFilter(f, 'tozny')
+      if (TOZNY_FIELDS.indexOf(f.field) < 0) {
+        throw invalid('unknown tozny field "' + f.field + '"; expected one of ' + TOZNY_FIELDS.join(', '))
+      }
+    })
+    compileFilters(params, 'meta', s.meta)
+    compileFilters(params, 'tozny', s.tozny)
+
+    if (s.ids) {
+      const ids = s.ids
+      if (!Array.isArray(ids) || ids.length === 0) {
+        throw invalid('ids must be a non-empty array')
+      }
+      ids.forEach(id => {
+        if (typeof id !== 'string' || id === '') {
+          throw invalid('every user id must be a non-empty string')
+        }
+      })
+      params.user_ids = ids.slice()
+    }
+
+    if (s.offset !== null && s.offset !== undefined && s.page !== null && s.page !== undefined) {
+      throw invalid('offset and page cannot be combined')
+    }
+    if (s.limit !== null && s.limit !== undefined) {
+      if (!isInteger(s.limit) || s.limit < 1) {
+        throw invalid('limit must be a positive integer')
+      }
+      params.rows = s.limit
+    }
+    if (s.offset !== null && s.offset !== undefined) {
+      if (!isInteger(s.offset) || s.offset < 0) {
+        throw invalid('offset must be a non-negative integer')
+      }
+      params.offset = s.offset
+    }
+    if (s.page !== null && s.page !== undefined) {
+      if (!isInteger(s.page) || s.page < 1) {
+        throw invalid('page must be a positive integer')
+      }
+      if (params.rows === undefined) {
+        throw invalid('page requires a limit')
+      }
+      params.page = s.page
+    }
+    return params
+  }
+
+  /**
+   * Runs the query.
+   *
+   * @param {Object} [opts] Per-call options; see {@link Realm#rawCall}
+   * @return {Promise.<Object>} Map from user ids to users, as from {@link Realm#usersGet}
+   */
+  get(opts?: ?CallOptions): Promise<Object> {
+    const realm = this._realm
+    if (!realm) {
+      return bluebird.reject(invalid('this query is not bound to a realm'))
+    }
+    var params
+    try {
+      params = this.build()
+    }
+    catch (err) {
+      return bluebird.reject(err)
+    }
+    return realm.usersGet(params, opts)
+  }
+
+  /**
+   * Iterates over every matching user.  See {@link Realm#iterateUsers}.  The
+   * query's limit, if any, is used as the page size; offset and page are not
+   * allowed.
+   *
+   * @param {Object} [opts] `pageSize`, `concurrency`, and per-call options
+   * @return {UserIterator}
+   * @throws {ValidationError} If the query is invalid
+   */
+  iterate(opts?: UserIteratorOptions & CallOptions): Object {
+    const realm = this._realm
+    if (!realm) {
+      throw invalid('this query is not bound to a realm')
+    }
+    const params = this.build()
+    if (params.offset !== undefined || params.page !== undefined) {
+      throw invalid('offset and page cannot be used when iterating')
+    }
+    const pageSize = params.rows
+    delete params.rows
+    return realm.iterateUsers(params, objectAssign({ pageSize }, opts))
+  }
+
+  _with(changes: Object): UsersQuery {
+    return new UsersQuery(this._realm, objectAssign({}, this._state, changes))
+  }
+}
+
+function filter(field: string, operator: Scalar, value: ?Scalar, argCount: number): FieldFilter {
+  return argCount < 3
+    ? { field, operator: '=', value: operator }
+    : { field, operator: String(operator), value: (value: any) }
+}
+
+function checkFilter(f: FieldFilter, kind: string) {
+  if (typeof f.field !== 'string' || f.field === '') {
+    throw invalid(kind + ' field name must be a non-empty string')
+  }
+  if (OPERATORS.indexOf(f.operator) < 0) {
+    throw invalid('unknown operator "' + f.operator + '" for ' + kind + ' field "' + f.field + '"')
+  }
+  const type = typeof f.value
+  if (type !== 'string' && type !== 'number' && type !== 'boolean') {
+    throw invalid(kind + ' field "' + f.field + '" must be compared to a string, number, or boolean')
+  }
+  if (f.operator === 'like' && type !== 'string') {
+    throw invalid('like requires a string pattern for ' + kind + ' field "' + f.field + '"')
+  }
+}
+
+/**
+ * Equality filters go in `<kind>_fields`; others go in `<kind>_advanced`.
+ * Two equality filters on the same field with different values can never
+ * match, so they are rejected.
+ *
+ * @private
+ */
+function compileFilters(params: Object, kind: string, filters: FieldFilter[]) {
+  const fields   = {}
+  const advanced = []
+  filters.forEach(f => {
+    if (f.operator !== '=') {
+      advanced.push({ field: f.field, operator: f.operator, value: f.value })
+      return
+    }
+    if (fields.hasOwnProperty(f.field) && fields[f.field] !== f.value) {
+      throw invalid(kind + ' field "' + f.field + '" cannot equal both ' +
+                    JSON.stringify(fields[f.field]) + ' and ' + JSON.stringify(f.value))
+    }
+    fields[f.field] = f.value
+  })
+  if (Object.keys(fields).length > 0) {
+    params[kind + '_fields'] = fields
+  }
+  if (advanced.length > 0) {
+    params[kind + '_advanced'] = advanced
+  }
+}
+
+function invalid(message: string): ValidationError {
+  return new ValidationError('Invalid users query: ' + message, {
+    method: 'realm.users_get', code: 'invalid_query'
+  })
+}
+
+function isInteger(n: any): boolean {
+  return typeof n === 'number' && isFinite(n) && Math.floor(n) === n
+}
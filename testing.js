@@ -0,0 +1,4 @@
+/**
+ * Entry point for `require('tozny-auth/testing')`.  See {@link testing}.
+ */
+module.exports = require('./lib/testing');